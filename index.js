@@ -15,6 +15,26 @@ const callRoutes = require('./routes/calls');
 const chatRoutes = require('./routes/chats'); // Switching to chats.js (has get-or-create)
 const categoryRoutes = require('./routes/categories');
 const agoraRoutes = require('./routes/agora');
+const bookingRoutes = require('./routes/bookings');
+const queueRoutes = require('./routes/queue');
+const notificationRoutes = require('./routes/notifications');
+const disputeRoutes = require('./routes/disputes');
+const couponRoutes = require('./routes/coupons');
+const groupSessionRoutes = require('./routes/groupSessions');
+const packageRoutes = require('./routes/packages');
+const invoiceRoutes = require('./routes/invoices');
+const scheduler = require('./services/scheduler');
+const { activateDueBookings } = require('./services/bookingService');
+const { syncScheduledStatuses } = require('./services/availabilityService');
+const { runMeteringTick, METER_INTERVAL_MS } = require('./services/meteringService');
+const jobQueue = require('./services/jobQueue');
+const callSweeper = require('./services/callSweeper');
+const callQueue = require('./services/callQueueService');
+const notificationService = require('./services/notificationService');
+const { sweepSessions } = require('./services/groupSessionService');
+const { expirePurchases } = require('./services/packageService');
+const { runScheduledReconciliation } = require('./services/reconciliationService');
+const { runScheduledIssuance } = require('./services/invoiceService');
 
 // Ensure models are registered
 require('./models/User');
@@ -23,6 +43,23 @@ require('./models/Category');
 require('./models/Call');
 require('./models/Transaction');
 require('./models/Chat');
+require('./models/Booking');
+require('./models/BookingSlot');
+require('./models/Job');
+require('./models/QueueEntry');
+require('./models/Notification');
+require('./models/AvailabilitySubscription');
+require('./models/Dispute');
+require('./models/Coupon');
+require('./models/CouponRedemption');
+require('./models/GroupSession');
+require('./models/CallNote');
+require('./models/PackagePurchase');
+require('./models/ReconciliationReport');
+require('./models/InternalNonce');
+require('./models/IdempotencyRecord');
+require('./models/Counter');
+require('./models/Invoice');
 
 const app = express();
 
@@ -71,7 +108,13 @@ app.use(cors(corsOptions));
    MIDDLEWARES
 ================================ */
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body: signed internal requests are verified against the exact bytes sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Session middleware (required for OAuth state management)
 app.use(session({
@@ -171,6 +214,14 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/agora', agoraRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/group-sessions', groupSessionRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/invoices', invoiceRoutes);
 // app.use('/api/admin', adminRoutes);
 
 // Log routes for debugging
@@ -213,6 +264,24 @@ app.use((err, req, res, next) => {
   });
 });
 
+/* ===============================
+   BACKGROUND JOBS
+================================ */
+
+scheduler.registerJob('activate-due-bookings', 30 * 1000, activateDueBookings);
+scheduler.registerJob('sync-scheduled-statuses', 60 * 1000, syncScheduledStatuses);
+scheduler.registerJob('meter-ongoing-calls', METER_INTERVAL_MS, runMeteringTick);
+scheduler.registerJob('process-due-jobs', 5 * 1000, jobQueue.processDueJobs);
+scheduler.registerJob('sweep-stuck-calls', 30 * 1000, callSweeper.sweepStuckCalls);
+scheduler.registerJob('process-call-queues', 30 * 1000, callQueue.processQueues);
+scheduler.registerJob('sweep-group-sessions', 60 * 1000, sweepSessions);
+scheduler.registerJob('expire-package-purchases', 60 * 60 * 1000, expirePurchases);
+scheduler.registerJob('reconcile-call-state', 5 * 60 * 1000, runScheduledReconciliation);
+scheduler.registerJob('issue-invoices', 10 * 60 * 1000, runScheduledIssuance);
+callSweeper.registerJobHandlers();
+callQueue.registerHooks();
+notificationService.registerHooks();
+
 /* ===============================
    SERVER (LOCAL ONLY)
 ================================ */
@@ -222,6 +291,7 @@ const PORT = process.env.PORT || 5000;
 if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`🚀 REST API running on port ${PORT}`);
+    scheduler.startScheduler();
   });
 }
 
@@ -1,6 +1,31 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Event stream tokens are short-lived and good for one call only; they are not accepted as login tokens
+const STREAM_TOKEN_SCOPE = 'call-events';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// Load the token's user, refuse blocked or suspended accounts, then continue
+const attachUser = async (userId, req, res, next) => {
+  const user = await User.findById(userId).select('-password');
+
+  if (!user) {
+    return res.status(401).json({ success: false, message: 'User not found' });
+  }
+
+  // Check if user is blocked or suspended
+  if (user.status === 'blocked' || user.status === 'suspended') {
+    return res.status(403).json({ 
+      success: false,
+      message: `Your account has been ${user.status}.`,
+      reason: user.statusReason || 'Please contact support for more information.'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
 const auth = async (req, res, next) => {
   try {
     // Check both Authorization header and x-auth-token for compatibility
@@ -20,24 +45,11 @@ const auth = async (req, res, next) => {
     } catch (err) {
       return res.status(401).json({ success: false, message: 'Token is not valid' });
     }
-
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'User not found' });
-    }
-
-    // Check if user is blocked or suspended
-    if (user.status === 'blocked' || user.status === 'suspended') {
-      return res.status(403).json({ 
-        success: false,
-        message: `Your account has been ${user.status}.`,
-        reason: user.statusReason || 'Please contact support for more information.'
-      });
+    if (decoded.scope) {
+      return res.status(401).json({ success: false, message: 'Token is not valid' });
     }
 
-    req.user = user;
-    next();
+    await attachUser(decoded.userId, req, res, next);
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({ success: false, message: 'Authentication error' });
@@ -66,4 +78,40 @@ const adminAuth = async (req, res, next) => {
   });
 };
 
-module.exports = { auth, expertAuth, adminAuth };
+// Stream token for one call's event stream (see sseAuth)
+const signStreamToken = (userId, callId) => jwt.sign(
+  { sub: userId.toString(), callId: callId.toString(), scope: STREAM_TOKEN_SCOPE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+);
+
+// Event streams: EventSource cannot send headers, so a stream token for this call may come as ?token=
+// Login tokens are only accepted in headers
+const sseAuth = async (req, res, next) => {
+  if (req.header('Authorization') || req.header('x-auth-token')) {
+    return auth(req, res, next);
+  }
+
+  try {
+    if (typeof req.query.token !== 'string') {
+      return res.status(401).json({ success: false, message: 'No token, authorization denied' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ success: false, message: 'Token is not valid' });
+    }
+    if (decoded.scope !== STREAM_TOKEN_SCOPE || decoded.callId !== req.params.callId) {
+      return res.status(401).json({ success: false, message: 'Token is not valid for this stream' });
+    }
+
+    await attachUser(decoded.sub, req, res, next);
+  } catch (error) {
+    console.error('Stream auth error:', error);
+    res.status(500).json({ success: false, message: 'Authentication error' });
+  }
+};
+
+module.exports = { auth, expertAuth, adminAuth, sseAuth, signStreamToken, STREAM_TOKEN_TTL_SECONDS };
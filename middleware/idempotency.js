@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+/**
+ * Idempotency-Key support for endpoints that move money or create calls
+ *
+ * The first request with a key runs normally and its response is stored;
+ * a retry with the same key (same user, same method, path and body) gets
+ * the stored response back with `Idempotent-Replayed: true` instead of
+ * running again. A retry that arrives while the first is still running gets
+ * 409, and reusing a key for a different request gets 422. Server errors
+ * (5xx) and transient refusals (408 timeout, 429 rate limit) are not stored,
+ * so the request can be retried with the same key.
+ * Records expire after IDEMPOTENCY_TTL_HOURS (24 by default).
+ *
+ * Must run after auth: keys are scoped to req.user. Requests without the
+ * header are not affected.
+ */
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// 4xx responses that say "try again later" rather than describing the request
+const TRANSIENT_STATUSES = [408, 429];
+
+/**
+ * Whether a response is worth replaying to retries with the same key
+ * @param {Number} status - HTTP status code
+ * @returns {Boolean}
+ */
+function isReplayable(status) {
+  return status < 500 && !TRANSIENT_STATUSES.includes(status);
+}
+
+/**
+ * Hash what identifies a request, so a key cannot be reused for another one
+ * @param {Object} req - Express request
+ * @returns {String}
+ */
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n`)
+    .update(req.rawBody || '')
+    .digest('hex');
+}
+
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, message: `Idempotency-Key can be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const requestFingerprint = fingerprint(req);
+    let record;
+    try {
+      record = await IdempotencyRecord.create({
+        user: req.user._id,
+        key,
+        fingerprint: requestFingerprint,
+        expiresAt: new Date(Date.now() + TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyRecord.findOne({ user: req.user._id, key }).lean();
+      if (!existing) {
+        // Expired between the insert and the read; treat as a conflict and let the client retry
+        return res.status(409).json({ success: false, message: 'Request with this Idempotency-Key is being processed' });
+      }
+      if (existing.fingerprint !== requestFingerprint) {
+        return res.status(422).json({ success: false, message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status === 'processing') {
+        return res.status(409).json({ success: false, message: 'Request with this Idempotency-Key is being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the outcome before it is sent, so a retry racing the response is replayed rather than refused
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) {
+        return originalJson(body);
+      }
+      settled = true;
+      const update = !isReplayable(res.statusCode)
+        ? IdempotencyRecord.deleteOne({ _id: record._id })
+        : IdempotencyRecord.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+        );
+      update
+        .catch(error => console.error('Idempotency record update error:', error))
+        .then(() => originalJson(body));
+      return res;
+    };
+
+    // Handler ended without a JSON response (e.g. the connection dropped): free the key
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        IdempotencyRecord.deleteOne({ _id: record._id })
+          .catch(error => console.error('Idempotency record cleanup error:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = { idempotent, isReplayable };
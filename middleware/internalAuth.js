@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const InternalNonce = require('../models/InternalNonce');
+const logger = require('../services/logger');
+
+/**
+ * Service-to-service authentication for internal endpoints
+ *
+ * Callers sign each request with a shared key:
+ *   X-Internal-Key-Id: key ID
+ *   X-Internal-Timestamp: unix seconds
+ *   X-Internal-Nonce: random string, never reused
+ *   X-Internal-Signature: hex HMAC-SHA256 of
+ *     METHOD \n path with query \n timestamp \n nonce \n hex SHA-256 of the raw body
+ *
+ * Keys come from INTERNAL_AUTH_KEYS as comma-separated keyId:service:secret
+ * entries. Each key belongs to one service, which is how the caller is
+ * identified. To rotate, add the new key, move the service over, then drop
+ * the old one. INTERNAL_AUTH_MODE=report lets unsigned requests through
+ * (logged) while services are being moved over.
+ */
+
+const MAX_SKEW_SECONDS = parseInt(process.env.INTERNAL_AUTH_MAX_SKEW_SECONDS) || 300;
+const MAX_NONCE_LENGTH = 128;
+
+/**
+ * Parse INTERNAL_AUTH_KEYS
+ * @returns {Map<String, Object>} keyId -> { service, secret }
+ */
+function loadKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.INTERNAL_AUTH_KEYS || '').split(',')) {
+    const [keyId, service, ...secretParts] = entry.trim().split(':');
+    const secret = secretParts.join(':');
+    if (keyId && service && secret) {
+      keys.set(keyId, { service, secret });
+    }
+  }
+  return keys;
+}
+
+const keys = loadKeys();
+
+/**
+ * Compute the signature of a request
+ * @param {String} secret - Shared secret
+ * @param {Object} parts - { method, path, timestamp, nonce, body }
+ * @returns {String} Hex signature
+ */
+function computeSignature(secret, { method, path, timestamp, nonce, body }) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const canonical = [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+  return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+}
+
+/**
+ * Build the headers for a signed internal request (for services calling this API)
+ * @param {Object} options - { keyId, secret, method, path, body } (body as the exact string sent)
+ * @returns {Object} Headers
+ */
+function signRequest({ keyId, secret, method, path, body = '' }) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Internal-Key-Id': keyId,
+    'X-Internal-Timestamp': timestamp,
+    'X-Internal-Nonce': nonce,
+    'X-Internal-Signature': computeSignature(secret, { method, path, timestamp, nonce, body })
+  };
+}
+
+/**
+ * Verify the signature headers of a request
+ * @param {Object} req - Express request (rawBody set by the JSON parser)
+ * @returns {Promise<Object>} { service, keyId } or { error }
+ */
+async function verifyRequest(req) {
+  const keyId = req.header('X-Internal-Key-Id');
+  const timestamp = req.header('X-Internal-Timestamp');
+  const nonce = req.header('X-Internal-Nonce');
+  const signature = req.header('X-Internal-Signature');
+
+  if (!keyId || !timestamp || !nonce || !signature) {
+    return { error: 'Missing internal signature headers' };
+  }
+
+  const key = keys.get(keyId);
+  if (!key) {
+    return { error: `Unknown key ${keyId}` };
+  }
+
+  const issuedAt = Number(timestamp);
+  if (!Number.isInteger(issuedAt) || Math.abs(Date.now() / 1000 - issuedAt) > MAX_SKEW_SECONDS) {
+    return { error: 'Timestamp outside the accepted window' };
+  }
+  if (nonce.length > MAX_NONCE_LENGTH) {
+    return { error: 'Nonce too long' };
+  }
+
+  const expected = computeSignature(key.secret, {
+    method: req.method,
+    path: req.originalUrl,
+    timestamp,
+    nonce,
+    body: req.rawBody
+  });
+  const given = Buffer.from(signature, 'hex');
+  if (given.length !== Buffer.byteLength(expected, 'hex') ||
+    !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))) {
+    return { error: 'Invalid signature' };
+  }
+
+  // Record the nonce; a second request with it inside the window is a replay
+  try {
+    await InternalNonce.create({
+      keyId,
+      nonce,
+      service: key.service,
+      expiresAt: new Date((issuedAt + MAX_SKEW_SECONDS) * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'Replayed request' };
+    }
+    throw error;
+  }
+
+  return { service: key.service, keyId };
+}
+
+/**
+ * Express middleware: only signed requests from a known service get through
+ * Sets req.internalService to the calling service's name
+ */
+const internalAuth = async (req, res, next) => {
+  try {
+    const result = await verifyRequest(req);
+    const endpoint = `${req.method} ${req.originalUrl}`;
+
+    if (result.error) {
+      if (process.env.INTERNAL_AUTH_MODE === 'report') {
+        logger.warn(`Unverified internal call ${endpoint} allowed (report mode): ${result.error}`);
+        req.internalService = 'unverified';
+        return next();
+      }
+      logger.warn(`Rejected internal call ${endpoint} from ${req.ip}: ${result.error}`);
+      return res.status(401).json({ success: false, message: 'Internal authentication failed' });
+    }
+
+    logger.info(`Internal call ${endpoint} from ${result.service} (key ${result.keyId})`);
+    req.internalService = result.service;
+    next();
+  } catch (error) {
+    console.error('Internal auth middleware error:', error);
+    res.status(500).json({ success: false, message: 'Authentication error' });
+  }
+};
+
+module.exports = { internalAuth, signRequest, computeSignature };
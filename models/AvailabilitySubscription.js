@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// "Notify me when this expert is online"
+const availabilitySubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  // Removed by MongoDB once this time has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  notifyCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+availabilitySubscriptionSchema.index({ user: 1, expert: 1 }, { unique: true });
+availabilitySubscriptionSchema.index({ expert: 1, expiresAt: 1 });
+availabilitySubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AvailabilitySubscription', availabilitySubscriptionSchema);
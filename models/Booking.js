@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const bookingSchema = new mongoose.Schema({
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  tokensPerMinute: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    // 'activating' while the due booking's call is being created
+    enum: ['confirmed', 'activating', 'cancelled', 'converted', 'expired'],
+    default: 'confirmed'
+  },
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'expert', 'system', null],
+    default: null
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    default: ''
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivationError: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+// Index for slot lookups and the activation sweep
+bookingSchema.index({ expert: 1, startTime: 1 });
+bookingSchema.index({ caller: 1, startTime: -1 });
+bookingSchema.index({ status: 1, startTime: 1 });
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One 30-minute slot held by a confirmed booking; the unique index lets only one booking claim it
+const bookingSlotSchema = new mongoose.Schema({
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Past slots are no longer contested; drop them a day after they end
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+bookingSlotSchema.index({ expert: 1, startTime: 1 }, { unique: true });
+bookingSlotSchema.index({ booking: 1 });
+bookingSlotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BookingSlot', bookingSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { calculateCharge } = require('../services/billingPolicy');
 
 const callSchema = new mongoose.Schema({
   caller: {
@@ -11,14 +12,62 @@ const callSchema = new mongoose.Schema({
     ref: 'Expert',
     required: true
   },
+  callType: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'audio'
+  },
   status: {
     type: String,
-    enum: ['initiated', 'ringing', 'ongoing', 'completed', 'missed', 'rejected', 'failed'],
+    enum: ['initiated', 'ringing', 'accepted', 'ongoing', 'completed', 'missed', 'rejected', 'failed'],
     default: 'initiated'
   },
+  // Incremented on every status change; transitions only apply to the version they read
+  stateVersion: {
+    type: Number,
+    default: 0
+  },
+  // Every status change: when, who caused it and why
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    actor: {
+      type: String,
+      enum: ['user', 'expert', 'system', 'internal'],
+      default: 'system'
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Name of the internal service for actor 'internal' (e.g. socket-server)
+    service: {
+      type: String,
+      default: ''
+    },
+    reason: {
+      type: String,
+      default: ''
+    }
+  }],
   startTime: {
     type: Date
   },
+  lastHeartbeatAt: {
+    type: Date
+  },
   endTime: {
     type: Date
   },
@@ -34,6 +83,146 @@ const callSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Package session the call is redeemed against; settled when the call ends
+  packageUse: {
+    purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'PackagePurchase', default: null },
+    name: { type: String, default: '' },
+    includedMinutes: { type: Number, default: 0 },
+    consumed: { type: Boolean, default: false },
+    sessionValue: { type: Number, default: 0 }
+  },
+  // Rate resolution at call start: base rate and the pricing rule that applied (if any)
+  pricing: {
+    baseTokensPerMinute: { type: Number },
+    multiplier: { type: Number, default: 1 },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    ruleName: { type: String, default: '' },
+    ruleType: { type: String, default: '' }
+  },
+  // Billing policy in effect for this call and how the charge was computed
+  billing: {
+    mode: {
+      type: String,
+      enum: ['per_second', 'per_minute', 'block'],
+      default: 'per_minute'
+    },
+    blockMinutes: {
+      type: Number,
+      default: 1
+    },
+    minimumMinutes: {
+      type: Number,
+      default: 1
+    },
+    source: {
+      type: String,
+      enum: ['expert', 'category', 'default'],
+      default: 'default'
+    },
+    // Uncharged time at the start of the call (free intro or package minutes)
+    freeSeconds: {
+      type: Number,
+      default: 0
+    },
+    freeSource: {
+      type: String,
+      enum: ['free_intro', 'package', null],
+      default: null
+    },
+    billableSeconds: {
+      type: Number,
+      default: 0
+    },
+    units: {
+      type: Number,
+      default: 0
+    },
+    unit: {
+      type: String,
+      enum: ['second', 'minute', 'block'],
+      default: 'minute'
+    },
+    summary: {
+      type: String,
+      default: ''
+    }
+  },
+  // Running totals from in-call metering ticks
+  billedTokens: {
+    type: Number,
+    default: 0
+  },
+  expertTokens: {
+    type: Number,
+    default: 0
+  },
+  lastMeteredAt: {
+    type: Date
+  },
+  // Settlement of a connected call after it ends; each step is marked when claimed so a resumed run skips it
+  settlement: {
+    status: {
+      type: String,
+      enum: ['pending', 'done', null],
+      default: null
+    },
+    startedAt: { type: Date },
+    settledAt: { type: Date },
+    capturedAt: { type: Date },
+    couponAt: { type: Date },
+    statsAt: { type: Date },
+    captured: { type: Number, default: 0 },
+    released: { type: Number, default: 0 },
+    callerBalance: { type: Number },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: '' }
+  },
+  // Last low-balance warning pushed to the call's live streams
+  balanceWarning: {
+    type: String,
+    enum: ['LOW_BALANCE_2MIN', 'LOW_BALANCE_1MIN', 'LOW_BALANCE_CRITICAL', null],
+    default: null
+  },
+  // Call coupon entered at initiation; the discount is credited when the call ends
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      default: null
+    },
+    code: {
+      type: String,
+      default: ''
+    },
+    discountTokens: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Tokens returned to the caller through approved disputes
+  refundedTokens: {
+    type: Number,
+    default: 0
+  },
+  // Tokens reserved from the caller's wallet while the call is ongoing
+  hold: {
+    tokens: {
+      type: Number,
+      default: 0
+    },
+    capturedTokens: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['none', 'held', 'captured', 'released'],
+      default: 'none'
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
   rating: {
     type: Number,
     min: 1,
@@ -43,17 +232,75 @@ const callSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  // Optional sub-scores given with the overall rating
+  ratings: {
+    knowledge: { type: Number, min: 1, max: 5 },
+    communication: { type: Number, min: 1, max: 5 },
+    value: { type: Number, min: 1, max: 5 }
+  },
+  // Reviews with text are held for moderation before they appear publicly
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', null],
+    default: null
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewModeration: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date },
+    note: { type: String, maxlength: 500 }
+  },
+  // The expert's single public reply to the review
+  expertReply: {
+    text: { type: String, maxlength: 1000 },
+    repliedAt: { type: Date }
+  },
+  // Structured summary written by the expert after the call (visible to the caller)
+  summary: {
+    keyPoints: [{ type: String, maxlength: 500 }],
+    recommendations: [{ type: String, maxlength: 500 }],
+    followUps: [{ type: String, maxlength: 500 }],
+    writtenAt: { type: Date },
+    updatedAt: { type: Date }
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // Invoice issued to the caller once the call is completed
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, { timestamps: true });
 
-// Calculate tokens spent based on duration
+// Public reviews per expert and the moderation queue
+callSchema.index({ expert: 1, reviewStatus: 1, reviewedAt: -1 });
+callSchema.index({ reviewStatus: 1, reviewedAt: 1 });
+
+// Full-text search over expert summaries
+callSchema.index(
+  { 'summary.keyPoints': 'text', 'summary.recommendations': 'text', 'summary.followUps': 'text' },
+  { name: 'call_summary_text' }
+);
+
+// Calculate tokens spent based on duration and the call's billing policy
 callSchema.methods.calculateTokens = function() {
   if (this.duration > 0) {
-    const minutes = Math.ceil(this.duration / 60);
-    this.tokensSpent = minutes * this.tokensPerMinute;
+    const charge = calculateCharge(this.billing, this.duration, this.tokensPerMinute);
+    this.tokensSpent = charge.tokens;
+    this.billing.billableSeconds = charge.billableSeconds;
+    this.billing.units = charge.units;
+    this.billing.unit = charge.unit;
+    this.billing.summary = charge.summary;
   }
   return this.tokensSpent;
 };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Private note a call participant keeps on a call; only its author can read it
+const callNoteSchema = new mongoose.Schema({
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['caller', 'expert'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  }
+}, { timestamps: true });
+
+callNoteSchema.index({ call: 1, author: 1 }, { unique: true });
+callNoteSchema.index({ text: 'text' });
+
+module.exports = mongoose.model('CallNote', callNoteSchema);
@@ -25,6 +25,23 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  billingPolicy: {
+    mode: {
+      type: String,
+      enum: ['per_second', 'per_minute', 'block', null],
+      default: null // null = platform default
+    },
+    blockMinutes: {
+      type: Number,
+      min: 1,
+      max: 60
+    },
+    minimumMinutes: {
+      type: Number,
+      min: 0,
+      max: 60
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
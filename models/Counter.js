@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. invoice numbers per year), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Lease held by the process handing out numbers (lock documents only)
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
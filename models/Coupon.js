@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  // topup: bonus tokens on a wallet top-up; call: discount on a call's charge
+  appliesTo: {
+    type: String,
+    enum: ['topup', 'call'],
+    required: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Upper bound for percent coupons (null = no cap)
+  maxDiscount: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Minimum top-up amount or call charge for the coupon to apply
+  minSpend: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Usage caps (null = unlimited)
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  // Optional scope for call coupons (empty = any expert)
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  experts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by a user
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which of the user's perUserLimit uses this is (1-based); unique, so concurrent requests cannot share one
+  slot: {
+    type: Number
+  },
+  // 'reserved' while the call it was claimed for is in progress; the discount is credited when it ends
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed'],
+    default: 'redeemed'
+  },
+  context: {
+    type: String,
+    enum: ['topup', 'call'],
+    required: true
+  },
+  // Top-up amount or call charge the coupon was applied to
+  baseAmount: {
+    type: Number,
+    required: true
+  },
+  // Bonus or discount tokens credited to the user
+  tokens: {
+    type: Number,
+    required: true
+  },
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    default: null
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// A user's uses of a coupon, one per slot (redemptions recorded before slots existed have none)
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+// A call can use a coupon only once
+couponRedemptionSchema.index({ call: 1 }, { unique: true, partialFilterExpression: { call: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const disputeSchema = new mongoose.Schema({
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['poor_quality', 'expert_no_show', 'ended_early', 'overcharged', 'inappropriate', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'rejected'],
+    default: 'open'
+  },
+  // Set when approved
+  refundType: {
+    type: String,
+    enum: ['full', 'partial', null],
+    default: null
+  },
+  refundTokens: {
+    type: Number,
+    default: 0
+  },
+  expertClawback: {
+    type: Number,
+    default: 0
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  }
+}, { timestamps: true });
+
+// One dispute per call
+disputeSchema.index({ call: 1 }, { unique: true });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ caller: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+// Recurring weekly window, in the expert's timezone
+const weeklyWindowSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: true
+  },
+  endTime: {
+    type: String, // HH:mm (24:00 allowed)
+    required: true
+  }
+}, { _id: false });
+
+// One-off override for a calendar day (replaces the weekly windows for that day)
+const scheduleExceptionSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD in the expert's timezone
+    required: true
+  },
+  unavailable: {
+    type: Boolean,
+    default: false
+  },
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
+  note: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  }
+});
+
 const expertSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,6 +70,129 @@ const expertSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Video calls are priced separately and must be switched on by the expert
+  videoTokensPerMinute: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  audioEnabled: {
+    type: Boolean,
+    default: true
+  },
+  videoEnabled: {
+    type: Boolean,
+    default: false
+  },
+  billingPolicy: {
+    mode: {
+      type: String,
+      enum: ['per_second', 'per_minute', 'block', null],
+      default: null // null = inherit from category / platform default
+    },
+    blockMinutes: {
+      type: Number,
+      min: 1,
+      max: 60
+    },
+    minimumMinutes: {
+      type: Number,
+      min: 0,
+      max: 60
+    }
+  },
+  // Dynamic pricing: the first active rule matching at call start scales the rate
+  pricingRules: [{
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    type: {
+      type: String,
+      enum: ['time_of_day', 'weekend', 'queue_length'],
+      required: true
+    },
+    days: [{ type: Number, min: 0, max: 6 }], // time_of_day only; empty = every day
+    startTime: { type: String },              // HH:mm in the expert's timezone
+    endTime: { type: String },                // Before startTime = overnight
+    minQueueLength: { type: Number, min: 1 }, // queue_length only
+    multiplier: {
+      type: Number,
+      required: true,
+      min: 0.1,
+      max: 10
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Prepaid fixed-length packages the expert sells (e.g. one 15-minute review, or 5 sessions)
+  packages: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    callType: {
+      type: String,
+      enum: ['audio', 'video'],
+      default: 'audio'
+    },
+    sessions: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 20
+    },
+    minutesPerSession: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 180
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    validityDays: {
+      type: Number,
+      default: 90,
+      min: 1,
+      max: 365
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Admin-set bounds on pricing rule multipliers (null = platform default)
+  pricingCap: {
+    minMultiplier: { type: Number, default: null },
+    maxMultiplier: { type: Number, default: null }
+  },
+  // First N minutes of a caller's first call are free (0 = no free intro)
+  freeIntro: {
+    minutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 30
+    },
+    scope: {
+      type: String,
+      enum: ['per_user', 'per_expert'],
+      default: 'per_expert' // per_user: once per caller across all experts
+    }
+  },
   experience: {
     type: Number,
     default: 0
@@ -55,6 +219,12 @@ const expertSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Average sub-scores over published ratings (0 = not rated yet)
+  ratingBreakdown: {
+    knowledge: { type: Number, default: 0 },
+    communication: { type: Number, default: 0 },
+    value: { type: Number, default: 0 }
+  },
   satisfiedCustomers: {
     type: Number,
     default: 0
@@ -114,6 +284,23 @@ const expertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Call'
   },
+  availability: {
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    autoOnline: {
+      type: Boolean,
+      default: false
+    },
+    weekly: [weeklyWindowSchema],
+    exceptions: [scheduleExceptionSchema],
+    // Last state applied by the scheduler ('online' | 'offline')
+    scheduleState: {
+      type: String,
+      default: null
+    }
+  },
   linkedinId: {
     type: String,
     default: ''
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const groupSessionSchema = new mongoose.Schema({
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  },
+  callType: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'audio'
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 10,
+    max: 240
+  },
+  maxSeats: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 100
+  },
+  pricePerAttendee: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'live', 'ended', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Each attendee pays the seat price when joining; refunded if the session is cancelled
+  attendees: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // 'paying' while the seat's debit is in flight; only 'joined' seats count towards totalCollected
+    status: {
+      type: String,
+      enum: ['paying', 'joined', 'refunded'],
+      default: 'joined'
+    },
+    tokensPaid: {
+      type: Number,
+      default: 0
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  seatsTaken: {
+    type: Number,
+    default: 0
+  },
+  // Aggregated earnings for the whole session
+  totalCollected: {
+    type: Number,
+    default: 0
+  },
+  expertTokens: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  endReason: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+groupSessionSchema.index({ status: 1, startTime: 1 });
+groupSessionSchema.index({ expert: 1, startTime: -1 });
+groupSessionSchema.index({ 'attendees.user': 1, startTime: -1 });
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Nonce of a signed internal request, kept until its timestamp falls out of the accepted window
+const internalNonceSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  service: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+internalNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+internalNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('InternalNonce', internalNonceSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Numbered invoice for a wallet top-up or a completed call, with the figures frozen when it was issued
+const invoiceSchema = new mongoose.Schema({
+  // Assigned with issuedAt right after the invoice is created, one issuer at a time (see invoiceService.numberPending)
+  number: {
+    type: String
+  },
+  kind: {
+    type: String,
+    enum: ['topup', 'call'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Source record; each one is invoiced once
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  // Date of the top-up or of the call's end
+  suppliedAt: {
+    type: Date,
+    required: true
+  },
+  // When the number was assigned; numbers follow this order
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  billedTo: {
+    name: { type: String, default: '' },
+    email: { type: String, default: '' }
+  },
+  // Seller details as configured when the invoice was issued
+  platform: {
+    name: { type: String, default: '' },
+    address: { type: String, default: '' },
+    taxId: { type: String, default: '' },
+    email: { type: String, default: '' }
+  },
+  lines: [{
+    _id: false,
+    description: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unit: { type: String, default: '' },
+    rate: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+  }],
+  // Prices include tax: subtotal + tax.amount = total
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    label: { type: String, default: '' },
+    rate: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  payment: {
+    method: { type: String, enum: ['razorpay', 'demo', 'wallet'], required: true },
+    paymentId: { type: String, default: '' },
+    orderId: { type: String, default: '' }
+  },
+  // Set on call invoices
+  callDetails: {
+    expertName: { type: String },
+    callType: { type: String },
+    startTime: { type: Date },
+    endTime: { type: Date },
+    durationSeconds: { type: Number },
+    tokensPerMinute: { type: Number },
+    billingRule: { type: String },
+    packageName: { type: String }
+  }
+}, { timestamps: true });
+
+invoiceSchema.index({ number: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ transaction: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ call: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+// Invoices waiting for a number, oldest first
+invoiceSchema.index({ number: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
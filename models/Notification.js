@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['expert_available', 'booked_call'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    default: null
+  },
+  // Set on booked_call notifications: the call that is ringing now
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+// Notifications are removed after 30 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const packagePurchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  // Catalogue entry as it was when bought
+  package: {
+    packageId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    callType: { type: String, enum: ['audio', 'video'], default: 'audio' },
+    minutesPerSession: { type: Number, required: true }
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  sessionsTotal: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  sessionsUsed: {
+    type: Number,
+    default: 0
+  },
+  // Calls in progress holding a session; they count against the sessions left until settled or released
+  reservedCalls: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'used_up', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Calls settled against the package
+  redemptions: [{
+    _id: false,
+    call: { type: mongoose.Schema.Types.ObjectId, ref: 'Call' },
+    sessionValue: { type: Number },
+    redeemedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+packagePurchaseSchema.index({ user: 1, createdAt: -1 });
+packagePurchaseSchema.index({ expert: 1, createdAt: -1 });
+packagePurchaseSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PackagePurchase', packagePurchaseSchema);
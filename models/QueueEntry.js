@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A user waiting for a busy expert (FIFO per expert, ordered by createdAt)
+const queueEntrySchema = new mongoose.Schema({
+  expert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expert',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  callType: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'audio'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'left', 'expired'],
+    default: 'waiting'
+  },
+  // Time-limited offer to start the call once the expert is free
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    default: null
+  },
+  closedAt: {
+    type: Date
+  },
+  closeReason: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+queueEntrySchema.index({ expert: 1, status: 1, createdAt: 1 });
+// One active entry per user and expert
+queueEntrySchema.index(
+  { expert: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+// At most one open offer per expert
+queueEntrySchema.index(
+  { expert: 1 },
+  { unique: true, partialFilterExpression: { status: 'offered' } }
+);
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One reconciliation run: what was compared and every correction made (or attempted)
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['signalling', 'admin', 'scheduled'],
+    required: true
+  },
+  // Service that reported the active channels (e.g. socket-server)
+  service: {
+    type: String,
+    default: ''
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Channels reported by the signalling server (null when the run had no list)
+  signalledCalls: {
+    type: Number,
+    default: null
+  },
+  signalledExperts: {
+    type: Number,
+    default: null
+  },
+  checked: {
+    calls: { type: Number, default: 0 },
+    experts: { type: Number, default: 0 }
+  },
+  actions: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['call_ended', 'call_failed', 'expert_released', 'expert_marked_busy', 'orphan_channel'],
+      required: true
+    },
+    call: { type: mongoose.Schema.Types.ObjectId, ref: 'Call', default: null },
+    expert: { type: mongoose.Schema.Types.ObjectId, ref: 'Expert', default: null },
+    from: { type: String, default: '' },
+    to: { type: String, default: '' },
+    reason: { type: String, default: '' },
+    // Set when the correction failed; the drift is left for the next run
+    error: { type: String, default: '' }
+  }],
+  failures: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ trigger: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
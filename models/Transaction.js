@@ -8,7 +8,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['credit', 'debit', 'refund', 'claim'],
+    enum: ['credit', 'debit', 'refund', 'claim', 'earning'], // earning: expert's unclaimed earnings
     required: true
   },
   tokens: {
@@ -23,6 +23,39 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Call'
   },
+  // Set on refund transactions created when a dispute is approved
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  // Set on credits created by a coupon redemption
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  // Set on seat payments, refunds and earnings of a group session
+  groupSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession'
+  },
+  // Set on the payment for a consultation package
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
+  // Set on top-ups paid through Razorpay
+  paymentId: {
+    type: String
+  },
+  orderId: {
+    type: String
+  },
+  // Invoice issued for a top-up
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed'],
@@ -42,4 +75,10 @@ const transactionSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// A Razorpay payment is credited at most once
+transactionSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -76,6 +76,11 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 10 // Initial ₹10 credit for new users
   },
+  heldTokens: {
+    type: Number,
+    default: 0, // Part of `tokens` reserved for ongoing calls
+    min: 0
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -93,6 +98,14 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  privacy: {
+    // How the user's name appears on public reviews
+    reviewName: {
+      type: String,
+      enum: ['full', 'first_name', 'anonymous'],
+      default: 'first_name'
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,9 +1,13 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
+const Call = require('../models/Call');
+const groupSessionService = require('../services/groupSessionService');
 const {
   generateRtcToken,
+  getMediaConfig,
   generateChatToken,
   generateChannelName,
+  generateGroupChannelName,
   generateUid,
   AGORA_APP_ID,
   AGORA_CHAT_APP_KEY
@@ -21,6 +25,7 @@ router.get('/', (req, res) => {
       'GET /api/agora/test',
       'GET /api/agora/chat-token',
       'POST /api/agora/rtc-token',
+      'POST /api/agora/group-rtc-token',
       'GET /api/agora/config'
     ],
     timestamp: new Date().toISOString()
@@ -38,7 +43,7 @@ router.get('/test', (req, res) => {
 });
 
 /**
- * Generate Agora RTC token for audio call
+ * Generate Agora RTC token for a call, with the media configuration for its type
  * POST /api/agora/rtc-token
  * Body: { callId, userType }
  */
@@ -61,6 +66,14 @@ router.post('/rtc-token', auth, async (req, res) => {
       });
     }
 
+    const call = await Call.findById(callId).select('callType');
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+
     // Generate channel name and UID
     const channelName = generateChannelName(callId);
     const uid = generateUid(req.user._id.toString(), userType);
@@ -74,7 +87,9 @@ router.post('/rtc-token', auth, async (req, res) => {
       channel: channelName,
       uid: uid,
       token: token,
-      role: 'publisher'
+      role: 'publisher',
+      callType: call.callType || 'audio',
+      media: getMediaConfig(call.callType)
     });
   } catch (error) {
     console.error('Generate RTC token error:', error);
@@ -85,6 +100,61 @@ router.post('/rtc-token', auth, async (req, res) => {
   }
 });
 
+/**
+ * Generate Agora RTC token for a group session's shared channel
+ * The host can connect once the session is scheduled; attendees who paid for a seat once it is live
+ * POST /api/agora/group-rtc-token
+ * Body: { sessionId }
+ */
+router.post('/group-rtc-token', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    let access;
+    try {
+      access = await groupSessionService.getChannelAccess(req.user._id, sessionId);
+    } catch (error) {
+      const status = error.code === 'SESSION_NOT_FOUND' ? 404 : error.code === 'NOT_JOINED' ? 403 : 409;
+      return res.status(status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    const channelName = generateGroupChannelName(sessionId);
+    const uid = generateUid(req.user._id.toString(), access.role);
+
+    // Generate RTC token (valid for the session length plus an hour)
+    const token = generateRtcToken(channelName, uid, 1, access.session.durationMinutes * 60 + 3600);
+
+    res.json({
+      success: true,
+      appId: AGORA_APP_ID,
+      channel: channelName,
+      uid: uid,
+      token: token,
+      role: 'publisher',
+      userType: access.role,
+      callType: access.session.callType,
+      media: getMediaConfig(access.session.callType)
+    });
+  } catch (error) {
+    console.error('Generate group RTC token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate RTC token'
+    });
+  }
+});
+
 /**
  * Generate Agora Chat token
  * GET /api/agora/chat-token
@@ -0,0 +1,145 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const bookingService = require('../services/bookingService');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'BOOKING_NOT_FOUND':
+    case 'EXPERT_NOT_FOUND':
+    case 'USER_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'SLOT_TAKEN':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Get free slots for an expert on a day (public)
+router.get('/slots/:expertId', async (req, res) => {
+  try {
+    const { date } = req.query;
+    const result = await bookingService.getFreeSlots(req.params.expertId, date);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get booking slots error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Reserve a slot
+router.post('/', auth, idempotent, async (req, res) => {
+  try {
+    const { expertId, startTime, durationMinutes, notes } = req.body;
+
+    if (!expertId || !startTime) {
+      return res.status(400).json({ success: false, message: 'Expert ID and start time are required' });
+    }
+
+    // Check blockage (same rules as instant calls)
+    const expertDoc = await Expert.findById(expertId);
+    if (!expertDoc) {
+      return res.status(404).json({ success: false, message: 'Expert not found' });
+    }
+    const expertUser = await User.findById(expertDoc.user);
+    if (!expertUser) {
+      return res.status(404).json({ success: false, message: 'Expert user not found' });
+    }
+    if (req.user.blockedUsers && req.user.blockedUsers.includes(expertUser._id)) {
+      return res.status(403).json({ success: false, message: 'You have blocked this expert' });
+    }
+    if (expertUser.blockedUsers && expertUser.blockedUsers.includes(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You are blocked by this expert' });
+    }
+
+    const booking = await bookingService.createBooking(
+      req.user._id,
+      expertId,
+      new Date(startTime),
+      durationMinutes !== undefined ? parseInt(durationMinutes) : undefined,
+      notes
+    );
+
+    res.status(201).json({ success: true, message: 'Booking confirmed', booking });
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Get current user's bookings (as caller, and as expert if applicable)
+router.get('/my', auth, async (req, res) => {
+  try {
+    const { status, upcoming } = req.query;
+
+    const expert = await Expert.findOne({ user: req.user._id }).select('_id');
+    const query = {
+      $or: [
+        { caller: req.user._id },
+        ...(expert ? [{ expert: expert._id }] : [])
+      ]
+    };
+    if (status) {
+      query.status = status;
+    }
+    if (upcoming === 'true') {
+      query.endTime = { $gt: new Date() };
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('caller', 'name avatar')
+      .populate({
+        path: 'expert',
+        select: 'user title tokensPerMinute',
+        populate: { path: 'user', select: 'name avatar' }
+      })
+      .sort({ startTime: 1 })
+      .limit(100)
+      .lean();
+
+    res.json({ success: true, bookings });
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch bookings', bookings: [] });
+  }
+});
+
+// Cancel a booking (caller or expert)
+router.put('/:bookingId/cancel', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const booking = await bookingService.cancelBooking(req.params.bookingId, req.user._id, reason);
+    res.json({ success: true, message: 'Booking cancelled', booking });
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Reschedule a booking (caller only)
+router.put('/:bookingId/reschedule', auth, async (req, res) => {
+  try {
+    const { startTime } = req.body;
+
+    if (!startTime) {
+      return res.status(400).json({ success: false, message: 'Start time is required' });
+    }
+
+    const booking = await bookingService.rescheduleBooking(req.params.bookingId, req.user._id, new Date(startTime));
+    res.json({ success: true, message: 'Booking rescheduled', booking });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,21 +3,32 @@ const Call = require('../models/Call');
 const Expert = require('../models/Expert');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
-const { auth } = require('../middleware/auth');
+const { auth, adminAuth, sseAuth, signStreamToken, STREAM_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { internalAuth } = require('../middleware/internalAuth');
 const { callInitiationLimiter } = require('../middleware/rateLimiter');
 const { CallStateManager, CALL_STATES } = require('../services/callStateManager');
+const { CALL_TYPES, summarizeByType } = require('../services/callTypes');
+const callNotes = require('../services/callNotesService');
+const reviewService = require('../services/reviewService');
+const reconciliationService = require('../services/reconciliationService');
+const callEvents = require('../services/callEvents');
 
 const router = express.Router();
 
 // Initiate a call - BACKEND IS SOURCE OF TRUTH (with rate limiting)
-router.post('/initiate', auth, callInitiationLimiter, async (req, res) => {
+router.post('/initiate', auth, callInitiationLimiter, idempotent, async (req, res) => {
   try {
-    const { expertId } = req.body;
+    const { expertId, callType = CALL_TYPES.AUDIO, couponCode, packagePurchaseId } = req.body;
 
     if (!expertId) {
       return res.status(400).json({ success: false, message: 'Expert ID is required' });
     }
 
+    if (!Object.values(CALL_TYPES).includes(callType)) {
+      return res.status(400).json({ success: false, message: 'Call type must be audio or video' });
+    }
+
     // Check blockage
     const caller = await User.findById(req.user._id);
     // Expert model has 'user' field which is the User ID.
@@ -39,7 +50,7 @@ router.post('/initiate', auth, callInitiationLimiter, async (req, res) => {
     }
 
     // Use state manager to initiate call
-    const result = await CallStateManager.initiateCall(req.user._id, expertId);
+    const result = await CallStateManager.initiateCall(req.user._id, expertId, { callType, couponCode, packagePurchaseId });
 
     res.json({
       success: true,
@@ -48,19 +59,29 @@ router.post('/initiate', auth, callInitiationLimiter, async (req, res) => {
         id: result.callId,
         expertId,
         expertName: result.expertName,
-        tokensPerMinute: result.tokensPerMinute
+        callType: result.callType,
+        tokensPerMinute: result.tokensPerMinute,
+        pricing: result.pricing,
+        billing: result.billing,
+        freeMinutes: result.freeMinutes,
+        packageUse: result.packageUse,
+        couponCode: result.couponCode
       }
     });
   } catch (error) {
     console.error('Initiate call error:', error);
-    res.status(400).json({ success: false, message: error.message || 'Failed to initiate call' });
+    res.status(400).json({ success: false, code: error.code, message: error.message || 'Failed to initiate call' });
   }
 });
 
-// Set call to RINGING state (called by socket server - no auth required)
-router.put('/ringing/:callId', async (req, res) => {
+// Set call to RINGING state (called by socket server, signed)
+router.put('/ringing/:callId', internalAuth, async (req, res) => {
   try {
-    await CallStateManager.setRinging(req.params.callId);
+    await CallStateManager.setRinging(req.params.callId, {
+      actor: 'internal',
+      service: req.internalService,
+      reason: 'ringing'
+    });
     res.json({ success: true, message: 'Call ringing' });
   } catch (error) {
     console.error('Set ringing error:', error);
@@ -71,44 +92,14 @@ router.put('/ringing/:callId', async (req, res) => {
 // Get active call for current user (for UI restoration on refresh)
 router.get('/active', auth, async (req, res) => {
   try {
-    // First, clean up any stuck calls
-    const now = new Date();
-    const thirtySecondsAgo = new Date(now.getTime() - 30 * 1000);
-    const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
-
-    // Mark old ringing calls as missed
-    await Call.updateMany(
-      {
-        status: 'ringing',
-        createdAt: { $lt: thirtySecondsAgo }
-      },
-      { status: 'missed', endTime: now }
-    );
-
-    // Mark old accepted calls as failed (should have connected by now)
-    await Call.updateMany(
-      {
-        status: 'accepted',
-        updatedAt: { $lt: thirtySecondsAgo }
-      },
-      { status: 'failed', endTime: now }
-    );
-
-    // Mark very old connected calls as failed (in case of disconnect)
-    await Call.updateMany(
-      {
-        status: 'connected',
-        updatedAt: { $lt: fiveMinutesAgo }
-      },
-      { status: 'failed', endTime: now }
-    );
-
+    // Stuck calls are finalized by the call sweeper (services/callSweeper.js)
+    const expert = await Expert.findOne({ user: req.user._id }).select('_id');
     const activeCall = await Call.findOne({
       $or: [
         { caller: req.user._id },
-        { expert: req.user._id }
+        ...(expert ? [{ expert: expert._id }] : [])
       ],
-      status: { $in: ['ringing', 'accepted', 'connected'] }
+      status: { $in: ['initiated', 'ringing', 'accepted', 'ongoing'] }
     }).populate('caller', 'name avatar').populate('expert', 'user');
 
     if (!activeCall) {
@@ -133,6 +124,35 @@ router.get('/active', auth, async (req, res) => {
   }
 });
 
+// A transition lost to another writer, or the call is no longer in a state that allows it
+const stateConflict = (res, conflict) => res.status(409).json({
+  success: false,
+  code: 'STATE_CONFLICT',
+  message: conflict.message,
+  currentState: conflict.currentState
+});
+
+// Audit actor of an authenticated participant: 'user' for the caller, 'expert' for the call's expert, null otherwise
+// System and internal actors only come from internalAuth routes and background jobs
+const participantActor = async (callId, userId) => {
+  const call = await Call.findById(callId).select('caller expert').populate('expert', 'user');
+  if (!call) {
+    return { call: null, actor: null };
+  }
+  if (call.caller.toString() === userId.toString()) {
+    return { call, actor: 'user' };
+  }
+  if (call.expert && call.expert.user && call.expert.user.toString() === userId.toString()) {
+    return { call, actor: 'expert' };
+  }
+  return { call, actor: null };
+};
+
+// Reply for a missing call or a user who is not part of it
+const notParticipant = (res, call) => call
+  ? res.status(403).json({ success: false, message: 'Not a participant of this call' })
+  : res.status(404).json({ success: false, message: 'Call not found' });
+
 // Expert accepts call
 router.put('/accept/:callId', auth, async (req, res) => {
   try {
@@ -142,10 +162,13 @@ router.put('/accept/:callId', auth, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not an expert' });
     }
 
-    const result = await CallStateManager.acceptCall(req.params.callId, expert._id);
+    const result = await CallStateManager.acceptCall(req.params.callId, expert._id, { actorId: req.user._id });
     res.json({ success: true, message: 'Call accepted', call: result });
   } catch (error) {
     console.error('Accept call error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return stateConflict(res, error);
+    }
     res.status(400).json({ success: false, message: error.message });
   }
 });
@@ -161,10 +184,13 @@ router.put('/reject/:callId', auth, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not an expert' });
     }
 
-    const result = await CallStateManager.rejectCall(req.params.callId, expert._id, reason);
+    const result = await CallStateManager.rejectCall(req.params.callId, expert._id, reason, { actorId: req.user._id });
     res.json({ success: true, message: 'Call rejected', reason: result.reason });
   } catch (error) {
     console.error('Reject call error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return stateConflict(res, error);
+    }
     res.status(400).json({ success: false, message: error.message });
   }
 });
@@ -172,11 +198,15 @@ router.put('/reject/:callId', auth, async (req, res) => {
 // Call connected - START BILLING
 router.put('/connect/:callId', auth, async (req, res) => {
   try {
-    const result = await CallStateManager.connectCall(req.params.callId);
+    const result = await CallStateManager.connectCall(req.params.callId, { actorId: req.user._id });
+    if (result.conflict) {
+      return stateConflict(res, result);
+    }
     res.json({
       success: true,
       message: 'Call connected',
-      startTime: result.startTime
+      startTime: result.startTime,
+      heldTokens: result.heldTokens
     });
   } catch (error) {
     console.error('Connect call error:', error);
@@ -187,8 +217,15 @@ router.put('/connect/:callId', auth, async (req, res) => {
 // End call - CALCULATE BILLING
 router.put('/end/:callId', auth, async (req, res) => {
   try {
-    const { initiatedBy } = req.body;
-    const result = await CallStateManager.endCall(req.params.callId, initiatedBy);
+    const { call, actor } = await participantActor(req.params.callId, req.user._id);
+    if (!actor) {
+      return notParticipant(res, call);
+    }
+
+    const result = await CallStateManager.endCall(req.params.callId, actor, { actorId: req.user._id });
+    if (result.conflict) {
+      return stateConflict(res, result);
+    }
 
     res.json({
       success: true,
@@ -197,7 +234,9 @@ router.put('/end/:callId', auth, async (req, res) => {
         id: req.params.callId,
         duration: result.duration,
         minutes: result.minutes,
+        billing: result.billing,
         tokensSpent: result.tokensSpent,
+        discountTokens: result.discountTokens,
         expertTokens: result.expertTokens
       },
       newBalance: result.callerBalance
@@ -211,12 +250,12 @@ router.put('/end/:callId', auth, async (req, res) => {
 // Handle disconnect during call
 router.put('/disconnect/:callId', auth, async (req, res) => {
   try {
-    const { userType } = req.body;
-    const result = await CallStateManager.handleDisconnect(
-      req.params.callId,
-      req.user._id,
-      userType
-    );
+    const { call, actor } = await participantActor(req.params.callId, req.user._id);
+    if (!actor) {
+      return notParticipant(res, call);
+    }
+
+    await CallStateManager.handleDisconnect(req.params.callId, req.user._id, actor);
 
     res.json({ success: true, message: 'Disconnect handled' });
   } catch (error) {
@@ -225,6 +264,36 @@ router.put('/disconnect/:callId', auth, async (req, res) => {
   }
 });
 
+// Heartbeat from a participant during an ongoing call
+// Calls whose heartbeats stop are finalized by the call sweeper
+router.put('/heartbeat/:callId', auth, async (req, res) => {
+  try {
+    const call = await Call.findById(req.params.callId).populate('expert', 'user');
+
+    if (!call) {
+      return res.status(404).json({ success: false, message: 'Call not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isParticipant = call.caller.toString() === userId ||
+      (call.expert && call.expert.user && call.expert.user.toString() === userId);
+    if (!isParticipant) {
+      return res.status(403).json({ success: false, message: 'Not a participant of this call' });
+    }
+
+    if (call.status !== CALL_STATES.CONNECTED) {
+      return res.json({ success: true, active: false, status: call.status });
+    }
+
+    await Call.updateOne({ _id: call._id }, { lastHeartbeatAt: new Date() });
+
+    res.json({ success: true, active: true, status: call.status });
+  } catch (error) {
+    console.error('Call heartbeat error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get call state
 router.get('/state/:callId', auth, async (req, res) => {
   try {
@@ -258,6 +327,113 @@ router.get('/check-balance/:callId', auth, async (req, res) => {
   }
 });
 
+// Short-lived token for opening this call's event stream as ?token= (EventSource cannot send headers)
+router.post('/events/:callId/token', auth, async (req, res) => {
+  try {
+    const { call, actor } = await participantActor(req.params.callId, req.user._id);
+    if (!actor) {
+      return notParticipant(res, call);
+    }
+
+    res.json({
+      success: true,
+      token: signStreamToken(req.user._id, call._id),
+      expiresIn: STREAM_TOKEN_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Stream token error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Stream live call events (state changes, balance warnings, settlement) to the caller or expert
+const SSE_KEEP_ALIVE_MS = 25 * 1000;
+const TERMINAL_STATES = [CALL_STATES.ENDED, CALL_STATES.MISSED, CALL_STATES.REJECTED, CALL_STATES.FAILED];
+
+router.get('/events/:callId', sseAuth, async (req, res) => {
+  try {
+    const call = await Call.findById(req.params.callId).populate('expert', 'user');
+    if (!call) {
+      return res.status(404).json({ success: false, message: 'Call not found' });
+    }
+
+    let role = null;
+    if (call.caller.toString() === req.user._id.toString()) {
+      role = 'caller';
+    } else if (call.expert && call.expert.user && call.expert.user.toString() === req.user._id.toString()) {
+      role = 'expert';
+    }
+    if (!role) {
+      return res.status(403).json({ success: false, message: 'You did not take part in this call' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let keepAlive = null;
+    let unsubscribe = () => {};
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepAlive);
+      unsubscribe();
+      res.end();
+    };
+    const send = (event) => {
+      if (closed) return;
+      const view = callEvents.viewFor(event, role);
+      res.write(`event: ${view.type}\ndata: ${JSON.stringify(view)}\n\n`);
+    };
+
+    // Subscribe before reading the snapshot so no transition falls in between
+    unsubscribe = await callEvents.subscribeToCall(call._id, (event) => {
+      send(event);
+      // A connected call ends with its settlement; any other terminal state ends the stream at once
+      const finalState = event.type === callEvents.EVENT_TYPES.STATE &&
+        TERMINAL_STATES.includes(event.data.status) && event.data.from !== CALL_STATES.CONNECTED;
+      if (finalState || event.type === callEvents.EVENT_TYPES.SETTLEMENT) {
+        close();
+      }
+    });
+    res.on('close', close);
+
+    const snapshot = await Call.findById(call._id).select('status startTime tokensPerMinute balanceWarning tokensSpent');
+    send({
+      type: callEvents.EVENT_TYPES.STATE,
+      callId: call._id.toString(),
+      at: new Date().toISOString(),
+      data: {
+        from: null,
+        status: snapshot.status,
+        snapshot: true,
+        startTime: snapshot.startTime,
+        tokensPerMinute: snapshot.tokensPerMinute,
+        warning: snapshot.balanceWarning,
+        ...(snapshot.status === CALL_STATES.ENDED && role === 'caller' && { tokensSpent: snapshot.tokensSpent })
+      }
+    });
+    if (TERMINAL_STATES.includes(snapshot.status)) {
+      return close();
+    }
+
+    if (!closed) {
+      keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEP_ALIVE_MS);
+    }
+  } catch (error) {
+    console.error('Call events stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Failed to open event stream' });
+    }
+    res.end();
+  }
+});
+
 // Update call status (missed/rejected/failed)
 router.put('/status/:callId', auth, async (req, res) => {
   try {
@@ -268,79 +444,95 @@ router.put('/status/:callId', auth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid status' });
     }
 
-    const call = await Call.findById(req.params.callId).populate('expert');
-
-    if (!call) {
-      return res.status(404).json({ success: false, message: 'Call not found' });
+    const { call, actor } = await participantActor(req.params.callId, req.user._id);
+    if (!actor) {
+      return notParticipant(res, call);
     }
 
-    // If call is being marked as failed/missed/rejected, release expert
+    await CallStateManager.transitionState(req.params.callId, status, {
+      actor,
+      actorId: req.user._id,
+      reason: req.body.reason || 'status_update'
+    });
+
+    // Call was marked as failed/missed/rejected, release expert
     if (call.expert) {
       await CallStateManager.releaseExpert(call.expert._id);
     }
 
-    await CallStateManager.transitionState(req.params.callId, status);
-
     res.json({ success: true, message: 'Call status updated' });
   } catch (error) {
     console.error('Update status error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return stateConflict(res, error);
+    }
     res.status(400).json({ success: false, message: error.message });
   }
 });
 
-// Rate a call
+// Map review error codes to HTTP status codes
+const reviewErrorStatus = (error) => {
+  switch (error.code) {
+    case 'CALL_NOT_FOUND':
+    case 'EXPERT_NOT_FOUND':
+    case 'REVIEW_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'CALL_NOT_COMPLETED':
+    case 'REPLY_EXISTS':
+    case 'REVIEW_NOT_PENDING':
+    case 'REVIEW_NOT_APPROVED':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Rate a call: overall rating, optional sub-scores ({ knowledge, communication, value }) and review
 router.put('/rate/:callId', auth, async (req, res) => {
   try {
-    const { rating, review } = req.body;
-
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
-    }
+    const { rating, ratings, review } = req.body;
 
-    const call = await Call.findById(req.params.callId);
-
-    if (!call) {
-      return res.status(404).json({ message: 'Call not found' });
-    }
-
-    if (call.caller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to rate this call' });
-    }
+    const call = await reviewService.submitRating(req.user._id, req.params.callId, { rating, ratings, review });
 
-    call.rating = rating;
-    call.review = review;
-    await call.save();
-
-    // Update expert's average rating and satisfied customers
-    const expert = await Expert.findById(call.expert);
-    const allCalls = await Call.find({
-      expert: expert._id,
-      rating: { $exists: true, $ne: null }
+    res.json({
+      message: call.reviewStatus === 'pending' ? 'Rating submitted; your review will appear once approved' : 'Rating submitted',
+      call
     });
+  } catch (error) {
+    console.error('Rate call error:', error);
+    res.status(reviewErrorStatus(error)).json({ code: error.code, message: error.message });
+  }
+});
 
-    const totalRating = allCalls.reduce((sum, c) => sum + c.rating, 0);
-    expert.rating = allCalls.length > 0 ? (totalRating / allCalls.length).toFixed(1) : 0;
-    expert.totalRatings = allCalls.length;
-    expert.satisfiedCustomers = allCalls.filter(c => c.rating >= 4).length;
-    await expert.save();
-
-    res.json({ message: 'Rating submitted', call });
+// Post the expert's public reply to a call's review (once)
+router.post('/:callId/review/reply', auth, async (req, res) => {
+  try {
+    const reply = await reviewService.replyToReview(req.user._id, req.params.callId, req.body.text);
+    res.status(201).json({ success: true, message: 'Reply posted', reply });
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    console.error('Reply to review error:', error);
+    res.status(reviewErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
   }
 });
 
 // Get user's call history
 router.get('/history', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, callType } = req.query;
 
     // Defensive: ensure user exists
     if (!req.user || !req.user._id) {
       return res.status(401).json({ message: 'User not authenticated', calls: [], totalPages: 0, currentPage: 1 });
     }
 
-    const calls = await Call.find({ caller: req.user._id })
+    const query = { caller: req.user._id };
+    if (Object.values(CALL_TYPES).includes(callType)) {
+      query.callType = callType;
+    }
+
+    const calls = await Call.find(query)
       .populate({
         path: 'expert',
         populate: { path: 'user', select: 'name avatar' }
@@ -353,11 +545,17 @@ router.get('/history', auth, async (req, res) => {
     // Filter out calls with null experts
     const validCalls = (calls || []).filter(call => call && call.expert);
 
-    const total = await Call.countDocuments({ caller: req.user._id });
+    // Attach the caller's own private notes
+    const notes = await callNotes.getNotesForCalls(req.user._id, validCalls.map(call => call._id));
+    validCalls.forEach(call => { call.myNote = notes.get(call._id.toString()) || null; });
+
+    const total = await Call.countDocuments(query);
+    const byType = await summarizeByType({ caller: req.user._id });
 
     res.json({
       success: true,
       calls: validCalls,
+      byType,
       totalPages: Math.ceil(total / limit) || 1,
       currentPage: parseInt(page)
     });
@@ -370,7 +568,7 @@ router.get('/history', auth, async (req, res) => {
 // Get expert's call history
 router.get('/expert-history', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, callType } = req.query;
 
     // Defensive: ensure user exists
     if (!req.user || !req.user._id) {
@@ -383,7 +581,12 @@ router.get('/expert-history', auth, async (req, res) => {
       return res.json({ success: true, calls: [], totalPages: 0, currentPage: 1 });
     }
 
-    const calls = await Call.find({ expert: expert._id })
+    const query = { expert: expert._id };
+    if (Object.values(CALL_TYPES).includes(callType)) {
+      query.callType = callType;
+    }
+
+    const calls = await Call.find(query)
       .populate('caller', 'name avatar')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -393,11 +596,17 @@ router.get('/expert-history', auth, async (req, res) => {
     // Filter out calls with null callers
     const validCalls = (calls || []).filter(call => call && call.caller);
 
-    const total = await Call.countDocuments({ expert: expert._id });
+    // Attach the expert's own private notes
+    const notes = await callNotes.getNotesForCalls(req.user._id, validCalls.map(call => call._id));
+    validCalls.forEach(call => { call.myNote = notes.get(call._id.toString()) || null; });
+
+    const total = await Call.countDocuments(query);
+    const byType = await summarizeByType({ expert: expert._id });
 
     res.json({
       success: true,
       calls: validCalls,
+      byType,
       totalPages: Math.ceil(total / limit) || 1,
       currentPage: parseInt(page)
     });
@@ -408,9 +617,9 @@ router.get('/expert-history', auth, async (req, res) => {
 });
 
 // HEARTBEAT ENDPOINT: Sync active calls with socket server
-router.post('/sync-active-calls', async (req, res) => {
+router.post('/sync-active-calls', internalAuth, async (req, res) => {
   try {
-    const { activeCallIds, timestamp } = req.body;
+    const { activeCallIds, activeExpertIds, timestamp } = req.body;
 
     if (!Array.isArray(activeCallIds)) {
       return res.status(400).json({
@@ -419,41 +628,24 @@ router.post('/sync-active-calls', async (req, res) => {
       });
     }
 
-    // Find all calls in DB that are in progress
-    const dbActiveCalls = await Call.find({
-      status: { $in: ['pending', 'ringing', 'connected'] }
-    }).select('_id status expert');
-
-    // Check which calls are in DB but not actually active in socket server
-    const cleanedCalls = [];
-
-    for (const call of dbActiveCalls) {
-      const callIdStr = call._id.toString();
-
-      // If call is in DB as active but not in socket server's list
-      if (!activeCallIds.includes(callIdStr)) {
-        // Mark call as failed/timeout
-        call.status = 'failed';
-        call.endTime = new Date();
-        await call.save();
-
-        // Also clear expert busy status
-        if (call.expert) {
-          await Expert.findByIdAndUpdate(call.expert, {
-            isBusy: false,
-            currentCallId: null
-          });
-        }
+    const report = await reconciliationService.reconcile({
+      trigger: 'signalling',
+      service: req.internalService,
+      activeCallIds,
+      activeExpertIds
+    });
 
-        cleanedCalls.push(callIdStr);
-      }
-    }
+    const cleanedCalls = report.actions
+      .filter(action => (action.kind === 'call_ended' || action.kind === 'call_failed') && !action.error)
+      .map(action => action.call.toString());
 
     res.json({
       success: true,
-      checked: dbActiveCalls.length,
+      checked: report.checked.calls,
       cleaned: cleanedCalls.length,
       cleanedCalls,
+      corrections: report.actions.length,
+      reportId: report._id || null,
       timestamp
     });
 
@@ -467,10 +659,11 @@ router.post('/sync-active-calls', async (req, res) => {
   }
 });
 
-// INTERNAL: End call (called by socket server on disconnect)
-router.post('/internal/end-call/:callId', async (req, res) => {
+// INTERNAL: End call (called by socket server on disconnect, signed)
+router.post('/internal/end-call/:callId', internalAuth, async (req, res) => {
   try {
     const { reason = 'system_disconnect' } = req.body;
+    const audit = { actor: 'internal', service: req.internalService, reason };
 
     const call = await Call.findById(req.params.callId)
       .populate('caller')
@@ -484,7 +677,7 @@ router.post('/internal/end-call/:callId', async (req, res) => {
     }
 
     // Idempotency check: If already completed, just return details
-    if (call.status === 'completed' || call.status === 'failed' || call.status === 'missed') {
+    if (['completed', 'failed', 'missed', 'rejected'].includes(call.status)) {
       return res.json({
         success: true,
         message: 'Call already ended',
@@ -498,79 +691,21 @@ router.post('/internal/end-call/:callId', async (req, res) => {
     }
 
     if (call.status !== 'ongoing' && call.status !== 'connected') {
-      // If it was ringing or initiating, just mark as failed/missed
-      call.status = 'failed';
-      call.endTime = new Date();
-      await call.save();
-
-      // Release expert
-      if (call.expert) {
-        await Expert.findByIdAndUpdate(call.expert._id, {
-          isBusy: false,
-          currentCallId: null
-        });
-      }
+      // If it was ringing or initiating, just mark as failed and release the expert
+      await CallStateManager.handleDisconnect(call._id, null, 'internal', audit);
 
       return res.json({ success: true, message: 'Call marked as failed' });
     }
 
-    // Mark expert as not busy
-    const expert = await Expert.findById(call.expert._id);
-    if (expert) {
-      expert.isBusy = false;
-      expert.currentCallId = null;
-    }
-
-    // Calculate duration and tokens spent
-    call.endTime = new Date();
-    // Ensure we have a valid start time, otherwise default to now (0 duration)
-    const startTime = call.startTime || call.createdAt;
-    call.duration = Math.floor((call.endTime - startTime) / 1000); // Duration in seconds
-    call.status = 'completed';
-
-    // Calculate tokens spent (minimum 1 minute, round up)
-    const minutes = Math.max(1, Math.ceil(call.duration / 60));
-    call.tokensSpent = minutes * call.tokensPerMinute;
-
-    await call.save();
-
-    // Deduct tokens from caller
-    const caller = await User.findById(call.caller._id);
-    if (caller) {
-      const callerTokensBefore = caller.tokens;
-
-      // Check if caller has enough tokens
-      if (caller.tokens < call.tokensSpent) {
-        call.tokensSpent = caller.tokens; // Deduct only what's available
-      }
-
-      caller.tokens -= call.tokensSpent;
-      if (caller.tokens < 0) caller.tokens = 0;
-      await caller.save();
-
-      // Create transaction for caller (debit)
-      const callerTransaction = new Transaction({
-        user: caller._id,
-        type: 'debit',
-        tokens: call.tokensSpent,
-        description: `Call with ${call.expert.user.name} (${minutes} min) - ${reason}`,
-        call: call._id,
-        tokensBefore: callerTokensBefore,
-        tokensAfter: caller.tokens
+    // Connected call: settle through the state manager (captures the wallet hold)
+    const result = await CallStateManager.endCall(call._id, reason, audit);
+    if (result.conflict) {
+      // Ended by another writer between the read above and the transition
+      return res.json({
+        success: true,
+        message: 'Call already ended',
+        call: { id: call._id, status: result.currentState }
       });
-      await callerTransaction.save();
-    }
-
-    // Add tokens to expert's unclaimed tokens (expert gets 90%)
-    if (expert) {
-      const expertTokens = Math.floor(call.tokensSpent * 0.9);
-
-      // Update expert stats
-      expert.totalCalls = (expert.totalCalls || 0) + 1;
-      expert.totalMinutes = (expert.totalMinutes || 0) + minutes;
-      expert.tokensEarned = (expert.tokensEarned || 0) + expertTokens;
-      expert.unclaimedTokens = (expert.unclaimedTokens || 0) + expertTokens;
-      await expert.save();
     }
 
     res.json({
@@ -578,9 +713,10 @@ router.post('/internal/end-call/:callId', async (req, res) => {
       message: 'Call ended by system',
       call: {
         id: call._id,
-        duration: call.duration,
-        minutes: minutes,
-        tokensSpent: call.tokensSpent
+        duration: result.duration,
+        minutes: result.minutes,
+        billing: result.billing,
+        tokensSpent: result.tokensSpent
       }
     });
   } catch (error) {
@@ -589,4 +725,182 @@ router.post('/internal/end-call/:callId', async (req, res) => {
   }
 });
 
+// Map call notes error codes to HTTP status codes
+const notesErrorStatus = (error) => {
+  switch (error.code) {
+    case 'CALL_NOT_FOUND':
+    case 'EXPERT_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'CALL_NOT_COMPLETED':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Search call summaries and your own notes (?as=caller|expert)
+router.get('/notes/search', auth, async (req, res) => {
+  try {
+    const { q, as = 'caller' } = req.query;
+    const results = await callNotes.searchNotes(req.user._id, q, as === 'expert' ? 'expert' : 'caller');
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Search call notes error:', error);
+    res.status(notesErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Write or update the post-call summary (the call's expert only)
+router.put('/:callId/summary', auth, async (req, res) => {
+  try {
+    const summary = await callNotes.writeSummary(req.user._id, req.params.callId, req.body);
+    res.json({ success: true, message: 'Summary saved', summary });
+  } catch (error) {
+    console.error('Write call summary error:', error);
+    res.status(notesErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Get your private note on a call
+router.get('/:callId/notes', auth, async (req, res) => {
+  try {
+    const note = await callNotes.getNote(req.user._id, req.params.callId);
+    res.json({ success: true, note });
+  } catch (error) {
+    console.error('Get call note error:', error);
+    res.status(notesErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Save your private note on a call
+router.put('/:callId/notes', auth, async (req, res) => {
+  try {
+    const note = await callNotes.saveNote(req.user._id, req.params.callId, req.body.text);
+    res.json({ success: true, message: 'Note saved', note });
+  } catch (error) {
+    console.error('Save call note error:', error);
+    res.status(notesErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Delete your private note on a call
+router.delete('/:callId/notes', auth, async (req, res) => {
+  try {
+    const deleted = await callNotes.deleteNote(req.user._id, req.params.callId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Note not found' });
+    }
+    res.json({ success: true, message: 'Note deleted' });
+  } catch (error) {
+    console.error('Delete call note error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ADMIN: Reviews awaiting moderation (?status=pending|approved|rejected)
+router.get('/admin/reviews', adminAuth, async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await reviewService.getReviewsForModeration({ status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get reviews for moderation error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ADMIN: Publish a pending review
+router.put('/admin/reviews/:callId/approve', adminAuth, async (req, res) => {
+  try {
+    const call = await reviewService.moderateReview(req.params.callId, req.user._id, 'approved', req.body.note);
+    res.json({ success: true, message: 'Review approved', call });
+  } catch (error) {
+    console.error('Approve review error:', error);
+    res.status(reviewErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// ADMIN: Reject a pending review (its rating no longer counts)
+router.put('/admin/reviews/:callId/reject', adminAuth, async (req, res) => {
+  try {
+    const call = await reviewService.moderateReview(req.params.callId, req.user._id, 'rejected', req.body.note);
+    res.json({ success: true, message: 'Review rejected', call });
+  } catch (error) {
+    console.error('Reject review error:', error);
+    res.status(reviewErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Map reconciliation error codes to HTTP status codes
+const reconciliationErrorStatus = (error) => {
+  switch (error.code) {
+    case 'REPORT_NOT_FOUND':
+      return 404;
+    case 'SIGNALLING_UNAVAILABLE':
+      return 502;
+    case 'INVALID_SIGNALLING_STATE':
+      return 400;
+    default:
+      return 500;
+  }
+};
+
+// Run a reconciliation pass now, against the signalling server's active calls unless useSignalling is false (admin only)
+router.post('/admin/reconciliation/run', adminAuth, async (req, res) => {
+  try {
+    const signalling = req.body.useSignalling === false ? {} : await reconciliationService.fetchSignallingState();
+    const report = await reconciliationService.reconcile({
+      trigger: 'admin',
+      service: 'admin',
+      triggeredBy: req.user._id,
+      ...signalling
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(reconciliationErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// List reconciliation reports, newest first (admin only)
+router.get('/admin/reconciliation/reports', adminAuth, async (req, res) => {
+  try {
+    const { trigger, page, limit } = req.query;
+    const result = await reconciliationService.getReports({ trigger, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('List reconciliation reports error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reports', reports: [] });
+  }
+});
+
+// Get a reconciliation report with every correction (admin only)
+router.get('/admin/reconciliation/reports/:reportId', adminAuth, async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.reportId);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(reconciliationErrorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// ADMIN: Full status timeline of a call
+router.get('/admin/:callId/timeline', adminAuth, async (req, res) => {
+  try {
+    const result = await CallStateManager.getTimeline(req.params.callId);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Call not found' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get call timeline error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
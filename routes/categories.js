@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const Category = require('../models/Category');
 const Expert = require('../models/Expert');
 const { auth, adminAuth } = require('../middleware/auth');
+const { validatePolicy } = require('../services/billingPolicy');
 
 const router = express.Router();
 
@@ -92,7 +93,14 @@ router.get('/:slug', async (req, res) => {
 // Create category (admin only)
 router.post('/', adminAuth, async (req, res) => {
   try {
-    const { name, description, icon, image, order } = req.body;
+    const { name, description, icon, image, order, billingPolicy } = req.body;
+
+    if (billingPolicy !== undefined) {
+      const policyError = validatePolicy(billingPolicy);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+    }
 
     const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
     if (existingCategory) {
@@ -104,7 +112,8 @@ router.post('/', adminAuth, async (req, res) => {
       description,
       icon: icon || '💼',
       image,
-      order: order || 0
+      order: order || 0,
+      billingPolicy: billingPolicy || { mode: null }
     });
 
     await category.save();
@@ -118,11 +127,20 @@ router.post('/', adminAuth, async (req, res) => {
 // Update category (admin only)
 router.put('/:id', adminAuth, async (req, res) => {
   try {
-    const { name, description, icon, image, order, isActive } = req.body;
+    const { name, description, icon, image, order, isActive, billingPolicy } = req.body;
+
+    const update = { name, description, icon, image, order, isActive };
+    if (billingPolicy !== undefined) {
+      const policyError = validatePolicy(billingPolicy);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+      update.billingPolicy = billingPolicy || { mode: null };
+    }
 
     const category = await Category.findByIdAndUpdate(
       req.params.id,
-      { name, description, icon, image, order, isActive },
+      update,
       { new: true }
     );
 
@@ -0,0 +1,173 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Expert = require('../models/Expert');
+const { auth, adminAuth } = require('../middleware/auth');
+const couponService = require('../services/couponService');
+
+const router = express.Router();
+
+// Fields an admin can set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'appliesTo', 'discountType', 'value', 'maxDiscount', 'minSpend',
+  'validFrom', 'expiresAt', 'maxRedemptions', 'perUserLimit', 'categories', 'experts', 'isActive'
+];
+
+// Check a code before using it (preview of the bonus or discount)
+router.post('/validate', auth, async (req, res) => {
+  try {
+    const { code, context, amount, expertId } = req.body;
+
+    if (!code || !couponService.CONTEXTS.includes(context)) {
+      return res.status(400).json({ success: false, message: 'Code and context (topup or call) are required' });
+    }
+
+    let expert;
+    if (context === 'call' && expertId) {
+      expert = await Expert.findById(expertId).select('categories');
+      if (!expert) {
+        return res.status(404).json({ success: false, message: 'Expert not found' });
+      }
+    }
+
+    const parsedAmount = amount !== undefined ? Number(amount) : undefined;
+    const coupon = await couponService.validateCoupon(code, req.user._id, {
+      context,
+      expert,
+      // Call charges are only known at the end, so minimum spend is not checked here
+      amount: context === 'topup' ? parsedAmount : undefined
+    });
+
+    res.json({
+      success: true,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        appliesTo: coupon.appliesTo,
+        discountType: coupon.discountType,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount,
+        minSpend: coupon.minSpend,
+        expiresAt: coupon.expiresAt
+      },
+      estimatedTokens: Number.isFinite(parsedAmount) ? couponService.computeBenefit(coupon, parsedAmount) : null
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(400).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// ===================
+// ADMIN ROUTES
+// ===================
+
+// List coupons
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = {};
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error('Admin list coupons error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a coupon
+router.post('/admin', adminAuth, async (req, res) => {
+  try {
+    const data = {};
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const validationError = couponService.validateCouponData(data);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    data.code = couponService.normalizeCode(data.code);
+    const coupon = await new Coupon({ ...data, createdBy: req.user._id }).save();
+
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Admin create coupon error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update a coupon (e.g. extend expiry, deactivate)
+router.put('/admin/:id', adminAuth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    // The code and the kind of coupon cannot change once it may have been used
+    const updates = {};
+    COUPON_FIELDS.filter(field => !['code', 'appliesTo'].includes(field)).forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const validationError = couponService.validateCouponData({ ...coupon.toObject(), ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    Object.assign(coupon, updates);
+    await coupon.save();
+
+    res.json({ success: true, coupon });
+  } catch (error) {
+    console.error('Admin update coupon error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Redemptions of a coupon
+router.get('/admin/:id/redemptions', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+    const query = { coupon: new mongoose.Types.ObjectId(req.params.id) };
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await CouponRedemption.countDocuments(query);
+    const totals = await CouponRedemption.aggregate([
+      { $match: query },
+      { $group: { _id: null, tokens: { $sum: '$tokens' } } }
+    ]);
+
+    res.json({
+      success: true,
+      redemptions,
+      totalTokens: totals.length ? totals[0].tokens : 0,
+      totalPages: Math.ceil(total / limit) || 1,
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Admin coupon redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const Dispute = require('../models/Dispute');
+const { auth, adminAuth } = require('../middleware/auth');
+const disputeService = require('../services/disputeService');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'DISPUTE_NOT_FOUND':
+    case 'CALL_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'ALREADY_DISPUTED':
+    case 'DISPUTE_RESOLVED':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Open a dispute on a completed call (caller only)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { callId, reason, details } = req.body;
+
+    if (!callId || !reason) {
+      return res.status(400).json({ success: false, message: 'Call ID and reason are required' });
+    }
+
+    const dispute = await disputeService.openDispute(req.user._id, callId, reason, details);
+    res.status(201).json({ success: true, message: 'Dispute opened', dispute });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Get current user's disputes
+router.get('/my', auth, async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ caller: req.user._id })
+      .populate({
+        path: 'expert',
+        select: 'user title',
+        populate: { path: 'user', select: 'name avatar' }
+      })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch disputes', disputes: [] });
+  }
+});
+
+// ===================
+// ADMIN ROUTES
+// ===================
+
+// List disputes (oldest open first by default)
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const disputes = await Dispute.find(query)
+      .populate('caller', 'name email')
+      .populate({
+        path: 'expert',
+        select: 'user title',
+        populate: { path: 'user', select: 'name email' }
+      })
+      .sort({ createdAt: status === 'open' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      success: true,
+      disputes,
+      totalPages: Math.ceil(total / limit) || 1,
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Admin list disputes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Review a dispute with the call's timeline and ledger entries
+router.get('/admin/:disputeId', adminAuth, async (req, res) => {
+  try {
+    const result = await disputeService.getDisputeForReview(req.params.disputeId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Admin get dispute error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Approve a dispute with a full or partial refund
+router.put('/admin/:disputeId/approve', adminAuth, async (req, res) => {
+  try {
+    const { refundType = 'full', tokens, note } = req.body;
+
+    if (!['full', 'partial'].includes(refundType)) {
+      return res.status(400).json({ success: false, message: 'Refund type must be full or partial' });
+    }
+
+    const result = await disputeService.approveDispute(req.params.disputeId, req.user._id, { refundType, tokens, note });
+    res.json({ success: true, message: 'Dispute approved', ...result });
+  } catch (error) {
+    console.error('Approve dispute error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Reject a dispute
+router.put('/admin/:disputeId/reject', adminAuth, async (req, res) => {
+  try {
+    const { note } = req.body;
+    const dispute = await disputeService.rejectDispute(req.params.disputeId, req.user._id, note);
+    res.json({ success: true, message: 'Dispute rejected', dispute });
+  } catch (error) {
+    console.error('Reject dispute error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,16 @@ const Expert = require('../models/Expert');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const { auth, expertAuth, adminAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { internalAuth } = require('../middleware/internalAuth');
+const availabilityService = require('../services/availabilityService');
+const expertStatusManager = require('../services/expertStatusManager');
+const { validatePolicy } = require('../services/billingPolicy');
+const { CALL_TYPES, isCallTypeEnabled, validateCallTypeSettings, summarizeByType } = require('../services/callTypes');
+const { validateFreeIntro } = require('../services/freeIntro');
+const dynamicPricing = require('../services/dynamicPricing');
+const { PUBLISHED_FILTER, reviewerIdentity, getExpertReviews } = require('../services/reviewService');
+const reconciliationService = require('../services/reconciliationService');
 
 const router = express.Router();
 
@@ -13,7 +23,7 @@ router.get('/', async (req, res) => {
   console.log('MongoDB connection state:', mongoose.connection.readyState);
 
   try {
-    const { category, search, minRate, maxRate, isOnline, page = 1, limit = 20 } = req.query;
+    const { category, search, minRate, maxRate, isOnline, callType, freeIntro, page = 1, limit = 20 } = req.query;
 
     let query = { isApproved: true }; // Only show approved experts
 
@@ -28,6 +38,19 @@ router.get('/', async (req, res) => {
       query.isBusy = false; // Only show available experts
     }
 
+    // Filter by offered call type
+    if (callType === CALL_TYPES.VIDEO) {
+      query.videoEnabled = true;
+      query.videoTokensPerMinute = { $gte: 1 };
+    } else if (callType === CALL_TYPES.AUDIO) {
+      query.audioEnabled = { $ne: false };
+    }
+
+    // Only experts offering free intro minutes
+    if (freeIntro === 'true') {
+      query['freeIntro.minutes'] = { $gt: 0 };
+    }
+
     // Filter by rate
     if (minRate || maxRate) {
       query.tokensPerMinute = {};
@@ -49,27 +72,7 @@ router.get('/', async (req, res) => {
     // Filter out experts where user populate failed
     const validExperts = Array.isArray(experts) ? experts.filter(expert => expert && expert.user !== null) : [];
 
-    // Auto-clear stuck busy statuses (only if more than 5 minutes ago, limit to 5 at a time to avoid slowing down the API)
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    const stuckExperts = validExperts
-      .filter(expert => expert.isBusy && expert.updatedAt < fiveMinutesAgo)
-      .slice(0, 5); // Limit to 5 at a time
-    
-    if (stuckExperts.length > 0) {
-      // Clear status in background without blocking the response
-      setImmediate(async () => {
-        for (const expert of stuckExperts) {
-          try {
-            console.log(`Auto-clearing stuck busy status for expert ${expert._id} in list`);
-            expert.isBusy = false;
-            expert.currentCallId = null;
-            await expert.save();
-          } catch (err) {
-            console.error(`Failed to clear busy status for expert ${expert._id}:`, err);
-          }
-        }
-      });
-    }
+    // Stuck busy statuses are cleared by the call sweeper (services/callSweeper.js)
 
     const total = await Expert.countDocuments(query);
 
@@ -167,6 +170,25 @@ router.get('/by-category/:categoryId', async (req, res) => {
   }
 });
 
+// Get own availability schedule (expert only)
+router.get('/availability/me', expertAuth, async (req, res) => {
+  try {
+    const expert = await Expert.findOne({ user: req.user._id }).select('availability isOnline');
+    if (!expert) {
+      return res.status(404).json({ message: 'Expert profile not found' });
+    }
+
+    res.json({
+      success: true,
+      availability: expert.availability,
+      nextAvailableWindow: availabilityService.getNextWindow(expert)
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single expert by ID or username
 router.get('/:identifier', async (req, res) => {
   try {
@@ -195,39 +217,43 @@ router.get('/:identifier', async (req, res) => {
       return res.status(404).json({ message: 'Expert not found' });
     }
 
-    // Auto-clear stuck busy status (if busy for more than 5 minutes)
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    if (expert.isBusy && expert.updatedAt < fiveMinutesAgo) {
-      console.log(`Auto-clearing stuck busy status for expert ${expert._id}`);
-      expert.isBusy = false;
-      expert.currentCallId = null;
-      await expert.save();
-    }
-
-    // Get reviews from completed calls
+    // Get published reviews from completed calls
     const Call = require('../models/Call');
     const reviews = await Call.find({
       expert: expert._id,
       status: 'completed',
-      rating: { $exists: true, $ne: null },
-      review: { $exists: true, $ne: null, $ne: '' }
+      ...PUBLISHED_FILTER,
+      review: { $exists: true, $nin: [null, ''] }
     })
-      .populate('caller', 'name avatar')
+      .populate('caller', 'name avatar privacy')
       .sort({ createdAt: -1 })
       .limit(10);
 
-    // Format reviews for frontend
+    // Format reviews for frontend (reviewer names follow their privacy setting)
     const formattedReviews = reviews.map(call => ({
-      name: call.caller?.name || 'Anonymous',
-      avatar: call.caller?.avatar,
+      ...reviewerIdentity(call.caller),
       rating: call.rating,
+      ratings: call.ratings,
       text: call.review,
+      reply: call.expertReply && call.expertReply.text ? call.expertReply : null,
       date: call.createdAt
     }));
 
+    const nextAvailableWindow = availabilityService.getNextWindow(expert);
+
+    // Rates in effect right now (pricing rules applied)
+    const currentPricing = {};
+    for (const type of Object.values(CALL_TYPES)) {
+      if (isCallTypeEnabled(expert, type)) {
+        currentPricing[type] = await dynamicPricing.resolveRate(expert, type);
+      }
+    }
+
     // Add reviews to expert object
     expert = expert.toObject();
     expert.reviews = formattedReviews;
+    expert.nextAvailableWindow = nextAvailableWindow;
+    expert.currentPricing = currentPricing;
 
     res.json(expert);
   } catch (error) {
@@ -236,6 +262,36 @@ router.get('/:identifier', async (req, res) => {
   }
 });
 
+// Public reviews of an expert (by ID or username)
+// Query: page, limit, sort (newest|highest|lowest), stars (1-5)
+router.get('/:identifier/reviews', async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    let expert;
+
+    if (/^[0-9a-fA-F]{24}$/.test(identifier)) {
+      expert = await Expert.findById(identifier).select('_id isApproved ratingBreakdown');
+    } else {
+      const user = await User.findOne({ username: identifier.toLowerCase() }).select('_id');
+      if (user) {
+        expert = await Expert.findOne({ user: user._id }).select('_id isApproved ratingBreakdown');
+      }
+    }
+
+    if (!expert || !expert.isApproved) {
+      return res.status(404).json({ success: false, message: 'Expert not found' });
+    }
+
+    const { page, limit, sort, stars } = req.query;
+    const result = await getExpertReviews(expert._id, { page, limit, sort, stars });
+
+    res.json({ success: true, ratingBreakdown: expert.ratingBreakdown, ...result });
+  } catch (error) {
+    console.error('Get expert reviews error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews', reviews: [] });
+  }
+});
+
 // Get expert by user ID
 router.get('/user/:userId', auth, async (req, res) => {
   try {
@@ -257,13 +313,42 @@ router.get('/user/:userId', auth, async (req, res) => {
 // Update expert profile (expert only)
 router.put('/profile', expertAuth, async (req, res) => {
   try {
-    const { title, bio, categories, tokensPerMinute, experience, skills, languages, isAvailable, banner } = req.body;
+    const {
+      title, bio, categories, tokensPerMinute, experience, skills, languages, isAvailable, banner, billingPolicy,
+      videoTokensPerMinute, audioEnabled, videoEnabled, freeIntro, pricingRules
+    } = req.body;
 
     const expert = await Expert.findOne({ user: req.user._id });
     if (!expert) {
       return res.status(404).json({ message: 'Expert profile not found' });
     }
 
+    if (billingPolicy !== undefined) {
+      const policyError = validatePolicy(billingPolicy);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+    }
+
+    const callTypeError = validateCallTypeSettings(expert, { videoTokensPerMinute, audioEnabled, videoEnabled });
+    if (callTypeError) {
+      return res.status(400).json({ message: callTypeError });
+    }
+
+    if (freeIntro !== undefined) {
+      const freeIntroError = validateFreeIntro(freeIntro);
+      if (freeIntroError) {
+        return res.status(400).json({ message: freeIntroError });
+      }
+    }
+
+    if (pricingRules !== undefined) {
+      const pricingError = dynamicPricing.validateRules(pricingRules, dynamicPricing.getCaps(expert));
+      if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+      }
+    }
+
     if (title) expert.title = title;
     if (bio) expert.bio = bio;
     if (categories) expert.categories = categories;
@@ -273,6 +358,16 @@ router.put('/profile', expertAuth, async (req, res) => {
     if (languages) expert.languages = languages;
     if (isAvailable !== undefined) expert.isAvailable = isAvailable;
     if (banner !== undefined) expert.banner = banner;
+    if (billingPolicy !== undefined) expert.billingPolicy = billingPolicy || { mode: null };
+    if (videoTokensPerMinute !== undefined) expert.videoTokensPerMinute = videoTokensPerMinute;
+    if (audioEnabled !== undefined) expert.audioEnabled = Boolean(audioEnabled);
+    if (videoEnabled !== undefined) expert.videoEnabled = Boolean(videoEnabled);
+    if (freeIntro !== undefined) {
+      expert.freeIntro = freeIntro
+        ? { minutes: freeIntro.minutes, scope: freeIntro.scope || expert.freeIntro.scope }
+        : { minutes: 0 };
+    }
+    if (pricingRules !== undefined) expert.pricingRules = pricingRules;
 
     await expert.save();
 
@@ -295,16 +390,119 @@ router.put('/toggle-online', expertAuth, async (req, res) => {
       return res.status(404).json({ message: 'Expert profile not found' });
     }
 
-    expert.isOnline = !expert.isOnline;
-
     // Clear busy status when toggling (safety measure)
     expert.isBusy = false;
     expert.currentCallId = null;
+    await expert.save();
+
+    // Through the status manager so subscribers are notified when going online
+    const status = await expertStatusManager.setExpertOnline(expert._id, !expert.isOnline, 'manual_toggle');
+
+    res.json({ isOnline: status.isOnline });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update weekly availability schedule (expert only)
+router.put('/availability', expertAuth, async (req, res) => {
+  try {
+    const { timezone, autoOnline, weekly } = req.body;
+
+    const expert = await Expert.findOne({ user: req.user._id });
+    if (!expert) {
+      return res.status(404).json({ message: 'Expert profile not found' });
+    }
+
+    if (timezone !== undefined && !availabilityService.isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+    if (weekly !== undefined) {
+      const weeklyError = availabilityService.validateWeekly(weekly);
+      if (weeklyError) {
+        return res.status(400).json({ message: weeklyError });
+      }
+    }
 
+    if (timezone !== undefined) expert.availability.timezone = timezone;
+    if (autoOnline !== undefined) expert.availability.autoOnline = !!autoOnline;
+    if (weekly !== undefined) expert.availability.weekly = weekly;
+
+    // Let the scheduler re-apply the schedule on its next run
+    expert.availability.scheduleState = null;
     await expert.save();
 
-    res.json({ isOnline: expert.isOnline });
+    res.json({
+      success: true,
+      availability: expert.availability,
+      nextAvailableWindow: availabilityService.getNextWindow(expert)
+    });
   } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a one-off schedule exception (expert only)
+router.post('/availability/exceptions', expertAuth, async (req, res) => {
+  try {
+    const { date, unavailable, startTime, endTime, note } = req.body;
+
+    const exceptionError = availabilityService.validateException({ date, unavailable, startTime, endTime });
+    if (exceptionError) {
+      return res.status(400).json({ message: exceptionError });
+    }
+
+    const expert = await Expert.findOne({ user: req.user._id });
+    if (!expert) {
+      return res.status(404).json({ message: 'Expert profile not found' });
+    }
+
+    expert.availability.exceptions.push({
+      date,
+      unavailable: !!unavailable,
+      startTime: unavailable ? undefined : startTime,
+      endTime: unavailable ? undefined : endTime,
+      note: note || ''
+    });
+    expert.availability.scheduleState = null;
+    await expert.save();
+
+    res.status(201).json({
+      success: true,
+      availability: expert.availability,
+      nextAvailableWindow: availabilityService.getNextWindow(expert)
+    });
+  } catch (error) {
+    console.error('Add availability exception error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a schedule exception (expert only)
+router.delete('/availability/exceptions/:exceptionId', expertAuth, async (req, res) => {
+  try {
+    const expert = await Expert.findOne({ user: req.user._id });
+    if (!expert) {
+      return res.status(404).json({ message: 'Expert profile not found' });
+    }
+
+    const exception = expert.availability.exceptions.id(req.params.exceptionId);
+    if (!exception) {
+      return res.status(404).json({ message: 'Exception not found' });
+    }
+
+    exception.deleteOne();
+    expert.availability.scheduleState = null;
+    await expert.save();
+
+    res.json({
+      success: true,
+      availability: expert.availability,
+      nextAvailableWindow: availabilityService.getNextWindow(expert)
+    });
+  } catch (error) {
+    console.error('Remove availability exception error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -338,17 +536,16 @@ router.put('/set-online', expertAuth, async (req, res) => {
       return res.status(404).json({ message: 'Expert profile not found' });
     }
 
-    expert.isOnline = isOnline;
-    await expert.save();
+    const status = await expertStatusManager.setExpertOnline(expert._id, Boolean(isOnline), 'manual');
 
-    res.json({ isOnline: expert.isOnline });
+    res.json({ isOnline: status.isOnline });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Internal endpoint for socket server to set expert online status (no auth required)
-router.put('/set-online-internal/:expertId', async (req, res) => {
+// Internal endpoint for socket server to set expert online status (signed)
+router.put('/set-online-internal/:expertId', internalAuth, async (req, res) => {
   try {
     const { expertId } = req.params;
     const { isOnline, isBusy } = req.body;
@@ -358,18 +555,24 @@ router.put('/set-online-internal/:expertId', async (req, res) => {
       return res.status(404).json({ message: 'Expert not found' });
     }
 
-    if (isOnline !== undefined) expert.isOnline = isOnline;
-    if (isBusy !== undefined) expert.isBusy = isBusy;
-    await expert.save();
+    if (isBusy !== undefined) {
+      expert.isBusy = isBusy;
+      await expert.save();
+    }
+
+    let status = { isOnline: expert.isOnline, isBusy: expert.isBusy };
+    if (isOnline !== undefined) {
+      status = await expertStatusManager.setExpertOnline(expert._id, Boolean(isOnline), 'socket_server');
+    }
 
-    res.json({ isOnline: expert.isOnline, isBusy: expert.isBusy });
+    res.json({ isOnline: status.isOnline, isBusy: status.isBusy });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Clear busy status (internal - GET for testing, PUT for production)
-router.get('/clear-busy-internal/:expertId', async (req, res) => {
+// Clear busy status (internal, signed - GET for testing, PUT for production)
+router.get('/clear-busy-internal/:expertId', internalAuth, async (req, res) => {
   try {
     const expert = await Expert.findById(req.params.expertId);
     if (!expert) {
@@ -386,8 +589,8 @@ router.get('/clear-busy-internal/:expertId', async (req, res) => {
   }
 });
 
-// Force clear busy status for specific expert (debug)
-router.post('/force-clear-busy/:expertId', async (req, res) => {
+// Force clear busy status for specific expert (debug, signed)
+router.post('/force-clear-busy/:expertId', internalAuth, async (req, res) => {
   try {
     const expert = await Expert.findById(req.params.expertId);
     if (!expert) {
@@ -410,7 +613,7 @@ router.post('/force-clear-busy/:expertId', async (req, res) => {
 });
 
 // Claim tokens (expert only)
-router.post('/claim-tokens', expertAuth, async (req, res) => {
+router.post('/claim-tokens', expertAuth, idempotent, async (req, res) => {
   try {
     const expert = await Expert.findOne({ user: req.user._id });
     if (!expert) {
@@ -468,16 +671,20 @@ router.get('/earnings', expertAuth, async (req, res) => {
         tokensClaimed: 0,
         unclaimedTokens: 0,
         totalCalls: 0,
-        totalMinutes: 0
+        totalMinutes: 0,
+        byType: {}
       });
     }
 
+    const byType = await summarizeByType({ expert: expert._id });
+
     res.json({
       tokensEarned: expert.tokensEarned || 0,
       tokensClaimed: expert.tokensClaimed || 0,
       unclaimedTokens: expert.unclaimedTokens || 0,
       totalCalls: expert.totalCalls || 0,
-      totalMinutes: expert.totalMinutes || 0
+      totalMinutes: expert.totalMinutes || 0,
+      byType
     });
   } catch (error) {
     console.error('Earnings fetch error:', error);
@@ -487,7 +694,8 @@ router.get('/earnings', expertAuth, async (req, res) => {
       tokensClaimed: 0,
       unclaimedTokens: 0,
       totalCalls: 0,
-      totalMinutes: 0
+      totalMinutes: 0,
+      byType: {}
     });
   }
 });
@@ -604,6 +812,41 @@ router.put('/admin/:id/verify', adminAuth, async (req, res) => {
   }
 });
 
+// Set the bounds on an expert's pricing rule multipliers (admin only)
+// Body: { minMultiplier, maxMultiplier } (null = platform default)
+router.put('/admin/:id/pricing-cap', adminAuth, async (req, res) => {
+  try {
+    const { minMultiplier = null, maxMultiplier = null } = req.body;
+
+    if (minMultiplier !== null && (!Number.isFinite(minMultiplier) || minMultiplier < 0.1 || minMultiplier > 1)) {
+      return res.status(400).json({ message: 'minMultiplier must be between 0.1 and 1' });
+    }
+    if (maxMultiplier !== null && (!Number.isFinite(maxMultiplier) || maxMultiplier < 1 || maxMultiplier > 10)) {
+      return res.status(400).json({ message: 'maxMultiplier must be between 1 and 10' });
+    }
+
+    const expert = await Expert.findByIdAndUpdate(
+      req.params.id,
+      { $set: { pricingCap: { minMultiplier, maxMultiplier } } },
+      { new: true }
+    ).select('pricingCap pricingRules');
+
+    if (!expert) {
+      return res.status(404).json({ message: 'Expert not found' });
+    }
+
+    // Existing rules outside the new bounds are clamped when a call is priced
+    res.json({
+      message: 'Pricing cap updated',
+      pricingCap: dynamicPricing.getCaps(expert),
+      pricingRules: expert.pricingRules
+    });
+  } catch (error) {
+    console.error('Update pricing cap error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete expert (admin only)
 router.delete('/admin/:id', adminAuth, async (req, res) => {
   try {
@@ -657,59 +900,42 @@ router.put('/admin/:id/reset-status', adminAuth, async (req, res) => {
 });
 
 // Sync expert busy status with socket server (admin only)
+// Runs the same reconciliation as the socket server heartbeat and stores its report
 router.post('/admin/sync-busy-status', adminAuth, async (req, res) => {
   try {
-    // Get active calls from socket server
-    const socketServerUrl = process.env.SOCKET_SERVER_URL || 'https://consultoncall-socket-server.onrender.com';
-
-    let activeCalls = [];
+    let signalling;
     try {
-      const response = await fetch(`${socketServerUrl}/active-calls`);
-      const data = await response.json();
-      activeCalls = data.activeCalls || [];
+      signalling = await reconciliationService.fetchSignallingState();
     } catch (socketError) {
-      console.error('Failed to fetch active calls from socket server:', socketError);
       return res.status(500).json({
         success: false,
-        message: 'Failed to connect to socket server'
+        message: socketError.message
       });
     }
 
-    // Get all experts from database
-    const allExperts = await Expert.find({});
-
-    // Create set of experts who are actually in calls
-    const busyExpertIds = new Set(activeCalls.map(call => call.expertId));
-
-    // Update database to match socket server state
-    const updatePromises = allExperts.map(async (expert) => {
-      const shouldBeBusy = busyExpertIds.has(expert._id.toString());
-
-      if (expert.isBusy !== shouldBeBusy) {
-        expert.isBusy = shouldBeBusy;
-        if (!shouldBeBusy) {
-          expert.currentCallId = null; // Clear call ID if not busy
-        }
-        await expert.save();
-        return {
-          expertId: expert._id,
-          name: expert.user?.name || 'Unknown',
-          wasBusy: !shouldBeBusy,
-          nowBusy: shouldBeBusy
-        };
-      }
-      return null;
+    const report = await reconciliationService.reconcile({
+      trigger: 'admin',
+      service: 'admin',
+      triggeredBy: req.user._id,
+      ...signalling
     });
 
-    const updates = (await Promise.all(updatePromises)).filter(update => update !== null);
+    const updates = report.actions
+      .filter(action => action.kind.startsWith('expert_') && !action.error)
+      .map(action => ({
+        expertId: action.expert,
+        wasBusy: action.kind === 'expert_released',
+        nowBusy: action.kind === 'expert_marked_busy'
+      }));
 
     res.json({
       success: true,
       message: 'Expert busy status synced with socket server',
-      activeCallsCount: activeCalls.length,
-      busyExpertsCount: busyExpertIds.size,
-      updates: updates,
-      totalExperts: allExperts.length
+      activeCallsCount: report.signalledCalls !== null ? report.signalledCalls : report.signalledExperts,
+      busyExpertsCount: report.signalledExperts,
+      updates,
+      totalExperts: report.checked.experts,
+      reportId: report._id
     });
   } catch (error) {
     console.error('Sync busy status error:', error);
@@ -724,7 +950,7 @@ router.post('/admin/sync-busy-status', adminAuth, async (req, res) => {
 // HEARTBEAT ENDPOINT: Sync expert online status with socket server
 // NOTE: This endpoint now only logs discrepancies but does NOT automatically mark experts offline
 // Expert status is only controlled by their toggle button and disconnect events
-router.post('/sync-online-status', async (req, res) => {
+router.post('/sync-online-status', internalAuth, async (req, res) => {
   try {
     const { onlineExpertIds, timestamp } = req.body;
 
@@ -834,7 +1060,7 @@ router.put('/:id/status', auth, async (req, res) => {
 });
 
 // HEARTBEAT ENDPOINT: Sync expert online status with socket server
-router.post('/sync-online-status', async (req, res) => {
+router.post('/sync-online-status', internalAuth, async (req, res) => {
   try {
     const { onlineExpertIds, timestamp } = req.body;
 
@@ -0,0 +1,176 @@
+const express = require('express');
+const GroupSession = require('../models/GroupSession');
+const User = require('../models/User');
+const { auth, expertAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const groupSessionService = require('../services/groupSessionService');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'SESSION_NOT_FOUND':
+    case 'EXPERT_NOT_FOUND':
+    case 'USER_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+    case 'NOT_JOINED':
+      return 403;
+    case 'SESSION_FULL':
+    case 'SESSION_CLOSED':
+    case 'ALREADY_JOINED':
+    case 'INVALID_SESSION_STATE':
+    case 'EXPERT_BUSY':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// List upcoming and live sessions (public)
+router.get('/', async (req, res) => {
+  try {
+    const { expertId, page, limit } = req.query;
+    const result = await groupSessionService.listOpenSessions({ expertId, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('List group sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sessions', sessions: [] });
+  }
+});
+
+// Sessions the current user has joined
+router.get('/my', auth, async (req, res) => {
+  try {
+    const sessions = await groupSessionService.getUserSessions(req.user._id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Get my group sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sessions', sessions: [] });
+  }
+});
+
+// Sessions hosted by the current expert, with attendees and earnings (expert only)
+router.get('/expert/me', expertAuth, async (req, res) => {
+  try {
+    const sessions = await groupSessionService.getHostedSessions(req.user._id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Get hosted group sessions error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Create a session (expert only)
+router.post('/', expertAuth, async (req, res) => {
+  try {
+    const session = await groupSessionService.createSession(req.user._id, req.body);
+    res.status(201).json({ success: true, message: 'Session created', session });
+  } catch (error) {
+    console.error('Create group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Get a session (public)
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const session = await GroupSession.findById(req.params.sessionId)
+      .populate({ path: 'expert', select: 'user title rating', populate: { path: 'user', select: 'name avatar' } })
+      .lean();
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({ success: true, session: groupSessionService.toPublicSession(session) });
+  } catch (error) {
+    console.error('Get group session error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch session' });
+  }
+});
+
+// Join a session and pay for the seat
+router.post('/:sessionId/join', auth, idempotent, async (req, res) => {
+  try {
+    // Check blockage (same rules as instant calls)
+    const session = await GroupSession.findById(req.params.sessionId).populate('expert', 'user');
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    const expertUser = await User.findById(session.expert.user);
+    if (!expertUser) {
+      return res.status(404).json({ success: false, message: 'Expert user not found' });
+    }
+    if (req.user.blockedUsers && req.user.blockedUsers.includes(expertUser._id)) {
+      return res.status(403).json({ success: false, message: 'You have blocked this expert' });
+    }
+    if (expertUser.blockedUsers && expertUser.blockedUsers.includes(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You are blocked by this expert' });
+    }
+
+    const result = await groupSessionService.joinSession(req.user._id, session._id);
+    res.status(201).json({
+      success: true,
+      message: 'Joined session',
+      session: groupSessionService.toPublicSession(result.session),
+      tokensPaid: result.tokensPaid,
+      newBalance: result.tokensAfter
+    });
+  } catch (error) {
+    console.error('Join group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Give up a seat before the session starts (full refund)
+router.delete('/:sessionId/join', auth, async (req, res) => {
+  try {
+    const refunded = await groupSessionService.leaveSession(req.user._id, req.params.sessionId);
+    res.json({ success: true, message: 'Left session', refunded });
+  } catch (error) {
+    console.error('Leave group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Go live (expert only)
+router.put('/:sessionId/start', expertAuth, async (req, res) => {
+  try {
+    const session = await groupSessionService.startSession(req.user._id, req.params.sessionId);
+    res.json({ success: true, message: 'Session started', session });
+  } catch (error) {
+    console.error('Start group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// End a live session and collect earnings (expert only)
+router.put('/:sessionId/end', expertAuth, async (req, res) => {
+  try {
+    const session = await groupSessionService.endSession(req.user._id, req.params.sessionId);
+    res.json({
+      success: true,
+      message: 'Session ended',
+      session,
+      totalCollected: session.totalCollected,
+      expertTokens: session.expertTokens
+    });
+  } catch (error) {
+    console.error('End group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Cancel a session before it starts; every attendee is refunded (expert only)
+router.put('/:sessionId/cancel', expertAuth, async (req, res) => {
+  try {
+    const result = await groupSessionService.cancelSession(req.user._id, req.params.sessionId);
+    res.json({ success: true, message: 'Session cancelled', session: result.session, refunded: result.refunded });
+  } catch (error) {
+    console.error('Cancel group session error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
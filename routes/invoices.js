@@ -0,0 +1,116 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const invoiceService = require('../services/invoiceService');
+const invoiceRenderer = require('../services/invoiceRenderer');
+
+const router = express.Router();
+
+const FORMATS = ['pdf', 'html'];
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'INVOICE_NOT_FOUND':
+    case 'TRANSACTION_NOT_FOUND':
+    case 'CALL_NOT_FOUND':
+    case 'NO_INVOICES':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'NOT_INVOICEABLE':
+      return 409;
+    case 'INVOICE_PENDING':
+      return 503;
+    default:
+      return 400;
+  }
+};
+
+// Send invoices as a PDF or HTML attachment
+const sendDocument = (res, format, invoices, filename, title) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (format === 'html') {
+    return res.type('html').send(invoiceRenderer.renderHtml(invoices, title));
+  }
+  res.type('application/pdf').send(invoiceRenderer.renderPdf(invoices));
+};
+
+// Current user's invoices (?from=&to=&page=&limit=); a few records not yet invoiced are issued first
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await invoiceService.listInvoices(req.user._id, req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// All invoices in a date range as one document (?from=&to=&format=pdf|html)
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be pdf or html' });
+    }
+
+    const { invoices, from, to } = await invoiceService.exportInvoices(req.user._id, req.query);
+    const lastDay = new Date(to.getTime() - 1);
+    const period = `${from.toISOString().slice(0, 10)}-to-${lastDay.toISOString().slice(0, 10)}`;
+    sendDocument(res, format, invoices, `invoices-${period}`, `Invoices ${period}`);
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Invoice for one of the user's top-ups, issued if needed
+router.get('/transaction/:transactionId', auth, async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoiceFor({ transaction: req.params.transactionId }, req.user);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Get top-up invoice error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Invoice for one of the user's completed calls, issued if needed
+router.get('/call/:callId', auth, async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoiceFor({ call: req.params.callId }, req.user);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Get call invoice error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// One invoice (owner or admin)
+router.get('/:invoiceId', auth, async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Download one invoice (?format=pdf|html, owner or admin)
+router.get('/:invoiceId/download', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be pdf or html' });
+    }
+
+    const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user);
+    sendDocument(res, format, [invoice], invoice.number, `Invoice ${invoice.number}`);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
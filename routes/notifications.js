@@ -0,0 +1,90 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'EXPERT_NOT_FOUND':
+      return 404;
+    case 'SUBSCRIPTION_LIMIT':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Get current user's notifications
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page, limit, unread } = req.query;
+    const result = await notificationService.getNotifications(req.user._id, {
+      page,
+      limit,
+      unreadOnly: unread === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch notifications', notifications: [] });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markRead(req.user._id);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mark one notification as read
+router.put('/:notificationId/read', auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markRead(req.user._id, req.params.notificationId);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get experts the current user is waiting on
+router.get('/subscriptions', auth, async (req, res) => {
+  try {
+    const subscriptions = await notificationService.getSubscriptions(req.user._id);
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch subscriptions', subscriptions: [] });
+  }
+});
+
+// Notify me when this expert is online
+router.post('/subscriptions/:expertId', auth, async (req, res) => {
+  try {
+    const subscription = await notificationService.subscribe(req.user._id, req.params.expertId);
+    res.status(201).json({ success: true, message: 'Subscribed', subscription });
+  } catch (error) {
+    console.error('Subscribe to expert error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Stop notifications for an expert
+router.delete('/subscriptions/:expertId', auth, async (req, res) => {
+  try {
+    const removed = await notificationService.unsubscribe(req.user._id, req.params.expertId);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Unsubscribe from expert error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
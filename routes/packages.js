@@ -0,0 +1,84 @@
+const express = require('express');
+const { auth, expertAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const packageService = require('../services/packageService');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'EXPERT_NOT_FOUND':
+    case 'PACKAGE_NOT_FOUND':
+      return 404;
+    default:
+      return 400;
+  }
+};
+
+// Packages the current user has bought
+router.get('/my', auth, async (req, res) => {
+  try {
+    const purchases = await packageService.getUserPurchases(req.user._id);
+    res.json({ success: true, purchases });
+  } catch (error) {
+    console.error('Get my packages error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch packages', purchases: [] });
+  }
+});
+
+// Current expert's full catalogue and sales (expert only)
+router.get('/expert/me', expertAuth, async (req, res) => {
+  try {
+    const result = await packageService.getExpertSales(req.user._id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get package sales error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Replace the current expert's catalogue (expert only)
+router.put('/expert/me', expertAuth, async (req, res) => {
+  try {
+    const packages = await packageService.updateCatalogue(req.user._id, req.body.packages);
+    res.json({ success: true, message: 'Packages updated', packages });
+  } catch (error) {
+    console.error('Update packages error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// An expert's packages on sale (public)
+router.get('/expert/:expertId', async (req, res) => {
+  try {
+    const packages = await packageService.getCatalogue(req.params.expertId);
+    res.json({ success: true, packages });
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Buy a package, paid up front from the wallet
+router.post('/purchase', auth, idempotent, async (req, res) => {
+  try {
+    const { expertId, packageId } = req.body;
+    if (!expertId || !packageId) {
+      return res.status(400).json({ success: false, message: 'Expert ID and package ID are required' });
+    }
+
+    const result = await packageService.purchasePackage(req.user._id, expertId, packageId);
+    res.status(201).json({
+      success: true,
+      message: 'Package purchased',
+      purchase: result.purchase,
+      newBalance: result.tokensAfter
+    });
+  } catch (error) {
+    console.error('Purchase package error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const { auth, expertAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const callQueue = require('../services/callQueueService');
+const { CallStateManager } = require('../services/callStateManager');
+const { CALL_TYPES } = require('../services/callTypes');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'QUEUE_ENTRY_NOT_FOUND':
+    case 'EXPERT_NOT_FOUND':
+    case 'USER_NOT_FOUND':
+      return 404;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'ALREADY_QUEUED':
+    case 'QUEUE_FULL':
+    case 'OFFER_NOT_OPEN':
+    case 'EXPERT_UNAVAILABLE':
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+// Get current user's active queue entries
+router.get('/my', auth, async (req, res) => {
+  try {
+    const entries = await callQueue.getUserEntries(req.user._id);
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Get queue entries error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch queue entries', entries: [] });
+  }
+});
+
+// Get the expert's own waiting list (expert only)
+router.get('/expert/me', expertAuth, async (req, res) => {
+  try {
+    const expert = await Expert.findOne({ user: req.user._id }).select('_id');
+    if (!expert) {
+      return res.status(404).json({ success: false, message: 'Expert profile not found' });
+    }
+
+    const queue = await callQueue.getExpertQueue(expert._id);
+    res.json({ success: true, queue });
+  } catch (error) {
+    console.error('Get expert queue error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch queue', queue: [] });
+  }
+});
+
+// Join an expert's queue
+router.post('/:expertId/join', auth, async (req, res) => {
+  try {
+    const { callType = CALL_TYPES.AUDIO } = req.body;
+
+    if (!Object.values(CALL_TYPES).includes(callType)) {
+      return res.status(400).json({ success: false, message: 'Call type must be audio or video' });
+    }
+
+    // Check blockage (same rules as instant calls)
+    const expertDoc = await Expert.findById(req.params.expertId);
+    if (!expertDoc) {
+      return res.status(404).json({ success: false, message: 'Expert not found' });
+    }
+    const expertUser = await User.findById(expertDoc.user);
+    if (!expertUser) {
+      return res.status(404).json({ success: false, message: 'Expert user not found' });
+    }
+    if (req.user.blockedUsers && req.user.blockedUsers.includes(expertUser._id)) {
+      return res.status(403).json({ success: false, message: 'You have blocked this expert' });
+    }
+    if (expertUser.blockedUsers && expertUser.blockedUsers.includes(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You are blocked by this expert' });
+    }
+
+    const entry = await callQueue.joinQueue(req.user._id, expertDoc._id, callType);
+    res.status(201).json({ success: true, message: 'Joined queue', entry });
+  } catch (error) {
+    console.error('Join queue error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Get position and estimated wait of a queue entry
+router.get('/:entryId', auth, async (req, res) => {
+  try {
+    const entry = await callQueue.getEntryStatus(req.params.entryId, req.user._id);
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Get queue entry error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Start the call from an open offer
+router.post('/:entryId/accept', auth, idempotent, async (req, res) => {
+  try {
+    const entry = await callQueue.getOwnEntry(req.params.entryId, req.user._id);
+
+    if (entry.status !== 'offered' || entry.offerExpiresAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        code: 'OFFER_NOT_OPEN',
+        message: 'There is no open offer for this queue entry'
+      });
+    }
+
+    const result = await CallStateManager.initiateCall(req.user._id, entry.expert, { callType: entry.callType });
+
+    res.json({
+      success: true,
+      message: 'Call initiated',
+      call: {
+        id: result.callId,
+        expertId: entry.expert,
+        expertName: result.expertName,
+        callType: result.callType,
+        tokensPerMinute: result.tokensPerMinute,
+        billing: result.billing
+      }
+    });
+  } catch (error) {
+    console.error('Accept queue offer error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+// Leave a queue
+router.delete('/:entryId', auth, async (req, res) => {
+  try {
+    const entry = await callQueue.leaveQueue(req.params.entryId, req.user._id);
+    res.json({ success: true, message: 'Left queue', entry });
+  } catch (error) {
+    console.error('Leave queue error:', error);
+    res.status(errorStatus(error)).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
+module.exports = router;
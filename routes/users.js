@@ -10,6 +10,9 @@ const Transaction = require('../models/Transaction');
 const Expert = require('../models/Expert');
 const Call = require('../models/Call');
 const { auth, adminAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const couponService = require('../services/couponService');
+const { REVIEW_NAME_OPTIONS } = require('../services/reviewService');
 
 const router = express.Router();
 
@@ -168,7 +171,7 @@ router.get('/check-username/:username', auth, async (req, res) => {
 // Update user profile
 router.put('/profile', auth, async (req, res) => {
   try {
-    const { name, username, phone, avatar, country, bio } = req.body;
+    const { name, username, phone, avatar, country, bio, privacy } = req.body;
     
     // Validate username if provided
     if (username) {
@@ -191,6 +194,10 @@ router.put('/profile', auth, async (req, res) => {
         return res.status(400).json({ message: 'Username must be between 3 and 30 characters' });
       }
     }
+
+    if (privacy && privacy.reviewName !== undefined && !REVIEW_NAME_OPTIONS.includes(privacy.reviewName)) {
+      return res.status(400).json({ message: `Review name must be one of: ${REVIEW_NAME_OPTIONS.join(', ')}` });
+    }
     
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -200,7 +207,8 @@ router.put('/profile', auth, async (req, res) => {
         phone, 
         avatar, 
         country, 
-        bio 
+        bio,
+        ...(privacy && privacy.reviewName !== undefined && { 'privacy.reviewName': privacy.reviewName })
       },
       { new: true }
     ).select('-password');
@@ -213,14 +221,23 @@ router.put('/profile', auth, async (req, res) => {
 });
 
 // Buy tokens for user account
-router.post('/buy-tokens', auth, async (req, res) => {
+router.post('/buy-tokens', auth, idempotent, async (req, res) => {
   try {
-    const { tokens } = req.body;
+    const { tokens, couponCode } = req.body;
     
     if (!tokens || tokens < 100) {
       return res.status(400).json({ message: 'Minimum purchase is ₹100' });
     }
 
+    // Check the coupon before taking the purchase
+    if (couponCode) {
+      try {
+        await couponService.validateCoupon(couponCode, req.user._id, { context: 'topup', amount: tokens });
+      } catch (couponError) {
+        return res.status(400).json({ code: couponError.code, message: couponError.message });
+      }
+    }
+
     const user = await User.findById(req.user._id);
     const tokensBefore = user.tokens;
     
@@ -238,10 +255,21 @@ router.post('/buy-tokens', auth, async (req, res) => {
     });
     await transaction.save();
 
+    // Bonus tokens are credited as a separate transaction
+    let bonus = null;
+    if (couponCode) {
+      try {
+        bonus = await couponService.redeemTopupCoupon(couponCode, user._id, tokens);
+      } catch (couponError) {
+        bonus = { applied: false, code: couponError.code, message: couponError.message };
+      }
+    }
+
     res.json({
       message: 'Tokens purchased successfully',
-      tokens: user.tokens,
-      transaction
+      tokens: bonus && bonus.tokensAfter !== undefined ? bonus.tokensAfter : user.tokens,
+      transaction,
+      bonus
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -292,10 +320,39 @@ router.post('/create-order', auth, async (req, res) => {
   }
 });
 
+// Credit a recorded Razorpay payment to the wallet once: the row moves from pending to completed
+// before the credit (and back if the credit fails). Returns the completed row, or null if another request did it
+const creditPayment = async (transaction) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: 'completed' } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  let before;
+  try {
+    before = await User.findByIdAndUpdate(claimed.user, { $inc: { tokens: claimed.tokens } }, { new: false });
+  } catch (error) {
+    await Transaction.updateOne({ _id: claimed._id, status: 'completed' }, { $set: { status: 'pending' } });
+    throw error;
+  }
+
+  claimed.tokensBefore = before.tokens;
+  claimed.tokensAfter = before.tokens + claimed.tokens;
+  await Transaction.updateOne(
+    { _id: claimed._id },
+    { $set: { tokensBefore: claimed.tokensBefore, tokensAfter: claimed.tokensAfter } }
+  );
+  return claimed;
+};
+
 // Verify Razorpay payment
-router.post('/verify-payment', auth, async (req, res) => {
+router.post('/verify-payment', auth, idempotent, async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, amount } = req.body;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, amount, couponCode } = req.body;
     
     // Verify signature
     const sign = razorpay_order_id + '|' + razorpay_payment_id;
@@ -307,33 +364,56 @@ router.post('/verify-payment', auth, async (req, res) => {
     if (razorpay_signature !== expectedSign) {
       return res.status(400).json({ message: 'Invalid payment signature. Payment verification failed.' });
     }
-    
-    // Payment verified, add tokens to user
-    const user = await User.findById(req.user._id);
-    const tokensBefore = user.tokens;
+
     const tokens = parseInt(amount);
-    
-    user.tokens += tokens;
-    await user.save();
-    
-    // Create transaction record
-    const transaction = new Transaction({
-      user: user._id,
-      type: 'credit',
-      tokens,
-      description: `Payment via Razorpay (${razorpay_payment_id})`,
-      tokensBefore,
-      tokensAfter: user.tokens,
-      paymentId: razorpay_payment_id,
-      orderId: razorpay_order_id
-    });
-    await transaction.save();
+
+    // Record the payment first: the unique paymentId makes this the only row that credits it
+    let transaction;
+    try {
+      transaction = await Transaction.create({
+        user: req.user._id,
+        type: 'credit',
+        tokens,
+        description: `Payment via Razorpay (${razorpay_payment_id})`,
+        status: 'pending',
+        tokensBefore: 0,
+        tokensAfter: 0,
+        paymentId: razorpay_payment_id,
+        orderId: razorpay_order_id
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) {
+        throw createError;
+      }
+      // Recorded before: finish it if an earlier attempt stopped before crediting it
+      transaction = await Transaction.findOne({ paymentId: razorpay_payment_id });
+      if (!transaction || transaction.status !== 'pending' || !transaction.user.equals(req.user._id)) {
+        return res.status(409).json({ message: 'This payment has already been credited' });
+      }
+    }
+
+    transaction = await creditPayment(transaction);
+    if (!transaction) {
+      return res.status(409).json({ message: 'This payment has already been credited' });
+    }
+    const tokensAfter = transaction.tokensAfter;
+
+    // The payment is already taken, so a coupon problem never fails the top-up
+    let bonus = null;
+    if (couponCode) {
+      try {
+        bonus = await couponService.redeemTopupCoupon(couponCode, req.user._id, transaction.tokens);
+      } catch (couponError) {
+        bonus = { applied: false, code: couponError.code, message: couponError.message };
+      }
+    }
     
     res.json({
       success: true,
       message: 'Payment verified successfully',
-      tokens: user.tokens,
-      transaction
+      tokens: bonus && bonus.tokensAfter !== undefined ? bonus.tokensAfter : tokensAfter,
+      transaction,
+      bonus
     });
   } catch (error) {
     console.error('Verify payment error:', error);
@@ -344,8 +424,13 @@ router.post('/verify-payment', auth, async (req, res) => {
 // Get user tokens
 router.get('/tokens', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('tokens');
-    res.json({ tokens: user.tokens });
+    const user = await User.findById(req.user._id).select('tokens heldTokens');
+    const held = user.heldTokens || 0;
+    res.json({
+      tokens: user.tokens,
+      held,
+      available: Math.max(0, user.tokens - held)
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
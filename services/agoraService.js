@@ -54,8 +54,35 @@ const generateChatToken = (userId, expiration = 86400) => {
   }
 };
 
+// Client media settings per call type
+const MEDIA_CONFIG = {
+  audio: {
+    audio: { profile: 'speech_standard' },
+    video: null
+  },
+  video: {
+    audio: { profile: 'music_standard' },
+    video: {
+      width: parseInt(process.env.AGORA_VIDEO_WIDTH) || 640,
+      height: parseInt(process.env.AGORA_VIDEO_HEIGHT) || 360,
+      frameRate: parseInt(process.env.AGORA_VIDEO_FRAME_RATE) || 15,
+      bitrate: parseInt(process.env.AGORA_VIDEO_BITRATE) || 800 // Kbps
+    }
+  }
+};
+
+/**
+ * Get the media configuration for a call type
+ * @param {string} callType - 'audio' or 'video'
+ * @returns {object} { callType, audio, video } (video is null for audio calls)
+ */
+const getMediaConfig = (callType = 'audio') => {
+  const type = MEDIA_CONFIG[callType] ? callType : 'audio';
+  return { callType: type, ...MEDIA_CONFIG[type] };
+};
+
 /**
- * Generate Agora RTC token for audio calling
+ * Generate Agora RTC token for audio and video calling
  * @param {string} channelName - The channel name for call
  * @param {string} uid - User ID (string representation)
  * @param {number} role - 1 for publisher, 2 for subscriber
@@ -100,6 +127,16 @@ const generateChannelName = (callId) => {
   return `call_${callId}`;
 };
 
+/**
+ * Generate channel name for a group session
+ * Format: group_{sessionId}
+ * @param {string} sessionId - The database group session ID
+ * @returns {string} Agora channel name
+ */
+const generateGroupChannelName = (sessionId) => {
+  return `group_${sessionId}`;
+};
+
 /**
  * Generate UID for Agora
  * Format: {userType}_{userId}
@@ -126,9 +163,11 @@ const parseUid = (agoraUid) => {
 
 module.exports = {
   generateRtcToken,
+  getMediaConfig,
   generateChatToken,
   getChatRtmUserId,
   generateChannelName,
+  generateGroupChannelName,
   generateUid,
   parseUid,
   AGORA_APP_ID,
@@ -0,0 +1,315 @@
+/**
+ * Availability Service
+ * Recurring weekly schedules (in the expert's timezone) with one-off exceptions.
+ * Drives automatic online/offline status and "next available window" lookups.
+ */
+
+const Expert = require('../models/Expert');
+const logger = require('./logger');
+const expertStatusManager = require('./expertStatusManager');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {String} timeZone - Timezone name (e.g. Asia/Kolkata)
+ * @returns {Boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert HH:mm to minutes since midnight
+ * @param {String} time - Time string
+ * @returns {Number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Offset (ms) between a timezone's wall clock and UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {Number} Wall clock minus UTC in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const wallClock = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  const instant = date.getTime() - date.getUTCMilliseconds();
+  return wallClock - instant;
+}
+
+/**
+ * Day of week and minutes since midnight of an instant on a timezone's wall clock
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {Object} { dayOfWeek, minutes }
+ */
+function getLocalTime(date, timeZone) {
+  const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+  return { dayOfWeek: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+}
+
+/**
+ * Convert a wall clock time in a timezone to a UTC instant
+ * @param {Number} localDayMs - UTC midnight of the local calendar day
+ * @param {Number} minutes - Minutes since local midnight
+ * @param {String} timeZone - Timezone name
+ * @returns {Date}
+ */
+function zonedTimeToUtc(localDayMs, minutes, timeZone) {
+  const guess = localDayMs + minutes * 60 * 1000;
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  // Re-check across DST boundaries
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+}
+
+/**
+ * Format a local calendar day as YYYY-MM-DD
+ * @param {Number} localDayMs - UTC midnight of the local calendar day
+ * @returns {String}
+ */
+function formatDay(localDayMs) {
+  return new Date(localDayMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether an expert has any schedule configured
+ * @param {Object} expert - Expert document
+ * @returns {Boolean}
+ */
+function hasSchedule(expert) {
+  const availability = expert && expert.availability;
+  return !!availability && (
+    (availability.weekly && availability.weekly.length > 0) ||
+    (availability.exceptions && availability.exceptions.length > 0)
+  );
+}
+
+/**
+ * Get the local time ranges that apply to one calendar day
+ * Exceptions for the day replace the weekly schedule entirely
+ * @param {Object} availability - Expert availability settings
+ * @param {Number} localDayMs - UTC midnight of the local calendar day
+ * @returns {Array<Object>} [{ startTime, endTime }]
+ */
+function getDayRanges(availability, localDayMs) {
+  const date = formatDay(localDayMs);
+  const exceptions = (availability.exceptions || []).filter(e => e.date === date);
+
+  if (exceptions.length > 0) {
+    if (exceptions.some(e => e.unavailable)) return [];
+    return exceptions.filter(e => e.startTime && e.endTime);
+  }
+
+  const dayOfWeek = new Date(localDayMs).getUTCDay();
+  return (availability.weekly || []).filter(w => w.dayOfWeek === dayOfWeek);
+}
+
+/**
+ * Get an expert's availability windows overlapping a time range
+ * @param {Object} expert - Expert document (with availability)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} Sorted windows [{ startTime, endTime }] as UTC dates
+ */
+function getWindows(expert, from, to) {
+  if (!hasSchedule(expert)) return [];
+
+  const availability = expert.availability;
+  const timeZone = availability.timezone || 'UTC';
+
+  // Walk local calendar days, padded by one on each side for timezone offsets
+  const firstDay = Math.floor((from.getTime() + getTimeZoneOffset(from, timeZone)) / DAY_MS) * DAY_MS - DAY_MS;
+  const lastDay = Math.floor((to.getTime() + getTimeZoneOffset(to, timeZone)) / DAY_MS) * DAY_MS + DAY_MS;
+
+  const windows = [];
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    for (const range of getDayRanges(availability, day)) {
+      const startTime = zonedTimeToUtc(day, toMinutes(range.startTime), timeZone);
+      const endTime = zonedTimeToUtc(day, toMinutes(range.endTime), timeZone);
+      if (endTime > from && startTime < to && endTime > startTime) {
+        windows.push({ startTime, endTime });
+      }
+    }
+  }
+
+  windows.sort((a, b) => a.startTime - b.startTime);
+
+  // Merge touching or overlapping windows
+  return windows.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.startTime <= last.endTime) {
+      if (window.endTime > last.endTime) last.endTime = window.endTime;
+    } else {
+      merged.push({ ...window });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Get the current or next availability window for an expert
+ * @param {Object} expert - Expert document (with availability)
+ * @param {Date} from - Reference time (default: now)
+ * @returns {Object|null} { startTime, endTime, timezone, isCurrent } or null
+ */
+function getNextWindow(expert, from = new Date()) {
+  const windows = getWindows(expert, from, new Date(from.getTime() + LOOKAHEAD_DAYS * DAY_MS));
+  const next = windows[0];
+  if (!next) return null;
+
+  return {
+    startTime: next.startTime,
+    endTime: next.endTime,
+    timezone: expert.availability.timezone || 'UTC',
+    isCurrent: next.startTime <= from
+  };
+}
+
+/**
+ * Check whether an instant falls inside one of the expert's windows
+ * @param {Object} expert - Expert document (with availability)
+ * @param {Date} at - Instant to check
+ * @returns {Boolean}
+ */
+function isWithinSchedule(expert, at = new Date()) {
+  return getWindows(expert, at, new Date(at.getTime() + 1)).length > 0;
+}
+
+/**
+ * Validate a list of time ranges; returns an error message or null
+ * @param {Array<Object>} ranges - Ranges with startTime/endTime
+ * @returns {String|null}
+ */
+function validateRanges(ranges) {
+  for (const range of ranges) {
+    if (!TIME_PATTERN.test(range.startTime || '') || !TIME_PATTERN.test(range.endTime || '')) {
+      return 'Times must be in HH:mm format';
+    }
+    if (toMinutes(range.endTime) <= toMinutes(range.startTime)) {
+      return 'End time must be after start time (overnight windows must be split per day)';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a weekly schedule; returns an error message or null
+ * @param {Array<Object>} weekly - [{ dayOfWeek, startTime, endTime }]
+ * @returns {String|null}
+ */
+function validateWeekly(weekly) {
+  if (!Array.isArray(weekly)) return 'Weekly schedule must be an array';
+  if (weekly.some(w => !Number.isInteger(w.dayOfWeek) || w.dayOfWeek < 0 || w.dayOfWeek > 6)) {
+    return 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)';
+  }
+  return validateRanges(weekly);
+}
+
+/**
+ * Validate a schedule exception; returns an error message or null
+ * @param {Object} exception - { date, unavailable, startTime, endTime }
+ * @returns {String|null}
+ */
+function validateException(exception) {
+  if (!exception || !DATE_PATTERN.test(exception.date || '')) {
+    return 'Exception date must be in YYYY-MM-DD format';
+  }
+  if (exception.unavailable) return null;
+  return validateRanges([exception]);
+}
+
+/**
+ * Apply scheduled online/offline transitions for experts with auto-online enabled.
+ * Only acts at window boundaries so manual toggles inside a window are respected.
+ * Should be called periodically (e.g., every minute)
+ * @returns {Promise<Object>} { wentOnline, wentOffline }
+ */
+async function syncScheduledStatuses() {
+  const summary = { wentOnline: 0, wentOffline: 0 };
+
+  try {
+    const now = new Date();
+    const experts = await Expert.find({
+      isApproved: true,
+      'availability.autoOnline': true
+    }).select('availability isOnline isBusy currentCallId');
+
+    for (const expert of experts) {
+      try {
+        const inWindow = isWithinSchedule(expert, now);
+        const lastApplied = expert.availability.scheduleState;
+
+        if (inWindow && lastApplied !== 'online') {
+          await expertStatusManager.setExpertOnline(expert._id, true, 'schedule_start');
+          await Expert.updateOne({ _id: expert._id }, { 'availability.scheduleState': 'online' });
+          summary.wentOnline += 1;
+        } else if (!inWindow && lastApplied !== 'offline') {
+          // Never cut an expert off mid-call; retry on the next run
+          if (expert.isBusy || expert.currentCallId) continue;
+
+          await expertStatusManager.setExpertOnline(expert._id, false, 'schedule_end');
+          await Expert.updateOne({ _id: expert._id }, { 'availability.scheduleState': 'offline' });
+          summary.wentOffline += 1;
+        }
+      } catch (error) {
+        logger.error(`Error applying schedule for expert ${expert._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error('Error syncing scheduled statuses:', error);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalTime,
+  hasSchedule,
+  getWindows,
+  getNextWindow,
+  isWithinSchedule,
+  validateWeekly,
+  validateException,
+  syncScheduledStatuses
+};
@@ -0,0 +1,198 @@
+/**
+ * Billing Policy
+ * Resolves how a call is charged (per-second, per-minute or N-minute blocks)
+ * and computes the charge for a given duration.
+ * Policy lookup order: expert -> first category with a policy -> platform default.
+ */
+
+const Category = require('../models/Category');
+
+const BILLING_MODES = {
+  PER_SECOND: 'per_second',
+  PER_MINUTE: 'per_minute',
+  BLOCK: 'block'
+};
+
+// Platform default: per-minute, rounded up, 1 minute minimum
+const DEFAULT_POLICY = {
+  mode: BILLING_MODES.PER_MINUTE,
+  blockMinutes: 1,
+  minimumMinutes: 1
+};
+
+/**
+ * Normalize a stored policy into a complete plain object
+ * @param {Object} policy - Policy (may be partial or a subdocument)
+ * @returns {Object} { mode, blockMinutes, minimumMinutes }
+ */
+function normalizePolicy(policy) {
+  if (!policy || !policy.mode) return { ...DEFAULT_POLICY };
+
+  return {
+    mode: policy.mode,
+    blockMinutes: policy.mode === BILLING_MODES.BLOCK ? (policy.blockMinutes || 5) : 1,
+    minimumMinutes: policy.minimumMinutes !== undefined && policy.minimumMinutes !== null
+      ? policy.minimumMinutes
+      : DEFAULT_POLICY.minimumMinutes
+  };
+}
+
+/**
+ * Validate a policy from a request body; returns an error message or null
+ * @param {Object} policy - { mode, blockMinutes, minimumMinutes }
+ * @returns {String|null}
+ */
+function validatePolicy(policy) {
+  if (policy === null) return null; // Clearing the policy (inherit)
+  if (typeof policy !== 'object') return 'Billing policy must be an object';
+
+  if (!Object.values(BILLING_MODES).includes(policy.mode)) {
+    return `Billing mode must be one of: ${Object.values(BILLING_MODES).join(', ')}`;
+  }
+  if (policy.mode === BILLING_MODES.BLOCK &&
+    (!Number.isInteger(policy.blockMinutes) || policy.blockMinutes < 1 || policy.blockMinutes > 60)) {
+    return 'Block length must be between 1 and 60 minutes';
+  }
+  if (policy.minimumMinutes !== undefined &&
+    (!Number.isInteger(policy.minimumMinutes) || policy.minimumMinutes < 0 || policy.minimumMinutes > 60)) {
+    return 'Minimum billable minutes must be between 0 and 60';
+  }
+  return null;
+}
+
+/**
+ * Resolve the billing policy in effect for an expert
+ * @param {Object} expert - Expert document
+ * @returns {Promise<Object>} Policy with its source ('expert' | 'category' | 'default')
+ */
+async function resolvePolicy(expert) {
+  if (expert.billingPolicy && expert.billingPolicy.mode) {
+    return { ...normalizePolicy(expert.billingPolicy), source: 'expert' };
+  }
+
+  const categoryIds = (expert.categories || []).map(c => c._id || c);
+  if (categoryIds.length > 0) {
+    const categories = await Category.find({
+      _id: { $in: categoryIds },
+      'billingPolicy.mode': { $ne: null }
+    }).select('billingPolicy').lean();
+
+    // Respect the expert's category order
+    for (const id of categoryIds) {
+      const category = categories.find(c => c._id.toString() === id.toString());
+      if (category && category.billingPolicy && category.billingPolicy.mode) {
+        return { ...normalizePolicy(category.billingPolicy), source: 'category', category: category._id };
+      }
+    }
+  }
+
+  return { ...DEFAULT_POLICY, source: 'default' };
+}
+
+/**
+ * Human readable description of a policy
+ * @param {Object} policy - Billing policy
+ * @returns {String}
+ */
+function describePolicy(policy) {
+  const normalized = normalizePolicy(policy);
+  const minimum = normalized.minimumMinutes > 0 ? `, ${normalized.minimumMinutes} min minimum` : '';
+
+  switch (normalized.mode) {
+    case BILLING_MODES.PER_SECOND:
+      return `per-second${minimum}`;
+    case BILLING_MODES.BLOCK:
+      return `${normalized.blockMinutes}-minute blocks${minimum}`;
+    default:
+      return `per-minute, rounded up${minimum}`;
+  }
+}
+
+const UNITS = {
+  [BILLING_MODES.PER_SECOND]: 'second',
+  [BILLING_MODES.PER_MINUTE]: 'minute',
+  [BILLING_MODES.BLOCK]: 'block'
+};
+
+/**
+ * Calculate the charge for a call duration
+ * Uncharged time (policy.freeSeconds, set on the call's billing snapshot for
+ * a free intro or a package session) is taken off the start of the call; the
+ * policy then applies to the rest.
+ * @param {Object} policy - Billing policy
+ * @param {Number} durationSeconds - Call duration
+ * @param {Number} tokensPerMinute - Rate
+ * @returns {Object} { tokens, billableSeconds, billedMinutes, units, unit, freeSeconds, summary }
+ */
+function calculateCharge(policy, durationSeconds, tokensPerMinute) {
+  const normalized = normalizePolicy(policy);
+  const elapsed = Math.max(0, Math.floor(durationSeconds || 0));
+  const freeSeconds = Math.min(elapsed, Math.max(0, (policy && policy.freeSeconds) || 0));
+  const duration = elapsed - freeSeconds;
+  const isPackage = Boolean(policy && policy.freeSource === 'package');
+  const minimumSeconds = normalized.minimumMinutes * 60;
+
+  // Still inside the uncharged time: nothing to charge, not even the minimum
+  if (freeSeconds > 0 && duration === 0) {
+    return {
+      tokens: 0,
+      billableSeconds: 0,
+      billedMinutes: 0,
+      units: 0,
+      unit: UNITS[normalized.mode],
+      freeSeconds,
+      summary: isPackage ? 'package minutes' : 'free intro'
+    };
+  }
+
+  let billableSeconds;
+  let units;
+  let unit;
+  let tokens;
+
+  switch (normalized.mode) {
+    case BILLING_MODES.PER_SECOND:
+      billableSeconds = Math.max(duration, minimumSeconds);
+      units = billableSeconds;
+      unit = 'second';
+      // Round up to whole tokens
+      tokens = Math.ceil((billableSeconds * tokensPerMinute) / 60);
+      break;
+
+    case BILLING_MODES.BLOCK: {
+      const blockSeconds = normalized.blockMinutes * 60;
+      units = Math.max(1, Math.ceil(duration / blockSeconds), Math.ceil(minimumSeconds / blockSeconds));
+      billableSeconds = units * blockSeconds;
+      unit = 'block';
+      tokens = units * normalized.blockMinutes * tokensPerMinute;
+      break;
+    }
+
+    default:
+      units = Math.max(Math.ceil(duration / 60), normalized.minimumMinutes);
+      billableSeconds = units * 60;
+      unit = 'minute';
+      tokens = units * tokensPerMinute;
+  }
+
+  return {
+    tokens,
+    billableSeconds,
+    billedMinutes: Math.ceil(billableSeconds / 60),
+    units,
+    unit,
+    freeSeconds,
+    summary: `${units} ${unit}${units === 1 ? '' : 's'} @ ${describePolicy(normalized)}` +
+      (freeSeconds > 0 ? ` after ${Math.ceil(freeSeconds / 60)} ${isPackage ? 'package' : 'free'} min` : '')
+  };
+}
+
+module.exports = {
+  BILLING_MODES,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  validatePolicy,
+  resolvePolicy,
+  describePolicy,
+  calculateCharge
+};
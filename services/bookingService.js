@@ -0,0 +1,551 @@
+/**
+ * Booking Service
+ * Scheduled consultations: free slot lookup, reservations, cancellation,
+ * rescheduling and conversion of due bookings into regular calls
+ */
+
+const Booking = require('../models/Booking');
+const BookingSlot = require('../models/BookingSlot');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const logger = require('./logger');
+const availabilityService = require('./availabilityService');
+const freeIntro = require('./freeIntro');
+const notificationService = require('./notificationService');
+const { CallStateManager, CALL_STATES } = require('./callStateManager');
+
+// Slot configuration. Default hours (UTC) apply to experts without a weekly schedule.
+const SLOT_MINUTES = 30;
+const DAY_START_HOUR = 9;
+const DAY_END_HOUR = 18;
+const MAX_BOOKING_MINUTES = 120;
+const MIN_LEAD_MINUTES = 15;       // How far ahead a slot must start to be bookable
+const MAX_ADVANCE_DAYS = 30;       // How far ahead a slot can be booked
+const MAX_RESCHEDULES = 2;
+const ACTIVATION_GRACE_MINUTES = 10; // How long a due booking keeps retrying before it expires
+
+const ACTIVE_STATUSES = ['confirmed', 'activating'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function bookingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a YYYY-MM-DD string into the UTC midnight of that day
+ * @param {String} date - Day to parse
+ * @returns {Date|null} Start of day or null when invalid
+ */
+function parseDay(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null;
+  }
+  const day = new Date(`${date}T00:00:00.000Z`);
+  return isNaN(day.getTime()) ? null : day;
+}
+
+/**
+ * Get the windows in which an expert can be booked
+ * Uses the expert's weekly schedule when set, default hours otherwise
+ * @param {Object} expert - Expert document
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} [{ startTime, endTime }]
+ */
+function getBookableWindows(expert, from, to) {
+  if (availabilityService.hasSchedule(expert)) {
+    return availabilityService.getWindows(expert, from, to);
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const windows = [];
+  for (let day = Math.floor(from.getTime() / DAY_MS) * DAY_MS; day < to.getTime(); day += DAY_MS) {
+    const startTime = new Date(day + DAY_START_HOUR * 60 * 60 * 1000);
+    const endTime = new Date(day + DAY_END_HOUR * 60 * 60 * 1000);
+    if (endTime > from && startTime < to) {
+      windows.push({ startTime, endTime });
+    }
+  }
+  return windows;
+}
+
+/**
+ * Check whether a start time and duration line up with the expert's slot grid
+ * @param {Object} expert - Expert document
+ * @param {Date} startTime - Requested start
+ * @param {Number} durationMinutes - Requested length
+ * @returns {Boolean} True if the booking fits inside a bookable window
+ */
+function fitsBookableWindows(expert, startTime, durationMinutes) {
+  const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+  const windows = getBookableWindows(expert, startTime, endTime);
+
+  return windows.some(window =>
+    window.startTime <= startTime &&
+    window.endTime >= endTime &&
+    (startTime - window.startTime) % (SLOT_MINUTES * 60 * 1000) === 0
+  );
+}
+
+/**
+ * Validate the requested booking window
+ * @param {Date} startTime - Requested start
+ * @param {Number} durationMinutes - Requested length
+ */
+function validateWindow(startTime, durationMinutes) {
+  if (!(startTime instanceof Date) || isNaN(startTime.getTime())) {
+    throw bookingError('Invalid start time', 'INVALID_START_TIME');
+  }
+
+  if (!Number.isInteger(durationMinutes) || durationMinutes <= 0 ||
+    durationMinutes % SLOT_MINUTES !== 0 || durationMinutes > MAX_BOOKING_MINUTES) {
+    throw bookingError(`Duration must be a multiple of ${SLOT_MINUTES} minutes up to ${MAX_BOOKING_MINUTES}`, 'INVALID_DURATION');
+  }
+
+  const now = Date.now();
+  if (startTime.getTime() < now + MIN_LEAD_MINUTES * 60 * 1000) {
+    throw bookingError(`Bookings must start at least ${MIN_LEAD_MINUTES} minutes from now`, 'SLOT_TOO_SOON');
+  }
+  if (startTime.getTime() > now + MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+    throw bookingError(`Bookings can be made at most ${MAX_ADVANCE_DAYS} days ahead`, 'SLOT_TOO_FAR');
+  }
+}
+
+/**
+ * Check whether an expert has no active booking overlapping a window
+ * @param {String} expertId - Expert document ID
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {String} excludeBookingId - Booking to ignore (when rescheduling)
+ * @returns {Promise<Boolean>} True if the window is free
+ */
+async function isWindowFree(expertId, startTime, endTime, excludeBookingId = null) {
+  const query = {
+    expert: expertId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const clash = await Booking.findOne(query).select('_id').lean();
+  return !clash;
+}
+
+/**
+ * Start times of the grid slots a booking occupies
+ * Bookings start on their window's slot grid, so overlapping bookings share at least one start
+ * @param {Date} startTime - Booking start
+ * @param {Number} durationMinutes - Booking length
+ * @returns {Array<Date>} One start per slot
+ */
+function slotStarts(startTime, durationMinutes) {
+  const starts = [];
+  for (let offset = 0; offset < durationMinutes; offset += SLOT_MINUTES) {
+    starts.push(new Date(startTime.getTime() + offset * 60 * 1000));
+  }
+  return starts;
+}
+
+/**
+ * Claim a booking's slots; the unique { expert, startTime } index fails the claim if any is held
+ * Slots the booking already holds (when rescheduling) are kept rather than claimed again
+ * @param {String} expertId - Expert document ID
+ * @param {String} bookingId - Booking document ID
+ * @param {Date} startTime - Booking start
+ * @param {Number} durationMinutes - Booking length
+ */
+async function claimSlots(expertId, bookingId, startTime, durationMinutes) {
+  const held = await BookingSlot.find({ booking: bookingId }).select('startTime').lean();
+  const heldTimes = new Set(held.map(slot => slot.startTime.getTime()));
+
+  const missing = slotStarts(startTime, durationMinutes).filter(start => !heldTimes.has(start.getTime()));
+  if (missing.length === 0) {
+    return;
+  }
+
+  const expiresAt = new Date(startTime.getTime() + (durationMinutes * 60 + 24 * 60 * 60) * 1000);
+  try {
+    await BookingSlot.insertMany(
+      missing.map(start => ({ expert: expertId, startTime: start, booking: bookingId, expiresAt })),
+      { ordered: true }
+    );
+  } catch (error) {
+    // Undo the part of the claim that went through before the clash
+    await BookingSlot.deleteMany({ booking: bookingId, startTime: { $in: missing } });
+    if (error.code === 11000) {
+      throw bookingError('This slot is no longer available', 'SLOT_TAKEN');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a booking's slots, optionally keeping those of its current window
+ * @param {String} bookingId - Booking document ID
+ * @param {Array<Date>} keep - Slot starts to keep
+ */
+async function releaseSlots(bookingId, keep = []) {
+  const query = { booking: bookingId };
+  if (keep.length > 0) {
+    query.startTime = { $nin: keep };
+  }
+  await BookingSlot.deleteMany(query);
+}
+
+/**
+ * Get an approved expert or throw
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Object>} Expert document
+ */
+async function getBookableExpert(expertId) {
+  const expert = await Expert.findById(expertId).populate('user', 'name');
+  if (!expert) {
+    throw bookingError('Expert not found', 'EXPERT_NOT_FOUND');
+  }
+  if (!expert.isApproved) {
+    throw bookingError('Expert is not approved', 'EXPERT_NOT_APPROVED');
+  }
+  return expert;
+}
+
+/**
+ * List free slots for an expert on a given day
+ * @param {String} expertId - Expert document ID
+ * @param {String} date - Day in YYYY-MM-DD (UTC)
+ * @returns {Promise<Object>} { date, slotMinutes, slots: [{ startTime, endTime }] }
+ */
+async function getFreeSlots(expertId, date) {
+  const day = parseDay(date);
+  if (!day) {
+    throw bookingError('Date must be in YYYY-MM-DD format', 'INVALID_DATE');
+  }
+
+  const expert = await getBookableExpert(expertId);
+
+  const dayStart = day;
+  const dayEnd = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    expert: expert._id,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: dayEnd },
+    endTime: { $gt: dayStart }
+  }).select('startTime endTime').lean();
+
+  const earliest = Date.now() + MIN_LEAD_MINUTES * 60 * 1000;
+  const latest = Date.now() + MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000;
+  const slotMs = SLOT_MINUTES * 60 * 1000;
+  const slots = [];
+
+  for (const window of getBookableWindows(expert, dayStart, dayEnd)) {
+    for (let start = window.startTime.getTime(); start + slotMs <= window.endTime.getTime(); start += slotMs) {
+      const end = start + slotMs;
+      if (start < dayStart.getTime() || start >= dayEnd.getTime()) continue;
+      if (start < earliest || start > latest) continue;
+
+      const taken = bookings.some(b => b.startTime.getTime() < end && b.endTime.getTime() > start);
+      if (!taken) {
+        slots.push({ startTime: new Date(start), endTime: new Date(end) });
+      }
+    }
+  }
+
+  return {
+    date,
+    expertId: expert._id,
+    slotMinutes: SLOT_MINUTES,
+    tokensPerMinute: expert.tokensPerMinute,
+    slots
+  };
+}
+
+/**
+ * Reserve a slot with an expert
+ * Checks the caller's balance the same way instant calls do
+ * @param {String} userId - Caller user ID
+ * @param {String} expertId - Expert document ID
+ * @param {Date} startTime - Slot start
+ * @param {Number} durationMinutes - Booking length
+ * @param {String} notes - Optional notes for the expert
+ * @returns {Promise<Object>} Created booking
+ */
+async function createBooking(userId, expertId, startTime, durationMinutes = SLOT_MINUTES, notes = '') {
+  validateWindow(startTime, durationMinutes);
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw bookingError('User not found', 'USER_NOT_FOUND');
+  }
+
+  const expert = await getBookableExpert(expertId);
+  if (expert.user && expert.user._id.toString() === userId.toString()) {
+    throw bookingError('You cannot book a session with yourself', 'SELF_BOOKING');
+  }
+
+  if (!fitsBookableWindows(expert, startTime, durationMinutes)) {
+    throw bookingError('Requested time is outside of bookable hours', 'SLOT_UNAVAILABLE');
+  }
+
+  CallStateManager.assertMinimumBalance(user, expert.tokensPerMinute, await freeIntro.getFreeMinutes(expert, userId));
+
+  const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+  const free = await isWindowFree(expert._id, startTime, endTime);
+  if (!free) {
+    throw bookingError('This slot is no longer available', 'SLOT_TAKEN');
+  }
+
+  const booking = new Booking({
+    caller: userId,
+    expert: expert._id,
+    startTime,
+    endTime,
+    durationMinutes,
+    tokensPerMinute: expert.tokensPerMinute,
+    notes: notes || ''
+  });
+
+  // The check above is only a fast path; the slot claim decides concurrent requests
+  await claimSlots(expert._id, booking._id, startTime, durationMinutes);
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseSlots(booking._id);
+    throw error;
+  }
+
+  logger.info(`Booking ${booking._id} created: user ${userId} with expert ${expert._id} at ${startTime.toISOString()}`);
+
+  return booking;
+}
+
+/**
+ * Load a booking and resolve whether the user is its caller or expert
+ * @param {String} bookingId - Booking document ID
+ * @param {String} userId - Acting user ID
+ * @returns {Promise<Object>} { booking, actor: 'user' | 'expert' }
+ */
+async function getBookingForParticipant(bookingId, userId) {
+  const booking = await Booking.findById(bookingId).populate('expert', 'user');
+  if (!booking) {
+    throw bookingError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.caller.toString() === userId.toString()) {
+    return { booking, actor: 'user' };
+  }
+  if (booking.expert && booking.expert.user && booking.expert.user.toString() === userId.toString()) {
+    return { booking, actor: 'expert' };
+  }
+
+  throw bookingError('Not authorized to manage this booking', 'UNAUTHORIZED');
+}
+
+/**
+ * Cancel an upcoming booking (caller or expert)
+ * @param {String} bookingId - Booking document ID
+ * @param {String} userId - Acting user ID
+ * @param {String} reason - Cancellation reason
+ * @returns {Promise<Object>} Updated booking
+ */
+async function cancelBooking(bookingId, userId, reason = '') {
+  const { booking, actor } = await getBookingForParticipant(bookingId, userId);
+
+  if (booking.status !== 'confirmed') {
+    throw bookingError(`Booking is already ${booking.status}`, 'BOOKING_NOT_ACTIVE');
+  }
+  if (booking.startTime.getTime() <= Date.now()) {
+    throw bookingError('Booking has already started', 'BOOKING_STARTED');
+  }
+
+  booking.status = 'cancelled';
+  booking.cancelledBy = actor;
+  booking.cancelledAt = new Date();
+  booking.cancelReason = reason || '';
+  await booking.save();
+  await releaseSlots(booking._id);
+
+  logger.info(`Booking ${booking._id} cancelled by ${actor}`);
+
+  return booking;
+}
+
+/**
+ * Move an upcoming booking to a new start time (caller only)
+ * @param {String} bookingId - Booking document ID
+ * @param {String} userId - Acting user ID
+ * @param {Date} startTime - New slot start
+ * @returns {Promise<Object>} Updated booking
+ */
+async function rescheduleBooking(bookingId, userId, startTime) {
+  const { booking, actor } = await getBookingForParticipant(bookingId, userId);
+
+  if (actor !== 'user') {
+    throw bookingError('Only the caller can reschedule a booking', 'UNAUTHORIZED');
+  }
+  if (booking.status !== 'confirmed') {
+    throw bookingError(`Booking is already ${booking.status}`, 'BOOKING_NOT_ACTIVE');
+  }
+  if (booking.startTime.getTime() <= Date.now()) {
+    throw bookingError('Booking has already started', 'BOOKING_STARTED');
+  }
+  if (booking.rescheduleCount >= MAX_RESCHEDULES) {
+    throw bookingError(`A booking can be rescheduled at most ${MAX_RESCHEDULES} times`, 'RESCHEDULE_LIMIT');
+  }
+
+  validateWindow(startTime, booking.durationMinutes);
+
+  const expert = await getBookableExpert(booking.expert._id);
+  if (!fitsBookableWindows(expert, startTime, booking.durationMinutes)) {
+    throw bookingError('Requested time is outside of bookable hours', 'SLOT_UNAVAILABLE');
+  }
+
+  const endTime = new Date(startTime.getTime() + booking.durationMinutes * 60 * 1000);
+  const free = await isWindowFree(expert._id, startTime, endTime, booking._id);
+  if (!free) {
+    throw bookingError('This slot is no longer available', 'SLOT_TAKEN');
+  }
+
+  await claimSlots(expert._id, booking._id, startTime, booking.durationMinutes);
+
+  const previousStart = booking.startTime;
+  booking.startTime = startTime;
+  booking.endTime = endTime;
+  booking.rescheduleCount += 1;
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseSlots(booking._id, slotStarts(previousStart, booking.durationMinutes));
+    throw error;
+  }
+  await releaseSlots(booking._id, slotStarts(startTime, booking.durationMinutes));
+
+  logger.info(`Booking ${booking._id} rescheduled to ${startTime.toISOString()}`);
+
+  return booking;
+}
+
+/**
+ * Expire a booking that could not be turned into a call
+ * @param {Object} booking - Booking document
+ * @param {String} reason - Why it expired
+ * @returns {Promise<Boolean>} False if the booking had already moved on (its slots are left alone)
+ */
+async function expireBooking(booking, reason) {
+  const result = await Booking.updateOne(
+    { _id: booking._id, status: 'confirmed' },
+    {
+      status: 'expired',
+      cancelledBy: 'system',
+      cancelledAt: new Date(),
+      cancelReason: reason
+    }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+  await releaseSlots(booking._id);
+  logger.warn(`Booking ${booking._id} expired: ${reason}`);
+  return true;
+}
+
+/**
+ * Turn due bookings into regular calls through the call state machine
+ * Should be called periodically (e.g., every 30 seconds)
+ * @returns {Promise<Object>} { converted, expired, pending }
+ */
+async function activateDueBookings() {
+  const summary = { converted: 0, expired: 0, pending: 0 };
+
+  try {
+    const now = new Date();
+    const dueBookings = await Booking.find({
+      status: 'confirmed',
+      startTime: { $lte: now }
+    }).sort({ startTime: 1 }).limit(50);
+
+    for (const booking of dueBookings) {
+      const graceEnd = booking.startTime.getTime() + ACTIVATION_GRACE_MINUTES * 60 * 1000;
+
+      // Claim the booking before creating its call; another instance may be activating it
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'confirmed' },
+        { status: 'activating' },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      let callId = null;
+      try {
+        const result = await CallStateManager.initiateCall(booking.caller, booking.expert, {
+          bookingId: booking._id
+        });
+        callId = result.callId;
+
+        await Booking.updateOne(
+          { _id: booking._id, status: 'activating' },
+          { status: 'converted', call: callId, lastActivationError: '' }
+        );
+
+        // Nobody dials a booked call: ring it here (expert marked busy, ring timeout scheduled)
+        await CallStateManager.setRinging(callId, { actor: 'system', reason: 'booking_activation' });
+
+        try {
+          await notificationService.notifyBookedCall(booking, result.callId);
+        } catch (notifyError) {
+          logger.error(`Failed to notify booking ${booking._id} participants:`, notifyError.message);
+        }
+
+        summary.converted += 1;
+        logger.info(`Booking ${booking._id} converted to call ${callId} (ringing)`);
+      } catch (error) {
+        // Fail the call if it was created (conditional; setRinging may have failed it already) and
+        // hand the booking back, so the next run can retry within the grace period
+        if (callId) {
+          await CallStateManager.applyTransition(callId, CALL_STATES.FAILED, {
+            actor: 'system',
+            reason: 'booking_activation_failed'
+          }).catch(failError => logger.error(`Failed to fail call ${callId} of booking ${booking._id}:`, failError.message));
+        }
+        await Booking.updateOne(
+          { _id: booking._id, status: { $in: ['activating', 'converted'] } },
+          { status: 'confirmed', call: null, lastActivationError: error.message }
+        );
+
+        const retryable = error.code === 'EXPERT_UNAVAILABLE';
+
+        if (retryable && now.getTime() < graceEnd) {
+          summary.pending += 1;
+        } else if (await expireBooking(booking, error.message)) {
+          summary.expired += 1;
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error activating due bookings:', error);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  SLOT_MINUTES,
+  DAY_START_HOUR,
+  DAY_END_HOUR,
+  getFreeSlots,
+  createBooking,
+  cancelBooking,
+  rescheduleBooking,
+  activateDueBookings
+};
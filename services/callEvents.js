@@ -0,0 +1,98 @@
+/**
+ * Call Events
+ * Live updates for a call, published on its own channel: state transitions,
+ * balance warnings and the settlement summary when a connected call ends.
+ * Streams for the caller and the expert subscribe to the same channel and
+ * are shown only their own side of the money (see viewFor).
+ */
+
+const pubsub = require('./pubsub');
+
+const EVENT_TYPES = {
+  STATE: 'state',
+  BALANCE: 'balance',
+  SETTLEMENT: 'settlement'
+};
+
+/**
+ * Channel name for a call
+ * @param {String} callId - Call document ID
+ * @returns {String}
+ */
+function channelFor(callId) {
+  return `call:${callId}`;
+}
+
+/**
+ * Publish an event for a call
+ * @param {String} callId - Call document ID
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Object} data - Event data
+ * @returns {Promise<void>}
+ */
+async function publishCallEvent(callId, type, data) {
+  await pubsub.publish(channelFor(callId), {
+    type,
+    callId: callId.toString(),
+    at: new Date().toISOString(),
+    data
+  });
+}
+
+/**
+ * Publish a status change
+ * @param {String} callId - Call document ID
+ * @param {String|null} from - Previous status
+ * @param {String} to - New status
+ * @param {Object} context - Audit context ({ actor, reason })
+ * @returns {Promise<void>}
+ */
+async function publishTransition(callId, from, to, context = {}) {
+  await publishCallEvent(callId, EVENT_TYPES.STATE, {
+    from: from || null,
+    status: to,
+    actor: context.actor || 'system',
+    reason: context.reason || ''
+  });
+}
+
+/**
+ * Subscribe to a call's events
+ * @param {String} callId - Call document ID
+ * @param {Function} handler - Called with each event
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+async function subscribeToCall(callId, handler) {
+  return pubsub.subscribe(channelFor(callId), handler);
+}
+
+/**
+ * Shape an event for one participant: settlement carries both sides' figures
+ * and each side only sees its own
+ * @param {Object} event - Published event
+ * @param {String} role - 'caller' | 'expert'
+ * @returns {Object|null} Event to send, or null to skip it
+ */
+function viewFor(event, role) {
+  if (event.type === EVENT_TYPES.BALANCE) {
+    // Warnings are about the caller's wallet; the expert sees the warning, not the balance
+    if (role === 'caller') return event;
+    const { balance, heldTokens, ...shared } = event.data;
+    return { ...event, data: shared };
+  }
+
+  if (event.type === EVENT_TYPES.SETTLEMENT) {
+    const { caller, expert, ...shared } = event.data;
+    return { ...event, data: { ...shared, ...(role === 'caller' ? caller : expert) } };
+  }
+
+  return event;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publishCallEvent,
+  publishTransition,
+  subscribeToCall,
+  viewFor
+};
@@ -0,0 +1,250 @@
+/**
+ * Call Notes Service
+ * Post-call summaries written by the expert (key points, recommendations,
+ * follow-up actions) and private notes each participant keeps on their own
+ * calls. Summaries are shared with the caller; notes are only ever returned
+ * to their author. Both can be searched by the people who can read them.
+ */
+
+const Call = require('../models/Call');
+const CallNote = require('../models/CallNote');
+const Expert = require('../models/Expert');
+
+const SUMMARY_SECTIONS = ['keyPoints', 'recommendations', 'followUps'];
+const MAX_ITEMS_PER_SECTION = 20;
+const MAX_ITEM_LENGTH = 500;
+const MAX_NOTE_LENGTH = 5000;
+const SEARCH_LIMIT = 50;
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function notesError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Load a call and work out which side of it a user is on
+ * @param {String} callId - Call document ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { call, role: 'caller' | 'expert' }
+ */
+async function getParticipation(callId, userId) {
+  const call = await Call.findById(callId).populate('expert', 'user');
+  if (!call) {
+    throw notesError('Call not found', 'CALL_NOT_FOUND');
+  }
+
+  if (call.caller.toString() === userId.toString()) {
+    return { call, role: 'caller' };
+  }
+  if (call.expert && call.expert.user && call.expert.user.toString() === userId.toString()) {
+    return { call, role: 'expert' };
+  }
+  throw notesError('You did not take part in this call', 'UNAUTHORIZED');
+}
+
+/**
+ * Validate summary sections from a request body; returns an error message or null
+ * @param {Object} data - { keyPoints, recommendations, followUps }
+ * @returns {String|null}
+ */
+function validateSummary(data) {
+  if (!data || typeof data !== 'object') return 'Summary must be an object';
+
+  let items = 0;
+  for (const section of SUMMARY_SECTIONS) {
+    const value = data[section];
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return `${section} must be a list of strings`;
+    }
+    if (value.length > MAX_ITEMS_PER_SECTION) {
+      return `${section} can have at most ${MAX_ITEMS_PER_SECTION} items`;
+    }
+    if (value.some(item => item.trim().length > MAX_ITEM_LENGTH)) {
+      return `Each item can be at most ${MAX_ITEM_LENGTH} characters`;
+    }
+    items += value.filter(item => item.trim()).length;
+  }
+
+  return items === 0 ? 'Summary needs at least one key point, recommendation or follow-up' : null;
+}
+
+/**
+ * Write or replace the summary of a completed call (the call's expert only)
+ * @param {String} userId - Expert's user ID
+ * @param {String} callId - Call document ID
+ * @param {Object} data - { keyPoints, recommendations, followUps }
+ * @returns {Promise<Object>} Summary
+ */
+async function writeSummary(userId, callId, data) {
+  const { call, role } = await getParticipation(callId, userId);
+  if (role !== 'expert') {
+    throw notesError('Only the expert can write the call summary', 'UNAUTHORIZED');
+  }
+  if (call.status !== 'completed') {
+    throw notesError('Summaries can only be written for completed calls', 'CALL_NOT_COMPLETED');
+  }
+
+  const validationError = validateSummary(data);
+  if (validationError) {
+    throw notesError(validationError, 'INVALID_SUMMARY');
+  }
+
+  const now = new Date();
+  const summary = { writtenAt: (call.summary && call.summary.writtenAt) || now, updatedAt: now };
+  for (const section of SUMMARY_SECTIONS) {
+    summary[section] = (data[section] || []).map(item => item.trim()).filter(Boolean);
+  }
+
+  await Call.updateOne({ _id: call._id }, { $set: { summary } });
+  return summary;
+}
+
+/**
+ * Get the user's own note on a call
+ * @param {String} userId - User ID
+ * @param {String} callId - Call document ID
+ * @returns {Promise<Object|null>} Note
+ */
+async function getNote(userId, callId) {
+  await getParticipation(callId, userId);
+  return CallNote.findOne({ call: callId, author: userId }).lean();
+}
+
+/**
+ * Create or replace the user's private note on a call
+ * @param {String} userId - User ID
+ * @param {String} callId - Call document ID
+ * @param {String} text - Note text
+ * @returns {Promise<Object>} Note
+ */
+async function saveNote(userId, callId, text) {
+  const { role } = await getParticipation(callId, userId);
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw notesError('Note text is required', 'INVALID_NOTE');
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw notesError(`Notes can be at most ${MAX_NOTE_LENGTH} characters`, 'INVALID_NOTE');
+  }
+
+  return CallNote.findOneAndUpdate(
+    { call: callId, author: userId },
+    { $set: { text: text.trim(), authorRole: role } },
+    { new: true, upsert: true, runValidators: true }
+  );
+}
+
+/**
+ * Delete the user's note on a call
+ * @param {String} userId - User ID
+ * @param {String} callId - Call document ID
+ * @returns {Promise<Boolean>} True if a note was removed
+ */
+async function deleteNote(userId, callId) {
+  const result = await CallNote.deleteOne({ call: callId, author: userId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Map call IDs to the user's own notes on them
+ * @param {String} userId - User ID
+ * @param {Array} callIds - Call IDs
+ * @returns {Promise<Map>} callId -> note
+ */
+async function getNotesForCalls(userId, callIds) {
+  const notes = await CallNote.find({ author: userId, call: { $in: callIds } })
+    .select('call text updatedAt')
+    .lean();
+  return new Map(notes.map(note => [note.call.toString(), note]));
+}
+
+/**
+ * Search summaries and the user's own notes on calls where they were on the given side
+ * @param {String} userId - User ID
+ * @param {String} query - Search text
+ * @param {String} as - 'caller' | 'expert'
+ * @returns {Promise<Array>} [{ call, note, matchedIn: ['summary'|'note'], score }], best match first
+ */
+async function searchNotes(userId, query, as = 'caller') {
+  if (typeof query !== 'string' || query.trim().length < 2) {
+    throw notesError('Search text must be at least 2 characters', 'INVALID_QUERY');
+  }
+
+  let callFilter = { caller: userId };
+  if (as === 'expert') {
+    const expert = await Expert.findOne({ user: userId }).select('_id');
+    if (!expert) {
+      throw notesError('Expert profile not found', 'EXPERT_NOT_FOUND');
+    }
+    callFilter = { expert: expert._id };
+  }
+
+  const text = { $search: query.trim() };
+  const [summaryHits, noteHits] = await Promise.all([
+    Call.find({ ...callFilter, $text: text }, { score: { $meta: 'textScore' } })
+      .select('_id')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_LIMIT)
+      .lean(),
+    CallNote.find({ author: userId, authorRole: as === 'expert' ? 'expert' : 'caller', $text: text }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_LIMIT)
+      .lean()
+  ]);
+
+  const hits = new Map();
+  for (const hit of summaryHits) {
+    hits.set(hit._id.toString(), { matchedIn: ['summary'], score: hit.score, note: null });
+  }
+  for (const note of noteHits) {
+    const id = note.call.toString();
+    const existing = hits.get(id);
+    if (existing) {
+      existing.matchedIn.push('note');
+      existing.score += note.score;
+      existing.note = note;
+    } else {
+      hits.set(id, { matchedIn: ['note'], score: note.score, note });
+    }
+  }
+
+  const calls = await Call.find({ _id: { $in: [...hits.keys()] } })
+    .select('caller expert callType status startTime endTime duration tokensSpent summary createdAt')
+    .populate('caller', 'name avatar')
+    .populate({ path: 'expert', select: 'user title', populate: { path: 'user', select: 'name avatar' } })
+    .lean();
+
+  // Notes that matched nothing in the summary still show alongside their call
+  const missingNotes = await getNotesForCalls(userId, calls.filter(c => !hits.get(c._id.toString()).note).map(c => c._id));
+
+  return calls
+    .map(call => {
+      const hit = hits.get(call._id.toString());
+      return {
+        call,
+        note: hit.note || missingNotes.get(call._id.toString()) || null,
+        matchedIn: hit.matchedIn,
+        score: hit.score
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  SUMMARY_SECTIONS,
+  validateSummary,
+  writeSummary,
+  getNote,
+  saveNote,
+  deleteNote,
+  getNotesForCalls,
+  searchNotes
+};
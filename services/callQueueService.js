@@ -0,0 +1,403 @@
+/**
+ * Call Queue Service
+ * FIFO waitlist per expert. When the expert is released from a call the
+ * oldest waiting user gets a time-limited offer to start the call; while an
+ * offer is open (or users are waiting) nobody else can call the expert.
+ */
+
+const QueueEntry = require('../models/QueueEntry');
+const Expert = require('../models/Expert');
+const Call = require('../models/Call');
+const logger = require('./logger');
+const jobQueue = require('./jobQueue');
+const expertStatusManager = require('./expertStatusManager');
+const callTypes = require('./callTypes');
+
+const OFFER_TTL_MS = (parseInt(process.env.CALL_QUEUE_OFFER_SECONDS) || 60) * 1000;
+const MAX_QUEUE_LENGTH = 20;
+const MAX_WAIT_MINUTES = 120;       // Waiting entries older than this expire
+const DEFAULT_CALL_MINUTES = 10;    // Used for wait estimates when the expert has no history
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function queueError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Estimate the wait for a user with `ahead` calls in front of them
+ * @param {Object} expert - Expert document
+ * @param {Number} ahead - Entries ahead in the queue
+ * @returns {Promise<Number>} Estimated wait in minutes
+ */
+async function estimateWaitMinutes(expert, ahead) {
+  const averageMinutes = expert.totalCalls > 0
+    ? Math.max(1, expert.totalMinutes / expert.totalCalls)
+    : DEFAULT_CALL_MINUTES;
+
+  // Time left on the call the expert is in now
+  let currentRemaining = 0;
+  if (expert.isBusy && expert.currentCallId) {
+    const current = await Call.findById(expert.currentCallId).select('startTime');
+    const elapsedMinutes = current && current.startTime ? (Date.now() - current.startTime) / 60000 : 0;
+    currentRemaining = Math.max(1, averageMinutes - elapsedMinutes);
+  }
+
+  return Math.ceil(currentRemaining + ahead * averageMinutes);
+}
+
+/**
+ * Describe a queue entry with its position and estimated wait
+ * @param {Object} entry - QueueEntry document
+ * @param {Object} expert - Expert document (loaded when omitted)
+ * @returns {Promise<Object>}
+ */
+async function describeEntry(entry, expert = null) {
+  const result = {
+    id: entry._id,
+    expert: entry.expert,
+    callType: entry.callType,
+    status: entry.status,
+    joinedAt: entry.createdAt,
+    position: null,
+    estimatedWaitMinutes: null,
+    offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : null,
+    call: entry.call
+  };
+
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    return result;
+  }
+
+  const ahead = await QueueEntry.countDocuments({
+    expert: entry.expert,
+    status: { $in: ACTIVE_STATUSES },
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  result.position = ahead + 1;
+  if (entry.status === 'offered') {
+    result.estimatedWaitMinutes = 0;
+  } else {
+    expert = expert || await Expert.findById(entry.expert).select('isBusy currentCallId totalCalls totalMinutes');
+    result.estimatedWaitMinutes = expert ? await estimateWaitMinutes(expert, ahead) : null;
+  }
+
+  return result;
+}
+
+/**
+ * Join an expert's queue
+ * @param {String} userId - Caller user ID
+ * @param {String} expertId - Expert document ID
+ * @param {String} callType - 'audio' | 'video'
+ * @returns {Promise<Object>} Entry with position and estimated wait
+ */
+async function joinQueue(userId, expertId, callType = callTypes.CALL_TYPES.AUDIO) {
+  const expert = await Expert.findById(expertId);
+  if (!expert) {
+    throw queueError('Expert not found', 'EXPERT_NOT_FOUND');
+  }
+  if (!expert.isApproved) {
+    throw queueError('Expert is not approved', 'EXPERT_NOT_APPROVED');
+  }
+  if (!callTypes.isCallTypeEnabled(expert, callType)) {
+    throw queueError(`Expert does not offer ${callType} calls`, 'CALL_TYPE_DISABLED');
+  }
+
+  const length = await QueueEntry.countDocuments({ expert: expertId, status: { $in: ACTIVE_STATUSES } });
+  if (length >= MAX_QUEUE_LENGTH) {
+    throw queueError('The queue for this expert is full. Please try again later.', 'QUEUE_FULL');
+  }
+
+  let entry;
+  try {
+    entry = await new QueueEntry({ expert: expertId, user: userId, callType }).save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw queueError('You are already in the queue for this expert', 'ALREADY_QUEUED');
+    }
+    throw error;
+  }
+
+  logger.info(`User ${userId} joined queue for expert ${expertId}`);
+
+  // The expert may already be free (e.g. the queue was empty)
+  await offerNext(expertId);
+
+  const fresh = await QueueEntry.findById(entry._id);
+  return describeEntry(fresh, expert);
+}
+
+/**
+ * Load an entry owned by a user
+ * @param {String} entryId - QueueEntry ID
+ * @param {String} userId - Owner user ID
+ * @returns {Promise<Object>}
+ */
+async function getOwnEntry(entryId, userId) {
+  const entry = await QueueEntry.findById(entryId);
+  if (!entry) {
+    throw queueError('Queue entry not found', 'QUEUE_ENTRY_NOT_FOUND');
+  }
+  if (entry.user.toString() !== userId.toString()) {
+    throw queueError('Not authorized to access this queue entry', 'UNAUTHORIZED');
+  }
+  return entry;
+}
+
+/**
+ * Get a user's entry with its position and estimated wait
+ * @param {String} entryId - QueueEntry ID
+ * @param {String} userId - Owner user ID
+ * @returns {Promise<Object>}
+ */
+async function getEntryStatus(entryId, userId) {
+  const entry = await getOwnEntry(entryId, userId);
+  return describeEntry(entry);
+}
+
+/**
+ * Get all active entries of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function getUserEntries(userId) {
+  const entries = await QueueEntry.find({ user: userId, status: { $in: ACTIVE_STATUSES } })
+    .sort({ createdAt: 1 });
+  return Promise.all(entries.map(entry => describeEntry(entry)));
+}
+
+/**
+ * Get the active queue of an expert in order
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Array>}
+ */
+async function getExpertQueue(expertId) {
+  return QueueEntry.find({ expert: expertId, status: { $in: ACTIVE_STATUSES } })
+    .populate('user', 'name avatar')
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+/**
+ * Leave a queue; an open offer passes to the next user
+ * @param {String} entryId - QueueEntry ID
+ * @param {String} userId - Owner user ID
+ * @returns {Promise<Object>} Updated entry
+ */
+async function leaveQueue(entryId, userId) {
+  const entry = await getOwnEntry(entryId, userId);
+
+  const closed = await QueueEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+    { status: 'left', closedAt: new Date(), closeReason: 'left_by_user' },
+    { new: true }
+  );
+  if (!closed) {
+    return entry; // Already closed
+  }
+
+  if (entry.status === 'offered') {
+    await jobQueue.cancel(`queue-offer:${entry._id}`);
+    await offerNext(entry.expert);
+  }
+
+  logger.info(`User ${userId} left queue for expert ${entry.expert}`);
+  return closed;
+}
+
+/**
+ * Close an open offer whose time is up
+ * @param {String} expertId - Expert document ID (all stale offers when omitted)
+ * @returns {Promise<Number>} Offers expired
+ */
+async function expireStaleOffers(expertId = null) {
+  const result = await QueueEntry.updateMany(
+    {
+      ...(expertId && { expert: expertId }),
+      status: 'offered',
+      offerExpiresAt: { $lte: new Date() }
+    },
+    { status: 'expired', closedAt: new Date(), closeReason: 'offer_expired' }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Offer the expert to the oldest waiting user if the expert is free
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Object|null>} Offered entry
+ */
+async function offerNext(expertId) {
+  const available = await expertStatusManager.isExpertAvailable(expertId);
+  if (!available) {
+    return null;
+  }
+
+  // A call may have been created for the expert but not started ringing yet
+  const pendingCall = await Call.exists({
+    expert: expertId,
+    status: { $in: ['initiated', 'ringing', 'accepted', 'ongoing'] }
+  });
+  if (pendingCall) {
+    return null;
+  }
+
+  await expireStaleOffers(expertId);
+
+  const now = new Date();
+  let entry;
+  try {
+    entry = await QueueEntry.findOneAndUpdate(
+      { expert: expertId, status: 'waiting' },
+      { status: 'offered', offeredAt: now, offerExpiresAt: new Date(now.getTime() + OFFER_TTL_MS) },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null; // Another offer is already open
+    }
+    throw error;
+  }
+
+  if (!entry) {
+    return null;
+  }
+
+  await jobQueue.schedule(
+    'queue-offer-expiry',
+    entry.offerExpiresAt,
+    { entryId: entry._id.toString() },
+    { key: `queue-offer:${entry._id}` }
+  );
+
+  logger.info(`Offered expert ${expertId} to queued user ${entry.user} until ${entry.offerExpiresAt.toISOString()}`);
+  return entry;
+}
+
+/**
+ * Job handler: expire an offer that was not taken up and offer the next user
+ * @param {Object} payload - { entryId }
+ */
+async function handleOfferExpiryJob(payload) {
+  const entry = await QueueEntry.findOneAndUpdate(
+    { _id: payload.entryId, status: 'offered', offerExpiresAt: { $lte: new Date() } },
+    { status: 'expired', closedAt: new Date(), closeReason: 'offer_expired' },
+    { new: true }
+  );
+
+  if (entry) {
+    logger.info(`Queue offer ${entry._id} expired`);
+    await offerNext(entry.expert);
+  }
+}
+
+/**
+ * Make sure a caller may take the expert's next turn
+ * Throws EXPERT_UNAVAILABLE when the expert is reserved for someone in the queue
+ * @param {String} expertId - Expert document ID
+ * @param {String} userId - Caller user ID
+ * @returns {Promise<Object|null>} The caller's open offer, if any
+ */
+async function claimTurn(expertId, userId) {
+  const offered = await QueueEntry.findOne({
+    expert: expertId,
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() }
+  });
+
+  if (offered) {
+    if (offered.user.toString() === userId.toString()) {
+      return offered;
+    }
+    throw queueError('Expert is reserved for the next caller in the queue. Please join the queue.', 'EXPERT_UNAVAILABLE');
+  }
+
+  const waiting = await QueueEntry.exists({ expert: expertId, status: 'waiting' });
+  if (waiting) {
+    throw queueError('Other users are waiting for this expert. Please join the queue.', 'EXPERT_UNAVAILABLE');
+  }
+
+  return null;
+}
+
+/**
+ * Close an offer once its call has been created
+ * @param {String} entryId - QueueEntry ID
+ * @param {String} callId - Call document ID
+ */
+async function markAccepted(entryId, callId) {
+  await QueueEntry.updateOne(
+    { _id: entryId, status: 'offered' },
+    { status: 'accepted', call: callId, closedAt: new Date(), closeReason: 'call_started' }
+  );
+  await jobQueue.cancel(`queue-offer:${entryId}`);
+}
+
+/**
+ * Expire stale offers and long waits, and offer free experts to their queues
+ * Should be called periodically (e.g., every 30 seconds)
+ * @returns {Promise<Object>} { expiredOffers, expiredWaits, offered }
+ */
+async function processQueues() {
+  const summary = { expiredOffers: 0, expiredWaits: 0, offered: 0 };
+
+  try {
+    summary.expiredOffers = await expireStaleOffers();
+
+    const waitResult = await QueueEntry.updateMany(
+      { status: 'waiting', createdAt: { $lt: new Date(Date.now() - MAX_WAIT_MINUTES * 60 * 1000) } },
+      { status: 'expired', closedAt: new Date(), closeReason: 'wait_expired' }
+    );
+    summary.expiredWaits = waitResult.modifiedCount;
+
+    // Experts may have come online or been released without a hook firing
+    const expertIds = await QueueEntry.distinct('expert', { status: 'waiting' });
+    for (const expertId of expertIds) {
+      try {
+        if (await offerNext(expertId)) {
+          summary.offered += 1;
+        }
+      } catch (error) {
+        logger.error(`Error offering queue for expert ${expertId}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error('Error processing call queues:', error);
+  }
+
+  return summary;
+}
+
+/**
+ * Register the offer expiry job handler and the expert availability hook
+ */
+function registerHooks() {
+  jobQueue.registerHandler('queue-offer-expiry', handleOfferExpiryJob);
+  expertStatusManager.onExpertAvailable(expertId => offerNext(expertId));
+}
+
+module.exports = {
+  OFFER_TTL_MS,
+  MAX_QUEUE_LENGTH,
+  joinQueue,
+  leaveQueue,
+  getEntryStatus,
+  getUserEntries,
+  getExpertQueue,
+  getOwnEntry,
+  offerNext,
+  claimTurn,
+  markAccepted,
+  processQueues,
+  registerHooks
+};
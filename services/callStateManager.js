@@ -8,6 +8,17 @@ const User = require('../models/User');
 const Expert = require('../models/Expert');
 const Transaction = require('../models/Transaction');
 const expertStatusManager = require('./expertStatusManager');
+const billingPolicy = require('./billingPolicy');
+const walletHold = require('./walletHold');
+const jobQueue = require('./jobQueue');
+const callTypes = require('./callTypes');
+const callQueue = require('./callQueueService');
+const couponService = require('./couponService');
+const freeIntro = require('./freeIntro');
+const dynamicPricing = require('./dynamicPricing');
+const packageService = require('./packageService');
+const callEvents = require('./callEvents');
+const logger = require('./logger');
 const isExpertAvailable = expertStatusManager.isExpertAvailable;
 const setExpertBusy = expertStatusManager.setExpertBusy;
 const releaseExpertStatus = expertStatusManager.releaseExpert;
@@ -26,8 +37,9 @@ const CALL_STATES = {
 
 // Valid state transitions
 const VALID_TRANSITIONS = {
-  [CALL_STATES.INITIATED]: [CALL_STATES.RINGING, CALL_STATES.FAILED],
-  [CALL_STATES.RINGING]: [CALL_STATES.ACCEPTED, CALL_STATES.REJECTED, CALL_STATES.MISSED, CALL_STATES.FAILED],
+  // ENDED before connecting: the caller hung up first (nothing is billed)
+  [CALL_STATES.INITIATED]: [CALL_STATES.RINGING, CALL_STATES.MISSED, CALL_STATES.FAILED, CALL_STATES.ENDED],
+  [CALL_STATES.RINGING]: [CALL_STATES.ACCEPTED, CALL_STATES.REJECTED, CALL_STATES.MISSED, CALL_STATES.FAILED, CALL_STATES.ENDED],
   [CALL_STATES.ACCEPTED]: [CALL_STATES.CONNECTED, CALL_STATES.FAILED, CALL_STATES.ENDED],
   [CALL_STATES.CONNECTED]: [CALL_STATES.ENDED],
   // Terminal states (no transitions out)
@@ -37,11 +49,70 @@ const VALID_TRANSITIONS = {
   [CALL_STATES.FAILED]: []
 };
 
+// Who can cause a status change (recorded in Call.statusHistory)
+const ACTORS = ['user', 'expert', 'system', 'internal'];
+
+// Minimum balance a caller must hold before a call (in minutes of the expert's rate)
+const MIN_BALANCE_MINUTES = 5;
+
+// Share of every collected token credited to the expert (platform keeps the rest)
+const EXPERT_SHARE = 0.9;
+
+// How long a call may ring before it is marked missed
+const RING_TIMEOUT_MS = (parseInt(process.env.CALL_RING_TIMEOUT_SECONDS) || 30) * 1000;
+
 class CallStateManager {
+  /**
+   * Build a status history entry
+   * Context: { actor, actorId, service, reason }
+   */
+  static buildHistoryEntry(from, to, context = {}) {
+    return {
+      from: from || null,
+      to,
+      at: new Date(),
+      actor: ACTORS.includes(context.actor) ? context.actor : 'system',
+      actorId: context.actorId || null,
+      service: context.service || '',
+      reason: context.reason || ''
+    };
+  }
+
+  /**
+   * Map an endCall initiator ('user', 'expert', 'system_low_balance', ...) to an audit context
+   */
+  static contextFromInitiator(initiatedBy) {
+    if (initiatedBy === 'expert') {
+      return { actor: 'expert', reason: 'ended_by_expert' };
+    }
+    if (typeof initiatedBy === 'string' && initiatedBy.startsWith('system')) {
+      return { actor: 'system', reason: initiatedBy };
+    }
+    return { actor: 'user', reason: 'ended_by_user' };
+  }
+
+  /**
+   * Ensure user holds the minimum balance required to call at the given rate
+   * Free intro minutes count towards the minimum. Tokens held for other ongoing calls
+   * do not count. Throws INSUFFICIENT_BALANCE otherwise
+   */
+  static assertMinimumBalance(user, tokensPerMinute, freeMinutes = 0) {
+    const minimumTokens = tokensPerMinute * Math.max(0, MIN_BALANCE_MINUTES - freeMinutes);
+    if (walletHold.getAvailableBalance(user) < minimumTokens) {
+      const error = new Error(`Insufficient balance. Minimum ₹${minimumTokens} required`);
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+    return minimumTokens;
+  }
+
   /**
    * Initialize a new call session
+   * Options: { callType } ('audio' default or 'video'), { bookingId } when the call comes from a scheduled booking,
+   * { couponCode } for a call discount (a use is reserved now, credited when the call ends),
+   * { packagePurchaseId } to redeem a session of a prepaid package (settled when the call ends)
    */
-  static async initiateCall(userId, expertId) {
+  static async initiateCall(userId, expertId, options = {}) {
     try {
       // Validate user
       const user = await User.findById(userId);
@@ -73,30 +144,106 @@ class CallStateManager {
         throw error;
       }
 
-      // Check minimum balance (5 minutes worth)
-      const minimumTokens = expert.tokensPerMinute * 5;
-      if (user.tokens < minimumTokens) {
-        const error = new Error(`Insufficient balance. Minimum ₹${minimumTokens} required`);
-        error.code = 'INSUFFICIENT_BALANCE';
+      const callType = options.callType || callTypes.CALL_TYPES.AUDIO;
+      if (!callTypes.isCallTypeEnabled(expert, callType)) {
+        const error = new Error(`Expert does not offer ${callType} calls`);
+        error.code = 'CALL_TYPE_DISABLED';
         throw error;
       }
+      // Rate in effect now (pricing rules for peak hours, weekends, queue length)
+      const pricing = await dynamicPricing.resolveRate(expert, callType);
+      const tokensPerMinute = pricing.tokensPerMinute;
+
+      // A package session covers its included minutes and replaces the free intro
+      const purchase = options.packagePurchaseId
+        ? await packageService.getRedeemablePurchase(userId, options.packagePurchaseId, expert, callType)
+        : null;
+      const freeMinutes = purchase ? 0 : await freeIntro.getFreeMinutes(expert, userId);
+      const includedMinutes = purchase ? purchase.package.minutesPerSession : freeMinutes;
+
+      // Check minimum balance (5 minutes worth, less any free or package minutes)
+      this.assertMinimumBalance(user, tokensPerMinute, includedMinutes);
+
+      const coupon = options.couponCode
+        ? await couponService.validateCoupon(options.couponCode, userId, { context: 'call', expert })
+        : null;
+
+      // Respect the expert's queue (bookings have a reserved slot and skip it)
+      const queueEntry = options.bookingId ? null : await callQueue.claimTurn(expertId, userId);
+
+      // Snapshot the billing policy in effect so the charge can be explained later
+      const policy = await billingPolicy.resolvePolicy(expert);
 
       // Create call with INITIATED state
       const call = new Call({
         caller: userId,
         expert: expertId,
         status: CALL_STATES.INITIATED,
-        tokensPerMinute: expert.tokensPerMinute,
+        callType,
+        tokensPerMinute,
+        pricing: {
+          baseTokensPerMinute: pricing.baseTokensPerMinute,
+          multiplier: pricing.multiplier,
+          ruleId: pricing.rule ? pricing.rule.id : null,
+          ruleName: pricing.rule ? pricing.rule.name : '',
+          ruleType: pricing.rule ? pricing.rule.type : ''
+        },
+        billing: {
+          mode: policy.mode,
+          blockMinutes: policy.blockMinutes,
+          minimumMinutes: policy.minimumMinutes,
+          source: policy.source,
+          freeSeconds: includedMinutes * 60,
+          freeSource: purchase ? 'package' : (freeMinutes > 0 ? 'free_intro' : null),
+          summary: billingPolicy.describePolicy(policy)
+        },
+        packageUse: purchase
+          ? { purchase: purchase._id, name: purchase.package.name, includedMinutes }
+          : undefined,
+        booking: options.bookingId || null,
+        coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+        statusHistory: [
+          this.buildHistoryEntry(null, CALL_STATES.INITIATED, options.bookingId
+            ? { actor: 'system', reason: 'booking_activation' }
+            : { actor: 'user', actorId: userId, reason: 'initiated' })
+        ],
         createdAt: new Date()
       });
 
-      await call.save();
+      // Hold the package session and the coupon use now; the checks above do not stop two calls racing for the last one
+      if (purchase) {
+        await packageService.reserveSession(purchase._id, call._id);
+      }
+      try {
+        if (coupon) {
+          await couponService.reserveCallCoupon(coupon, userId, call._id);
+        }
+        await call.save();
+      } catch (error) {
+        if (purchase) {
+          await packageService.releaseSession(purchase._id, call._id);
+        }
+        if (coupon) {
+          await couponService.releaseCallCoupon(call._id);
+        }
+        throw error;
+      }
+
+      if (queueEntry) {
+        await callQueue.markAccepted(queueEntry._id, call._id);
+      }
 
       return {
         success: true,
         callId: call._id,
         expertName: expert.user?.name || 'Expert',
-        tokensPerMinute: expert.tokensPerMinute
+        callType,
+        tokensPerMinute,
+        pricing: call.pricing,
+        freeMinutes,
+        packageUse: purchase ? call.packageUse : null,
+        billing: call.billing,
+        couponCode: coupon ? coupon.code : null
       };
     } catch (error) {
       console.error('CallStateManager.initiateCall error:', error);
@@ -108,25 +255,39 @@ class CallStateManager {
   /**
    * Transition call to RINGING state
    */
-  static async setRinging(callId) {
+  static async setRinging(callId, context = {}) {
     try {
-      const result = await this.transitionState(callId, CALL_STATES.RINGING);
+      const result = await this.transitionState(callId, CALL_STATES.RINGING, context);
       
       // Set expert busy when call starts ringing (using status manager)
       const call = await Call.findById(callId);
       if (call && call.expert) {
         await setExpertBusy(call.expert, true, callId);
       }
-      
+
+      // Durable ring timeout (survives restarts, runs on one instance)
+      await jobQueue.schedule(
+        'ring-timeout',
+        new Date(Date.now() + RING_TIMEOUT_MS),
+        { callId: callId.toString() },
+        { key: `ring-timeout:${callId}` }
+      );
+
       return result;
     } catch (error) {
+      // Another writer moved the call first (e.g. a duplicate ringing report); leave it as it is
+      if (error.code === 'STATE_CONFLICT') {
+        throw error;
+      }
+
       // On failure, ensure expert is released
       try {
-        const call = await Call.findById(callId);
-        if (call) {
-          await releaseExpertStatus(call.expert);
-          call.status = CALL_STATES.FAILED;
-          await call.save();
+        const failed = await this.applyTransition(callId, CALL_STATES.FAILED, {
+          actor: 'system',
+          reason: `ringing_failed: ${error.message}`
+        });
+        if (failed.success) {
+          await releaseExpertStatus(failed.call.expert);
         }
       } catch (cleanupError) {
         console.error('Cleanup error in setRinging:', cleanupError);
@@ -138,7 +299,7 @@ class CallStateManager {
   /**
    * Expert accepts call - transition to ACCEPTED
    */
-  static async acceptCall(callId, expertId) {
+  static async acceptCall(callId, expertId, context = {}) {
     try {
       const call = await Call.findById(callId).populate('expert');
       if (!call) {
@@ -151,7 +312,13 @@ class CallStateManager {
       }
 
       // Transition to accepted
-      await this.transitionState(callId, CALL_STATES.ACCEPTED);
+      await this.transitionState(callId, CALL_STATES.ACCEPTED, {
+        actor: 'expert',
+        actorId: call.expert.user,
+        reason: 'accepted',
+        ...context
+      });
+      await jobQueue.cancel(`ring-timeout:${callId}`);
 
       return { success: true, callId };
     } catch (error) {
@@ -163,7 +330,7 @@ class CallStateManager {
   /**
    * Expert rejects call - transition to REJECTED
    */
-  static async rejectCall(callId, expertId, reason = 'Expert declined') {
+  static async rejectCall(callId, expertId, reason = 'Expert declined', context = {}) {
     try {
       const call = await Call.findById(callId).populate('expert');
       if (!call) {
@@ -176,7 +343,13 @@ class CallStateManager {
       }
 
       // Transition to rejected
-      await this.transitionState(callId, CALL_STATES.REJECTED);
+      await this.transitionState(callId, CALL_STATES.REJECTED, {
+        actor: 'expert',
+        actorId: call.expert.user,
+        reason,
+        ...context
+      });
+      await jobQueue.cancel(`ring-timeout:${callId}`);
 
       // Release expert
       await this.releaseExpert(call.expert._id);
@@ -190,23 +363,41 @@ class CallStateManager {
 
   /**
    * Call connected - transition to CONNECTED and start billing
+   * Context: { actorId } of the participant reporting the connection
    */
-  static async connectCall(callId) {
+  static async connectCall(callId, context = {}) {
     try {
       const call = await Call.findById(callId);
       if (!call) {
         throw new Error('Call not found');
       }
 
-      // Transition to connected
-      call.status = CALL_STATES.CONNECTED;
-      call.startTime = new Date();
-      await call.save();
+      let actor = context.actor;
+      if (!actor) {
+        const isCaller = context.actorId && call.caller.toString() === context.actorId.toString();
+        actor = isCaller ? 'user' : (context.actorId ? 'expert' : 'system');
+      }
+
+      // Transition to connected; when both participants report the connection only the first one wins
+      const startTime = new Date();
+      const result = await this.applyTransition(
+        callId,
+        CALL_STATES.CONNECTED,
+        { reason: 'connected', ...context, actor },
+        { set: { startTime, lastHeartbeatAt: startTime } }
+      );
+      if (!result.success) {
+        return result;
+      }
+
+      // Reserve tokens so the caller cannot spend them elsewhere mid-call
+      const heldTokens = await walletHold.placeHold(result.call);
 
       return {
         success: true,
         callId,
-        startTime: call.startTime
+        startTime,
+        heldTokens
       };
     } catch (error) {
       console.error('CallStateManager.connectCall error:', error);
@@ -244,29 +435,59 @@ class CallStateManager {
       // Calculate current duration
       const now = new Date();
       const durationSeconds = Math.floor((now - call.startTime) / 1000);
-      const currentMinutes = Math.ceil(durationSeconds / 60);
-      const currentCost = currentMinutes * call.tokensPerMinute;
+      const currentCharge = billingPolicy.calculateCharge(call.billing, durationSeconds, call.tokensPerMinute);
+      const currentMinutes = currentCharge.billedMinutes;
 
-      // Calculate remaining minutes
-      const remainingTokens = user.tokens;
-      const remainingMinutes = Math.floor(remainingTokens / call.tokensPerMinute);
+      // Keep the hold ahead of the running cost
+      const heldTokens = await walletHold.extendHoldIfNeeded(call, currentCharge.tokens);
+
+      // Remaining = spendable balance + this call's hold - cost not yet billed by metering
+      const availableTokens = walletHold.getAvailableBalance(user) + ((call.hold && call.hold.tokens) || 0);
+      const unbilledCost = Math.max(0, currentCharge.tokens - (call.billedTokens || 0));
+      const remainingTokens = Math.max(0, availableTokens - unbilledCost);
+      // Free intro time still to come is covered without tokens
+      const freeSecondsLeft = Math.max(0, (call.billing.freeSeconds || 0) - durationSeconds);
+      const coveredTokens = remainingTokens + Math.floor((freeSecondsLeft * call.tokensPerMinute) / 60);
+      const remainingMinutes = Math.floor(coveredTokens / call.tokensPerMinute);
 
       // Determine warnings
       let warning = null;
-      if (remainingTokens < call.tokensPerMinute) {
+      if (coveredTokens < call.tokensPerMinute) {
         warning = 'LOW_BALANCE_CRITICAL'; // Less than 1 minute
-      } else if (remainingTokens < call.tokensPerMinute * 2) {
+      } else if (coveredTokens < call.tokensPerMinute * 2) {
         warning = 'LOW_BALANCE_1MIN'; // Less than 2 minutes
-      } else if (remainingTokens < call.tokensPerMinute * 3) {
+      } else if (coveredTokens < call.tokensPerMinute * 3) {
         warning = 'LOW_BALANCE_2MIN'; // Less than 3 minutes
       }
 
+      const shouldEnd = coveredTokens < call.tokensPerMinute;
+
+      // Push warning changes to the call's live streams; the conditional update makes one instance publish each change
+      if (warning !== (call.balanceWarning || null)) {
+        const changed = await Call.updateOne(
+          { _id: call._id, balanceWarning: call.balanceWarning || null },
+          { $set: { balanceWarning: warning } }
+        );
+        if (changed.modifiedCount > 0) {
+          await callEvents.publishCallEvent(call._id, callEvents.EVENT_TYPES.BALANCE, {
+            warning,
+            shouldEnd,
+            remainingMinutes,
+            balance: user.tokens,
+            heldTokens
+          });
+        }
+      }
+
       return {
-        shouldEnd: remainingTokens < call.tokensPerMinute,
+        shouldEnd,
         warning,
         balance: user.tokens,
+        heldTokens,
         remainingMinutes,
         currentMinutes,
+        currentCost: currentCharge.tokens,
+        freeSecondsLeft,
         costPerMinute: call.tokensPerMinute
       };
     } catch (error) {
@@ -278,8 +499,11 @@ class CallStateManager {
   /**
    * End call - calculate billing, update balances with concurrency control
    * This is the SINGLE SOURCE OF TRUTH for billing
+   * Context overrides the audit entry derived from initiatedBy ({ actor, actorId, service, reason })
+   * Only the writer whose transition to ENDED succeeds settles the call; a concurrent
+   * or repeated end gets the conflict result from applyTransition
    */
-  static async endCall(callId, initiatedBy = 'user') {
+  static async endCall(callId, initiatedBy = 'user', context = {}) {
     try {
       const call = await Call.findById(callId)
         .populate('caller')
@@ -292,117 +516,313 @@ class CallStateManager {
         throw new Error('Call not found');
       }
 
+      const audit = { ...this.contextFromInitiator(initiatedBy), ...context };
+
       // If call never connected, just mark as ended
       if (call.status !== CALL_STATES.CONNECTED) {
-        call.status = CALL_STATES.ENDED;
-        call.endTime = new Date();
-        await call.save();
+        const ended = await this.applyTransition(callId, CALL_STATES.ENDED, audit, {
+          from: [CALL_STATES.INITIATED, CALL_STATES.RINGING, CALL_STATES.ACCEPTED],
+          set: { endTime: new Date() }
+        });
+        if (!ended.success) {
+          return ended;
+        }
+        await walletHold.releaseHold(ended.call);
         await this.releaseExpert(call.expert._id);
         return { success: true, tokensSpent: 0 };
       }
 
-      // Calculate duration
-      call.endTime = new Date();
-      const durationSeconds = Math.floor((call.endTime - call.startTime) / 1000);
-      call.duration = durationSeconds;
+      // Claim the end: the conditional transition makes this the only writer that starts settlement
+      const endTime = new Date();
+      const claim = await this.applyTransition(callId, CALL_STATES.ENDED, audit, {
+        from: [CALL_STATES.CONNECTED],
+        set: {
+          endTime,
+          duration: Math.floor((endTime - call.startTime) / 1000),
+          'settlement.status': 'pending',
+          'settlement.startedAt': endTime
+        }
+      });
+      if (!claim.success) {
+        return claim;
+      }
 
-      // Calculate tokens spent (minimum 1 minute, round up)
-      const minutes = Math.max(1, Math.ceil(durationSeconds / 60));
-      const tokensSpent = minutes * call.tokensPerMinute;
-      call.tokensSpent = tokensSpent;
-      call.status = CALL_STATES.ENDED;
+      return await this.settleCall(callId, initiatedBy);
+    } catch (error) {
+      console.error('CallStateManager.endCall error:', error);
+      throw error;
+    }
+  }
 
-      await call.save();
+  /**
+   * Settle an ended call: package session, final capture, expert credit, coupon and expert stats
+   * Runs right after endCall's claim and again from the sweeper when a run was interrupted.
+   * Steps that move money are claimed before they run (the final capture on the call's hold), so
+   * a resumed or concurrent run never repeats them; the rest are idempotent. The settlement event
+   * is published once.
+   */
+  static async settleCall(callId, initiatedBy = 'system') {
+    try {
+      const call = await Call.findById(callId)
+        .populate('caller')
+        .populate({
+          path: 'expert',
+          populate: { path: 'user' }
+        });
 
-      // Deduct tokens from caller with atomic operation
-      const caller = await User.findById(call.caller._id);
-      const callerTokensBefore = caller.tokens;
+      if (!call || !call.settlement || call.settlement.status !== 'pending') {
+        return { success: false, code: 'SETTLEMENT_NOT_PENDING', callId };
+      }
+      const durationSeconds = call.duration;
 
-      // Deduct only what's available (never go negative)
-      const actualDeduction = Math.min(tokensSpent, caller.tokens);
-      
-      // Atomic update to prevent race conditions
-      const updatedCaller = await User.findByIdAndUpdate(
-        caller._id,
-        {
-          $inc: { tokens: -actualDeduction }
-        },
-        { new: true, runValidators: true }
-      );
+      // Package session reserved at initiation (taking it again for the same call returns the same value)
+      let sessionValue = 0;
+      if (call.packageUse && call.packageUse.purchase) {
+        sessionValue = await packageService.consumeSession(call.packageUse.purchase, call._id);
+        if (sessionValue === null) {
+          sessionValue = 0;
+          call.billing.freeSeconds = 0;
+          call.billing.freeSource = null;
+        } else {
+          call.packageUse.consumed = true;
+          call.packageUse.sessionValue = sessionValue;
+        }
+      }
 
-      // Ensure balance doesn't go negative
-      if (updatedCaller.tokens < 0) {
-        await User.findByIdAndUpdate(caller._id, { $set: { tokens: 0 } });
-        updatedCaller.tokens = 0;
+      // Calculate tokens spent using the call's billing policy
+      const charge = billingPolicy.calculateCharge(call.billing, durationSeconds, call.tokensPerMinute);
+      // Free and package minutes count as call time but are not charged per minute
+      const minutes = charge.billedMinutes + Math.ceil(charge.freeSeconds / 60);
+      call.billing.billableSeconds = charge.billableSeconds;
+      call.billing.units = charge.units;
+      call.billing.unit = charge.unit;
+      call.billing.summary = charge.summary;
+
+      // Only billing fields are written here; status and history were set by the transition
+      const billingUpdate = {
+        'billing.freeSeconds': call.billing.freeSeconds,
+        'billing.freeSource': call.billing.freeSource,
+        'billing.billableSeconds': charge.billableSeconds,
+        'billing.units': charge.units,
+        'billing.unit': charge.unit,
+        'billing.summary': charge.summary
+      };
+      if (call.packageUse && call.packageUse.consumed) {
+        billingUpdate['packageUse.consumed'] = true;
+        billingUpdate['packageUse.sessionValue'] = sessionValue;
       }
+      await Call.updateOne({ _id: callId }, { $set: billingUpdate });
 
-      // Create caller transaction
-      const callerTransaction = new Transaction({
-        user: caller._id,
-        type: 'debit',
-        tokens: actualDeduction,
-        description: `Call with ${call.expert.user.name} (${minutes} min)`,
-        call: call._id,
-        tokensBefore: callerTokensBefore,
-        tokensAfter: updatedCaller.tokens
-      });
-      await callerTransaction.save();
+      // Capture what metering has not billed yet and release the rest of the hold
+      // (captureHold claims the hold, so a retried run captures once; the step is marked done after it)
+      const captureCall = await Call.findById(callId).select('billedTokens hold caller settlement');
+      if (!captureCall.settlement.capturedAt) {
+        const billedBefore = captureCall.billedTokens || 0;
+        const captured = await walletHold.captureHold(captureCall, Math.max(0, charge.tokens - billedBefore));
 
-      // Credit expert (90% of tokens) with atomic operation
-      const expertTokens = Math.floor(actualDeduction * 0.9);
-      
-      const updatedExpert = await Expert.findByIdAndUpdate(
-        call.expert._id,
-        {
-          $inc: {
-            totalCalls: 1,
-            totalMinutes: minutes,
-            tokensEarned: expertTokens,
-            unclaimedTokens: expertTokens
-          },
-          $set: {
-            isBusy: false,
-            currentCallId: null
+        if (captured) {
+          // Create caller transaction for the final period
+          if (captured.captured > 0 || billedBefore === 0) {
+            await new Transaction({
+              user: call.caller._id,
+              type: 'debit',
+              tokens: captured.captured,
+              description: `Call with ${call.expert.user.name} (${charge.summary})`,
+              call: call._id,
+              tokensBefore: captured.tokensBefore,
+              tokensAfter: captured.tokensAfter
+            }).save();
           }
-        },
-        { new: true, runValidators: true }
+
+          const collected = billedBefore + captured.captured;
+          await Call.updateOne({ _id: callId }, {
+            $set: {
+              tokensSpent: collected,
+              billedTokens: collected,
+              'settlement.captured': captured.captured,
+              'settlement.released': captured.released,
+              'settlement.callerBalance': captured.tokensAfter
+            }
+          });
+        }
+        await Call.updateOne(
+          { _id: callId, 'settlement.capturedAt': null },
+          { $set: { 'settlement.capturedAt': new Date() } }
+        );
+      }
+
+      // Re-read running totals: metering ticks stop once the status is no longer ongoing
+      const totals = await Call.findById(callId).select('billedTokens expertTokens settlement');
+      const totalCollected = totals.billedTokens || 0;
+
+      // Credit the expert's remaining share (including the package session's value); only the difference is added
+      const expertTokens = await this.creditExpertEarnings(totals, totalCollected + sessionValue, 'call earnings', call);
+
+      // Credit the call coupon's discount back to the caller (platform-funded; the use reserved at
+      // initiation is redeemed once). Marked done only after it succeeds, so a failure is retried
+      if (call.coupon && call.coupon.couponId && !call.settlement.couponAt) {
+        const discount = await couponService.redeemCallCoupon(call, totalCollected);
+        if (discount) {
+          await Call.updateOne({ _id: callId }, {
+            $set: {
+              'coupon.discountTokens': discount.tokens,
+              ...(discount.tokensAfter !== undefined && { 'settlement.callerBalance': discount.tokensAfter })
+            }
+          });
+        }
+        await Call.updateOne(
+          { _id: callId, 'settlement.couponAt': null },
+          { $set: { 'settlement.couponAt': new Date() } }
+        );
+      }
+
+      // Record the finished call on the expert (claimed once)
+      const statsClaim = await Call.updateOne(
+        { _id: callId, 'settlement.statsAt': null },
+        { $set: { 'settlement.statsAt': new Date() } }
       );
+      if (statsClaim.modifiedCount > 0) {
+        await Expert.findByIdAndUpdate(
+          call.expert._id,
+          {
+            $inc: {
+              totalCalls: 1,
+              totalMinutes: minutes
+            }
+          },
+          { new: true, runValidators: true }
+        );
+      }
+      await this.releaseExpert(call.expert._id);
+
+      const settled = await Call.findOneAndUpdate(
+        { _id: callId, 'settlement.status': 'pending' },
+        { $set: { 'settlement.status': 'done', 'settlement.settledAt': new Date(), 'settlement.lastError': '' } },
+        { new: true }
+      );
+      const final = settled || await Call.findById(callId).select('coupon settlement');
+      const discountTokens = (final.coupon && final.coupon.discountTokens) || 0;
+      const callerBalance = final.settlement.callerBalance;
+
+      // Final figures for both participants' live streams (each side is shown its own), sent by the run that finished
+      if (settled) {
+        await callEvents.publishCallEvent(callId, callEvents.EVENT_TYPES.SETTLEMENT, {
+          duration: durationSeconds,
+          minutes,
+          summary: call.billing.summary,
+          caller: { tokensSpent: totalCollected, discountTokens, packageSessionValue: sessionValue, balance: callerBalance },
+          expert: { tokensEarned: expertTokens }
+        });
+      }
 
       return {
         success: true,
         callId,
         duration: durationSeconds,
         minutes,
-        tokensSpent: actualDeduction,
+        billing: call.billing,
+        packageSessionValue: sessionValue,
+        tokensSpent: totalCollected,
+        discountTokens,
         expertTokens,
-        callerBalance: updatedCaller.tokens,
+        callerBalance,
+        releasedTokens: final.settlement.released,
         initiatedBy
       };
     } catch (error) {
-      console.error('CallStateManager.endCall error:', error);
+      logger.error(`Settlement of call ${callId} failed, left pending for the sweeper:`, error.message);
+      await Call.updateOne(
+        { _id: callId, 'settlement.status': 'pending' },
+        { $inc: { 'settlement.attempts': 1 }, $set: { 'settlement.lastError': error.message } }
+      ).catch(updateError => logger.error(`Settlement bookkeeping for call ${callId} failed:`, updateError.message));
       throw error;
     }
   }
 
+  /**
+   * Credit the expert's share of everything collected so far on a call
+   * Only the difference to what was already credited is added, so this can run per tick
+   * Returns the total credited to the expert for the call
+   */
+  static async creditExpertEarnings(call, totalCollected, label = 'call earnings', populatedCall = call) {
+    const creditedBefore = call.expertTokens || 0;
+    const creditedTotal = Math.floor(totalCollected * EXPERT_SHARE);
+    const amount = creditedTotal - creditedBefore;
+
+    if (amount <= 0) {
+      return creditedBefore;
+    }
+
+    // Claim the credit on the call first so concurrent runs cannot pay twice
+    const claimed = await Call.findOneAndUpdate(
+      { _id: call._id, expertTokens: creditedBefore },
+      { $set: { expertTokens: creditedTotal } }
+    );
+    if (!claimed) {
+      const latest = await Call.findById(call._id).select('expertTokens');
+      return latest ? latest.expertTokens : creditedBefore;
+    }
+
+    const expertId = claimed.expert;
+    const before = await Expert.findByIdAndUpdate(
+      expertId,
+      { $inc: { tokensEarned: amount, unclaimedTokens: amount } },
+      { new: false }
+    ).populate('user', 'name');
+
+    if (before) {
+      const callerName = populatedCall.caller && populatedCall.caller.name ? populatedCall.caller.name : 'caller';
+      await new Transaction({
+        user: before.user._id,
+        type: 'earning',
+        tokens: amount,
+        description: `${label.charAt(0).toUpperCase()}${label.slice(1)} from call with ${callerName}`,
+        call: call._id,
+        tokensBefore: before.unclaimedTokens || 0,
+        tokensAfter: (before.unclaimedTokens || 0) + amount
+      }).save();
+    }
+
+    return creditedTotal;
+  }
+
   /**
    * Handle disconnect during call
+   * userType: 'user', 'expert', 'system' or 'internal'; context overrides the audit entry
    */
-  static async handleDisconnect(callId, userId, userType) {
+  static async handleDisconnect(callId, userId, userType, context = {}) {
     try {
       const call = await Call.findById(callId);
       if (!call) {
         return { success: true }; // Already cleaned up
       }
 
+      const audit = {
+        actor: ACTORS.includes(userType) ? userType : 'system',
+        actorId: userId || null,
+        reason: 'disconnect',
+        ...context
+      };
+
       // If call was connected, treat as normal end
       if (call.status === CALL_STATES.CONNECTED) {
-        return await this.endCall(callId, userType);
+        return await this.endCall(callId, userType, audit);
       }
 
-      // If call was not connected, mark as failed
-      call.status = CALL_STATES.FAILED;
-      call.endTime = new Date();
-      await call.save();
+      // Already finished - nothing to do
+      if ((VALID_TRANSITIONS[call.status] || []).length === 0) {
+        return { success: true, reason: 'already_ended' };
+      }
+
+      // If call was not connected, mark as failed (unless another writer moved it first)
+      const failed = await this.applyTransition(callId, CALL_STATES.FAILED, audit, {
+        from: [CALL_STATES.INITIATED, CALL_STATES.RINGING, CALL_STATES.ACCEPTED],
+        set: { endTime: new Date() }
+      });
+      if (!failed.success) {
+        return failed;
+      }
+      await walletHold.releaseHold(failed.call);
 
       // Release expert
       await this.releaseExpert(call.expert);
@@ -417,24 +837,32 @@ class CallStateManager {
   /**
    * Handle call timeout (no answer)
    */
-  static async handleTimeout(callId) {
+  static async handleTimeout(callId, context = {}) {
     try {
       const call = await Call.findById(callId);
       if (!call) {
         return { success: true };
       }
 
-      // Only timeout if still ringing
+      // Only timeout if still ringing (an accept racing the timeout wins or loses atomically)
       if (call.status === CALL_STATES.RINGING || call.status === CALL_STATES.INITIATED) {
-        call.status = CALL_STATES.MISSED;
-        call.endTime = new Date();
-        await call.save();
+        const missed = await this.applyTransition(callId, CALL_STATES.MISSED, {
+          actor: 'system',
+          reason: 'ring_timeout',
+          ...context
+        }, {
+          from: [CALL_STATES.INITIATED, CALL_STATES.RINGING],
+          set: { endTime: new Date() }
+        });
 
-        // Release expert
-        await this.releaseExpert(call.expert);
+        if (missed.success) {
+          // Release expert
+          await this.releaseExpert(call.expert);
+          return { success: true, timedOut: true };
+        }
       }
 
-      return { success: true };
+      return { success: true, timedOut: false };
     } catch (error) {
       console.error('CallStateManager.handleTimeout error:', error);
       throw error;
@@ -442,26 +870,87 @@ class CallStateManager {
   }
 
   /**
-   * Transition call state with validation
+   * Result returned to a writer whose transition lost (the call is no longer in the state it expected)
    */
-  static async transitionState(callId, newState) {
-    try {
-      const call = await Call.findById(callId);
-      if (!call) {
-        throw new Error('Call not found');
-      }
+  static conflictResult(callId, currentState, attemptedState) {
+    return {
+      success: false,
+      conflict: true,
+      code: 'STATE_CONFLICT',
+      callId,
+      currentState,
+      attemptedState,
+      message: `Call is ${currentState || 'unknown'}; cannot move to ${attemptedState}`
+    };
+  }
+
+  /**
+   * Move a call to a new state in one conditional update on its current state and version
+   * Options: { from } to restrict the states the move may start from, { set } for fields written with it
+   * Returns { success: true, oldState, newState, version, call } or conflictResult() when the
+   * transition is not allowed or another writer changed the call first
+   */
+  static async applyTransition(callId, newState, context = {}, options = {}) {
+    const current = await Call.findById(callId).select('status stateVersion');
+    if (!current) {
+      const error = new Error('Call not found');
+      error.code = 'CALL_NOT_FOUND';
+      throw error;
+    }
+
+    const allowed = (VALID_TRANSITIONS[current.status] || []).includes(newState) &&
+      (!options.from || options.from.includes(current.status));
+    if (!allowed) {
+      return this.conflictResult(callId, current.status, newState);
+    }
 
-      const currentState = call.status;
-      const validTransitions = VALID_TRANSITIONS[currentState] || [];
+    // Calls created before versioning have no stateVersion yet
+    const version = current.stateVersion || 0;
+    const updated = await Call.findOneAndUpdate(
+      { _id: callId, status: current.status, stateVersion: version === 0 ? { $in: [0, null] } : version },
+      {
+        $set: { status: newState, ...(options.set || {}) },
+        $inc: { stateVersion: 1 },
+        $push: { statusHistory: this.buildHistoryEntry(current.status, newState, context) }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const latest = await Call.findById(callId).select('status');
+      return this.conflictResult(callId, latest ? latest.status : null, newState);
+    }
 
-      if (!validTransitions.includes(newState)) {
-        throw new Error(`Invalid state transition from ${currentState} to ${newState}`);
+    // A call that finishes without connecting gives its package session and coupon use back
+    // (connected calls redeem them when settled)
+    if (VALID_TRANSITIONS[newState].length === 0 && current.status !== CALL_STATES.CONNECTED) {
+      if (updated.packageUse && updated.packageUse.purchase) {
+        await packageService.releaseSession(updated.packageUse.purchase, callId);
+      }
+      if (updated.coupon && updated.coupon.couponId) {
+        await couponService.releaseCallCoupon(callId);
       }
+    }
 
-      call.status = newState;
-      await call.save();
+    await callEvents.publishTransition(callId, current.status, newState, context);
+    return { success: true, oldState: current.status, newState, version: updated.stateVersion, call: updated };
+  }
 
-      return { success: true, oldState: currentState, newState };
+  /**
+   * Transition call state with validation and record it in the status history
+   * Context: { actor, actorId, service, reason }
+   * Throws STATE_CONFLICT when the transition is not allowed or lost to a concurrent writer
+   */
+  static async transitionState(callId, newState, context = {}) {
+    try {
+      const result = await this.applyTransition(callId, newState, context);
+      if (!result.success) {
+        const error = new Error(`Invalid state transition from ${result.currentState} to ${newState}`);
+        error.code = 'STATE_CONFLICT';
+        error.currentState = result.currentState;
+        throw error;
+      }
+
+      return { success: true, oldState: result.oldState, newState, version: result.version };
     } catch (error) {
       console.error('CallStateManager.transitionState error:', error);
       throw error;
@@ -479,6 +968,55 @@ class CallStateManager {
     }
   }
 
+  /**
+   * Get a call's summary and its full status timeline (admin / support view)
+   * Returns null if the call does not exist
+   */
+  static async getTimeline(callId) {
+    const call = await Call.findById(callId)
+      .populate('caller', 'name email')
+      .populate({ path: 'expert', select: 'user', populate: { path: 'user', select: 'name email' } })
+      .populate('statusHistory.actorId', 'name email');
+
+    if (!call) {
+      return null;
+    }
+
+    const timeline = call.statusHistory.map((entry, index) => {
+      const previous = index > 0 ? call.statusHistory[index - 1] : null;
+      return {
+        from: entry.from,
+        to: entry.to,
+        at: entry.at,
+        actor: entry.actor,
+        actorUser: entry.actorId,
+        service: entry.service,
+        reason: entry.reason,
+        // Time spent in the previous state
+        elapsedMs: previous ? entry.at - previous.at : 0
+      };
+    });
+
+    return {
+      call: {
+        id: call._id,
+        status: call.status,
+        callType: call.callType,
+        caller: call.caller,
+        expert: call.expert,
+        createdAt: call.createdAt,
+        startTime: call.startTime,
+        endTime: call.endTime,
+        duration: call.duration,
+        tokensSpent: call.tokensSpent,
+        expertTokens: call.expertTokens,
+        refundedTokens: call.refundedTokens,
+        billing: call.billing
+      },
+      timeline
+    };
+  }
+
   /**
    * Get call state
    */
@@ -498,13 +1036,15 @@ class CallStateManager {
       return {
         callId: call._id,
         status: call.status,
+        callType: call.callType,
         caller: call.caller,
         expert: call.expert,
         startTime: call.startTime,
         endTime: call.endTime,
         duration: call.duration,
         tokensSpent: call.tokensSpent,
-        tokensPerMinute: call.tokensPerMinute
+        tokensPerMinute: call.tokensPerMinute,
+        billing: call.billing
       };
     } catch (error) {
       console.error('CallStateManager.getCallState error:', error);
@@ -513,4 +1053,4 @@ class CallStateManager {
   }
 }
 
-module.exports = { CallStateManager, CALL_STATES };
+module.exports = { CallStateManager, CALL_STATES, VALID_TRANSITIONS, ACTORS, MIN_BALANCE_MINUTES, EXPERT_SHARE, RING_TIMEOUT_MS };
@@ -0,0 +1,159 @@
+/**
+ * Call Sweeper
+ * Durable ring timeouts (persistent jobs) plus a periodic sweep that finalizes
+ * stuck calls through the state machine and releases their experts.
+ */
+
+const Call = require('../models/Call');
+const Expert = require('../models/Expert');
+const GroupSession = require('../models/GroupSession');
+const logger = require('./logger');
+const jobQueue = require('./jobQueue');
+const expertStatusManager = require('./expertStatusManager');
+const { CallStateManager, CALL_STATES, RING_TIMEOUT_MS } = require('./callStateManager');
+
+// Ongoing calls without a heartbeat (client or signalling report) for this long are finalized; 0 disables the check
+const HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.CALL_HEARTBEAT_TIMEOUT_SECONDS);
+const HEARTBEAT_TIMEOUT_MS = (Number.isNaN(HEARTBEAT_TIMEOUT_SECONDS) ? 90 : HEARTBEAT_TIMEOUT_SECONDS) * 1000;
+// Accepted calls that never connect within this window are failed
+const ACCEPT_TIMEOUT_MS = 60 * 1000;
+// Busy experts without a live call are released after this grace period
+const BUSY_GRACE_MS = 2 * 60 * 1000;
+// Ended calls still settling after this long are assumed interrupted and resumed
+const SETTLEMENT_RETRY_MS = 2 * 60 * 1000;
+// Settlements failing this often are left for an admin (see settlement.lastError)
+const MAX_SETTLEMENT_ATTEMPTS = 10;
+
+const ACTIVE_STATES = [CALL_STATES.INITIATED, CALL_STATES.RINGING, CALL_STATES.ACCEPTED, CALL_STATES.CONNECTED];
+
+/**
+ * Job handler: time out a call that is still ringing
+ * @param {Object} payload - { callId }
+ */
+async function handleRingTimeoutJob(payload) {
+  const result = await CallStateManager.handleTimeout(payload.callId);
+  if (result.timedOut) {
+    logger.info(`Call ${payload.callId} missed (ring timeout)`);
+  }
+}
+
+/**
+ * Finalize calls stuck in a non-terminal state
+ * Should be called periodically (e.g., every 30 seconds)
+ * @returns {Promise<Object>} { missed, failed, ended, settled, releasedExperts }
+ */
+async function sweepStuckCalls() {
+  const summary = { missed: 0, failed: 0, ended: 0, settled: 0, releasedExperts: 0 };
+  const now = Date.now();
+
+  // 1. Ringing/initiated calls past the ring timeout (backstop for lost jobs)
+  const ringing = await Call.find({
+    status: { $in: [CALL_STATES.INITIATED, CALL_STATES.RINGING] },
+    updatedAt: { $lt: new Date(now - RING_TIMEOUT_MS) }
+  }).select('_id');
+
+  for (const call of ringing) {
+    try {
+      const result = await CallStateManager.handleTimeout(call._id);
+      if (result.timedOut) summary.missed += 1;
+    } catch (error) {
+      logger.error(`Sweeper failed to time out call ${call._id}:`, error.message);
+    }
+  }
+
+  // 2. Accepted calls that never connected
+  const accepted = await Call.find({
+    status: CALL_STATES.ACCEPTED,
+    updatedAt: { $lt: new Date(now - ACCEPT_TIMEOUT_MS) }
+  }).select('_id');
+
+  for (const call of accepted) {
+    try {
+      const result = await CallStateManager.handleDisconnect(call._id, null, 'system', { reason: 'accept_timeout' });
+      if (result.success) summary.failed += 1;
+    } catch (error) {
+      logger.error(`Sweeper failed to fail call ${call._id}:`, error.message);
+    }
+  }
+
+  // 3. Ongoing calls whose heartbeats stopped
+  const staleBefore = new Date(now - HEARTBEAT_TIMEOUT_MS);
+  const silent = HEARTBEAT_TIMEOUT_MS <= 0 ? [] : await Call.find({
+    status: CALL_STATES.CONNECTED,
+    $or: [
+      { lastHeartbeatAt: { $lt: staleBefore } },
+      { lastHeartbeatAt: null, startTime: { $lt: staleBefore } }
+    ]
+  }).select('_id');
+
+  for (const call of silent) {
+    try {
+      const result = await CallStateManager.endCall(call._id, 'system_heartbeat_timeout');
+      if (!result.success) continue;
+      summary.ended += 1;
+      logger.warn(`Call ${call._id} finalized: heartbeat timeout`);
+    } catch (error) {
+      logger.error(`Sweeper failed to end call ${call._id}:`, error.message);
+    }
+  }
+
+  // 4. Ended calls whose settlement was interrupted (steps already done are skipped)
+  const unsettled = await Call.find({
+    status: CALL_STATES.ENDED,
+    'settlement.status': 'pending',
+    'settlement.startedAt': { $lt: new Date(now - SETTLEMENT_RETRY_MS) },
+    'settlement.attempts': { $lt: MAX_SETTLEMENT_ATTEMPTS }
+  }).select('_id');
+
+  for (const call of unsettled) {
+    try {
+      const result = await CallStateManager.settleCall(call._id, 'system_settlement_retry');
+      if (!result.success) continue;
+      summary.settled += 1;
+      logger.warn(`Call ${call._id} settled on retry`);
+    } catch (error) {
+      logger.error(`Sweeper failed to settle call ${call._id}:`, error.message);
+    }
+  }
+
+  // 5. Experts marked busy without a live call or group session
+  const busyExperts = await Expert.find({
+    isBusy: true,
+    updatedAt: { $lt: new Date(now - BUSY_GRACE_MS) }
+  }).select('_id currentCallId');
+
+  for (const expert of busyExperts) {
+    try {
+      const liveCall = expert.currentCallId
+        ? await Call.exists({ _id: expert.currentCallId, status: { $in: ACTIVE_STATES } })
+        : await GroupSession.exists({ expert: expert._id, status: 'live' });
+
+      if (!liveCall) {
+        await expertStatusManager.releaseExpert(expert._id);
+        summary.releasedExperts += 1;
+      }
+    } catch (error) {
+      logger.error(`Sweeper failed to release expert ${expert._id}:`, error.message);
+    }
+  }
+
+  const changed = summary.missed + summary.failed + summary.ended + summary.settled + summary.releasedExperts;
+  if (changed > 0) {
+    logger.info('Call sweep:', JSON.stringify(summary));
+  }
+
+  return summary;
+}
+
+/**
+ * Register job handlers with the persistent queue
+ */
+function registerJobHandlers() {
+  jobQueue.registerHandler('ring-timeout', handleRingTimeoutJob);
+}
+
+module.exports = {
+  HEARTBEAT_TIMEOUT_MS,
+  registerJobHandlers,
+  sweepStuckCalls
+};
@@ -0,0 +1,103 @@
+/**
+ * Call Types
+ * Audio and video consultations are priced separately and each can be
+ * switched on or off per expert.
+ */
+
+const Call = require('../models/Call');
+
+const CALL_TYPES = {
+  AUDIO: 'audio',
+  VIDEO: 'video'
+};
+
+/**
+ * Check whether an expert offers a call type
+ * Video also needs a video rate to be set
+ * @param {Object} expert - Expert document
+ * @param {String} callType - 'audio' | 'video'
+ * @returns {Boolean}
+ */
+function isCallTypeEnabled(expert, callType) {
+  if (callType === CALL_TYPES.VIDEO) {
+    return Boolean(expert.videoEnabled && expert.videoTokensPerMinute);
+  }
+  return expert.audioEnabled !== false;
+}
+
+/**
+ * Get the per-minute rate an expert charges for a call type
+ * @param {Object} expert - Expert document
+ * @param {String} callType - 'audio' | 'video'
+ * @returns {Number}
+ */
+function getRateForCallType(expert, callType) {
+  return callType === CALL_TYPES.VIDEO ? expert.videoTokensPerMinute : expert.tokensPerMinute;
+}
+
+/**
+ * Validate call type settings from a request body; returns an error message or null
+ * @param {Object} expert - Expert document (current values)
+ * @param {Object} updates - { audioEnabled, videoEnabled, videoTokensPerMinute }
+ * @returns {String|null}
+ */
+function validateCallTypeSettings(expert, updates) {
+  const { audioEnabled, videoEnabled, videoTokensPerMinute } = updates;
+
+  if (videoTokensPerMinute !== undefined && videoTokensPerMinute !== null &&
+    (!Number.isFinite(videoTokensPerMinute) || videoTokensPerMinute < 1)) {
+    return 'Video rate must be at least 1 token per minute';
+  }
+
+  const audio = audioEnabled !== undefined ? audioEnabled : expert.audioEnabled !== false;
+  const video = videoEnabled !== undefined ? videoEnabled : Boolean(expert.videoEnabled);
+  const videoRate = videoTokensPerMinute !== undefined ? videoTokensPerMinute : expert.videoTokensPerMinute;
+
+  if (video && !videoRate) {
+    return 'Set a video rate before enabling video calls';
+  }
+  if (!audio && !video) {
+    return 'At least one call type must be enabled';
+  }
+  return null;
+}
+
+/**
+ * Completed call totals grouped by call type
+ * @param {Object} match - Call filter (e.g. { caller } or { expert })
+ * @returns {Promise<Object>} { audio: { calls, seconds, tokensSpent, expertTokens }, video: {...} }
+ */
+async function summarizeByType(match) {
+  const rows = await Call.aggregate([
+    { $match: { ...match, status: 'completed' } },
+    {
+      $group: {
+        _id: { $ifNull: ['$callType', CALL_TYPES.AUDIO] },
+        calls: { $sum: 1 },
+        seconds: { $sum: '$duration' },
+        tokensSpent: { $sum: '$tokensSpent' },
+        expertTokens: { $sum: '$expertTokens' }
+      }
+    }
+  ]);
+
+  const summary = {};
+  for (const type of Object.values(CALL_TYPES)) {
+    const row = rows.find(r => r._id === type);
+    summary[type] = {
+      calls: row ? row.calls : 0,
+      seconds: row ? row.seconds : 0,
+      tokensSpent: row ? row.tokensSpent : 0,
+      expertTokens: row ? row.expertTokens : 0
+    };
+  }
+  return summary;
+}
+
+module.exports = {
+  CALL_TYPES,
+  isCallTypeEnabled,
+  getRateForCallType,
+  validateCallTypeSettings,
+  summarizeByType
+};
@@ -0,0 +1,366 @@
+/**
+ * Coupon Service
+ * Promo codes that either add bonus tokens to a wallet top-up or discount a
+ * call's charge. Every redemption credits the user through its own
+ * Transaction and is recorded as a CouponRedemption for the usage caps.
+ * Call discounts are funded by the platform; the expert's share is unchanged.
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const logger = require('./logger');
+
+const CONTEXTS = ['topup', 'call'];
+const DISCOUNT_TYPES = ['percent', 'flat'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function couponError(message, code = 'COUPON_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize a code as entered by a user
+ * @param {String} code - Raw code
+ * @returns {String}
+ */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Validate coupon fields from an admin request; returns an error message or null
+ * @param {Object} data - Coupon fields
+ * @returns {String|null}
+ */
+function validateCouponData(data) {
+  if (!normalizeCode(data.code) || !/^[A-Z0-9_-]{3,30}$/.test(normalizeCode(data.code))) {
+    return 'Code must be 3-30 letters, digits, dashes or underscores';
+  }
+  if (!CONTEXTS.includes(data.appliesTo)) {
+    return 'appliesTo must be topup or call';
+  }
+  if (!DISCOUNT_TYPES.includes(data.discountType)) {
+    return 'discountType must be percent or flat';
+  }
+  if (!Number.isFinite(data.value) || data.value < 1 || (data.discountType === 'percent' && data.value > 100)) {
+    return 'Value must be a positive number (at most 100 for percent coupons)';
+  }
+  if (data.expiresAt && isNaN(new Date(data.expiresAt).getTime())) {
+    return 'Invalid expiry date';
+  }
+  if (data.appliesTo === 'topup' && ((data.categories || []).length || (data.experts || []).length)) {
+    return 'Category or expert scope only applies to call coupons';
+  }
+  return null;
+}
+
+/**
+ * Tokens a coupon is worth on a given amount
+ * @param {Object} coupon - Coupon document
+ * @param {Number} amount - Top-up amount or call charge
+ * @returns {Number}
+ */
+function computeBenefit(coupon, amount) {
+  if (amount < (coupon.minSpend || 0)) return 0;
+
+  let tokens = coupon.discountType === 'percent'
+    ? Math.floor((amount * coupon.value) / 100)
+    : coupon.value;
+
+  if (coupon.maxDiscount) tokens = Math.min(tokens, coupon.maxDiscount);
+  // A call discount can never exceed the charge itself
+  if (coupon.appliesTo === 'call') tokens = Math.min(tokens, amount);
+
+  return Math.max(0, tokens);
+}
+
+/**
+ * Find and check a coupon for a user
+ * @param {String} code - Coupon code
+ * @param {String} userId - User ID
+ * @param {Object} options - { context: 'topup'|'call', amount, expert }
+ * @returns {Promise<Object>} Coupon document
+ */
+async function validateCoupon(code, userId, options = {}) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code', 'COUPON_NOT_FOUND');
+  }
+  if (coupon.appliesTo !== options.context) {
+    throw couponError(coupon.appliesTo === 'call'
+      ? 'This coupon can only be used on calls'
+      : 'This coupon can only be used on wallet top-ups');
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw couponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw couponError('This coupon has expired', 'COUPON_EXPIRED');
+  }
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw couponError('This coupon has been fully redeemed', 'COUPON_EXHAUSTED');
+  }
+
+  const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  if (used >= coupon.perUserLimit) {
+    throw couponError('You have already used this coupon', 'COUPON_ALREADY_USED');
+  }
+
+  if (options.amount !== undefined && options.amount < (coupon.minSpend || 0)) {
+    throw couponError(`This coupon needs a minimum spend of ₹${coupon.minSpend}`);
+  }
+
+  if (options.expert) {
+    const expert = options.expert;
+    if (coupon.experts.length && !coupon.experts.some(id => id.toString() === expert._id.toString())) {
+      throw couponError('This coupon is not valid for this expert');
+    }
+    if (coupon.categories.length) {
+      const expertCategories = (expert.categories || []).map(c => (c._id || c).toString());
+      if (!coupon.categories.some(id => expertCategories.includes(id.toString()))) {
+        throw couponError('This coupon is not valid for this expert\'s category');
+      }
+    }
+  }
+
+  return coupon;
+}
+
+/**
+ * Take a global slot and one of the user's slots, recorded as a redemption row
+ * Throws COUPON_EXHAUSTED or COUPON_ALREADY_USED when a cap is reached
+ * @param {Object} coupon - Coupon document
+ * @param {String} userId - User ID
+ * @param {Object} fields - Redemption fields { status, context, baseAmount, tokens, call }
+ * @returns {Promise<Object|null>} Redemption document, or null if the call already has one
+ */
+async function claimSlots(coupon, userId, fields) {
+  // Take a slot under the global cap atomically
+  const slot = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      ...(coupon.maxRedemptions && { redemptionCount: { $lt: coupon.maxRedemptions } })
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!slot) {
+    throw couponError('This coupon has been fully redeemed', 'COUPON_EXHAUSTED');
+  }
+
+  // Take the user's next slot; the unique { coupon, user, slot } index gives each one to a single request
+  try {
+    for (;;) {
+      const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+      if (used >= coupon.perUserLimit) {
+        throw couponError('You have already used this coupon', 'COUPON_ALREADY_USED');
+      }
+      try {
+        return await new CouponRedemption({ coupon: coupon._id, user: userId, slot: used + 1, ...fields }).save();
+      } catch (error) {
+        // Slot taken by a concurrent redemption; count again
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.slot) continue;
+        throw error;
+      }
+    }
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    if (error.code === 11000) {
+      return null; // Already claimed for this call
+    }
+    throw error;
+  }
+}
+
+/**
+ * Credit a redemption's tokens to the user and link the ledger row to it
+ * @param {Object} coupon - Coupon document
+ * @param {String} userId - User ID
+ * @param {Object} redemption - Redemption document
+ * @param {String} description - Transaction description
+ * @param {Function} onCreditFailed - Runs before rethrowing when the wallet could not be credited (optional)
+ * @returns {Promise<Object>} { tokens, transaction, tokensAfter }
+ */
+async function creditRedemption(coupon, userId, redemption, description, onCreditFailed = null) {
+  const tokens = redemption.tokens;
+  let before;
+  try {
+    before = await User.findByIdAndUpdate(userId, { $inc: { tokens } }, { new: false });
+  } catch (error) {
+    if (onCreditFailed) await onCreditFailed();
+    throw error;
+  }
+  const tokensBefore = before ? before.tokens : 0;
+
+  const transaction = await new Transaction({
+    user: userId,
+    type: 'credit',
+    tokens,
+    description,
+    call: redemption.call || undefined,
+    coupon: coupon._id,
+    tokensBefore,
+    tokensAfter: tokensBefore + tokens
+  }).save();
+
+  await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { transaction: transaction._id } });
+
+  logger.info(`Coupon ${coupon.code} redeemed by user ${userId} for ${tokens} tokens`);
+  return { tokens, transaction, tokensAfter: tokensBefore + tokens };
+}
+
+/**
+ * Record a redemption: take a global slot and one of the user's slots, credit the user and write the ledger rows
+ * Throws COUPON_EXHAUSTED or COUPON_ALREADY_USED when a cap is reached
+ * @param {Object} coupon - Coupon document
+ * @param {String} userId - User ID
+ * @param {Object} details - { context, baseAmount, tokens, description, callId }
+ * @returns {Promise<Object|null>} { tokens, transaction, tokensAfter } or null if the call already used a coupon
+ */
+async function recordRedemption(coupon, userId, details) {
+  const redemption = await claimSlots(coupon, userId, {
+    context: details.context,
+    baseAmount: details.baseAmount,
+    tokens: details.tokens,
+    call: details.callId || null
+  });
+  if (!redemption) {
+    return null;
+  }
+  return creditRedemption(coupon, userId, redemption, details.description);
+}
+
+/**
+ * Hold a use of a call coupon for a call that is starting
+ * The caps are claimed now, so the discount promised at the start is still there when the call ends.
+ * Throws COUPON_EXHAUSTED or COUPON_ALREADY_USED when a cap is reached
+ * @param {Object} coupon - Coupon document
+ * @param {String} userId - Caller user ID
+ * @param {String} callId - Call document ID
+ */
+async function reserveCallCoupon(coupon, userId, callId) {
+  await claimSlots(coupon, userId, { status: 'reserved', context: 'call', baseAmount: 0, tokens: 0, call: callId });
+}
+
+/**
+ * Give back the coupon use reserved by a call that ended without a discount
+ * Safe to repeat; does nothing once the use was redeemed or released.
+ * @param {String} callId - Call document ID
+ */
+async function releaseCallCoupon(callId) {
+  const released = await CouponRedemption.findOneAndDelete({ call: callId, status: 'reserved' });
+  if (released) {
+    await Coupon.updateOne({ _id: released.coupon }, { $inc: { redemptionCount: -1 } });
+  }
+}
+
+/**
+ * Apply a top-up coupon after the top-up has been credited
+ * @param {String} code - Coupon code
+ * @param {String} userId - User ID
+ * @param {Number} amount - Top-up amount
+ * @returns {Promise<Object>} { code, tokens, transaction, tokensAfter }
+ */
+async function redeemTopupCoupon(code, userId, amount) {
+  const coupon = await validateCoupon(code, userId, { context: 'topup', amount });
+  const tokens = computeBenefit(coupon, amount);
+  if (tokens <= 0) {
+    throw couponError('This coupon gives no bonus on this amount');
+  }
+
+  const result = await recordRedemption(coupon, userId, {
+    context: 'topup',
+    baseAmount: amount,
+    tokens,
+    description: `Promo ${coupon.code}: bonus on ₹${amount} top-up`
+  });
+
+  return { code: coupon.code, ...result };
+}
+
+/**
+ * Apply the coupon attached to a call once its final charge is known
+ * Redeems the use reserved when the call started, once; a repeated run returns the same discount.
+ * Returns null when no discount applies (no charge, or below minimum spend), giving the reservation back.
+ * @param {Object} call - Call document (with coupon snapshot and expert.user populated)
+ * @param {Number} chargeTokens - Total charged for the call
+ * @returns {Promise<Object|null>} { code, tokens, transaction, tokensAfter } (tokensAfter only from the run that credited it)
+ */
+async function redeemCallCoupon(call, chargeTokens) {
+  if (!call.coupon || !call.coupon.couponId) {
+    return null;
+  }
+
+  const coupon = await Coupon.findById(call.coupon.couponId);
+  const tokens = coupon && chargeTokens > 0 ? computeBenefit(coupon, chargeTokens) : 0;
+  if (tokens <= 0) {
+    await releaseCallCoupon(call._id);
+    return null;
+  }
+
+  const userId = call.caller._id || call.caller;
+  const expertName = call.expert && call.expert.user ? call.expert.user.name : 'expert';
+  const description = `Promo ${coupon.code}: discount on call with ${expertName}`;
+
+  // Turn the reservation into the redemption; only one run gets to credit it
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { call: call._id, status: 'reserved' },
+    { $set: { status: 'redeemed', baseAmount: chargeTokens, tokens } },
+    { new: true }
+  );
+  if (!redemption) {
+    const existing = await CouponRedemption.findOne({ call: call._id });
+    if (existing) {
+      return { code: coupon.code, tokens: existing.tokens, transaction: existing.transaction };
+    }
+
+    // Calls started before coupon uses were reserved
+    let result;
+    try {
+      result = await recordRedemption(coupon, userId, {
+        context: 'call',
+        baseAmount: chargeTokens,
+        tokens,
+        description,
+        callId: call._id
+      });
+    } catch (error) {
+      if (error.code === 'COUPON_EXHAUSTED' || error.code === 'COUPON_ALREADY_USED') {
+        return null;
+      }
+      throw error;
+    }
+    return result ? { code: coupon.code, ...result } : null;
+  }
+
+  // If the wallet cannot be credited, hand the reservation back so the next settlement run credits it
+  const result = await creditRedemption(coupon, userId, redemption, description, () => CouponRedemption.updateOne(
+    { _id: redemption._id, status: 'redeemed' },
+    { $set: { status: 'reserved', baseAmount: 0, tokens: 0 } }
+  ));
+  return { code: coupon.code, ...result };
+}
+
+module.exports = {
+  CONTEXTS,
+  normalizeCode,
+  validateCouponData,
+  computeBenefit,
+  validateCoupon,
+  redeemTopupCoupon,
+  reserveCallCoupon,
+  releaseCallCoupon,
+  redeemCallCoupon
+};
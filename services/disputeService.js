@@ -0,0 +1,265 @@
+/**
+ * Dispute Service
+ * Callers can dispute a completed call within a time window. Admins review
+ * the dispute with the call's timeline and approve a full or partial refund,
+ * which credits the caller and claws back the expert's unclaimed earnings in
+ * the same proportion, or reject it.
+ */
+
+const Dispute = require('../models/Dispute');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const Expert = require('../models/Expert');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const { CallStateManager, CALL_STATES, EXPERT_SHARE } = require('./callStateManager');
+
+const DISPUTE_WINDOW_HOURS = parseInt(process.env.DISPUTE_WINDOW_HOURS) || 72;
+const DISPUTE_REASONS = ['poor_quality', 'expert_no_show', 'ended_early', 'overcharged', 'inappropriate', 'other'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function disputeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Open a dispute on a completed call
+ * @param {String} userId - Caller user ID
+ * @param {String} callId - Call document ID
+ * @param {String} reason - One of DISPUTE_REASONS
+ * @param {String} details - Free-text description
+ * @returns {Promise<Object>} Dispute document
+ */
+async function openDispute(userId, callId, reason, details = '') {
+  if (!DISPUTE_REASONS.includes(reason)) {
+    throw disputeError(`Reason must be one of: ${DISPUTE_REASONS.join(', ')}`, 'INVALID_REASON');
+  }
+
+  const call = await Call.findById(callId);
+  if (!call) {
+    throw disputeError('Call not found', 'CALL_NOT_FOUND');
+  }
+  if (call.caller.toString() !== userId.toString()) {
+    throw disputeError('Only the caller can dispute this call', 'UNAUTHORIZED');
+  }
+  if (call.status !== CALL_STATES.ENDED || !call.tokensSpent) {
+    throw disputeError('Only completed, charged calls can be disputed', 'NOT_DISPUTABLE');
+  }
+
+  const endedAt = call.endTime || call.updatedAt;
+  if (Date.now() - endedAt.getTime() > DISPUTE_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw disputeError(`Calls can only be disputed within ${DISPUTE_WINDOW_HOURS} hours`, 'DISPUTE_WINDOW_CLOSED');
+  }
+
+  try {
+    const dispute = await new Dispute({
+      call: call._id,
+      caller: userId,
+      expert: call.expert,
+      reason,
+      details: (details || '').slice(0, 1000)
+    }).save();
+
+    logger.info(`Dispute ${dispute._id} opened on call ${call._id}`);
+    return dispute;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw disputeError('This call has already been disputed', 'ALREADY_DISPUTED');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a dispute with the disputed call's timeline and ledger entries
+ * @param {String} disputeId - Dispute ID
+ * @returns {Promise<Object>} { dispute, call, timeline, transactions }
+ */
+async function getDisputeForReview(disputeId) {
+  const dispute = await Dispute.findById(disputeId)
+    .populate('caller', 'name email')
+    .populate('resolvedBy', 'name email')
+    .lean();
+  if (!dispute) {
+    throw disputeError('Dispute not found', 'DISPUTE_NOT_FOUND');
+  }
+
+  const timeline = await CallStateManager.getTimeline(dispute.call);
+  const transactions = await Transaction.find({ call: dispute.call })
+    .populate('user', 'name email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    dispute,
+    call: timeline ? timeline.call : null,
+    timeline: timeline ? timeline.timeline : [],
+    transactions
+  };
+}
+
+/**
+ * Approve a dispute and refund the caller
+ * The expert's unclaimed earnings on the call's charge are reduced by the same
+ * share; earnings already claimed, or on a package session, are not taken back.
+ * @param {String} disputeId - Dispute ID
+ * @param {String} adminId - Admin user ID
+ * @param {Object} options - { refundType: 'full'|'partial', tokens, note }
+ * @returns {Promise<Object>} { dispute, refundTokens, expertClawback }
+ */
+async function approveDispute(disputeId, adminId, options = {}) {
+  const refundType = options.refundType === 'partial' ? 'partial' : 'full';
+
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw disputeError('Dispute not found', 'DISPUTE_NOT_FOUND');
+  }
+
+  const call = await Call.findById(dispute.call).populate({ path: 'expert', populate: { path: 'user', select: 'name' } });
+  if (!call) {
+    throw disputeError('Call not found', 'CALL_NOT_FOUND');
+  }
+
+  // The caller can only get back what they paid net of any coupon discount
+  const netPaid = Math.max(0, call.tokensSpent - ((call.coupon && call.coupon.discountTokens) || 0));
+  const refundable = Math.max(0, netPaid - (call.refundedTokens || 0));
+  let refundTokens = refundable;
+  if (refundType === 'partial') {
+    refundTokens = parseInt(options.tokens);
+    if (!Number.isInteger(refundTokens) || refundTokens < 1 || refundTokens > refundable) {
+      throw disputeError(`Partial refund must be between 1 and ${refundable} tokens`, 'INVALID_REFUND_AMOUNT');
+    }
+  }
+  if (refundTokens <= 0) {
+    throw disputeError('Nothing left to refund on this call', 'INVALID_REFUND_AMOUNT');
+  }
+
+  // Claim the dispute so it can only be resolved once
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: 'open' },
+    {
+      status: 'approved',
+      refundType,
+      refundTokens,
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNote: (options.note || '').slice(0, 1000)
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw disputeError('Dispute has already been resolved', 'DISPUTE_RESOLVED');
+  }
+
+  await Call.updateOne({ _id: call._id }, { $inc: { refundedTokens: refundTokens } });
+
+  // Credit the caller
+  const callerBefore = await User.findByIdAndUpdate(
+    call.caller,
+    { $inc: { tokens: refundTokens } },
+    { new: false }
+  );
+  await new Transaction({
+    user: call.caller,
+    type: 'refund',
+    tokens: refundTokens,
+    description: `Refund for call with ${call.expert.user ? call.expert.user.name : 'expert'} (${refundType})`,
+    call: call._id,
+    dispute: dispute._id,
+    tokensBefore: callerBefore ? callerBefore.tokens : 0,
+    tokensAfter: (callerBefore ? callerBefore.tokens : 0) + refundTokens
+  }).save();
+
+  // Claw back the same share of the expert's earnings on what the caller paid for the call, limited to
+  // what is unclaimed. Earnings on a package session's value stay with the expert: the package is not refunded.
+  const collectedEarnings = Math.min(call.expertTokens || 0, Math.floor((call.tokensSpent || 0) * EXPERT_SHARE));
+  const share = refundTokens / netPaid;
+  const clawbackDue = Math.round(collectedEarnings * share);
+  let expertClawback = 0;
+
+  if (clawbackDue > 0) {
+    const expertBefore = await Expert.findOneAndUpdate(
+      { _id: call.expert._id },
+      [{
+        $set: {
+          unclaimedTokens: { $max: [0, { $subtract: ['$unclaimedTokens', clawbackDue] }] },
+          tokensEarned: {
+            $subtract: ['$tokensEarned', { $min: [clawbackDue, { $max: [0, '$unclaimedTokens'] }] }]
+          }
+        }
+      }],
+      { new: false }
+    );
+
+    if (expertBefore) {
+      expertClawback = Math.min(clawbackDue, Math.max(0, expertBefore.unclaimedTokens));
+      if (expertClawback > 0) {
+        await new Transaction({
+          user: expertBefore.user,
+          type: 'refund',
+          tokens: expertClawback,
+          description: `Earnings reversed: refund for disputed call (${refundType})`,
+          call: call._id,
+          dispute: dispute._id,
+          tokensBefore: expertBefore.unclaimedTokens,
+          tokensAfter: expertBefore.unclaimedTokens - expertClawback
+        }).save();
+      }
+      if (expertClawback < clawbackDue) {
+        logger.warn(`Dispute ${dispute._id}: only ${expertClawback}/${clawbackDue} tokens could be clawed back from expert ${call.expert._id}`);
+      }
+    }
+  }
+
+  claimed.expertClawback = expertClawback;
+  await claimed.save();
+
+  logger.info(`Dispute ${dispute._id} approved: refunded ${refundTokens}, clawed back ${expertClawback}`);
+  return { dispute: claimed, refundTokens, expertClawback };
+}
+
+/**
+ * Reject a dispute
+ * @param {String} disputeId - Dispute ID
+ * @param {String} adminId - Admin user ID
+ * @param {String} note - Explanation for the caller
+ * @returns {Promise<Object>} Dispute document
+ */
+async function rejectDispute(disputeId, adminId, note = '') {
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: 'open' },
+    {
+      status: 'rejected',
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNote: (note || '').slice(0, 1000)
+    },
+    { new: true }
+  );
+
+  if (!dispute) {
+    const exists = await Dispute.exists({ _id: disputeId });
+    throw exists
+      ? disputeError('Dispute has already been resolved', 'DISPUTE_RESOLVED')
+      : disputeError('Dispute not found', 'DISPUTE_NOT_FOUND');
+  }
+
+  logger.info(`Dispute ${dispute._id} rejected`);
+  return dispute;
+}
+
+module.exports = {
+  DISPUTE_WINDOW_HOURS,
+  DISPUTE_REASONS,
+  openDispute,
+  getDisputeForReview,
+  approveDispute,
+  rejectDispute
+};
@@ -0,0 +1,156 @@
+/**
+ * Dynamic Pricing
+ * Experts can scale their per-minute rate with rules for peak hours,
+ * weekends or a long queue. Rules are checked in the expert's order and the
+ * first active match applies; its multiplier is clamped to the bounds set
+ * by an admin for the expert (or the platform defaults).
+ */
+
+const QueueEntry = require('../models/QueueEntry');
+const availabilityService = require('./availabilityService');
+const callTypes = require('./callTypes');
+
+const RULE_TYPES = ['time_of_day', 'weekend', 'queue_length'];
+const MAX_RULES = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Platform bounds, used when an admin has not set a cap for the expert
+const DEFAULT_MIN_MULTIPLIER = parseFloat(process.env.PRICING_MIN_MULTIPLIER) || 0.5;
+const DEFAULT_MAX_MULTIPLIER = parseFloat(process.env.PRICING_MAX_MULTIPLIER) || 2;
+
+/**
+ * Multiplier bounds in effect for an expert
+ * @param {Object} expert - Expert document
+ * @returns {Object} { minMultiplier, maxMultiplier }
+ */
+function getCaps(expert) {
+  const cap = expert.pricingCap || {};
+  return {
+    minMultiplier: cap.minMultiplier || DEFAULT_MIN_MULTIPLIER,
+    maxMultiplier: cap.maxMultiplier || DEFAULT_MAX_MULTIPLIER
+  };
+}
+
+/**
+ * Convert HH:mm to minutes since midnight
+ * @param {String} time - Time string
+ * @returns {Number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate pricing rules from a request body; returns an error message or null
+ * @param {Array<Object>} rules - Pricing rules
+ * @param {Object} caps - { minMultiplier, maxMultiplier }
+ * @returns {String|null}
+ */
+function validateRules(rules, caps) {
+  if (!Array.isArray(rules)) return 'Pricing rules must be an array';
+  if (rules.length > MAX_RULES) return `At most ${MAX_RULES} pricing rules are allowed`;
+
+  for (const rule of rules) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    if (!Number.isFinite(rule.multiplier) || rule.multiplier < caps.minMultiplier || rule.multiplier > caps.maxMultiplier) {
+      return `Multiplier must be between ${caps.minMultiplier} and ${caps.maxMultiplier}`;
+    }
+    if (rule.type === 'time_of_day') {
+      if (!TIME_PATTERN.test(rule.startTime || '') || !TIME_PATTERN.test(rule.endTime || '')) {
+        return 'Times must be in HH:mm format';
+      }
+      if (rule.startTime === rule.endTime) {
+        return 'Start and end time must differ';
+      }
+      if (rule.days !== undefined &&
+        (!Array.isArray(rule.days) || rule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        return 'days must list days of week between 0 (Sunday) and 6 (Saturday)';
+      }
+    }
+    if (rule.type === 'queue_length' && (!Number.isInteger(rule.minQueueLength) || rule.minQueueLength < 1)) {
+      return 'minQueueLength must be a whole number of at least 1';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a rule applies
+ * @param {Object} rule - Pricing rule
+ * @param {Object} local - { dayOfWeek, minutes } on the expert's clock
+ * @param {Number} queueLength - Callers waiting for the expert
+ * @returns {Boolean}
+ */
+function ruleMatches(rule, local, queueLength) {
+  switch (rule.type) {
+    case 'weekend':
+      return local.dayOfWeek === 0 || local.dayOfWeek === 6;
+
+    case 'queue_length':
+      return queueLength >= rule.minQueueLength;
+
+    case 'time_of_day': {
+      if (rule.days && rule.days.length && !rule.days.includes(local.dayOfWeek)) {
+        return false;
+      }
+      const start = toMinutes(rule.startTime);
+      const end = toMinutes(rule.endTime);
+      return start < end
+        ? local.minutes >= start && local.minutes < end
+        : local.minutes >= start || local.minutes < end; // Overnight
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve the per-minute rate in effect for a call type at a given time
+ * @param {Object} expert - Expert document
+ * @param {String} callType - 'audio' | 'video'
+ * @param {Date} at - Instant to price
+ * @returns {Promise<Object>} { tokensPerMinute, baseTokensPerMinute, multiplier, rule: { id, name, type } | null }
+ */
+async function resolveRate(expert, callType, at = new Date()) {
+  const baseTokensPerMinute = callTypes.getRateForCallType(expert, callType);
+  const rules = (expert.pricingRules || []).filter(rule => rule.isActive !== false);
+
+  if (rules.length === 0) {
+    return { tokensPerMinute: baseTokensPerMinute, baseTokensPerMinute, multiplier: 1, rule: null };
+  }
+
+  const timeZone = (expert.availability && expert.availability.timezone) || 'UTC';
+  const local = availabilityService.getLocalTime(at, timeZone);
+  const queueLength = rules.some(rule => rule.type === 'queue_length')
+    ? await QueueEntry.countDocuments({ expert: expert._id, status: 'waiting' })
+    : 0;
+
+  const rule = rules.find(r => ruleMatches(r, local, queueLength));
+  if (!rule) {
+    return { tokensPerMinute: baseTokensPerMinute, baseTokensPerMinute, multiplier: 1, rule: null };
+  }
+
+  // Caps may have been tightened after the rule was saved
+  const caps = getCaps(expert);
+  const multiplier = Math.min(caps.maxMultiplier, Math.max(caps.minMultiplier, rule.multiplier));
+
+  return {
+    tokensPerMinute: Math.max(1, Math.round(baseTokensPerMinute * multiplier)),
+    baseTokensPerMinute,
+    multiplier,
+    rule: { id: rule._id, name: rule.name || rule.type, type: rule.type }
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_MIN_MULTIPLIER,
+  DEFAULT_MAX_MULTIPLIER,
+  getCaps,
+  validateRules,
+  resolveRate
+};
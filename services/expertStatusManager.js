@@ -25,6 +25,9 @@ const VALID_TRANSITIONS = {
   [STATUS.AWAY]: [STATUS.ONLINE, STATUS.OFFLINE]
 };
 
+// Listeners called when an expert becomes available (call queue, online notifications)
+const availableListeners = [];
+
 // Cache for performance (5 minute TTL)
 const statusCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -159,6 +162,36 @@ async function updateExpertStatus(expertId, statusUpdate) {
   }
 }
 
+/**
+ * Call the availability listeners if the expert can take calls now
+ * A failing listener is logged and does not affect the others
+ * @param {String} expertId - Expert document ID
+ * @param {Object} status - Fresh status from getExpertStatus
+ * @param {String} reason - What made the expert available
+ */
+async function notifyIfAvailable(expertId, status, reason) {
+  if (!status || !status.isOnline || status.isBusy || !status.isAvailable) {
+    return;
+  }
+
+  for (const listener of availableListeners) {
+    try {
+      await listener(expertId, reason);
+    } catch (error) {
+      logger.error(`Expert availability listener failed for expert ${expertId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Register a listener called with (expertId, reason) when an expert becomes available
+ * Fired by setExpertOnline (going online) and releaseExpert
+ * @param {Function} listener - Async function
+ */
+function onExpertAvailable(listener) {
+  availableListeners.push(listener);
+}
+
 /**
  * Set expert online status (with auto-busy clearing)
  * @param {String} expertId - Expert document ID
@@ -193,8 +226,12 @@ async function setExpertOnline(expertId, isOnline = true, reason = 'manual') {
     statusCache.delete(expertId);
 
     logger.info(`Expert ${expertId} set ${isOnline ? 'online' : 'offline'} (reason: ${reason})`);
-    
-    return getExpertStatus(expertId, true);
+
+    const status = await getExpertStatus(expertId, true);
+    if (isOnline) {
+      await notifyIfAvailable(expertId, status, reason);
+    }
+    return status;
   } catch (error) {
     logger.error('Error setting expert online status:', error);
     throw error;
@@ -256,7 +293,9 @@ async function setExpertBusy(expertId, isBusy = true, callId = null, reason = 'c
  * @returns {Promise<Object>} Updated expert
  */
 async function releaseExpert(expertId) {
-  return setExpertBusy(expertId, false, null);
+  const status = await setExpertBusy(expertId, false, null);
+  await notifyIfAvailable(expertId, status, 'released');
+  return status;
 }
 
 /**
@@ -359,7 +398,7 @@ async function handleExpertReconnect(expertId) {
     // Check if expert has any active calls
     const activeCalls = await Call.find({
       expert: expertId,
-      status: { $in: ['ringing', 'connected', 'accepted'] }
+      status: { $in: ['ringing', 'accepted', 'ongoing'] }
     });
 
     // If expert has active calls, ensure they're marked as busy
@@ -386,39 +425,18 @@ async function handleExpertReconnect(expertId) {
 
 /**
  * Sync expert status from active calls
- * Runs periodically to ensure DB matches actual call state
+ * Delegates to the reconciliation service so there is a single set of rules
  * @returns {Promise<Array>} Array of synced experts
  */
 async function syncStatusFromActiveCalls() {
   try {
-    const activeCalls = await Call.find({
-      status: { $in: ['ringing', 'connected', 'accepted'] }
-    });
-
-    const expertUpdates = [];
-
-    for (const call of activeCalls) {
-      try {
-        const expert = await Expert.findById(call.expert);
-        
-        if (expert) {
-          // Expert should be busy if they have an active call
-          if (!expert.isBusy) {
-            logger.info(`Auto-setting busy for expert ${expert._id} (has active call: ${call._id})`);
-            await setExpertBusy(expert._id, true, call._id, 'auto_sync');
-            expertUpdates.push({
-              expertId: expert._id,
-              reason: 'auto_sync',
-              callId: call._id
-            });
-          }
-        }
-      } catch (error) {
-        logger.error(`Error syncing expert ${call.expert} status:`, error.message);
-      }
-    }
+    // Required here: the reconciliation service depends on this module through the call state manager
+    const reconciliationService = require('./reconciliationService');
+    const report = await reconciliationService.reconcile({ trigger: 'scheduled', service: 'expert-status-sync' });
 
-    return expertUpdates;
+    return report.actions
+      .filter(action => action.expert && action.kind.startsWith('expert_'))
+      .map(action => ({ expertId: action.expert, reason: action.kind, callId: action.call }));
   } catch (error) {
     logger.error('Error syncing status from active calls:', error);
     return [];
@@ -590,6 +608,7 @@ module.exports = {
   setExpertOnline,
   setExpertBusy,
   releaseExpert,
+  onExpertAvailable,
   isExpertAvailable,
   getExpertStatusForUI,
   handleExpertDisconnect,
@@ -0,0 +1,74 @@
+/**
+ * Free Intro
+ * Experts can make the first minutes of a caller's first call free. The
+ * offer is used up once a call that included it completes, either once per
+ * caller-expert pair or once per caller across all experts (the expert's
+ * choice of scope). Free time is not charged and earns the expert nothing,
+ * but still counts as minutes on the call.
+ */
+
+const Call = require('../models/Call');
+
+const FREE_INTRO_SCOPES = ['per_user', 'per_expert'];
+const MAX_FREE_INTRO_MINUTES = 30;
+
+/**
+ * Check whether an expert offers a free intro
+ * @param {Object} expert - Expert document
+ * @returns {Boolean}
+ */
+function offersFreeIntro(expert) {
+  return Boolean(expert.freeIntro && expert.freeIntro.minutes > 0);
+}
+
+/**
+ * Validate free intro settings from a request body; returns an error message or null
+ * @param {Object} freeIntro - { minutes, scope }
+ * @returns {String|null}
+ */
+function validateFreeIntro(freeIntro) {
+  if (freeIntro === null) return null; // Switching the offer off
+  if (typeof freeIntro !== 'object') return 'Free intro must be an object';
+
+  if (!Number.isInteger(freeIntro.minutes) || freeIntro.minutes < 0 || freeIntro.minutes > MAX_FREE_INTRO_MINUTES) {
+    return `Free intro minutes must be between 0 and ${MAX_FREE_INTRO_MINUTES}`;
+  }
+  if (freeIntro.scope !== undefined && !FREE_INTRO_SCOPES.includes(freeIntro.scope)) {
+    return `Free intro scope must be one of: ${FREE_INTRO_SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Free minutes a caller gets on their next call with an expert
+ * @param {Object} expert - Expert document
+ * @param {String} userId - Caller user ID
+ * @returns {Promise<Number>} Free minutes (0 when not offered or already used)
+ */
+async function getFreeMinutes(expert, userId) {
+  if (!offersFreeIntro(expert)) {
+    return 0;
+  }
+
+  const usedQuery = {
+    caller: userId,
+    status: 'completed',
+    duration: { $gt: 0 },
+    'billing.freeSeconds': { $gt: 0 },
+    'billing.freeSource': { $ne: 'package' }
+  };
+  if (expert.freeIntro.scope !== 'per_user') {
+    usedQuery.expert = expert._id;
+  }
+
+  const used = await Call.exists(usedQuery);
+  return used ? 0 : expert.freeIntro.minutes;
+}
+
+module.exports = {
+  FREE_INTRO_SCOPES,
+  MAX_FREE_INTRO_MINUTES,
+  offersFreeIntro,
+  validateFreeIntro,
+  getFreeMinutes
+};
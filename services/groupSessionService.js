@@ -0,0 +1,620 @@
+/**
+ * Group Session Service
+ * An expert hosts a session for several callers on one shared channel. Each
+ * attendee pays the seat price when joining, with their own Transaction; the
+ * expert's share of all seats is credited once, when the session ends, and
+ * recorded on the session. Cancelled sessions refund every attendee.
+ */
+
+const GroupSession = require('../models/GroupSession');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const callTypes = require('./callTypes');
+const expertStatusManager = require('./expertStatusManager');
+const { EXPERT_SHARE } = require('./callStateManager');
+
+const MIN_SEATS = 2;
+const MAX_SEATS = 100;
+const MAX_ADVANCE_DAYS = 30;
+const START_GRACE_MINUTES = 15;   // Sessions not started this long after startTime are cancelled
+const OVERRUN_GRACE_MINUTES = 30; // Live sessions running this long past their length are ended
+
+const OPEN_STATUSES = ['scheduled', 'live'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function sessionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the approved expert profile for a user
+ * @param {String} userId - Expert's user ID
+ * @returns {Promise<Object>} Expert document
+ */
+async function getHostExpert(userId) {
+  const expert = await Expert.findOne({ user: userId });
+  if (!expert) {
+    throw sessionError('Expert profile not found', 'EXPERT_NOT_FOUND');
+  }
+  if (!expert.isApproved) {
+    throw sessionError('Expert is not approved', 'EXPERT_NOT_APPROVED');
+  }
+  return expert;
+}
+
+/**
+ * Get a session hosted by the given expert
+ * @param {String} sessionId - Session ID
+ * @param {Object} expert - Expert document
+ * @returns {Promise<Object>} Session document
+ */
+async function getHostedSession(sessionId, expert) {
+  const session = await GroupSession.findById(sessionId);
+  if (!session) {
+    throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  if (session.expert.toString() !== expert._id.toString()) {
+    throw sessionError('Not your session', 'UNAUTHORIZED');
+  }
+  return session;
+}
+
+/**
+ * Create a group session
+ * @param {String} expertUserId - Host's user ID
+ * @param {Object} data - { title, description, callType, startTime, durationMinutes, maxSeats, pricePerAttendee }
+ * @returns {Promise<Object>} Session document
+ */
+async function createSession(expertUserId, data) {
+  const expert = await getHostExpert(expertUserId);
+
+  const callType = data.callType || callTypes.CALL_TYPES.AUDIO;
+  if (!callTypes.isCallTypeEnabled(expert, callType)) {
+    throw sessionError(`You do not offer ${callType} calls`, 'CALL_TYPE_DISABLED');
+  }
+
+  if (!data.title || typeof data.title !== 'string' || !data.title.trim()) {
+    throw sessionError('Title is required', 'INVALID_SESSION');
+  }
+
+  const maxSeats = parseInt(data.maxSeats);
+  if (!Number.isInteger(maxSeats) || maxSeats < MIN_SEATS || maxSeats > MAX_SEATS) {
+    throw sessionError(`Seat limit must be between ${MIN_SEATS} and ${MAX_SEATS}`, 'INVALID_SESSION');
+  }
+
+  const pricePerAttendee = parseInt(data.pricePerAttendee);
+  if (!Number.isInteger(pricePerAttendee) || pricePerAttendee < 1) {
+    throw sessionError('Price per attendee must be at least 1 token', 'INVALID_SESSION');
+  }
+
+  const durationMinutes = parseInt(data.durationMinutes) || 60;
+  if (durationMinutes < 10 || durationMinutes > 240) {
+    throw sessionError('Duration must be between 10 and 240 minutes', 'INVALID_SESSION');
+  }
+
+  const startTime = data.startTime ? new Date(data.startTime) : new Date();
+  if (isNaN(startTime.getTime())) {
+    throw sessionError('Invalid start time', 'INVALID_SESSION');
+  }
+  if (startTime.getTime() < Date.now() - 60 * 1000 ||
+    startTime.getTime() > Date.now() + MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+    throw sessionError(`Start time must be between now and ${MAX_ADVANCE_DAYS} days ahead`, 'INVALID_SESSION');
+  }
+
+  const session = await new GroupSession({
+    expert: expert._id,
+    title: data.title.trim(),
+    description: (data.description || '').slice(0, 1000),
+    callType,
+    startTime,
+    durationMinutes,
+    maxSeats,
+    pricePerAttendee
+  }).save();
+
+  logger.info(`Group session ${session._id} created by expert ${expert._id}`);
+  return session;
+}
+
+/**
+ * Take a seat in a session and pay for it
+ * @param {String} userId - Attendee user ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} { session, tokensPaid, tokensAfter }
+ */
+async function joinSession(userId, sessionId) {
+  const session = await GroupSession.findById(sessionId).populate({ path: 'expert', select: 'user', populate: { path: 'user', select: 'name' } });
+  if (!session) {
+    throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  if (!OPEN_STATUSES.includes(session.status)) {
+    throw sessionError('This session is no longer open', 'SESSION_CLOSED');
+  }
+  if (session.expert.user && session.expert.user._id.toString() === userId.toString()) {
+    throw sessionError('You cannot join your own session', 'INVALID_SESSION');
+  }
+
+  const price = session.pricePerAttendee;
+
+  // Claim a seat atomically: open session, seat left, not already an attendee.
+  // The seat is 'paying' until the debit went through; only then does it count towards totalCollected
+  const seated = await GroupSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: { $in: OPEN_STATUSES },
+      'attendees.user': { $ne: userId },
+      $expr: { $lt: ['$seatsTaken', '$maxSeats'] }
+    },
+    {
+      $inc: { seatsTaken: 1 },
+      $push: { attendees: { user: userId, status: 'paying', tokensPaid: price, joinedAt: new Date() } }
+    },
+    { new: true }
+  );
+  if (!seated) {
+    const latest = await GroupSession.findById(session._id).select('attendees status seatsTaken maxSeats');
+    if (latest.attendees.some(a => a.user.toString() === userId.toString())) {
+      throw sessionError('You have already joined this session', 'ALREADY_JOINED');
+    }
+    if (!OPEN_STATUSES.includes(latest.status)) {
+      throw sessionError('This session is no longer open', 'SESSION_CLOSED');
+    }
+    throw sessionError('This session is full', 'SESSION_FULL');
+  }
+
+  // Debit the seat from the spendable balance (tokens held for calls do not count)
+  const before = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: { $gte: [{ $subtract: ['$tokens', { $ifNull: ['$heldTokens', 0] }] }, price] }
+    },
+    { $inc: { tokens: -price } },
+    { new: false }
+  );
+  if (!before) {
+    await GroupSession.updateOne(
+      { _id: session._id, attendees: { $elemMatch: { user: userId, status: 'paying' } } },
+      { $inc: { seatsTaken: -1 }, $pull: { attendees: { user: userId } } }
+    );
+    throw sessionError(`Insufficient balance. ₹${price} required`, 'INSUFFICIENT_BALANCE');
+  }
+
+  const transaction = await new Transaction({
+    user: userId,
+    type: 'debit',
+    tokens: price,
+    description: `Group session "${session.title}" with ${session.expert.user ? session.expert.user.name : 'expert'}`,
+    groupSession: session._id,
+    tokensBefore: before.tokens,
+    tokensAfter: before.tokens - price
+  }).save();
+
+  // Count the paid seat only while the session is still open, so an ended session's payout never includes it
+  const collected = await GroupSession.updateOne(
+    {
+      _id: session._id,
+      status: { $in: OPEN_STATUSES },
+      attendees: { $elemMatch: { user: userId, status: 'paying' } }
+    },
+    {
+      $inc: { totalCollected: price },
+      $set: { 'attendees.$.status': 'joined', 'attendees.$.transaction': transaction._id }
+    }
+  );
+  if (collected.modifiedCount === 0) {
+    // The session ended or was cancelled while the seat was being paid for
+    const released = await GroupSession.updateOne(
+      { _id: session._id, attendees: { $elemMatch: { user: userId, status: 'paying' } } },
+      { $set: { 'attendees.$.status': 'refunded', 'attendees.$.transaction': transaction._id } }
+    );
+    if (released.modifiedCount > 0) {
+      await creditRefund(session, userId, price, 'session closed while joining');
+    }
+    throw sessionError('This session is no longer open', 'SESSION_CLOSED');
+  }
+
+  logger.info(`User ${userId} joined group session ${session._id} (${price} tokens)`);
+  return { session: await GroupSession.findById(session._id), tokensPaid: price, tokensAfter: before.tokens - price };
+}
+
+/**
+ * Credit a seat's price back to the attendee with a refund Transaction
+ * @param {Object} session - Session document
+ * @param {String} userId - Attendee user ID
+ * @param {Number} tokens - Tokens to refund
+ * @param {String} reason - Shown in the refund description
+ */
+async function creditRefund(session, userId, tokens, reason) {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokens } }, { new: false });
+  await new Transaction({
+    user: userId,
+    type: 'refund',
+    tokens,
+    description: `Refund for group session "${session.title}" (${reason})`,
+    groupSession: session._id,
+    tokensBefore: user ? user.tokens : 0,
+    tokensAfter: (user ? user.tokens : 0) + tokens
+  }).save();
+}
+
+/**
+ * Refund one paid attendee's seat (each seat is refunded at most once)
+ * @param {Object} session - Session document
+ * @param {String} userId - Attendee user ID
+ * @param {String} reason - Shown in the refund description
+ * @returns {Promise<Number>} Tokens refunded
+ */
+async function refundAttendee(session, userId, reason) {
+  const before = await GroupSession.findOneAndUpdate(
+    { _id: session._id, attendees: { $elemMatch: { user: userId, status: 'joined' } } },
+    { $set: { 'attendees.$.status': 'refunded' } },
+    { new: false }
+  );
+  if (!before) {
+    return 0;
+  }
+
+  const attendee = before.attendees.find(a => a.user.toString() === userId.toString());
+  const tokens = attendee.tokensPaid || 0;
+  if (tokens <= 0) {
+    return 0;
+  }
+
+  await GroupSession.updateOne({ _id: session._id }, { $inc: { totalCollected: -tokens } });
+  await creditRefund(session, userId, tokens, reason);
+
+  return tokens;
+}
+
+/**
+ * Give up a seat before the session starts (refunded in full)
+ * @param {String} userId - Attendee user ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Number>} Tokens refunded
+ */
+async function leaveSession(userId, sessionId) {
+  const session = await GroupSession.findById(sessionId);
+  if (!session) {
+    throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  if (!session.attendees.some(a => a.user.toString() === userId.toString() && a.status === 'joined')) {
+    throw sessionError('You have not joined this session', 'NOT_JOINED');
+  }
+  if (session.status !== 'scheduled') {
+    throw sessionError('Seats can only be given up before the session starts', 'SESSION_STARTED');
+  }
+
+  const tokens = await refundAttendee(session, userId, 'seat given up');
+  await GroupSession.updateOne(
+    { _id: session._id, attendees: { $elemMatch: { user: userId, status: 'refunded' } } },
+    { $inc: { seatsTaken: -1 }, $pull: { attendees: { user: userId } } }
+  );
+
+  logger.info(`User ${userId} left group session ${session._id} (${tokens} tokens refunded)`);
+  return tokens;
+}
+
+/**
+ * Go live: the host becomes busy for one-to-one calls until the session ends
+ * @param {String} expertUserId - Host's user ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} Session document
+ */
+async function startSession(expertUserId, sessionId) {
+  const expert = await getHostExpert(expertUserId);
+  const session = await getHostedSession(sessionId, expert);
+
+  if (session.status !== 'scheduled') {
+    throw sessionError(`Session is ${session.status}`, 'INVALID_SESSION_STATE');
+  }
+  if (session.startTime.getTime() > Date.now() + START_GRACE_MINUTES * 60 * 1000) {
+    throw sessionError(`Sessions can be started at most ${START_GRACE_MINUTES} minutes early`, 'TOO_EARLY');
+  }
+
+  const status = await expertStatusManager.getExpertStatus(expert._id, true);
+  if (status.isBusy) {
+    throw sessionError('Finish your current call before starting the session', 'EXPERT_BUSY');
+  }
+
+  const started = await GroupSession.findOneAndUpdate(
+    { _id: session._id, status: 'scheduled' },
+    { $set: { status: 'live', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!started) {
+    throw sessionError('Session has already started or been cancelled', 'INVALID_SESSION_STATE');
+  }
+
+  await expertStatusManager.setExpertBusy(expert._id, true, null, 'group_session');
+
+  logger.info(`Group session ${session._id} is live (${started.seatsTaken} attendees)`);
+  return started;
+}
+
+/**
+ * End a live session and credit the host's share of all seats, once
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session ended
+ * @returns {Promise<Object|null>} Ended session, or null if it was not live
+ */
+async function finishSession(sessionId, reason = 'ended_by_expert') {
+  const ended = await GroupSession.findOneAndUpdate(
+    { _id: sessionId, status: 'live' },
+    { $set: { status: 'ended', endedAt: new Date(), endReason: reason } },
+    { new: true }
+  );
+  if (!ended) {
+    return null;
+  }
+
+  const expertTokens = Math.floor(ended.totalCollected * EXPERT_SHARE);
+  const minutes = Math.max(1, Math.ceil((ended.endedAt - ended.startedAt) / 60000));
+  const attendees = ended.attendees.filter(a => a.status === 'joined').length;
+
+  const before = await Expert.findByIdAndUpdate(
+    ended.expert,
+    { $inc: { tokensEarned: expertTokens, unclaimedTokens: expertTokens, totalCalls: 1, totalMinutes: minutes } },
+    { new: false }
+  );
+
+  if (before && expertTokens > 0) {
+    await new Transaction({
+      user: before.user,
+      type: 'earning',
+      tokens: expertTokens,
+      description: `Group session earnings: "${ended.title}" (${attendees} attendee${attendees === 1 ? '' : 's'})`,
+      groupSession: ended._id,
+      tokensBefore: before.unclaimedTokens || 0,
+      tokensAfter: (before.unclaimedTokens || 0) + expertTokens
+    }).save();
+  }
+
+  ended.expertTokens = expertTokens;
+  await ended.save();
+  await expertStatusManager.releaseExpert(ended.expert);
+
+  logger.info(`Group session ${ended._id} ended (${reason}): ${ended.totalCollected} collected, ${expertTokens} to expert`);
+  return ended;
+}
+
+/**
+ * End a live session (host only)
+ * @param {String} expertUserId - Host's user ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} Session document
+ */
+async function endSession(expertUserId, sessionId) {
+  const expert = await getHostExpert(expertUserId);
+  await getHostedSession(sessionId, expert);
+
+  const ended = await finishSession(sessionId, 'ended_by_expert');
+  if (!ended) {
+    throw sessionError('Session is not live', 'INVALID_SESSION_STATE');
+  }
+  return ended;
+}
+
+/**
+ * Cancel a session that has not started and refund every attendee
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session was cancelled
+ * @returns {Promise<Object|null>} { session, refunded } or null if it was not scheduled
+ */
+async function cancelScheduledSession(sessionId, reason) {
+  const cancelled = await GroupSession.findOneAndUpdate(
+    { _id: sessionId, status: 'scheduled' },
+    { $set: { status: 'cancelled', endedAt: new Date(), endReason: reason } },
+    { new: true }
+  );
+  if (!cancelled) {
+    return null;
+  }
+
+  let refunded = 0;
+  for (const attendee of cancelled.attendees) {
+    try {
+      refunded += await refundAttendee(cancelled, attendee.user, 'session cancelled');
+    } catch (error) {
+      logger.error(`Failed to refund user ${attendee.user} for group session ${cancelled._id}:`, error.message);
+    }
+  }
+
+  logger.info(`Group session ${cancelled._id} cancelled (${reason}): ${refunded} tokens refunded`);
+  return { session: await GroupSession.findById(cancelled._id), refunded };
+}
+
+/**
+ * Cancel a session (host only, before it starts)
+ * @param {String} expertUserId - Host's user ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} { session, refunded }
+ */
+async function cancelSession(expertUserId, sessionId) {
+  const expert = await getHostExpert(expertUserId);
+  await getHostedSession(sessionId, expert);
+
+  const result = await cancelScheduledSession(sessionId, 'cancelled_by_expert');
+  if (!result) {
+    throw sessionError('Only sessions that have not started can be cancelled', 'INVALID_SESSION_STATE');
+  }
+  return result;
+}
+
+/**
+ * Check that a user may enter a session's channel
+ * The host can connect from when the session is scheduled; attendees once it is live
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} { session, role: 'expert' | 'user' }
+ */
+async function getChannelAccess(userId, sessionId) {
+  const session = await GroupSession.findById(sessionId).populate('expert', 'user');
+  if (!session) {
+    throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  if (!OPEN_STATUSES.includes(session.status)) {
+    throw sessionError('This session is no longer open', 'SESSION_CLOSED');
+  }
+
+  if (session.expert.user.toString() === userId.toString()) {
+    return { session, role: 'expert' };
+  }
+
+  if (!session.attendees.some(a => a.user.toString() === userId.toString() && a.status === 'joined')) {
+    throw sessionError('You have not joined this session', 'NOT_JOINED');
+  }
+  if (session.status !== 'live') {
+    throw sessionError('The session has not started yet', 'SESSION_NOT_LIVE');
+  }
+  return { session, role: 'user' };
+}
+
+/**
+ * Public view of a session (attendee identities are hidden)
+ * @param {Object} session - Session document or lean object
+ * @returns {Object}
+ */
+function toPublicSession(session) {
+  const { attendees, totalCollected, expertTokens, ...rest } = session.toObject ? session.toObject() : session;
+  return { ...rest, seatsLeft: Math.max(0, rest.maxSeats - rest.seatsTaken) };
+}
+
+/**
+ * List upcoming and live sessions
+ * @param {Object} options - { expertId, page, limit }
+ * @returns {Promise<Object>} { sessions, totalPages, currentPage }
+ */
+async function listOpenSessions(options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(options.limit) || 20));
+
+  const query = { status: { $in: OPEN_STATUSES } };
+  if (options.expertId) {
+    query.expert = options.expertId;
+  }
+
+  const [sessions, total] = await Promise.all([
+    GroupSession.find(query)
+      .populate({ path: 'expert', select: 'user title rating', populate: { path: 'user', select: 'name avatar' } })
+      .sort({ startTime: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    GroupSession.countDocuments(query)
+  ]);
+
+  return {
+    sessions: sessions.map(toPublicSession),
+    totalPages: Math.ceil(total / limit) || 1,
+    currentPage: page
+  };
+}
+
+/**
+ * Sessions a user has a seat in (or had, for ended and cancelled sessions)
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function getUserSessions(userId) {
+  const sessions = await GroupSession.find({ 'attendees.user': userId })
+    .populate({ path: 'expert', select: 'user title', populate: { path: 'user', select: 'name avatar' } })
+    .sort({ startTime: -1 })
+    .limit(100)
+    .lean();
+
+  return sessions.map(session => ({
+    ...toPublicSession(session),
+    attendance: session.attendees.find(a => a.user.toString() === userId.toString())
+  }));
+}
+
+/**
+ * Sessions hosted by an expert, with attendees and earnings
+ * @param {String} expertUserId - Host's user ID
+ * @returns {Promise<Array>}
+ */
+async function getHostedSessions(expertUserId) {
+  const expert = await Expert.findOne({ user: expertUserId }).select('_id');
+  if (!expert) {
+    throw sessionError('Expert profile not found', 'EXPERT_NOT_FOUND');
+  }
+
+  return GroupSession.find({ expert: expert._id })
+    .populate('attendees.user', 'name avatar')
+    .sort({ startTime: -1 })
+    .limit(100)
+    .lean();
+}
+
+/**
+ * Cancel sessions whose host never started them and end sessions that overran
+ * Should be called periodically
+ * @returns {Promise<Object>} { cancelled, ended }
+ */
+async function sweepSessions() {
+  const summary = { cancelled: 0, ended: 0 };
+  const now = Date.now();
+
+  try {
+    const missed = await GroupSession.find({
+      status: 'scheduled',
+      startTime: { $lt: new Date(now - START_GRACE_MINUTES * 60 * 1000) }
+    }).select('_id');
+
+    for (const session of missed) {
+      try {
+        if (await cancelScheduledSession(session._id, 'not_started')) {
+          summary.cancelled += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to cancel group session ${session._id}:`, error.message);
+      }
+    }
+
+    const live = await GroupSession.find({ status: 'live' }).select('_id startedAt durationMinutes');
+    for (const session of live) {
+      const limit = session.startedAt.getTime() + (session.durationMinutes + OVERRUN_GRACE_MINUTES) * 60 * 1000;
+      if (limit > now) continue;
+
+      try {
+        if (await finishSession(session._id, 'overran')) {
+          summary.ended += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to end group session ${session._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error('Error sweeping group sessions:', error);
+  }
+
+  if (summary.cancelled + summary.ended > 0) {
+    logger.info('Group session sweep:', JSON.stringify(summary));
+  }
+  return summary;
+}
+
+module.exports = {
+  START_GRACE_MINUTES,
+  createSession,
+  joinSession,
+  leaveSession,
+  startSession,
+  endSession,
+  cancelSession,
+  getChannelAccess,
+  toPublicSession,
+  listOpenSessions,
+  getUserSessions,
+  getHostedSessions,
+  sweepSessions
+};
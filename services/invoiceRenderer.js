@@ -0,0 +1,351 @@
+/**
+ * Invoice Renderer
+ * Turns stored invoices into downloadable documents: a standalone HTML page
+ * and a PDF with one A4 page per invoice. The PDF is written directly with
+ * the standard Helvetica fonts, so text is limited to Latin-1 (anything else
+ * prints as "?"). Both formats show the same content (see describeInvoice).
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const DESCRIPTION_CHARS = 58;
+
+const PAYMENT_METHODS = {
+  razorpay: 'Razorpay',
+  demo: 'Demo payment',
+  wallet: 'Wallet balance'
+};
+
+/**
+ * Format an amount with two decimals and Indian digit grouping
+ * @param {Number} amount
+ * @returns {String}
+ */
+function formatMoney(amount) {
+  return (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a date as YYYY-MM-DD, with the time (UTC) when asked
+ * @param {Date} date
+ * @param {Boolean} withTime
+ * @returns {String}
+ */
+function formatDate(date, withTime = false) {
+  if (!date) return '';
+  const iso = new Date(date).toISOString();
+  return withTime ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : iso.slice(0, 10);
+}
+
+/**
+ * Everything printed on an invoice, in display order
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} { title, number, date, seller, billedTo, details, lines, totals, note }
+ */
+function describeInvoice(invoice) {
+  const platform = invoice.platform || {};
+  const payment = invoice.payment || {};
+  const details = [];
+
+  if (invoice.kind === 'call' && invoice.callDetails) {
+    const call = invoice.callDetails;
+    const seconds = call.durationSeconds || 0;
+    details.push(
+      ['Expert', call.expertName],
+      ['Call type', call.callType],
+      ['Started', formatDate(call.startTime, true)],
+      ['Ended', formatDate(call.endTime, true)],
+      ['Duration', `${Math.floor(seconds / 60)} min ${seconds % 60} s`],
+      ['Rate', `${call.tokensPerMinute} tokens/min`],
+      ['Billing rule', call.billingRule]
+    );
+    if (call.packageName) {
+      details.push(['Package', call.packageName]);
+    }
+  }
+  if (invoice.kind === 'topup') {
+    details.push(['Top-up date', formatDate(invoice.suppliedAt, true)]);
+  }
+  details.push(['Paid with', PAYMENT_METHODS[payment.method] || payment.method]);
+  if (payment.paymentId) details.push(['Payment ID', payment.paymentId]);
+  if (payment.orderId) details.push(['Order ID', payment.orderId]);
+
+  const tax = invoice.tax || {};
+  return {
+    title: invoice.kind === 'call' ? 'Tax Invoice - Consultation' : 'Tax Invoice - Wallet Top-up',
+    number: invoice.number,
+    date: formatDate(invoice.issuedAt),
+    seller: [
+      platform.name,
+      platform.address,
+      platform.taxId ? `Tax ID: ${platform.taxId}` : '',
+      platform.email
+    ].filter(Boolean),
+    billedTo: [invoice.billedTo.name, invoice.billedTo.email].filter(Boolean),
+    details: details.filter(([, value]) => value !== undefined && value !== ''),
+    lines: invoice.lines.map(line => ({
+      description: line.description,
+      quantity: `${line.quantity} ${line.unit}${line.quantity === 1 || !line.unit ? '' : 's'}`,
+      rate: formatMoney(line.rate),
+      amount: formatMoney(line.amount)
+    })),
+    totals: [
+      ['Taxable value', formatMoney(invoice.subtotal)],
+      [`${tax.label || 'Tax'} (${tax.rate || 0}%)`, formatMoney(tax.amount)],
+      [`Total (${invoice.currency})`, formatMoney(invoice.total)]
+    ],
+    note: `Amounts in ${invoice.currency}; 1 token = 1 ${invoice.currency}. Prices include ${tax.label || 'tax'}.`
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render invoices as one HTML document (each invoice starts on a new printed page)
+ * @param {Array<Object>} invoices - Invoice documents
+ * @param {String} title - Document title
+ * @returns {String}
+ */
+function renderHtml(invoices, title) {
+  const sections = invoices.map((invoice) => {
+    const view = describeInvoice(invoice);
+    const rows = (pairs) => pairs
+      .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+
+    return `<article class="invoice">
+  <header>
+    <h1>${escapeHtml(view.title)}</h1>
+    <p class="meta">No. <strong>${escapeHtml(view.number)}</strong><br>Date ${escapeHtml(view.date)}</p>
+  </header>
+  <div class="parties">
+    <div><h2>From</h2><p>${view.seller.map(escapeHtml).join('<br>')}</p></div>
+    <div><h2>Billed to</h2><p>${view.billedTo.map(escapeHtml).join('<br>')}</p></div>
+  </div>
+  <table class="details">${rows(view.details)}</table>
+  <table class="lines">
+    <thead><tr><th>Description</th><th>Quantity</th><th>Rate</th><th>Amount</th></tr></thead>
+    <tbody>${view.lines.map(line => `<tr><td>${escapeHtml(line.description)}</td><td>${escapeHtml(line.quantity)}</td><td class="num">${line.rate}</td><td class="num">${line.amount}</td></tr>`).join('')}</tbody>
+  </table>
+  <table class="totals">${rows(view.totals)}</table>
+  <p class="note">${escapeHtml(view.note)}</p>
+</article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+  .invoice { max-width: 760px; margin: 32px auto; padding: 32px; border: 1px solid #ddd; page-break-after: always; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 12px; text-transform: uppercase; color: #666; margin: 0 0 4px; }
+  .meta { text-align: right; margin: 0; }
+  .parties { display: flex; gap: 48px; margin: 24px 0; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  th, td { text-align: left; padding: 6px 8px; vertical-align: top; }
+  .details th { width: 140px; color: #666; font-weight: normal; }
+  .lines thead th { border-bottom: 2px solid #222; }
+  .lines td { border-bottom: 1px solid #eee; }
+  .num, .totals td { text-align: right; white-space: nowrap; }
+  .totals { width: 320px; margin-left: auto; }
+  .totals tr:last-child { font-weight: bold; border-top: 2px solid #222; }
+  .note { font-size: 12px; color: #666; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for a PDF string literal, replacing what Latin-1 cannot show
+ * @param {*} value
+ * @returns {String}
+ */
+function pdfText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Split text into lines of at most `width` characters, breaking at spaces
+ * @param {String} text
+ * @param {Number} width
+ * @returns {Array<String>}
+ */
+function wrap(text, width) {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(/\s+/)) {
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Approximate width of Helvetica text: exact for the digits and punctuation in amounts, average elsewhere
+ * @param {String} value
+ * @param {Number} size - Font size
+ * @param {Boolean} bold
+ * @returns {Number}
+ */
+function textWidth(value, size, bold) {
+  let em = 0;
+  for (const char of String(value)) {
+    if (/[0-9]/.test(char)) em += 0.556;
+    else if (/[.,\s]/.test(char)) em += 0.278;
+    else if (char === '-') em += 0.333;
+    else em += bold ? 0.63 : 0.58;
+  }
+  return em * size;
+}
+
+/**
+ * Content stream (drawing operators) for one invoice page
+ * @param {Object} invoice - Invoice document
+ * @returns {String}
+ */
+function pageContent(invoice) {
+  const view = describeInvoice(invoice);
+  const ops = [];
+  const right = PAGE_WIDTH - MARGIN;
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (x, top, value, { bold = false, size = 10 } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${top} Td (${pdfText(value)}) Tj ET`);
+  };
+  const textRight = (x, top, value, options = {}) => {
+    text(Math.round(x - textWidth(value, options.size || 10, options.bold)), top, value, options);
+  };
+  const rule = (top) => {
+    ops.push(`${MARGIN} ${top} m ${right} ${top} l S`);
+  };
+
+  text(MARGIN, y - 8, view.title, { bold: true, size: 16 });
+  textRight(right, y, `No. ${view.number}`, { bold: true });
+  textRight(right, y - 14, `Date ${view.date}`);
+  y -= 48;
+
+  text(MARGIN, y, 'FROM', { bold: true, size: 8 });
+  text(320, y, 'BILLED TO', { bold: true, size: 8 });
+  const partyLines = Math.max(view.seller.length, view.billedTo.length);
+  for (let i = 0; i < partyLines; i++) {
+    y -= 13;
+    if (view.seller[i]) text(MARGIN, y, view.seller[i], { bold: i === 0 });
+    if (view.billedTo[i]) text(320, y, view.billedTo[i], { bold: i === 0 });
+  }
+  y -= 28;
+
+  for (const [label, value] of view.details) {
+    text(MARGIN, y, label, { size: 9 });
+    text(MARGIN + 90, y, value, { size: 9 });
+    y -= 13;
+  }
+  y -= 16;
+
+  text(MARGIN, y, 'Description', { bold: true });
+  text(355, y, 'Quantity', { bold: true });
+  textRight(455, y, 'Rate', { bold: true });
+  textRight(right, y, 'Amount', { bold: true });
+  y -= 6;
+  rule(y);
+  y -= 14;
+
+  for (const line of view.lines) {
+    const descriptionLines = wrap(line.description, DESCRIPTION_CHARS);
+    text(355, y, line.quantity);
+    textRight(455, y, line.rate);
+    textRight(right, y, line.amount);
+    for (const part of descriptionLines) {
+      text(MARGIN, y, part);
+      y -= 13;
+    }
+    y -= 6;
+  }
+  rule(y + 8);
+  y -= 10;
+
+  view.totals.forEach(([label, value], index) => {
+    const last = index === view.totals.length - 1;
+    text(340, y, label, { bold: last });
+    textRight(right, y, value, { bold: last });
+    y -= 15;
+  });
+
+  text(MARGIN, MARGIN, view.note, { size: 8 });
+  return ops.join('\n');
+}
+
+/**
+ * Render invoices as one PDF, one page each
+ * @param {Array<Object>} invoices - Invoice documents
+ * @returns {Buffer}
+ */
+function renderPdf(invoices) {
+  // Objects 1-4 are fixed: catalog, page tree and the two fonts; each page adds a page and its content
+  const objects = [];
+  const pageIds = invoices.map((invoice, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  invoices.forEach((invoice, index) => {
+    const pageId = pageIds[index];
+    const content = pageContent(invoice);
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Everything is Latin-1, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf
+};
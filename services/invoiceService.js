@@ -0,0 +1,572 @@
+/**
+ * Invoice Service
+ * Numbered invoices for wallet top-ups (Razorpay or demo) and for completed
+ * calls, billed to the user who paid. Each source record is invoiced once;
+ * invoices are issued by a scheduled job and on demand when a user lists,
+ * downloads or exports them, so older records are covered too. Amounts are
+ * in rupees (1 token = ₹1) and include tax, which is shown separately.
+ * Rendering to HTML and PDF lives in invoiceRenderer.
+ */
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+const Call = require('../models/Call');
+const logger = require('./logger');
+
+const NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+const TAX_LABEL = process.env.INVOICE_TAX_LABEL || 'GST';
+const TAX_RATE = process.env.INVOICE_TAX_RATE !== undefined ? parseFloat(process.env.INVOICE_TAX_RATE) : 18;
+
+const MAX_EXPORT_DAYS = 366;
+const MAX_EXPORT_INVOICES = 500;
+const ISSUE_BATCH_SIZE = 200;
+// Records issued while a user waits on a list or export; the scheduled job issues the rest
+const ON_DEMAND_ISSUE_LIMIT = 20;
+
+// Numbers are handed out by one issuer at a time, under a lease kept in the counters collection
+const NUMBERING_LOCK = 'invoice-numbering';
+const NUMBERING_LOCK_MS = 30 * 1000;
+const NUMBERING_WAIT_MS = 200;
+const NUMBERING_ATTEMPTS = 10;
+
+// Top-ups are the user's own credits; coupon bonuses are credits too but nothing was paid for them
+const TOPUP_FILTER = { type: 'credit', status: 'completed', coupon: null };
+const CALL_FILTER = { status: 'completed', duration: { $gt: 0 } };
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function invoiceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Seller details printed on every invoice
+ * @returns {Object} { name, address, taxId, email }
+ */
+function platformDetails() {
+  return {
+    name: process.env.INVOICE_PLATFORM_NAME || 'ConsultOnCall',
+    address: process.env.INVOICE_PLATFORM_ADDRESS || '',
+    taxId: process.env.INVOICE_PLATFORM_TAX_ID || '',
+    email: process.env.INVOICE_PLATFORM_EMAIL || ''
+  };
+}
+
+/**
+ * Round to paise
+ * @param {Number} amount
+ * @returns {Number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Split a tax-inclusive total into taxable value and tax
+ * @param {Number} total - Amount paid
+ * @returns {Object} { subtotal, tax: { label, rate, amount } }
+ */
+function splitTax(total) {
+  const subtotal = roundMoney(total * 100 / (100 + TAX_RATE));
+  return {
+    subtotal,
+    tax: { label: TAX_LABEL, rate: TAX_RATE, amount: roundMoney(total - subtotal) }
+  };
+}
+
+/**
+ * Format a call duration as m:ss
+ * @param {Number} seconds
+ * @returns {String}
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Invoice fields for a top-up transaction
+ * @param {Object} transaction - Transaction with user populated
+ * @returns {Object}
+ */
+function buildTopupInvoice(transaction) {
+  const total = transaction.tokens;
+  const method = transaction.paymentId ? 'razorpay' : 'demo';
+
+  return {
+    kind: 'topup',
+    user: transaction.user._id,
+    transaction: transaction._id,
+    suppliedAt: transaction.createdAt,
+    billedTo: { name: transaction.user.name || '', email: transaction.user.email || '' },
+    lines: [{
+      description: method === 'razorpay'
+        ? `Wallet top-up via Razorpay (${transaction.paymentId})`
+        : 'Wallet top-up (demo payment)',
+      quantity: total,
+      unit: 'token',
+      rate: 1,
+      amount: total
+    }],
+    ...splitTax(total),
+    total,
+    payment: {
+      method,
+      paymentId: transaction.paymentId || '',
+      orderId: transaction.orderId || ''
+    }
+  };
+}
+
+/**
+ * Invoice fields for a completed call, billed to the caller
+ * @param {Object} call - Call with caller and expert.user populated
+ * @returns {Object}
+ */
+function buildCallInvoice(call) {
+  const expertName = call.expert && call.expert.user ? call.expert.user.name : 'Expert';
+  const callType = call.callType || 'audio';
+  const billing = call.billing || {};
+  const charged = call.tokensSpent || 0;
+
+  const lines = [{
+    description: `${callType.charAt(0).toUpperCase()}${callType.slice(1)} consultation with ${expertName}, ` +
+      `${formatDuration(call.duration)} (${billing.summary || `${call.tokensPerMinute} tokens/min`})`,
+    quantity: Math.ceil((billing.billableSeconds || 0) / 60),
+    unit: 'minute',
+    rate: call.tokensPerMinute,
+    amount: charged
+  }];
+
+  if (call.packageUse && call.packageUse.consumed) {
+    lines.push({
+      description: `Package session "${call.packageUse.name}" (${call.packageUse.includedMinutes} min included, paid with the package)`,
+      quantity: 1,
+      unit: 'session',
+      rate: 0,
+      amount: 0
+    });
+  }
+
+  const discount = call.coupon && call.coupon.discountTokens ? call.coupon.discountTokens : 0;
+  if (discount > 0) {
+    lines.push({
+      description: `Coupon ${call.coupon.code}`,
+      quantity: 1,
+      unit: 'coupon',
+      rate: -discount,
+      amount: -discount
+    });
+  }
+
+  const total = Math.max(0, charged - discount);
+
+  return {
+    kind: 'call',
+    user: call.caller._id,
+    call: call._id,
+    suppliedAt: call.endTime || call.updatedAt,
+    billedTo: { name: call.caller.name || '', email: call.caller.email || '' },
+    lines,
+    ...splitTax(total),
+    total,
+    payment: { method: 'wallet' },
+    callDetails: {
+      expertName,
+      callType,
+      startTime: call.startTime,
+      endTime: call.endTime,
+      durationSeconds: call.duration,
+      tokensPerMinute: call.tokensPerMinute,
+      billingRule: billing.summary || '',
+      packageName: call.packageUse && call.packageUse.consumed ? call.packageUse.name : ''
+    }
+  };
+}
+
+/**
+ * Take the numbering lease
+ * @returns {Promise<Date|null>} Lease expiry, or null while another issuer holds it
+ */
+async function acquireNumberingLock() {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + NUMBERING_LOCK_MS);
+  try {
+    const lock = await Counter.findOneAndUpdate(
+      { _id: NUMBERING_LOCK, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+      { $set: { lockedUntil } },
+      { new: true, upsert: true }
+    );
+    return lock ? lockedUntil : null;
+  } catch (error) {
+    // The lock document exists and is held, so the upsert could not insert it
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Give an invoice the next number of the current (UTC) year and date it now
+ * Called under the numbering lease. The invoice is written before the counter moves:
+ * if a counter update was lost, the unique number index rejects the reused number
+ * and the counter is moved past it, so no number is skipped or given twice.
+ * @param {String} invoiceId - Invoice document ID
+ */
+async function numberInvoice(invoiceId) {
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+  const counterId = `invoice-${year}`;
+
+  for (;;) {
+    const counter = await Counter.findById(counterId).lean();
+    const seq = (counter ? counter.seq : 0) + 1;
+    const number = `${NUMBER_PREFIX}-${year}-${String(seq).padStart(6, '0')}`;
+
+    let result;
+    try {
+      result = await Invoice.updateOne({ _id: invoiceId, number: null }, { $set: { number, issuedAt } });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await Counter.updateOne({ _id: counterId }, { $max: { seq } }, { upsert: true });
+      continue;
+    }
+    if (result.modifiedCount > 0) {
+      await Counter.updateOne({ _id: counterId }, { $max: { seq } }, { upsert: true });
+    }
+    return;
+  }
+}
+
+/**
+ * Number the invoices waiting for one, in the order they were created
+ * @returns {Promise<Number|null>} Invoices numbered, or null if another issuer is numbering
+ */
+async function numberPending() {
+  const lease = await acquireNumberingLock();
+  if (!lease) {
+    return null;
+  }
+
+  let numbered = 0;
+  try {
+    const pending = await Invoice.find({ number: null })
+      .sort({ createdAt: 1 })
+      .limit(ISSUE_BATCH_SIZE)
+      .select('_id');
+    for (const invoice of pending) {
+      // Stop before the lease runs out; the rest is numbered by the next run
+      if (Date.now() >= lease.getTime()) break;
+      await numberInvoice(invoice._id);
+      numbered += 1;
+    }
+  } finally {
+    await Counter.updateOne({ _id: NUMBERING_LOCK, lockedUntil: lease }, { $set: { lockedUntil: null } });
+  }
+  return numbered;
+}
+
+/**
+ * Wait until an invoice has its number, numbering pending invoices when the lease is free
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { wait } (false: try once, without waiting for another issuer)
+ * @returns {Promise<Object>} Numbered invoice
+ */
+async function ensureNumbered(invoice, { wait = true } = {}) {
+  const attempts = wait ? NUMBERING_ATTEMPTS : 1;
+  for (let attempt = 0; !invoice.number; attempt++) {
+    if (attempt >= attempts) {
+      throw invoiceError('The invoice is being numbered; try again shortly', 'INVOICE_PENDING');
+    }
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, NUMBERING_WAIT_MS));
+    }
+    await numberPending();
+    invoice = await Invoice.findById(invoice._id);
+  }
+  return invoice;
+}
+
+/**
+ * Create the invoice for a source record once; a concurrent issuer gets the same invoice
+ * @param {Object} fields - Invoice fields (with transaction or call set)
+ * @param {Object} options - Numbering options (see ensureNumbered)
+ * @returns {Promise<Object>} Numbered invoice
+ */
+async function createOnce(fields, options) {
+  const sourceFilter = fields.transaction ? { transaction: fields.transaction } : { call: fields.call };
+  let invoice;
+  try {
+    invoice = await Invoice.create({ ...fields, platform: platformDetails() });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    invoice = await Invoice.findOne(sourceFilter);
+  }
+
+  return linkSource(await ensureNumbered(invoice, options));
+}
+
+/**
+ * Point the invoiced transaction or call at its invoice, so it is not picked up again
+ * @param {Object} invoice - Numbered invoice
+ * @returns {Promise<Object>} The same invoice
+ */
+async function linkSource(invoice) {
+  const Source = invoice.transaction ? Transaction : Call;
+  await Source.updateOne(
+    { _id: invoice.transaction || invoice.call, invoice: null },
+    { $set: { invoice: invoice._id } }
+  );
+  return invoice;
+}
+
+/**
+ * Issue (or return) the invoice for a top-up transaction
+ * @param {String} transactionId - Transaction document ID
+ * @param {Object} options - Numbering options (see ensureNumbered)
+ * @returns {Promise<Object>} Invoice
+ */
+async function issueForTransaction(transactionId, options = {}) {
+  const existing = await Invoice.findOne({ transaction: transactionId });
+  if (existing) {
+    return linkSource(await ensureNumbered(existing, options));
+  }
+
+  const transaction = await Transaction.findOne({ _id: transactionId, ...TOPUP_FILTER }).populate('user', 'name email');
+  if (!transaction) {
+    throw invoiceError('Only completed wallet top-ups are invoiced', 'NOT_INVOICEABLE');
+  }
+
+  return createOnce(buildTopupInvoice(transaction), options);
+}
+
+/**
+ * Issue (or return) the invoice for a completed call
+ * @param {String} callId - Call document ID
+ * @param {Object} options - Numbering options (see ensureNumbered)
+ * @returns {Promise<Object>} Invoice
+ */
+async function issueForCall(callId, options = {}) {
+  const existing = await Invoice.findOne({ call: callId });
+  if (existing) {
+    return linkSource(await ensureNumbered(existing, options));
+  }
+
+  const call = await Call.findOne({ _id: callId, ...CALL_FILTER })
+    .populate('caller', 'name email')
+    .populate({ path: 'expert', select: 'user', populate: { path: 'user', select: 'name' } });
+  if (!call) {
+    throw invoiceError('Only completed calls are invoiced', 'NOT_INVOICEABLE');
+  }
+
+  return createOnce(buildCallInvoice(call), options);
+}
+
+/**
+ * Issue invoices for records that do not have one yet, oldest first
+ * Without waiting, issuance stops at the first invoice another issuer is numbering;
+ * the invoice and its record are left for the scheduled job.
+ * @param {Object} scope - { user } (optional)
+ * @param {Number} limit - Maximum records of each kind
+ * @param {Object} options - Numbering options (see ensureNumbered)
+ * @returns {Promise<Object>} { topups, calls } issued
+ */
+async function issuePending({ user } = {}, limit = ISSUE_BATCH_SIZE, options = {}) {
+  const transactions = await Transaction.find({
+    ...TOPUP_FILTER,
+    invoice: null,
+    ...(user ? { user } : {})
+  }).sort({ createdAt: 1 }).limit(limit).select('_id');
+
+  const calls = await Call.find({
+    ...CALL_FILTER,
+    invoice: null,
+    ...(user ? { caller: user } : {})
+  }).sort({ endTime: 1 }).limit(limit).select('_id');
+
+  const summary = { topups: 0, calls: 0 };
+  for (const transaction of transactions) {
+    try {
+      await issueForTransaction(transaction._id, options);
+      summary.topups += 1;
+    } catch (error) {
+      if (error.code === 'INVOICE_PENDING' && options.wait === false) return summary;
+      logger.error(`Failed to invoice transaction ${transaction._id}:`, error.message);
+    }
+  }
+  for (const call of calls) {
+    try {
+      await issueForCall(call._id, options);
+      summary.calls += 1;
+    } catch (error) {
+      if (error.code === 'INVOICE_PENDING' && options.wait === false) return summary;
+      logger.error(`Failed to invoice call ${call._id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Parse a from/to query range; date-only `to` values include that whole day
+ * @param {Object} query - { from, to }
+ * @param {Boolean} required - Whether both ends must be given
+ * @returns {Object} { from, to } (Dates or undefined)
+ */
+function parseRange({ from, to } = {}, required = false) {
+  if (required && (!from || !to)) {
+    throw invoiceError('Both from and to dates are required', 'INVALID_RANGE');
+  }
+
+  const range = {};
+  if (from) {
+    range.from = new Date(from);
+    if (isNaN(range.from)) throw invoiceError('Invalid from date', 'INVALID_RANGE');
+  }
+  if (to) {
+    range.to = new Date(to);
+    if (isNaN(range.to)) throw invoiceError('Invalid to date', 'INVALID_RANGE');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.to = new Date(range.to.getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    throw invoiceError('from must be before to', 'INVALID_RANGE');
+  }
+  return range;
+}
+
+/**
+ * Query filter for a user's numbered invoices in a range
+ * @param {String} userId - User document ID
+ * @param {Object} range - { from, to }
+ * @returns {Object}
+ */
+function rangeFilter(userId, { from, to }) {
+  const filter = { user: userId, number: { $ne: null } };
+  if (from || to) {
+    filter.issuedAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+  }
+  return filter;
+}
+
+/**
+ * A user's numbered invoices by issue date, newest first; a few records not invoiced yet are issued first
+ * @param {String} userId - User document ID
+ * @param {Object} query - { from, to, page, limit }
+ * @returns {Promise<Object>} { invoices, total, totalPages, currentPage }
+ */
+async function listInvoices(userId, query = {}) {
+  const range = parseRange(query);
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+
+  await issuePending({ user: userId }, ON_DEMAND_ISSUE_LIMIT, { wait: false });
+
+  const filter = rangeFilter(userId, range);
+  const [invoices, total] = await Promise.all([
+    Invoice.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('number kind issuedAt suppliedAt total currency tax payment.method transaction call'),
+    Invoice.countDocuments(filter)
+  ]);
+
+  return { invoices, total, totalPages: Math.ceil(total / limit), currentPage: page };
+}
+
+/**
+ * One invoice, for its owner or an admin
+ * @param {String} invoiceId - Invoice document ID
+ * @param {Object} user - Requesting user ({ _id, role })
+ * @returns {Promise<Object>} Invoice
+ */
+async function getInvoice(invoiceId, user) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || !invoice.number) {
+    throw invoiceError('Invoice not found', 'INVOICE_NOT_FOUND');
+  }
+  if (invoice.user.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw invoiceError('Not your invoice', 'UNAUTHORIZED');
+  }
+  return invoice;
+}
+
+/**
+ * The invoice for one of the user's top-ups or calls, issued if needed
+ * @param {Object} source - { transaction } or { call } (document ID)
+ * @param {Object} user - Requesting user ({ _id, role })
+ * @returns {Promise<Object>} Invoice
+ */
+async function getInvoiceFor(source, user) {
+  const isAdmin = user.role === 'admin';
+
+  if (source.transaction) {
+    const transaction = await Transaction.findById(source.transaction).select('user');
+    if (!transaction || (!isAdmin && transaction.user.toString() !== user._id.toString())) {
+      throw invoiceError('Transaction not found', 'TRANSACTION_NOT_FOUND');
+    }
+    return issueForTransaction(transaction._id);
+  }
+
+  const call = await Call.findById(source.call).select('caller');
+  if (!call || (!isAdmin && call.caller.toString() !== user._id.toString())) {
+    throw invoiceError('Call not found', 'CALL_NOT_FOUND');
+  }
+  return issueForCall(call._id);
+}
+
+/**
+ * All of a user's invoices issued in a date range, oldest first, for bulk export
+ * @param {String} userId - User document ID
+ * @param {Object} query - { from, to }
+ * @returns {Promise<Object>} { invoices, from, to }
+ */
+async function exportInvoices(userId, query = {}) {
+  const range = parseRange(query, true);
+  if (range.to - range.from > MAX_EXPORT_DAYS * 24 * 60 * 60 * 1000) {
+    throw invoiceError(`Exports can cover at most ${MAX_EXPORT_DAYS} days`, 'INVALID_RANGE');
+  }
+
+  await issuePending({ user: userId }, ON_DEMAND_ISSUE_LIMIT, { wait: false });
+
+  const filter = rangeFilter(userId, range);
+  const count = await Invoice.countDocuments(filter);
+  if (count === 0) {
+    throw invoiceError('No invoices in this range', 'NO_INVOICES');
+  }
+  if (count > MAX_EXPORT_INVOICES) {
+    throw invoiceError(`The range has ${count} invoices; export at most ${MAX_EXPORT_INVOICES} at a time`, 'RANGE_TOO_LARGE');
+  }
+
+  const invoices = await Invoice.find(filter).sort({ issuedAt: 1 });
+  return { invoices, ...range };
+}
+
+/**
+ * Scheduled job: invoice new top-ups and completed calls
+ */
+async function runScheduledIssuance() {
+  const summary = await issuePending();
+  if (summary.topups || summary.calls) {
+    logger.info(`Invoices issued: ${summary.topups} top-ups, ${summary.calls} calls`);
+  }
+  return summary;
+}
+
+module.exports = {
+  issueForTransaction,
+  issueForCall,
+  issuePending,
+  listInvoices,
+  getInvoice,
+  getInvoiceFor,
+  exportInvoices,
+  runScheduledIssuance
+};
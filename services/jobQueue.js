@@ -0,0 +1,130 @@
+/**
+ * Persistent Job Queue
+ * One-off jobs stored in MongoDB so they survive restarts and run on exactly
+ * one instance (jobs are claimed with an atomic lock before running).
+ */
+
+const Job = require('../models/Job');
+const logger = require('./logger');
+
+const LOCK_MS = 60 * 1000;      // How long a claimed job is locked to one instance
+const RETRY_DELAY_MS = 15 * 1000;
+const BATCH_SIZE = 25;
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {String} type - Job type
+ * @param {Function} handler - Async function receiving the job payload
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Schedule a job; jobs with the same key are only scheduled once
+ * @param {String} type - Job type
+ * @param {Date} runAt - When to run
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - { key, maxAttempts }
+ * @returns {Promise<Object|null>} Job document (null if a job with the key exists)
+ */
+async function schedule(type, runAt, payload = {}, options = {}) {
+  try {
+    const job = new Job({
+      type,
+      runAt,
+      payload,
+      key: options.key,
+      maxAttempts: options.maxAttempts || 3
+    });
+    await job.save();
+    return job;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null; // Already scheduled
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending job by key
+ * @param {String} key - Job key
+ * @returns {Promise<Boolean>} True if a pending job was cancelled
+ */
+async function cancel(key) {
+  const result = await Job.deleteOne({ key, status: 'pending' });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Atomically claim the next due job
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed job
+ */
+async function claimNextJob(now) {
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        // Jobs left running by a crashed instance
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+/**
+ * Run all due jobs (up to a batch)
+ * Should be called periodically (e.g., every 5 seconds)
+ * @returns {Promise<Object>} { processed, failed }
+ */
+async function processDueJobs() {
+  const summary = { processed: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const job = await claimNextJob(now);
+    if (!job) break;
+
+    try {
+      await handlers.get(job.type)(job.payload || {});
+      await Job.updateOne(
+        { _id: job._id },
+        { status: 'done', completedAt: new Date(), lockedUntil: null, lastError: '' }
+      );
+      summary.processed += 1;
+    } catch (error) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          status: exhausted ? 'failed' : 'pending',
+          runAt: new Date(Date.now() + RETRY_DELAY_MS),
+          lockedUntil: null,
+          lastError: error.message,
+          ...(exhausted && { completedAt: new Date() })
+        }
+      );
+      summary.failed += 1;
+      logger.error(`Job ${job.type} (${job._id}) failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  registerHandler,
+  schedule,
+  cancel,
+  processDueJobs
+};
@@ -0,0 +1,120 @@
+/**
+ * Call Metering Service
+ * Bills ongoing calls incrementally: each tick debits the caller for the
+ * charge accrued since the last tick, credits the expert's share and writes
+ * ledger rows linked to the call. Calls end automatically when the caller
+ * can no longer pay.
+ */
+
+const Call = require('../models/Call');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const walletHold = require('./walletHold');
+const { calculateCharge } = require('./billingPolicy');
+const { CallStateManager, CALL_STATES } = require('./callStateManager');
+
+const METER_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Bill the charge accrued on one ongoing call since its last tick
+ * @param {Object} call - Call document (caller and expert.user populated)
+ * @param {Date} now - Tick time
+ * @returns {Promise<Object>} { charged, exhausted }
+ */
+async function meterCall(call, now = new Date()) {
+  const durationSeconds = Math.floor((now - call.startTime) / 1000);
+  const charge = calculateCharge(call.billing, durationSeconds, call.tokensPerMinute);
+  const billedBefore = call.billedTokens || 0;
+  const delta = charge.tokens - billedBefore;
+
+  if (delta <= 0) {
+    // Nothing new to bill; make sure the next interval is already covered by the hold
+    await walletHold.extendHoldIfNeeded(call, charge.tokens + call.tokensPerMinute);
+    return { charged: 0, exhausted: false };
+  }
+
+  // Claim this tick; a concurrent tick or endCall makes the claim fail
+  const claimed = await Call.findOneAndUpdate(
+    { _id: call._id, status: CALL_STATES.CONNECTED, billedTokens: billedBefore },
+    { $inc: { billedTokens: delta }, $set: { lastMeteredAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { charged: 0, exhausted: false };
+  }
+
+  // Top up the hold so the debit is covered by reserved tokens where possible
+  await walletHold.extendHoldIfNeeded(call, charge.tokens);
+  const fresh = await Call.findById(call._id).select('hold caller');
+
+  const debit = await walletHold.consumeHold(fresh, delta);
+  const shortfall = delta - debit.captured;
+  if (shortfall > 0) {
+    await Call.updateOne({ _id: call._id }, { $inc: { billedTokens: -shortfall } });
+  }
+
+  if (debit.captured > 0) {
+    await new Transaction({
+      user: call.caller._id,
+      type: 'debit',
+      tokens: debit.captured,
+      description: `Call with ${call.expert.user.name} (in-call charge, ${charge.summary})`,
+      call: call._id,
+      tokensBefore: debit.tokensBefore,
+      tokensAfter: debit.tokensAfter
+    }).save();
+
+    await CallStateManager.creditExpertEarnings(call, billedBefore + debit.captured, 'in-call earnings');
+  }
+
+  // Caller could not pay for the period that just started
+  return { charged: debit.captured, exhausted: shortfall > 0 };
+}
+
+/**
+ * Meter every ongoing call; end calls whose caller has run out of balance
+ * Should be called periodically (every METER_INTERVAL_MS)
+ * @returns {Promise<Object>} { metered, charged, ended }
+ */
+async function runMeteringTick() {
+  const summary = { metered: 0, charged: 0, ended: 0 };
+
+  try {
+    const now = new Date();
+    const calls = await Call.find({
+      status: CALL_STATES.CONNECTED,
+      startTime: { $ne: null }
+    })
+      .populate('caller', 'name')
+      .populate({ path: 'expert', select: 'user', populate: { path: 'user', select: 'name' } });
+
+    for (const call of calls) {
+      try {
+        const result = await meterCall(call, now);
+        summary.metered += 1;
+        summary.charged += result.charged;
+
+        if (result.exhausted) {
+          logger.warn(`Call ${call._id} ended: caller balance exhausted`);
+          const ended = await CallStateManager.endCall(call._id, 'system_low_balance');
+          if (ended.success) summary.ended += 1;
+        } else {
+          // Publishes a balance event to the call's live streams when the warning level changes
+          await CallStateManager.checkBalance(call._id);
+        }
+      } catch (error) {
+        logger.error(`Error metering call ${call._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error('Error running metering tick:', error);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  METER_INTERVAL_MS,
+  meterCall,
+  runMeteringTick
+};
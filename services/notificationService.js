@@ -0,0 +1,260 @@
+/**
+ * Notification Service
+ * "Notify me when this expert is online" subscriptions and the in-app
+ * notification records they produce. Notifications are throttled per
+ * subscription and per user; subscriptions expire after a set period.
+ * Also tells both sides of a booking when its call starts ringing.
+ */
+
+const Notification = require('../models/Notification');
+const AvailabilitySubscription = require('../models/AvailabilitySubscription');
+const Expert = require('../models/Expert');
+const QueueEntry = require('../models/QueueEntry');
+const logger = require('./logger');
+const expertStatusManager = require('./expertStatusManager');
+
+const SUBSCRIPTION_DAYS = 7;
+const MAX_SUBSCRIPTIONS_PER_USER = 50;
+const SUBSCRIPTION_THROTTLE_MINUTES = 30; // Min gap between notifications for one subscription
+const USER_HOURLY_LIMIT = 10;             // Max availability notifications per user per hour
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function notificationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Subscribe a user to an expert's availability (re-subscribing extends the expiry)
+ * @param {String} userId - User ID
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Object>} Subscription
+ */
+async function subscribe(userId, expertId) {
+  const expert = await Expert.findById(expertId).select('isApproved user');
+  if (!expert || !expert.isApproved) {
+    throw notificationError('Expert not found', 'EXPERT_NOT_FOUND');
+  }
+  if (expert.user.toString() === userId.toString()) {
+    throw notificationError('You cannot subscribe to your own profile', 'INVALID_SUBSCRIPTION');
+  }
+
+  const existing = await AvailabilitySubscription.exists({ user: userId, expert: expertId });
+  if (!existing) {
+    const count = await AvailabilitySubscription.countDocuments({ user: userId, expiresAt: { $gt: new Date() } });
+    if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+      throw notificationError(`You can follow at most ${MAX_SUBSCRIPTIONS_PER_USER} experts at a time`, 'SUBSCRIPTION_LIMIT');
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + SUBSCRIPTION_DAYS * 24 * 60 * 60 * 1000);
+  return AvailabilitySubscription.findOneAndUpdate(
+    { user: userId, expert: expertId },
+    { $set: { expiresAt } },
+    { new: true, upsert: true }
+  );
+}
+
+/**
+ * Remove a subscription
+ * @param {String} userId - User ID
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Boolean>} True if a subscription was removed
+ */
+async function unsubscribe(userId, expertId) {
+  const result = await AvailabilitySubscription.deleteOne({ user: userId, expert: expertId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Get a user's active subscriptions
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function getSubscriptions(userId) {
+  return AvailabilitySubscription.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .populate({
+      path: 'expert',
+      select: 'user title isOnline isBusy',
+      populate: { path: 'user', select: 'name avatar' }
+    })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Notify subscribers that an expert is available
+ * @param {String} expertId - Expert document ID
+ * @param {String} reason - What made the expert available
+ * @returns {Promise<Number>} Notifications created
+ */
+async function notifyExpertAvailable(expertId, reason = 'online') {
+  // Queued callers get the expert first; subscribers would only be turned away
+  const queued = await QueueEntry.exists({ expert: expertId, status: { $in: ['waiting', 'offered'] } });
+  if (queued) {
+    return 0;
+  }
+
+  const now = new Date();
+  const throttledBefore = new Date(now.getTime() - SUBSCRIPTION_THROTTLE_MINUTES * 60 * 1000);
+  const dueFilter = {
+    expert: expertId,
+    expiresAt: { $gt: now },
+    $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lt: throttledBefore } }]
+  };
+
+  const subscriptions = await AvailabilitySubscription.find(dueFilter).select('user');
+  if (subscriptions.length === 0) {
+    return 0;
+  }
+
+  const expert = await Expert.findById(expertId).populate('user', 'name');
+  const expertName = expert && expert.user ? expert.user.name : 'An expert you follow';
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+  let created = 0;
+
+  for (const subscription of subscriptions) {
+    try {
+      const recent = await Notification.countDocuments({
+        user: subscription.user,
+        type: 'expert_available',
+        createdAt: { $gt: hourAgo }
+      });
+      if (recent >= USER_HOURLY_LIMIT) {
+        continue;
+      }
+
+      // Claim the subscription so concurrent triggers notify only once
+      const claimed = await AvailabilitySubscription.findOneAndUpdate(
+        { ...dueFilter, _id: subscription._id },
+        { $set: { lastNotifiedAt: now }, $inc: { notifyCount: 1 } }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      await new Notification({
+        user: subscription.user,
+        type: 'expert_available',
+        title: `${expertName} is available`,
+        message: `${expertName} is online and free to take your call now.`,
+        expert: expertId
+      }).save();
+      created += 1;
+    } catch (error) {
+      logger.error(`Failed to notify user ${subscription.user} about expert ${expertId}:`, error.message);
+    }
+  }
+
+  if (created > 0) {
+    logger.info(`Notified ${created} subscriber(s) that expert ${expertId} is available (${reason})`);
+  }
+  return created;
+}
+
+/**
+ * Tell the caller and the expert that a booked consultation is ringing now
+ * @param {Object} booking - Booking document
+ * @param {String} callId - Call created for the booking
+ * @returns {Promise<void>}
+ */
+async function notifyBookedCall(booking, callId) {
+  const expert = await Expert.findById(booking.expert).populate('user', 'name');
+  if (!expert) {
+    return;
+  }
+  const expertName = expert.user ? expert.user.name : 'Your expert';
+
+  await Notification.insertMany([
+    {
+      user: booking.caller,
+      type: 'booked_call',
+      title: `Your call with ${expertName} is starting`,
+      message: 'Your booked consultation is ringing now.',
+      expert: expert._id,
+      call: callId
+    },
+    {
+      user: expert.user._id,
+      type: 'booked_call',
+      title: 'A booked consultation is starting',
+      message: 'Your booked consultation is ringing now. Answer it from your dashboard.',
+      expert: expert._id,
+      call: callId
+    }
+  ]);
+}
+
+/**
+ * Get a user's notifications, newest first
+ * @param {String} userId - User ID
+ * @param {Object} options - { page, limit, unreadOnly }
+ * @returns {Promise<Object>} { notifications, unreadCount, totalPages, currentPage }
+ */
+async function getNotifications(userId, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+  const query = { user: userId };
+  if (options.unreadOnly) {
+    query.read = false;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: userId, read: false })
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    totalPages: Math.ceil(total / limit) || 1,
+    currentPage: page
+  };
+}
+
+/**
+ * Mark one notification (or all when notificationId is null) as read
+ * @param {String} userId - User ID
+ * @param {String|null} notificationId - Notification ID
+ * @returns {Promise<Number>} Notifications updated
+ */
+async function markRead(userId, notificationId = null) {
+  const query = { user: userId, read: false };
+  if (notificationId) {
+    query._id = notificationId;
+  }
+
+  const result = await Notification.updateMany(query, { read: true, readAt: new Date() });
+  return result.modifiedCount;
+}
+
+/**
+ * Register the expert availability hook
+ */
+function registerHooks() {
+  expertStatusManager.onExpertAvailable(notifyExpertAvailable);
+}
+
+module.exports = {
+  SUBSCRIPTION_DAYS,
+  subscribe,
+  unsubscribe,
+  getSubscriptions,
+  notifyExpertAvailable,
+  notifyBookedCall,
+  getNotifications,
+  markRead,
+  registerHooks
+};
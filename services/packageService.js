@@ -0,0 +1,368 @@
+/**
+ * Package Service
+ * Fixed-length consultation packages: an expert's catalogue, up-front
+ * purchase from the wallet, and redemption of one session per call. A
+ * redeemed call's included minutes are not metered; time beyond them is
+ * billed per minute as usual. The expert earns each session's share of the
+ * price when a call is settled against it.
+ */
+
+const PackagePurchase = require('../models/PackagePurchase');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const callTypes = require('./callTypes');
+
+const MAX_PACKAGES = 10;
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function packageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate a package catalogue from a request body; returns an error message or null
+ * @param {Object} expert - Expert document (for enabled call types)
+ * @param {Array<Object>} packages - Catalogue entries
+ * @returns {String|null}
+ */
+function validateCatalogue(expert, packages) {
+  if (!Array.isArray(packages)) return 'Packages must be an array';
+  if (packages.length > MAX_PACKAGES) return `At most ${MAX_PACKAGES} packages are allowed`;
+
+  for (const item of packages) {
+    if (!item || typeof item.name !== 'string' || !item.name.trim()) {
+      return 'Every package needs a name';
+    }
+    if (!Number.isInteger(item.sessions) || item.sessions < 1 || item.sessions > 20) {
+      return 'Sessions must be between 1 and 20';
+    }
+    if (!Number.isInteger(item.minutesPerSession) || item.minutesPerSession < 5 || item.minutesPerSession > 180) {
+      return 'Minutes per session must be between 5 and 180';
+    }
+    if (!Number.isInteger(item.price) || item.price < item.sessions) {
+      return 'Price must be a whole number of tokens, at least 1 per session';
+    }
+    if (item.validityDays !== undefined &&
+      (!Number.isInteger(item.validityDays) || item.validityDays < 1 || item.validityDays > 365)) {
+      return 'Validity must be between 1 and 365 days';
+    }
+    const callType = item.callType || callTypes.CALL_TYPES.AUDIO;
+    if (!Object.values(callTypes.CALL_TYPES).includes(callType)) {
+      return 'Call type must be audio or video';
+    }
+    if (!callTypes.isCallTypeEnabled(expert, callType)) {
+      return `You do not offer ${callType} calls`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace an expert's catalogue
+ * Entries sent with an _id keep it; past purchases keep their own snapshot either way.
+ * @param {String} userId - Expert's user ID
+ * @param {Array<Object>} packages - Catalogue entries
+ * @returns {Promise<Array>} Saved catalogue
+ */
+async function updateCatalogue(userId, packages) {
+  const expert = await Expert.findOne({ user: userId });
+  if (!expert) {
+    throw packageError('Expert profile not found', 'EXPERT_NOT_FOUND');
+  }
+
+  const validationError = validateCatalogue(expert, packages);
+  if (validationError) {
+    throw packageError(validationError, 'INVALID_PACKAGE');
+  }
+
+  expert.packages = packages.map(item => ({
+    ...(item._id && { _id: item._id }),
+    name: item.name.trim(),
+    description: item.description || '',
+    callType: item.callType || callTypes.CALL_TYPES.AUDIO,
+    sessions: item.sessions,
+    minutesPerSession: item.minutesPerSession,
+    price: item.price,
+    validityDays: item.validityDays || 90,
+    isActive: item.isActive !== false
+  }));
+  await expert.save();
+  return expert.packages;
+}
+
+/**
+ * Tokens of the price allocated to the next session (the last one takes the remainder)
+ * @param {Object} purchase - Purchase document
+ * @returns {Number}
+ */
+function nextSessionValue(purchase) {
+  const perSession = Math.floor(purchase.price / purchase.sessionsTotal);
+  return purchase.sessionsUsed === purchase.sessionsTotal - 1
+    ? purchase.price - perSession * (purchase.sessionsTotal - 1)
+    : perSession;
+}
+
+/**
+ * Buy a package from an expert's catalogue, paid from the wallet
+ * @param {String} userId - Buyer user ID
+ * @param {String} expertId - Expert document ID
+ * @param {String} packageId - Catalogue entry ID
+ * @returns {Promise<Object>} { purchase, tokensAfter }
+ */
+async function purchasePackage(userId, expertId, packageId) {
+  const expert = await Expert.findById(expertId).populate('user', 'name');
+  if (!expert || !expert.isApproved) {
+    throw packageError('Expert not found', 'EXPERT_NOT_FOUND');
+  }
+  if (expert.user && expert.user._id.toString() === userId.toString()) {
+    throw packageError('You cannot buy your own package', 'INVALID_PACKAGE');
+  }
+
+  const item = expert.packages.id(packageId);
+  if (!item || !item.isActive) {
+    throw packageError('Package not found', 'PACKAGE_NOT_FOUND');
+  }
+
+  // Pay up front from the spendable balance (tokens held for calls do not count)
+  const before = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: { $gte: [{ $subtract: ['$tokens', { $ifNull: ['$heldTokens', 0] }] }, item.price] }
+    },
+    { $inc: { tokens: -item.price } },
+    { new: false }
+  );
+  if (!before) {
+    throw packageError(`Insufficient balance. ₹${item.price} required`, 'INSUFFICIENT_BALANCE');
+  }
+
+  const purchase = await new PackagePurchase({
+    user: userId,
+    expert: expert._id,
+    package: {
+      packageId: item._id,
+      name: item.name,
+      callType: item.callType,
+      minutesPerSession: item.minutesPerSession
+    },
+    price: item.price,
+    sessionsTotal: item.sessions,
+    expiresAt: new Date(Date.now() + (item.validityDays || 90) * 24 * 60 * 60 * 1000)
+  }).save();
+
+  const transaction = await new Transaction({
+    user: userId,
+    type: 'debit',
+    tokens: item.price,
+    description: `Package "${item.name}" from ${expert.user ? expert.user.name : 'expert'}`,
+    packagePurchase: purchase._id,
+    tokensBefore: before.tokens,
+    tokensAfter: before.tokens - item.price
+  }).save();
+
+  purchase.transaction = transaction._id;
+  await purchase.save();
+
+  logger.info(`User ${userId} bought package ${item._id} from expert ${expert._id} for ${item.price} tokens`);
+  return { purchase, tokensAfter: before.tokens - item.price };
+}
+
+/**
+ * Get a purchase the user can redeem on a call with this expert now
+ * @param {String} userId - Caller user ID
+ * @param {String} purchaseId - Purchase ID
+ * @param {Object} expert - Expert document
+ * @param {String} callType - 'audio' | 'video'
+ * @returns {Promise<Object>} Purchase document
+ */
+async function getRedeemablePurchase(userId, purchaseId, expert, callType) {
+  const purchase = await PackagePurchase.findById(purchaseId);
+  if (!purchase || purchase.user.toString() !== userId.toString()) {
+    throw packageError('Package not found', 'PACKAGE_NOT_FOUND');
+  }
+  if (purchase.expert.toString() !== expert._id.toString()) {
+    throw packageError('This package is for a different expert', 'INVALID_PACKAGE');
+  }
+  if (purchase.package.callType !== callType) {
+    throw packageError(`This package is for ${purchase.package.callType} calls`, 'INVALID_PACKAGE');
+  }
+  if (purchase.status !== 'active' || purchase.expiresAt <= new Date()) {
+    throw packageError('This package has expired or has no sessions left', 'PACKAGE_UNAVAILABLE');
+  }
+  if (purchase.sessionsUsed + (purchase.reservedCalls || []).length >= purchase.sessionsTotal) {
+    throw packageError('This package has no sessions left', 'PACKAGE_UNAVAILABLE');
+  }
+  return purchase;
+}
+
+/**
+ * Reserve a session of a purchase for a call that is starting
+ * Conditional on a session being left after used and reserved ones, so concurrent
+ * calls cannot both redeem the last session.
+ * @param {String} purchaseId - Purchase ID
+ * @param {String} callId - Call document ID
+ */
+async function reserveSession(purchaseId, callId) {
+  const reserved = await PackagePurchase.findOneAndUpdate(
+    {
+      _id: purchaseId,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      reservedCalls: { $ne: callId },
+      $expr: {
+        $lt: [{ $add: ['$sessionsUsed', { $size: { $ifNull: ['$reservedCalls', []] } }] }, '$sessionsTotal']
+      }
+    },
+    { $push: { reservedCalls: callId } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw packageError('This package has no sessions left', 'PACKAGE_UNAVAILABLE');
+  }
+}
+
+/**
+ * Give back the session reserved by a call that ended without connecting
+ * Safe to repeat; does nothing once the session was consumed or released.
+ * @param {String} purchaseId - Purchase ID
+ * @param {String} callId - Call document ID
+ */
+async function releaseSession(purchaseId, callId) {
+  await PackagePurchase.updateOne({ _id: purchaseId }, { $pull: { reservedCalls: callId } });
+}
+
+/**
+ * Find the value of a session already redeemed by a call
+ * @param {Object} purchase - Purchase document
+ * @param {String} callId - Call document ID
+ * @returns {Number|null}
+ */
+function findRedemption(purchase, callId) {
+  const redemption = purchase.redemptions.find(r => r.call.toString() === callId.toString());
+  return redemption ? redemption.sessionValue : null;
+}
+
+/**
+ * Use one session of a purchase for a finished call
+ * Safe to repeat for the same call: the session is only taken once.
+ * @param {String} purchaseId - Purchase ID
+ * @param {String} callId - Call document ID
+ * @returns {Promise<Number|null>} Tokens of the price allocated to the session, or null if none was left
+ */
+async function consumeSession(purchaseId, callId) {
+  const purchase = await PackagePurchase.findById(purchaseId);
+  if (!purchase) {
+    return null;
+  }
+  const redeemed = findRedemption(purchase, callId);
+  if (redeemed !== null) {
+    return redeemed;
+  }
+  // Validity is checked when the call starts; a purchase that expired during the call is still honoured
+  if (purchase.status === 'used_up' || purchase.sessionsUsed >= purchase.sessionsTotal) {
+    await releaseSession(purchaseId, callId);
+    return null;
+  }
+
+  const sessionValue = nextSessionValue(purchase);
+  const claimed = await PackagePurchase.findOneAndUpdate(
+    { _id: purchase._id, sessionsUsed: purchase.sessionsUsed, 'redemptions.call': { $ne: callId } },
+    {
+      $inc: { sessionsUsed: 1 },
+      $push: { redemptions: { call: callId, sessionValue, redeemedAt: new Date() } },
+      $pull: { reservedCalls: callId },
+      ...(purchase.sessionsUsed + 1 >= purchase.sessionsTotal && { $set: { status: 'used_up' } })
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    // Another session was taken meanwhile (or this call redeemed concurrently); retry against the latest state
+    return consumeSession(purchaseId, callId);
+  }
+
+  return sessionValue;
+}
+
+/**
+ * Get an expert's active catalogue
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Array>}
+ */
+async function getCatalogue(expertId) {
+  const expert = await Expert.findById(expertId).select('packages isApproved');
+  if (!expert || !expert.isApproved) {
+    throw packageError('Expert not found', 'EXPERT_NOT_FOUND');
+  }
+  return expert.packages.filter(item => item.isActive);
+}
+
+/**
+ * Get a user's purchases, newest first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function getUserPurchases(userId) {
+  return PackagePurchase.find({ user: userId })
+    .populate({ path: 'expert', select: 'user title', populate: { path: 'user', select: 'name avatar' } })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Get an expert's full catalogue and the purchases of it, newest first
+ * @param {String} userId - Expert's user ID
+ * @returns {Promise<Object>} { packages, sales }
+ */
+async function getExpertSales(userId) {
+  const expert = await Expert.findOne({ user: userId }).select('packages');
+  if (!expert) {
+    throw packageError('Expert profile not found', 'EXPERT_NOT_FOUND');
+  }
+
+  const sales = await PackagePurchase.find({ expert: expert._id })
+    .select('-redemptions')
+    .populate('user', 'name avatar')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+  return { packages: expert.packages, sales };
+}
+
+/**
+ * Mark purchases past their validity as expired
+ * Should be called periodically
+ * @returns {Promise<Number>} Purchases expired
+ */
+async function expirePurchases() {
+  const result = await PackagePurchase.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info(`Expired ${result.modifiedCount} package purchase(s)`);
+  }
+  return result.modifiedCount;
+}
+
+module.exports = {
+  validateCatalogue,
+  updateCatalogue,
+  purchasePackage,
+  getRedeemablePurchase,
+  reserveSession,
+  releaseSession,
+  consumeSession,
+  getCatalogue,
+  getUserPurchases,
+  getExpertSales,
+  expirePurchases
+};
@@ -0,0 +1,114 @@
+/**
+ * Pub/Sub
+ * Fans messages out to subscribers on named channels. The default backend
+ * is in-process, which is enough for a single API instance; several
+ * instances need a shared backend (Redis, NATS, ...) so an event published
+ * on one reaches streams held open on another.
+ *
+ * A backend is an object with:
+ *   publish(channel, message)  -> Promise (message is a string)
+ *   subscribe(channel, handler) -> unsubscribe function (or a Promise of one)
+ * Set PUBSUB_BACKEND to a module path exporting createBackend() to plug one
+ * in at startup, or call setBackend() from code.
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * In-process backend
+ * @returns {Object} Backend
+ */
+function createMemoryBackend() {
+  const emitter = new EventEmitter();
+  // One listener per open stream; the default cap of 10 would warn under normal load
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+}
+
+/**
+ * Load the backend named by PUBSUB_BACKEND (memory when unset)
+ * @returns {Object} Backend
+ */
+function loadConfiguredBackend() {
+  const configured = process.env.PUBSUB_BACKEND;
+  if (!configured || configured === 'memory') {
+    return createMemoryBackend();
+  }
+
+  try {
+    const backendModule = require(path.resolve(configured));
+    const backend = backendModule.createBackend();
+    logger.info(`Pub/sub backend: ${backend.name || configured}`);
+    return backend;
+  } catch (error) {
+    logger.error(`Failed to load pub/sub backend ${configured}, using in-process backend:`, error.message);
+    return createMemoryBackend();
+  }
+}
+
+let backend = loadConfiguredBackend();
+
+/**
+ * Replace the backend (subscriptions made before the switch stay on the old one)
+ * @param {Object} nextBackend - Backend with publish and subscribe
+ */
+function setBackend(nextBackend) {
+  if (!nextBackend || typeof nextBackend.publish !== 'function' || typeof nextBackend.subscribe !== 'function') {
+    throw new Error('A pub/sub backend needs publish and subscribe functions');
+  }
+  backend = nextBackend;
+}
+
+/**
+ * Publish a message; failures are logged, never thrown to the caller
+ * @param {String} channel - Channel name
+ * @param {Object} payload - JSON-serialisable payload
+ * @returns {Promise<void>}
+ */
+async function publish(channel, payload) {
+  try {
+    await backend.publish(channel, JSON.stringify(payload));
+  } catch (error) {
+    logger.error(`Pub/sub publish to ${channel} failed:`, error.message);
+  }
+}
+
+/**
+ * Subscribe to a channel
+ * @param {String} channel - Channel name
+ * @param {Function} handler - Called with each parsed payload
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+async function subscribe(channel, handler) {
+  const unsubscribe = await backend.subscribe(channel, (message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (error) {
+      logger.error(`Pub/sub dropped a malformed message on ${channel}`);
+      return;
+    }
+    handler(payload);
+  });
+
+  return typeof unsubscribe === 'function' ? unsubscribe : () => {};
+}
+
+module.exports = {
+  createMemoryBackend,
+  setBackend,
+  publish,
+  subscribe
+};
@@ -0,0 +1,333 @@
+/**
+ * Reconciliation Service
+ * Compares three views of who is in a call - Call states, Expert busy flags
+ * (isBusy / currentCallId) and the channels the signalling server reports as
+ * active - and fixes drift through the state managers, so every correction
+ * goes through the same transitions, billing and audit trail as a normal
+ * call. Each run that changes something is stored as a report.
+ */
+
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Expert = require('../models/Expert');
+const GroupSession = require('../models/GroupSession');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const logger = require('./logger');
+const expertStatusManager = require('./expertStatusManager');
+const { CallStateManager, CALL_STATES } = require('./callStateManager');
+
+// Calls and experts changed this recently are left alone (the signalling server may not have caught up)
+const GRACE_MS = (parseInt(process.env.RECONCILE_GRACE_SECONDS) || 30) * 1000;
+
+const ACTIVE_STATES = [CALL_STATES.INITIATED, CALL_STATES.RINGING, CALL_STATES.ACCEPTED, CALL_STATES.CONNECTED];
+// States in which the expert is busy and the signalling server holds a channel for the call
+const CHANNEL_STATES = [CALL_STATES.RINGING, CALL_STATES.ACCEPTED, CALL_STATES.CONNECTED];
+
+const TRIGGERS = ['signalling', 'admin', 'scheduled'];
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function reconciliationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Turn an optional list of IDs into a set of strings
+ * @param {Array|undefined} ids - IDs reported by the signalling server
+ * @returns {Set<String>|null} null when no list was reported
+ */
+function toIdSet(ids) {
+  if (ids === undefined || ids === null) {
+    return null;
+  }
+  if (!Array.isArray(ids)) {
+    throw reconciliationError('Active call and expert lists must be arrays', 'INVALID_SIGNALLING_STATE');
+  }
+  return new Set(ids.filter(Boolean).map(id => id.toString()));
+}
+
+/**
+ * Fetch the active calls from the signalling server
+ * @returns {Promise<Object>} { activeCallIds, activeExpertIds }
+ */
+async function fetchSignallingState() {
+  const socketServerUrl = process.env.SOCKET_SERVER_URL || 'https://consultoncall-socket-server.onrender.com';
+
+  let activeCalls;
+  try {
+    const response = await fetch(`${socketServerUrl}/active-calls`);
+    const data = await response.json();
+    activeCalls = data.activeCalls || [];
+  } catch (error) {
+    logger.error('Failed to fetch active calls from socket server:', error.message);
+    throw reconciliationError('Failed to connect to socket server', 'SIGNALLING_UNAVAILABLE');
+  }
+
+  const callIds = activeCalls.map(call => call.callId).filter(Boolean);
+  return {
+    // Older socket servers only report experts; compare calls only when every entry names one
+    activeCallIds: callIds.length === activeCalls.length ? callIds : undefined,
+    activeExpertIds: activeCalls.map(call => call.expertId).filter(Boolean)
+  };
+}
+
+/**
+ * End or fail calls that the signalling server no longer has a channel for
+ * @param {Object} report - Report being built
+ * @param {Object} signalled - { calls: Set|null, experts: Set|null }
+ * @param {Date} settledBefore - Only calls last changed before this are touched
+ * @param {String} service - Reporting service (for the call audit trail)
+ */
+async function reconcileCalls(report, signalled, settledBefore, service) {
+  const calls = await Call.find({ status: { $in: ACTIVE_STATES } }).select('_id status expert updatedAt');
+  report.checked.calls = calls.length;
+
+  const activeIds = new Set(calls.map(call => call._id.toString()));
+
+  // A channel the signalling server still holds is proof of life, whether or not clients send heartbeats
+  if (signalled.calls) {
+    const live = calls
+      .filter(call => call.status === CALL_STATES.CONNECTED && signalled.calls.has(call._id.toString()))
+      .map(call => call._id);
+    if (live.length > 0) {
+      await Call.updateMany(
+        { _id: { $in: live }, status: CALL_STATES.CONNECTED },
+        { $set: { lastHeartbeatAt: report.startedAt } },
+        { timestamps: false }
+      );
+    }
+  }
+
+  for (const call of calls) {
+    if (!CHANNEL_STATES.includes(call.status) || call.updatedAt > settledBefore) {
+      continue;
+    }
+
+    let reason = null;
+    if (signalled.calls && !signalled.calls.has(call._id.toString())) {
+      reason = 'not_active_in_signalling';
+    } else if (signalled.experts && !signalled.experts.has(call.expert.toString())) {
+      reason = 'expert_not_in_signalling';
+    }
+    if (!reason) {
+      continue;
+    }
+
+    const action = {
+      kind: call.status === CALL_STATES.CONNECTED ? 'call_ended' : 'call_failed',
+      call: call._id,
+      expert: call.expert,
+      from: call.status,
+      to: call.status === CALL_STATES.CONNECTED ? CALL_STATES.ENDED : CALL_STATES.FAILED,
+      reason
+    };
+    try {
+      const result = await CallStateManager.handleDisconnect(call._id, null, 'internal', { service, reason: `reconcile_${reason}` });
+      if (result.conflict) {
+        // Another writer moved the call while this run was checking it; nothing left to fix
+        continue;
+      }
+      activeIds.delete(call._id.toString());
+    } catch (error) {
+      action.error = error.message;
+    }
+    report.actions.push(action);
+  }
+
+  // Channels with no call in progress cannot be closed from here; they are only reported
+  for (const callId of signalled.calls || []) {
+    if (!activeIds.has(callId)) {
+      report.actions.push({
+        kind: 'orphan_channel',
+        call: mongoose.isValidObjectId(callId) ? callId : null,
+        reason: `channel ${callId} has no call in progress`
+      });
+    }
+  }
+}
+
+/**
+ * Align Expert.isBusy / currentCallId with the calls in progress
+ * @param {Object} report - Report being built
+ * @param {Object} signalled - { calls: Set|null, experts: Set|null }
+ * @param {Date} settledBefore - Only experts last changed before this are released
+ */
+async function reconcileExperts(report, signalled, settledBefore) {
+  const liveCalls = await Call.find({ status: { $in: CHANNEL_STATES } })
+    .select('_id expert status createdAt')
+    .sort({ createdAt: -1 });
+  const liveByExpert = new Map();
+  for (const call of liveCalls) {
+    const expertId = call.expert.toString();
+    // Prefer the furthest-along call when an expert somehow has several
+    const current = liveByExpert.get(expertId);
+    if (!current || CHANNEL_STATES.indexOf(call.status) > CHANNEL_STATES.indexOf(current.status)) {
+      liveByExpert.set(expertId, call);
+    }
+  }
+
+  const experts = await Expert.find({
+    $or: [
+      { isBusy: true },
+      { _id: { $in: [...liveByExpert.keys()] } },
+      ...(signalled.experts ? [{ _id: { $in: [...signalled.experts].filter(id => mongoose.isValidObjectId(id)) } }] : [])
+    ]
+  }).select('_id isBusy currentCallId updatedAt');
+  report.checked.experts = experts.length;
+
+  for (const expert of experts) {
+    const expertId = expert._id.toString();
+    const liveCall = liveByExpert.get(expertId);
+    let action = null;
+
+    try {
+      if (liveCall) {
+        if (!expert.isBusy || String(expert.currentCallId) !== liveCall._id.toString()) {
+          action = {
+            kind: 'expert_marked_busy',
+            expert: expert._id,
+            call: liveCall._id,
+            from: expert.isBusy ? `busy (call ${expert.currentCallId || 'none'})` : 'available',
+            to: 'busy',
+            reason: `call ${liveCall.status}`
+          };
+          await expertStatusManager.setExpertBusy(expert._id, true, liveCall._id, 'reconcile');
+        }
+      } else if (signalled.experts && signalled.experts.has(expertId)) {
+        // In a channel the database knows nothing about (e.g. a group session)
+        if (!expert.isBusy) {
+          action = { kind: 'expert_marked_busy', expert: expert._id, from: 'available', to: 'busy', reason: 'active_in_signalling' };
+          await expertStatusManager.setExpertBusy(expert._id, true, null, 'reconcile_signalling');
+        }
+      } else if (expert.isBusy && expert.updatedAt <= settledBefore) {
+        const hostingLive = await GroupSession.exists({ expert: expert._id, status: 'live' });
+        if (!hostingLive) {
+          action = {
+            kind: 'expert_released',
+            expert: expert._id,
+            call: expert.currentCallId || null,
+            from: 'busy',
+            to: 'available',
+            reason: expert.currentCallId ? 'call_not_in_progress' : 'no_call'
+          };
+          await expertStatusManager.releaseExpert(expert._id);
+        }
+      }
+    } catch (error) {
+      if (action) action.error = error.message;
+    }
+
+    if (action) {
+      report.actions.push(action);
+    }
+  }
+}
+
+/**
+ * Run a reconciliation pass
+ * Without signalling lists only the database views are compared (calls vs expert flags).
+ * @param {Object} options - { trigger, service, triggeredBy, activeCallIds, activeExpertIds }
+ * @returns {Promise<Object>} Report (saved when anything changed, or when an admin asked for it)
+ */
+async function reconcile(options = {}) {
+  const trigger = TRIGGERS.includes(options.trigger) ? options.trigger : 'scheduled';
+  const service = options.service || (trigger === 'signalling' ? 'socket-server' : trigger);
+  const signalled = {
+    calls: toIdSet(options.activeCallIds),
+    experts: toIdSet(options.activeExpertIds)
+  };
+
+  const startedAt = new Date();
+  const settledBefore = new Date(startedAt.getTime() - GRACE_MS);
+  const report = {
+    trigger,
+    service,
+    triggeredBy: options.triggeredBy || null,
+    signalledCalls: signalled.calls ? signalled.calls.size : null,
+    signalledExperts: signalled.experts ? signalled.experts.size : null,
+    checked: { calls: 0, experts: 0 },
+    actions: [],
+    startedAt
+  };
+
+  // Calls first: ending a call releases its expert, which the expert pass then sees
+  await reconcileCalls(report, signalled, settledBefore, service);
+  await reconcileExperts(report, signalled, settledBefore);
+
+  report.finishedAt = new Date();
+  report.failures = report.actions.filter(action => action.error).length;
+
+  if (report.actions.length === 0 && trigger !== 'admin') {
+    return report;
+  }
+
+  const saved = await ReconciliationReport.create(report);
+  if (report.actions.length > 0) {
+    logger.info(`Reconciliation (${trigger}): ${report.actions.length} correction(s), ${report.failures} failed, report ${saved._id}`);
+  }
+  return saved.toObject();
+}
+
+/**
+ * List stored reports, newest first
+ * @param {Object} options - { trigger, page, limit }
+ * @returns {Promise<Object>} { reports, total, page, pages }
+ */
+async function getReports(options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+  const filter = TRIGGERS.includes(options.trigger) ? { trigger: options.trigger } : {};
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find(filter)
+      .select('-actions')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments(filter)
+  ]);
+
+  return { reports, total, page, pages: Math.ceil(total / limit) || 1 };
+}
+
+/**
+ * Get one report with its actions
+ * @param {String} reportId - Report ID
+ * @returns {Promise<Object>}
+ */
+async function getReport(reportId) {
+  if (!mongoose.isValidObjectId(reportId)) {
+    throw reconciliationError('Report not found', 'REPORT_NOT_FOUND');
+  }
+  const report = await ReconciliationReport.findById(reportId)
+    .populate('triggeredBy', 'name email')
+    .lean();
+  if (!report) {
+    throw reconciliationError('Report not found', 'REPORT_NOT_FOUND');
+  }
+  return report;
+}
+
+/**
+ * Scheduled pass over the database views only
+ * @returns {Promise<Object>} Report
+ */
+async function runScheduledReconciliation() {
+  return reconcile({ trigger: 'scheduled' });
+}
+
+module.exports = {
+  TRIGGERS,
+  fetchSignallingState,
+  reconcile,
+  getReports,
+  getReport,
+  runScheduledReconciliation
+};
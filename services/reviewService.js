@@ -0,0 +1,364 @@
+/**
+ * Review Service
+ * Call ratings with optional sub-scores, moderation of written reviews,
+ * the expert's one public reply per review, and the rating aggregates kept
+ * on Expert. Only published ratings count towards the aggregates.
+ */
+
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Expert = require('../models/Expert');
+const logger = require('./logger');
+
+const SUB_SCORES = ['knowledge', 'communication', 'value'];
+const REVIEW_NAME_OPTIONS = ['full', 'first_name', 'anonymous'];
+const REVIEW_SORTS = {
+  newest: { reviewedAt: -1, createdAt: -1 },
+  highest: { rating: -1, reviewedAt: -1, createdAt: -1 },
+  lowest: { rating: 1, reviewedAt: -1, createdAt: -1 }
+};
+const MAX_REVIEW_LENGTH = 500;
+const MAX_REPLY_LENGTH = 1000;
+
+// Ratings visible publicly: approved, or given before moderation existed
+const PUBLISHED_FILTER = {
+  rating: { $ne: null },
+  reviewStatus: { $in: ['approved', null] }
+};
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {String} message - Human readable message
+ * @param {String} code - Error code
+ * @returns {Error}
+ */
+function reviewError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check a star score
+ * @param {*} value - Score from a request body
+ * @returns {Boolean}
+ */
+function isStarScore(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 5;
+}
+
+/**
+ * Rate a completed call, optionally with sub-scores and a written review
+ * Star-only ratings are published at once; written reviews wait for moderation
+ * @param {String} userId - Caller user ID
+ * @param {String} callId - Call document ID
+ * @param {Object} data - { rating, ratings: { knowledge, communication, value }, review }
+ * @returns {Promise<Object>} Call document
+ */
+async function submitRating(userId, callId, data) {
+  const rating = Number(data.rating);
+  if (!isStarScore(rating)) {
+    throw reviewError('Rating must be between 1 and 5', 'INVALID_RATING');
+  }
+
+  const ratings = {};
+  if (data.ratings !== undefined && data.ratings !== null) {
+    if (typeof data.ratings !== 'object') {
+      throw reviewError('Sub-scores must be an object', 'INVALID_RATING');
+    }
+    for (const key of SUB_SCORES) {
+      if (data.ratings[key] === undefined || data.ratings[key] === null) continue;
+      const score = Number(data.ratings[key]);
+      if (!isStarScore(score)) {
+        throw reviewError(`${key} must be between 1 and 5`, 'INVALID_RATING');
+      }
+      ratings[key] = score;
+    }
+  }
+
+  const review = typeof data.review === 'string' ? data.review.trim() : '';
+  if (review.length > MAX_REVIEW_LENGTH) {
+    throw reviewError(`Review can be at most ${MAX_REVIEW_LENGTH} characters`, 'INVALID_RATING');
+  }
+
+  const call = await Call.findById(callId);
+  if (!call) {
+    throw reviewError('Call not found', 'CALL_NOT_FOUND');
+  }
+  if (call.caller.toString() !== userId.toString()) {
+    throw reviewError('Not authorized to rate this call', 'UNAUTHORIZED');
+  }
+  if (call.status !== 'completed') {
+    throw reviewError('Only completed calls can be rated', 'CALL_NOT_COMPLETED');
+  }
+
+  // The expert's reply answered the old review; it goes when the review changes
+  if (call.rating !== rating || (call.review || '') !== review) {
+    call.expertReply = undefined;
+  }
+
+  call.rating = rating;
+  call.ratings = ratings;
+  call.review = review;
+  call.reviewStatus = review ? 'pending' : 'approved';
+  call.reviewedAt = new Date();
+  call.reviewModeration = undefined;
+  await call.save();
+
+  await recomputeExpertRating(call.expert);
+  return call;
+}
+
+/**
+ * Recompute an expert's rating aggregates from published ratings
+ * @param {String} expertId - Expert document ID
+ * @returns {Promise<Object>} { rating, totalRatings, satisfiedCustomers, ratingBreakdown }
+ */
+async function recomputeExpertRating(expertId) {
+  const [stats] = await Call.aggregate([
+    { $match: { expert: new mongoose.Types.ObjectId(String(expertId)), ...PUBLISHED_FILTER } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        average: { $avg: '$rating' },
+        satisfied: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } },
+        knowledge: { $avg: '$ratings.knowledge' },
+        communication: { $avg: '$ratings.communication' },
+        value: { $avg: '$ratings.value' }
+      }
+    }
+  ]);
+
+  const round = value => (value ? Math.round(value * 10) / 10 : 0);
+  const aggregate = {
+    rating: round(stats && stats.average),
+    totalRatings: stats ? stats.count : 0,
+    satisfiedCustomers: stats ? stats.satisfied : 0,
+    ratingBreakdown: {
+      knowledge: round(stats && stats.knowledge),
+      communication: round(stats && stats.communication),
+      value: round(stats && stats.value)
+    }
+  };
+
+  await Expert.updateOne({ _id: expertId }, { $set: aggregate });
+  return aggregate;
+}
+
+/**
+ * Post the expert's public reply to a review (one reply per review)
+ * @param {String} expertUserId - Expert's user ID
+ * @param {String} callId - Call document ID
+ * @param {String} text - Reply text
+ * @returns {Promise<Object>} Reply
+ */
+async function replyToReview(expertUserId, callId, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw reviewError('Reply text is required', 'INVALID_REPLY');
+  }
+  if (text.trim().length > MAX_REPLY_LENGTH) {
+    throw reviewError(`Reply can be at most ${MAX_REPLY_LENGTH} characters`, 'INVALID_REPLY');
+  }
+
+  const expert = await Expert.findOne({ user: expertUserId }).select('_id');
+  if (!expert) {
+    throw reviewError('Expert profile not found', 'EXPERT_NOT_FOUND');
+  }
+
+  const call = await Call.findById(callId).select('expert rating review reviewStatus reviewedAt expertReply');
+  if (!call) {
+    throw reviewError('Call not found', 'CALL_NOT_FOUND');
+  }
+  if (call.expert.toString() !== expert._id.toString()) {
+    throw reviewError('You can only reply to reviews of your own calls', 'UNAUTHORIZED');
+  }
+  if (!call.review || call.reviewStatus === 'rejected') {
+    throw reviewError('There is no review to reply to', 'REVIEW_NOT_FOUND');
+  }
+  if (call.reviewStatus !== 'approved') {
+    throw reviewError('You can reply once the review has been published', 'REVIEW_NOT_APPROVED');
+  }
+
+  // Conditional on the review read above, so a reply never lands on a review changed meanwhile
+  const reply = { text: text.trim(), repliedAt: new Date() };
+  const updated = await Call.findOneAndUpdate(
+    { _id: call._id, reviewStatus: 'approved', reviewedAt: call.reviewedAt, 'expertReply.repliedAt': null },
+    { $set: { expertReply: reply } },
+    { new: true }
+  );
+  if (!updated) {
+    const latest = await Call.findById(call._id).select('expertReply');
+    throw latest && latest.expertReply && latest.expertReply.repliedAt
+      ? reviewError('You have already replied to this review', 'REPLY_EXISTS')
+      : reviewError('The review changed; reload it and reply again', 'REVIEW_NOT_APPROVED');
+  }
+
+  return reply;
+}
+
+/**
+ * Approve or reject a pending review
+ * @param {String} callId - Call document ID
+ * @param {String} adminId - Admin user ID
+ * @param {String} decision - 'approved' | 'rejected'
+ * @param {String} note - Moderator's note
+ * @returns {Promise<Object>} Call document
+ */
+async function moderateReview(callId, adminId, decision, note = '') {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw reviewError('Decision must be approved or rejected', 'INVALID_DECISION');
+  }
+
+  const call = await Call.findOneAndUpdate(
+    { _id: callId, reviewStatus: 'pending' },
+    {
+      $set: {
+        reviewStatus: decision,
+        reviewModeration: { by: adminId, at: new Date(), note: (note || '').slice(0, 500) }
+      }
+    },
+    { new: true }
+  );
+
+  if (!call) {
+    const exists = await Call.exists({ _id: callId });
+    throw exists
+      ? reviewError('This review is not awaiting moderation', 'REVIEW_NOT_PENDING')
+      : reviewError('Call not found', 'CALL_NOT_FOUND');
+  }
+
+  await recomputeExpertRating(call.expert);
+  logger.info(`Review on call ${call._id} ${decision}`);
+  return call;
+}
+
+/**
+ * How a reviewer appears publicly, per their privacy setting
+ * @param {Object} user - Caller (name, avatar, privacy populated)
+ * @returns {Object} { name, avatar }
+ */
+function reviewerIdentity(user) {
+  const setting = (user && user.privacy && user.privacy.reviewName) || 'first_name';
+  if (!user || !user.name || setting === 'anonymous') {
+    return { name: 'Anonymous', avatar: null };
+  }
+  if (setting === 'full') {
+    return { name: user.name, avatar: user.avatar || null };
+  }
+
+  const [first, ...rest] = user.name.trim().split(/\s+/);
+  const last = rest.length ? ` ${rest[rest.length - 1].charAt(0).toUpperCase()}.` : '';
+  return { name: `${first}${last}`, avatar: null };
+}
+
+/**
+ * Public reviews of an expert with a star histogram of all published ratings
+ * @param {String} expertId - Expert document ID
+ * @param {Object} options - { page, limit, sort: 'newest'|'highest'|'lowest', stars: 1-5 }
+ * @returns {Promise<Object>} { reviews, histogram, totalRatings, average, totalReviews, totalPages, currentPage }
+ */
+async function getExpertReviews(expertId, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(options.limit) || 10));
+  const sort = REVIEW_SORTS[options.sort] || REVIEW_SORTS.newest;
+  const expert = new mongoose.Types.ObjectId(String(expertId));
+
+  const query = {
+    expert,
+    status: 'completed',
+    ...PUBLISHED_FILTER,
+    review: { $exists: true, $nin: [null, ''] }
+  };
+  const stars = parseInt(options.stars);
+  if (stars >= 1 && stars <= 5) {
+    query.rating = stars === 5 ? { $gte: 5 } : { $gte: stars, $lt: stars + 1 };
+  }
+
+  const [calls, totalReviews, buckets] = await Promise.all([
+    Call.find(query)
+      .select('caller rating ratings review expertReply reviewedAt createdAt')
+      .populate('caller', 'name avatar privacy')
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Call.countDocuments(query),
+    Call.aggregate([
+      { $match: { expert, status: 'completed', ...PUBLISHED_FILTER } },
+      { $group: { _id: { $min: [5, { $max: [1, { $floor: '$rating' }] }] }, count: { $sum: 1 }, sum: { $sum: '$rating' } } }
+    ])
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let totalRatings = 0;
+  let ratingSum = 0;
+  for (const bucket of buckets) {
+    histogram[bucket._id] = bucket.count;
+    totalRatings += bucket.count;
+    ratingSum += bucket.sum;
+  }
+
+  const reviews = calls.map(call => ({
+    id: call._id,
+    reviewer: reviewerIdentity(call.caller),
+    rating: call.rating,
+    ratings: call.ratings || {},
+    text: call.review,
+    reply: call.expertReply && call.expertReply.text ? call.expertReply : null,
+    date: call.reviewedAt || call.createdAt
+  }));
+
+  return {
+    reviews,
+    histogram,
+    totalRatings,
+    average: totalRatings ? Math.round((ratingSum / totalRatings) * 10) / 10 : 0,
+    totalReviews,
+    totalPages: Math.ceil(totalReviews / limit) || 1,
+    currentPage: page
+  };
+}
+
+/**
+ * Reviews in a moderation state, oldest first
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} { reviews, totalPages, currentPage }
+ */
+async function getReviewsForModeration(options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+  const status = ['pending', 'approved', 'rejected'].includes(options.status) ? options.status : 'pending';
+  const query = { reviewStatus: status };
+
+  const [reviews, total] = await Promise.all([
+    Call.find(query)
+      .select('caller expert rating ratings review reviewStatus reviewedAt reviewModeration expertReply')
+      .populate('caller', 'name email')
+      .populate({ path: 'expert', select: 'user', populate: { path: 'user', select: 'name' } })
+      .sort({ reviewedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Call.countDocuments(query)
+  ]);
+
+  return {
+    reviews,
+    totalPages: Math.ceil(total / limit) || 1,
+    currentPage: page
+  };
+}
+
+module.exports = {
+  SUB_SCORES,
+  REVIEW_NAME_OPTIONS,
+  PUBLISHED_FILTER,
+  reviewerIdentity,
+  getExpertReviews,
+  submitRating,
+  recomputeExpertRating,
+  replyToReview,
+  moderateReview,
+  getReviewsForModeration
+};
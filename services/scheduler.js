@@ -0,0 +1,70 @@
+/**
+ * Background Job Scheduler
+ * Runs registered maintenance jobs on fixed intervals (long-running server only)
+ */
+
+const logger = require('./logger');
+
+const jobs = new Map();
+
+/**
+ * Register a periodic job
+ * @param {String} name - Unique job name
+ * @param {Number} intervalMs - Interval between runs
+ * @param {Function} handler - Async function to run
+ */
+function registerJob(name, intervalMs, handler) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false });
+}
+
+/**
+ * Run a job once, skipping if the previous run has not finished
+ * @param {String} name - Job name
+ * @returns {Promise<*>} Job result (undefined if skipped)
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job || job.running) return undefined;
+
+  job.running = true;
+  try {
+    return await job.handler();
+  } catch (error) {
+    logger.error(`Scheduled job ${name} failed:`, error);
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start timers for all registered jobs
+ */
+function startScheduler() {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    job.timer.unref();
+  }
+  logger.info(`Scheduler started with ${jobs.size} job(s)`);
+}
+
+/**
+ * Stop all job timers
+ */
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,246 @@
+/**
+ * Wallet Hold (Escrow)
+ * Reserves part of a caller's balance while a call is ongoing so the tokens
+ * cannot be spent elsewhere, then captures or releases the hold at the end.
+ * Held tokens stay in User.tokens and are tracked in User.heldTokens;
+ * the spendable balance is tokens - heldTokens.
+ */
+
+const User = require('../models/User');
+const Call = require('../models/Call');
+const logger = require('./logger');
+
+const INITIAL_HOLD_MINUTES = 5; // Reserved when the call connects
+const EXTEND_HOLD_MINUTES = 5;  // Added each time the running cost nears the hold
+const EXTEND_THRESHOLD_MINUTES = 1; // Extend when less than this much hold remains
+
+/**
+ * Get the spendable (not held) balance of a user
+ * @param {Object} user - User document
+ * @returns {Number}
+ */
+function getAvailableBalance(user) {
+  return Math.max(0, (user.tokens || 0) - (user.heldTokens || 0));
+}
+
+/**
+ * Hold up to `amount` tokens of a user's available balance for a call
+ * @param {String} userId - Caller user ID
+ * @param {String} callId - Call document ID
+ * @param {Number} amount - Tokens to reserve
+ * @returns {Promise<Number>} Tokens actually held (may be less when balance is short)
+ */
+async function addToHold(userId, callId, amount) {
+  if (amount <= 0) return 0;
+
+  // Hold min(amount, available) in a single atomic update
+  const before = await User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        heldTokens: {
+          $add: [
+            { $ifNull: ['$heldTokens', 0] },
+            {
+              $min: [
+                amount,
+                { $max: [0, { $subtract: ['$tokens', { $ifNull: ['$heldTokens', 0] }] }] }
+              ]
+            }
+          ]
+        }
+      }
+    }],
+    { new: false }
+  );
+
+  if (!before) return 0;
+
+  const held = Math.min(amount, getAvailableBalance(before));
+  if (held > 0) {
+    await Call.updateOne(
+      { _id: callId },
+      {
+        $inc: { 'hold.tokens': held },
+        $set: { 'hold.status': 'held', 'hold.updatedAt': new Date() }
+      }
+    );
+  }
+
+  return held;
+}
+
+/**
+ * Place the initial hold when a call connects
+ * @param {Object} call - Call document
+ * @returns {Promise<Number>} Tokens held
+ */
+async function placeHold(call) {
+  if (call.hold && call.hold.status === 'held') {
+    return call.hold.tokens;
+  }
+
+  const held = await addToHold(call.caller._id || call.caller, call._id, call.tokensPerMinute * INITIAL_HOLD_MINUTES);
+  logger.info(`Placed hold of ${held} tokens for call ${call._id}`);
+  return held;
+}
+
+/**
+ * Extend the hold if the unbilled running cost is close to the amount held
+ * @param {Object} call - Call document (status ongoing)
+ * @param {Number} currentCost - Tokens accrued so far
+ * @returns {Promise<Number>} Total tokens held for the call
+ */
+async function extendHoldIfNeeded(call, currentCost) {
+  const heldTokens = (call.hold && call.hold.tokens) || 0;
+  const unbilledCost = Math.max(0, currentCost - (call.billedTokens || 0));
+  const threshold = call.tokensPerMinute * EXTEND_THRESHOLD_MINUTES;
+
+  if (heldTokens - unbilledCost >= threshold) {
+    return heldTokens;
+  }
+
+  const added = await addToHold(call.caller._id || call.caller, call._id, call.tokensPerMinute * EXTEND_HOLD_MINUTES);
+  if (added > 0) {
+    logger.info(`Extended hold for call ${call._id} by ${added} tokens`);
+  }
+  return heldTokens + added;
+}
+
+/**
+ * Debit part of a call's charge while it is ongoing, consuming the hold first
+ * @param {Object} call - Call document
+ * @param {Number} amount - Tokens to debit
+ * @returns {Promise<Object>} { captured, tokensBefore, tokensAfter }
+ */
+async function consumeHold(call, amount) {
+  const heldTokens = (call.hold && call.hold.status === 'held') ? call.hold.tokens : 0;
+  const fromHold = Math.min(amount, heldTokens);
+
+  const before = await User.findOneAndUpdate(
+    { _id: call.caller._id || call.caller },
+    [{
+      $set: {
+        tokens: { $max: [0, { $subtract: ['$tokens', amount] }] },
+        heldTokens: { $max: [0, { $subtract: [{ $ifNull: ['$heldTokens', 0] }, fromHold] }] }
+      }
+    }],
+    { new: false }
+  );
+
+  if (!before) {
+    return { captured: 0, tokensBefore: 0, tokensAfter: 0 };
+  }
+
+  const captured = Math.min(amount, before.tokens);
+  await Call.updateOne(
+    { _id: call._id },
+    {
+      $inc: { 'hold.tokens': -fromHold, 'hold.capturedTokens': captured },
+      $set: { 'hold.updatedAt': new Date() }
+    }
+  );
+
+  return {
+    captured,
+    tokensBefore: before.tokens,
+    tokensAfter: before.tokens - captured
+  };
+}
+
+/**
+ * Capture the final charge and release the rest of the hold in one update
+ * Claimed on the call first (the hold is marked captured in the same update), so the capture
+ * runs once even when settlement is retried or runs concurrently; a failed wallet update
+ * hands the hold back so a retry can capture it.
+ * @param {Object} call - Call document
+ * @param {Number} tokensDue - Final charge for the call
+ * @returns {Promise<Object|null>} { captured, released, tokensBefore, tokensAfter }, or null if already captured
+ */
+async function captureHold(call, tokensDue) {
+  const claimed = await Call.findOneAndUpdate(
+    { _id: call._id, 'hold.status': { $ne: 'captured' } },
+    { $set: { 'hold.status': 'captured', 'hold.tokens': 0, 'hold.updatedAt': new Date() } },
+    { new: false }
+  ).select('hold');
+  if (!claimed) {
+    return null;
+  }
+
+  const hold = claimed.hold || {};
+  const heldTokens = hold.status === 'held' ? hold.tokens : 0;
+
+  let before;
+  try {
+    before = await User.findOneAndUpdate(
+      { _id: call.caller._id || call.caller },
+      [{
+        $set: {
+          tokens: { $max: [0, { $subtract: ['$tokens', tokensDue] }] },
+          heldTokens: { $max: [0, { $subtract: [{ $ifNull: ['$heldTokens', 0] }, heldTokens] }] }
+        }
+      }],
+      { new: false }
+    );
+  } catch (error) {
+    await Call.updateOne(
+      { _id: call._id, 'hold.status': 'captured' },
+      { $set: { 'hold.status': hold.status || 'none', 'hold.tokens': hold.tokens || 0 } }
+    );
+    throw error;
+  }
+
+  if (!before) {
+    return { captured: 0, released: 0, tokensBefore: 0, tokensAfter: 0 };
+  }
+
+  const captured = Math.min(tokensDue, before.tokens);
+  await Call.updateOne({ _id: call._id }, { $inc: { 'hold.capturedTokens': captured } });
+
+  return {
+    captured,
+    released: Math.max(0, heldTokens - captured),
+    tokensBefore: before.tokens,
+    tokensAfter: before.tokens - captured
+  };
+}
+
+/**
+ * Release a hold without charging (call failed or was cancelled)
+ * @param {Object} call - Call document
+ * @returns {Promise<Number>} Tokens released
+ */
+async function releaseHold(call) {
+  if (!call.hold || call.hold.status !== 'held' || !call.hold.tokens) {
+    return 0;
+  }
+
+  // Only release once, even if called concurrently
+  const result = await Call.updateOne(
+    { _id: call._id, 'hold.status': 'held' },
+    { $set: { 'hold.status': 'released', 'hold.updatedAt': new Date() } }
+  );
+  if (result.modifiedCount === 0) return 0;
+
+  await User.updateOne(
+    { _id: call.caller._id || call.caller },
+    [{
+      $set: {
+        heldTokens: { $max: [0, { $subtract: [{ $ifNull: ['$heldTokens', 0] }, call.hold.tokens] }] }
+      }
+    }]
+  );
+
+  logger.info(`Released hold of ${call.hold.tokens} tokens for call ${call._id}`);
+  return call.hold.tokens;
+}
+
+module.exports = {
+  INITIAL_HOLD_MINUTES,
+  getAvailableBalance,
+  placeHold,
+  extendHoldIfNeeded,
+  consumeHold,
+  captureHold,
+  releaseHold
+};
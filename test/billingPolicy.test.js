@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/db');
+
+const { calculateCharge, normalizePolicy, validatePolicy } = require('../services/billingPolicy');
+
+const PER_SECOND = { mode: 'per_second', minimumMinutes: 0 };
+const PER_MINUTE = { mode: 'per_minute', minimumMinutes: 1 };
+const BLOCKS = { mode: 'block', blockMinutes: 15, minimumMinutes: 0 };
+
+describe('billingPolicy.calculateCharge', () => {
+  it('rounds per-minute calls up to whole minutes', () => {
+    const charge = calculateCharge(PER_MINUTE, 61, 10);
+    assert.equal(charge.units, 2);
+    assert.equal(charge.unit, 'minute');
+    assert.equal(charge.billableSeconds, 120);
+    assert.equal(charge.tokens, 20);
+  });
+
+  it('charges per second, rounding the total up to whole tokens', () => {
+    const charge = calculateCharge(PER_SECOND, 61, 10);
+    assert.equal(charge.units, 61);
+    assert.equal(charge.billableSeconds, 61);
+    assert.equal(charge.tokens, 11); // 61 s at 10/min = 10.17
+  });
+
+  it('charges whole blocks', () => {
+    const charge = calculateCharge(BLOCKS, 16 * 60, 10);
+    assert.equal(charge.units, 2);
+    assert.equal(charge.unit, 'block');
+    assert.equal(charge.billableSeconds, 30 * 60);
+    assert.equal(charge.tokens, 300);
+  });
+
+  it('applies the minimum to short calls', () => {
+    assert.equal(calculateCharge({ mode: 'per_second', minimumMinutes: 2 }, 30, 10).tokens, 20);
+    assert.equal(calculateCharge({ mode: 'per_minute', minimumMinutes: 3 }, 30, 10).tokens, 30);
+    assert.equal(calculateCharge({ mode: 'block', blockMinutes: 5, minimumMinutes: 12 }, 60, 10).units, 3);
+  });
+
+  it('bills at least one block even without a minimum', () => {
+    assert.equal(calculateCharge(BLOCKS, 0, 10).tokens, 150);
+  });
+
+  it('uses the platform default when the call has no policy', () => {
+    const charge = calculateCharge(undefined, 90, 12);
+    assert.equal(charge.unit, 'minute');
+    assert.equal(charge.tokens, 24);
+  });
+
+  it('charges nothing while the call is inside its free time', () => {
+    const charge = calculateCharge({ ...PER_MINUTE, freeSeconds: 300, freeSource: 'free_intro' }, 240, 10);
+    assert.equal(charge.tokens, 0);
+    assert.equal(charge.freeSeconds, 240);
+    assert.equal(charge.summary, 'free intro');
+  });
+
+  it('charges only the time after free or package minutes', () => {
+    const charge = calculateCharge({ ...PER_MINUTE, freeSeconds: 600, freeSource: 'package' }, 600 + 61, 10);
+    assert.equal(charge.freeSeconds, 600);
+    assert.equal(charge.units, 2);
+    assert.equal(charge.tokens, 20);
+    assert.equal(charge.billedMinutes, 2);
+    assert.match(charge.summary, /after 10 package min$/);
+  });
+
+  it('treats negative and fractional durations as whole elapsed seconds', () => {
+    assert.equal(calculateCharge(PER_SECOND, -5, 60).tokens, 0);
+    assert.equal(calculateCharge(PER_SECOND, 59.9, 60).tokens, 59);
+  });
+});
+
+describe('billingPolicy.normalizePolicy and validatePolicy', () => {
+  it('fills in block length and minimum', () => {
+    assert.deepEqual(normalizePolicy({ mode: 'block' }), { mode: 'block', blockMinutes: 5, minimumMinutes: 1 });
+    assert.deepEqual(normalizePolicy({ mode: 'per_second', blockMinutes: 9, minimumMinutes: 0 }),
+      { mode: 'per_second', blockMinutes: 1, minimumMinutes: 0 });
+  });
+
+  it('rejects unknown modes and out-of-range values', () => {
+    assert.equal(validatePolicy(null), null);
+    assert.match(validatePolicy({ mode: 'hourly' }), /Billing mode/);
+    assert.match(validatePolicy({ mode: 'block', blockMinutes: 0 }), /Block length/);
+    assert.match(validatePolicy({ mode: 'per_minute', minimumMinutes: 61 }), /Minimum/);
+    assert.equal(validatePolicy({ mode: 'block', blockMinutes: 15, minimumMinutes: 0 }), null);
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, duplicateKeyError, matches, applyUpdate, stub } = require('./support/db');
+
+const Booking = require('../models/Booking');
+const BookingSlot = require('../models/BookingSlot');
+const Expert = require('../models/Expert');
+const User = require('../models/User');
+const freeIntro = require('../services/freeIntro');
+const notificationService = require('../services/notificationService');
+const { CallStateManager, CALL_STATES } = require('../services/callStateManager');
+const bookingService = require('../services/bookingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SLOT_MS = bookingService.SLOT_MINUTES * 60 * 1000;
+
+// A time of day tomorrow (UTC); whole and half hours fall on the default slot grid
+function tomorrowAt(hour, minute = 0) {
+  const day = new Date();
+  day.setUTCHours(0, 0, 0, 0);
+  return new Date(day.getTime() + 24 * HOUR_MS + hour * HOUR_MS + minute * 60 * 1000);
+}
+
+describe('bookingService slot claims', () => {
+  let userId;
+  let expertId;
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+    expertId = new mongoose.Types.ObjectId();
+  });
+
+  function stubBookableExpert(t) {
+    stub(t, User, 'findById', () => query({ _id: userId, tokens: 1000, heldTokens: 0 }));
+    stub(t, Expert, 'findById', () => query({
+      _id: expertId,
+      isApproved: true,
+      tokensPerMinute: 10,
+      user: { _id: new mongoose.Types.ObjectId(), name: 'Expert' }
+    }));
+    stub(t, freeIntro, 'getFreeMinutes', async () => 0);
+    stub(t, Booking, 'findOne', () => query(null));
+  }
+
+  it('claims one slot per 30 minutes before saving the booking', async (t) => {
+    stubBookableExpert(t);
+    stub(t, BookingSlot, 'find', () => query([]));
+    const inserted = stub(t, BookingSlot, 'insertMany', async docs => docs);
+    const saved = stub(t, Booking.prototype, 'save', async function() { return this; });
+
+    const start = tomorrowAt(10);
+    const booking = await bookingService.createBooking(userId, expertId, start, 60);
+
+    assert.equal(inserted.calls.length, 1);
+    const slots = inserted.calls[0].arguments[0];
+    assert.deepEqual(slots.map(slot => slot.startTime.getTime()), [start.getTime(), start.getTime() + SLOT_MS]);
+    assert.ok(slots.every(slot => slot.booking.equals(booking._id) && slot.expert.equals(expertId)));
+    assert.equal(saved.calls.length, 1);
+  });
+
+  it('refuses a slot claimed concurrently and undoes its partial claim', async (t) => {
+    stubBookableExpert(t);
+    stub(t, BookingSlot, 'find', () => query([]));
+    stub(t, BookingSlot, 'insertMany', async () => {
+      throw duplicateKeyError({ expert: 1, startTime: 1 });
+    });
+    const deleted = stub(t, BookingSlot, 'deleteMany', async () => ({ deletedCount: 1 }));
+    const saved = stub(t, Booking.prototype, 'save', async function() { return this; });
+
+    await assert.rejects(
+      bookingService.createBooking(userId, expertId, tomorrowAt(10), 60),
+      { code: 'SLOT_TAKEN' }
+    );
+    assert.equal(deleted.calls.length, 1);
+    assert.equal(deleted.calls[0].arguments[0].startTime.$in.length, 2);
+    assert.equal(saved.calls.length, 0);
+  });
+
+  it('releases the slots of a failed save', async (t) => {
+    stubBookableExpert(t);
+    stub(t, BookingSlot, 'find', () => query([]));
+    stub(t, BookingSlot, 'insertMany', async docs => docs);
+    const deleted = stub(t, BookingSlot, 'deleteMany', async () => ({ deletedCount: 2 }));
+    stub(t, Booking.prototype, 'save', async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(bookingService.createBooking(userId, expertId, tomorrowAt(10), 60), /write failed/);
+    assert.equal(deleted.calls.length, 1);
+    assert.equal(deleted.calls[0].arguments[0].startTime, undefined);
+  });
+
+  it('keeps shared slots when rescheduling and releases the rest afterwards', async (t) => {
+    const oldStart = tomorrowAt(10);
+    const newStart = tomorrowAt(10, 30);
+    const booking = new Booking({
+      caller: userId,
+      expert: expertId,
+      startTime: oldStart,
+      endTime: new Date(oldStart.getTime() + HOUR_MS),
+      durationMinutes: 60,
+      tokensPerMinute: 10
+    });
+
+    stubBookableExpert(t);
+    stub(t, Booking, 'findById', () => query(booking));
+    stub(t, BookingSlot, 'find', () => query([
+      { startTime: oldStart },
+      { startTime: new Date(oldStart.getTime() + SLOT_MS) }
+    ]));
+    const inserted = stub(t, BookingSlot, 'insertMany', async docs => docs);
+    const deleted = stub(t, BookingSlot, 'deleteMany', async () => ({ deletedCount: 1 }));
+    stub(t, Booking.prototype, 'save', async function() { return this; });
+
+    await bookingService.rescheduleBooking(booking._id, userId, newStart);
+
+    // Only the slot not held yet is claimed
+    assert.deepEqual(
+      inserted.calls[0].arguments[0].map(slot => slot.startTime.getTime()),
+      [newStart.getTime() + SLOT_MS]
+    );
+    // Everything outside the new window is released
+    const kept = deleted.calls[0].arguments[0].startTime.$nin.map(date => date.getTime());
+    assert.deepEqual(kept, [newStart.getTime(), newStart.getTime() + SLOT_MS]);
+    assert.equal(booking.startTime.getTime(), newStart.getTime());
+  });
+});
+
+describe('bookingService.activateDueBookings', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+  });
+
+  // In-memory due booking, with the call side stubbed
+  function stubDueBooking(t) {
+    const state = {
+      booking: {
+        _id: new mongoose.Types.ObjectId(),
+        caller: new mongoose.Types.ObjectId(),
+        expert: new mongoose.Types.ObjectId(),
+        status: 'confirmed',
+        startTime: new Date(Date.now() - 60 * 1000),
+        durationMinutes: 30,
+        call: null,
+        lastActivationError: ''
+      },
+      callId: new mongoose.Types.ObjectId(),
+      // Runs before the booking is expired, to simulate a concurrent run
+      beforeExpire: null
+    };
+    stub(t, Booking, 'find', () => query(() => [{ ...state.booking }]));
+    stub(t, Booking, 'findOneAndUpdate', async (filter, update) => {
+      if (!matches(state.booking, filter)) return null;
+      state.booking = applyUpdate(state.booking, update);
+      return state.booking;
+    });
+    stub(t, Booking, 'updateOne', async (filter, update) => {
+      if (update.status === 'expired' && state.beforeExpire) state.beforeExpire(state);
+      if (!matches(state.booking, filter)) return { modifiedCount: 0 };
+      state.booking = applyUpdate(state.booking, update);
+      return { modifiedCount: 1 };
+    });
+    state.released = stub(t, BookingSlot, 'deleteMany', async () => ({ deletedCount: 1 }));
+    state.initiated = stub(t, CallStateManager, 'initiateCall', async () => ({ callId: state.callId }));
+    state.rung = stub(t, CallStateManager, 'setRinging', async () => ({}));
+    state.failed = stub(t, CallStateManager, 'applyTransition', async () => ({ success: true }));
+    stub(t, notificationService, 'notifyBookedCall', async () => {});
+    return state;
+  }
+
+  it('creates one call when two runs pick up the same booking', async (t) => {
+    const state = stubDueBooking(t);
+
+    const summaries = await Promise.all([bookingService.activateDueBookings(), bookingService.activateDueBookings()]);
+
+    assert.equal(state.initiated.calls.length, 1);
+    assert.deepEqual(summaries.map(summary => summary.converted), [1, 0]);
+    assert.equal(state.booking.status, 'converted');
+    assert.ok(state.booking.call.equals(state.callId));
+  });
+
+  it('fails the call and hands the booking back when it cannot be rung', async (t) => {
+    const state = stubDueBooking(t);
+    stub(t, CallStateManager, 'setRinging', async () => {
+      throw Object.assign(new Error('Expert is busy'), { code: 'EXPERT_UNAVAILABLE' });
+    });
+
+    const summary = await bookingService.activateDueBookings();
+
+    assert.equal(summary.pending, 1);
+    assert.equal(state.booking.status, 'confirmed');
+    assert.equal(state.booking.call, null);
+    assert.equal(state.booking.lastActivationError, 'Expert is busy');
+    assert.deepEqual(state.failed.calls[0].arguments.slice(0, 2), [state.callId, CALL_STATES.FAILED]);
+    assert.equal(state.released.calls.length, 0);
+  });
+
+  it('keeps the slots of a booking another run took over before it could be expired', async (t) => {
+    const state = stubDueBooking(t);
+    stub(t, CallStateManager, 'initiateCall', async () => {
+      throw new Error('Expert not found');
+    });
+    state.beforeExpire = (s) => {
+      s.booking = { ...s.booking, status: 'activating' };
+    };
+
+    const summary = await bookingService.activateDueBookings();
+
+    assert.equal(summary.expired, 0);
+    assert.equal(state.booking.status, 'activating');
+    assert.equal(state.released.calls.length, 0);
+  });
+});
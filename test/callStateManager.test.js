@@ -0,0 +1,231 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, matches, applyUpdate, applyPipeline, stub } = require('./support/db');
+
+const Call = require('../models/Call');
+const User = require('../models/User');
+const Expert = require('../models/Expert');
+const Transaction = require('../models/Transaction');
+const callEvents = require('../services/callEvents');
+const packageService = require('../services/packageService');
+const couponService = require('../services/couponService');
+const walletHold = require('../services/walletHold');
+const { CallStateManager, CALL_STATES } = require('../services/callStateManager');
+
+// In-memory call behind Call.findById / findOneAndUpdate
+function stubCall(t, fields = {}) {
+  const state = {
+    call: {
+      _id: new mongoose.Types.ObjectId(),
+      status: CALL_STATES.RINGING,
+      stateVersion: 2,
+      statusHistory: [],
+      expert: { _id: new mongoose.Types.ObjectId() },
+      ...fields
+    }
+  };
+  stub(t, Call, 'findById', () => query(() => state.call));
+  stub(t, Call, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    if (!matches(state.call, filter)) return null;
+    const before = state.call;
+    state.call = applyUpdate(before, update);
+    return options.new ? state.call : before;
+  }));
+  stub(t, Call, 'updateOne', async (filter, update) => {
+    if (!matches(state.call, filter)) return { modifiedCount: 0 };
+    state.call = applyUpdate(state.call, update);
+    return { modifiedCount: 1 };
+  });
+  state.published = stub(t, callEvents, 'publishTransition', async () => {});
+  state.released = stub(t, packageService, 'releaseSession', async () => {});
+  state.couponsReleased = stub(t, couponService, 'releaseCallCoupon', async () => {});
+  return state;
+}
+
+describe('CallStateManager.applyTransition', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('moves the call on, bumps its version and records who did it', async (t) => {
+    const state = stubCall(t);
+    const actorId = new mongoose.Types.ObjectId();
+
+    const result = await CallStateManager.applyTransition(state.call._id, CALL_STATES.ACCEPTED, { actor: 'expert', actorId });
+
+    assert.equal(result.success, true);
+    assert.equal(result.oldState, CALL_STATES.RINGING);
+    assert.equal(result.version, 3);
+    assert.equal(state.call.status, CALL_STATES.ACCEPTED);
+    assert.equal(state.call.statusHistory[0].actor, 'expert');
+    assert.equal(state.published.calls.length, 1);
+  });
+
+  it('returns a conflict for a transition the state machine does not allow', async (t) => {
+    const state = stubCall(t, { status: CALL_STATES.MISSED });
+
+    const result = await CallStateManager.applyTransition(state.call._id, CALL_STATES.ACCEPTED);
+
+    assert.equal(result.conflict, true);
+    assert.equal(result.code, 'STATE_CONFLICT');
+    assert.equal(result.currentState, CALL_STATES.MISSED);
+    assert.equal(state.call.stateVersion, 2);
+    assert.equal(state.published.calls.length, 0);
+  });
+
+  it('returns a conflict when the call is not in one of the expected states', async (t) => {
+    const state = stubCall(t, { status: CALL_STATES.RINGING });
+
+    const result = await CallStateManager.applyTransition(state.call._id, CALL_STATES.ENDED, {}, {
+      from: [CALL_STATES.CONNECTED]
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(state.call.status, CALL_STATES.RINGING);
+  });
+
+  it('lets only one of two concurrent writers through', async (t) => {
+    const state = stubCall(t);
+
+    const [accepted, rejected] = await Promise.all([
+      CallStateManager.applyTransition(state.call._id, CALL_STATES.ACCEPTED, { actor: 'expert' }),
+      CallStateManager.applyTransition(state.call._id, CALL_STATES.REJECTED, { actor: 'expert' })
+    ]);
+
+    assert.equal(accepted.success, true);
+    assert.equal(rejected.conflict, true);
+    assert.equal(rejected.currentState, CALL_STATES.ACCEPTED);
+    assert.equal(state.call.statusHistory.length, 1);
+  });
+
+  it('matches calls created before versioning', async (t) => {
+    const state = stubCall(t, { stateVersion: null });
+
+    const result = await CallStateManager.applyTransition(state.call._id, CALL_STATES.ACCEPTED);
+
+    assert.equal(result.success, true);
+    assert.equal(state.call.stateVersion, 1);
+  });
+
+  it('gives the package session and coupon use back when a call ends without connecting', async (t) => {
+    const purchase = new mongoose.Types.ObjectId();
+    const state = stubCall(t, { packageUse: { purchase }, coupon: { couponId: new mongoose.Types.ObjectId() } });
+
+    await CallStateManager.applyTransition(state.call._id, CALL_STATES.MISSED);
+
+    assert.deepEqual(state.released.calls[0].arguments, [purchase, state.call._id]);
+    assert.deepEqual(state.couponsReleased.calls[0].arguments, [state.call._id]);
+  });
+
+  it('keeps the package session and coupon use of a connected call for settlement', async (t) => {
+    const state = stubCall(t, {
+      status: CALL_STATES.CONNECTED,
+      packageUse: { purchase: new mongoose.Types.ObjectId() },
+      coupon: { couponId: new mongoose.Types.ObjectId() }
+    });
+
+    await CallStateManager.applyTransition(state.call._id, CALL_STATES.ENDED);
+
+    assert.equal(state.released.calls.length, 0);
+    assert.equal(state.couponsReleased.calls.length, 0);
+  });
+
+  it('throws STATE_CONFLICT from transitionState', async (t) => {
+    const state = stubCall(t, { status: CALL_STATES.FAILED });
+
+    await assert.rejects(
+      CallStateManager.transitionState(state.call._id, CALL_STATES.RINGING),
+      { code: 'STATE_CONFLICT', currentState: CALL_STATES.FAILED }
+    );
+  });
+});
+
+describe('CallStateManager.endCall', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('settles a call once when both sides hang up together', async (t) => {
+    const state = stubCall(t, { status: CALL_STATES.CONNECTED, startTime: new Date(Date.now() - 90 * 1000) });
+    const settlements = stub(t, CallStateManager, 'settleCall', async () => ({ success: true, tokensSpent: 20 }));
+
+    const results = await Promise.all([
+      CallStateManager.endCall(state.call._id, 'user'),
+      CallStateManager.endCall(state.call._id, 'expert')
+    ]);
+
+    assert.equal(settlements.calls.length, 1);
+    assert.deepEqual(results.map(result => result.success), [true, false]);
+    assert.equal(state.call.settlement.status, 'pending');
+    assert.equal(state.call.duration, 90);
+  });
+
+  it('releases the hold of a call that never connected, once', async (t) => {
+    const state = stubCall(t);
+    const holds = stub(t, walletHold, 'releaseHold', async () => 0);
+    stub(t, CallStateManager, 'releaseExpert', async () => {});
+
+    await CallStateManager.endCall(state.call._id, 'user');
+    const repeat = await CallStateManager.endCall(state.call._id, 'user');
+
+    assert.equal(repeat.conflict, true);
+    assert.equal(holds.calls.length, 1);
+    assert.equal(state.call.status, CALL_STATES.ENDED);
+  });
+});
+
+describe('CallStateManager.settleCall', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('finishes an interrupted final capture on the next run', async (t) => {
+    const callerId = new mongoose.Types.ObjectId();
+    const state = stubCall(t, {
+      status: CALL_STATES.ENDED,
+      duration: 150,
+      tokensPerMinute: 10,
+      billing: { mode: 'per_minute', minimumMinutes: 1 },
+      caller: { _id: callerId },
+      expert: { _id: new mongoose.Types.ObjectId(), user: { name: 'Expert' } },
+      billedTokens: 10,
+      hold: { tokens: 40, capturedTokens: 10, status: 'held' },
+      settlement: { status: 'pending', capturedAt: null, couponAt: null, statsAt: null }
+    });
+    const wallet = { _id: callerId, tokens: 490, heldTokens: 40 };
+    let walletDown = true;
+    stub(t, User, 'findOneAndUpdate', async (filter, pipeline) => {
+      if (walletDown) {
+        walletDown = false;
+        throw new Error('connection reset');
+      }
+      const before = { ...wallet };
+      Object.assign(wallet, applyPipeline(before, pipeline));
+      return before;
+    });
+    const debits = stub(t, Transaction.prototype, 'save', async function() { return this; });
+    stub(t, CallStateManager, 'creditExpertEarnings', async () => 18);
+    stub(t, CallStateManager, 'releaseExpert', async () => {});
+    stub(t, Expert, 'findByIdAndUpdate', async () => ({}));
+    stub(t, callEvents, 'publishCallEvent', async () => {});
+
+    await assert.rejects(CallStateManager.settleCall(state.call._id), /connection reset/);
+    assert.equal(state.call.settlement.status, 'pending');
+    assert.equal(state.call.settlement.capturedAt, null);
+    assert.equal(state.call.hold.status, 'held');
+
+    const result = await CallStateManager.settleCall(state.call._id);
+
+    assert.equal(result.success, true);
+    assert.equal(result.tokensSpent, 30); // 3 minutes at 10, 10 of it billed while ongoing
+    assert.equal(wallet.tokens, 470);
+    assert.equal(wallet.heldTokens, 0);
+    assert.equal(debits.calls.length, 1);
+    assert.equal(state.call.tokensSpent, 30);
+    assert.equal(state.call.hold.status, 'captured');
+    assert.ok(state.call.settlement.capturedAt);
+    assert.equal(state.call.settlement.status, 'done');
+    assert.equal(state.call.settlement.attempts, 1);
+  });
+});
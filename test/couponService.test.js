@@ -0,0 +1,267 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, duplicateKeyError, matches, applyUpdate, stub } = require('./support/db');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const couponService = require('../services/couponService');
+
+const userId = new mongoose.Types.ObjectId();
+
+function coupon(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    code: 'WELCOME',
+    isActive: true,
+    appliesTo: 'topup',
+    discountType: 'percent',
+    value: 10,
+    maxDiscount: null,
+    minSpend: 0,
+    maxRedemptions: null,
+    perUserLimit: 1,
+    redemptionCount: 0,
+    experts: [],
+    categories: [],
+    ...fields
+  };
+}
+
+// A row of another request, already holding one of the user's slots
+function otherRedemption(found, slot) {
+  return { _id: new mongoose.Types.ObjectId(), coupon: found._id, user: userId, slot, status: 'redeemed', call: null };
+}
+
+// In-memory coupon, redemption rows (with their unique indexes), wallet and ledger
+function stubRedemptions(t, found, { redemptions = [] } = {}) {
+  const state = {
+    coupon: found,
+    redemptions: [...redemptions],
+    wallet: { tokens: 100 },
+    transactions: [],
+    // Runs before each redemption insert, to simulate a concurrent request
+    beforeInsert: null,
+    walletDown: false
+  };
+  const find = filter => state.redemptions.find(row => matches(row, filter)) || null;
+  const replace = (row, next) => {
+    state.redemptions[state.redemptions.indexOf(row)] = next;
+    return next;
+  };
+
+  stub(t, Coupon, 'findOne', () => query(() => state.coupon));
+  stub(t, Coupon, 'findById', () => query(() => state.coupon));
+  stub(t, Coupon, 'findOneAndUpdate', async (filter, update) => {
+    if (!matches(state.coupon, filter)) return null;
+    state.coupon = applyUpdate(state.coupon, update);
+    return state.coupon;
+  });
+  stub(t, Coupon, 'updateOne', async (filter, update) => {
+    state.coupon = applyUpdate(state.coupon, update);
+    return { modifiedCount: 1 };
+  });
+
+  stub(t, CouponRedemption, 'countDocuments', async filter => state.redemptions.filter(row => matches(row, filter)).length);
+  stub(t, CouponRedemption.prototype, 'save', async function() {
+    if (state.beforeInsert) {
+      const concurrent = state.beforeInsert;
+      state.beforeInsert = null;
+      concurrent(state);
+    }
+    const row = this.toObject();
+    const clash = state.redemptions.find(other => (
+      String(other.coupon) === String(row.coupon) && String(other.user) === String(row.user) && other.slot === row.slot
+    ));
+    if (clash) throw duplicateKeyError({ coupon: 1, user: 1, slot: 1 });
+    if (row.call && find({ call: row.call })) throw duplicateKeyError({ call: 1 });
+    state.redemptions.push(row);
+    return this;
+  });
+  stub(t, CouponRedemption, 'findOne', filter => query(() => find(filter)));
+  stub(t, CouponRedemption, 'findOneAndUpdate', async (filter, update) => {
+    const row = find(filter);
+    return row ? replace(row, applyUpdate(row, update)) : null;
+  });
+  stub(t, CouponRedemption, 'updateOne', async (filter, update) => {
+    const row = find(filter);
+    if (!row) return { modifiedCount: 0 };
+    replace(row, applyUpdate(row, update));
+    return { modifiedCount: 1 };
+  });
+  stub(t, CouponRedemption, 'findOneAndDelete', async (filter) => {
+    const row = find(filter);
+    if (row) state.redemptions.splice(state.redemptions.indexOf(row), 1);
+    return row;
+  });
+
+  stub(t, User, 'findByIdAndUpdate', async (id, update) => {
+    if (state.walletDown) {
+      state.walletDown = false;
+      throw new Error('connection reset');
+    }
+    const before = { ...state.wallet };
+    state.wallet.tokens += update.$inc.tokens;
+    return before;
+  });
+  stub(t, Transaction.prototype, 'save', async function() {
+    state.transactions.push(this);
+    return this;
+  });
+  return state;
+}
+
+function couponCall(found, callId = new mongoose.Types.ObjectId()) {
+  return {
+    _id: callId,
+    caller: { _id: userId },
+    expert: { user: { name: 'Expert' } },
+    coupon: { couponId: found._id, code: found.code }
+  };
+}
+
+describe('couponService.computeBenefit', () => {
+  it('takes a percentage of the amount, capped by maxDiscount', () => {
+    assert.equal(couponService.computeBenefit(coupon({ value: 15 }), 999), 149);
+    assert.equal(couponService.computeBenefit(coupon({ value: 50, maxDiscount: 100 }), 1000), 100);
+  });
+
+  it('gives a fixed amount once the minimum spend is met', () => {
+    const fixed = coupon({ discountType: 'fixed', value: 50, minSpend: 200 });
+    assert.equal(couponService.computeBenefit(fixed, 199), 0);
+    assert.equal(couponService.computeBenefit(fixed, 200), 50);
+  });
+
+  it('never discounts a call by more than its charge', () => {
+    assert.equal(couponService.computeBenefit(coupon({ appliesTo: 'call', discountType: 'fixed', value: 80 }), 30), 30);
+  });
+});
+
+describe('couponService redemption caps', () => {
+  it('numbers the user\'s uses and credits the bonus', async (t) => {
+    const found = coupon({ perUserLimit: 3 });
+    const state = stubRedemptions(t, found, { redemptions: [otherRedemption(found, 1)] });
+
+    const result = await couponService.redeemTopupCoupon('welcome', userId, 500);
+
+    assert.equal(result.tokens, 50);
+    assert.equal(result.tokensAfter, 150);
+    assert.equal(state.redemptions[1].slot, 2);
+    assert.ok(state.redemptions[1].transaction);
+  });
+
+  it('takes the next slot when a concurrent redemption took the same one', async (t) => {
+    const found = coupon({ perUserLimit: 2 });
+    const state = stubRedemptions(t, found);
+    state.beforeInsert = s => s.redemptions.push(otherRedemption(found, 1));
+
+    await couponService.redeemTopupCoupon('WELCOME', userId, 500);
+
+    assert.deepEqual(state.redemptions.map(row => row.slot), [1, 2]);
+    assert.equal(state.coupon.redemptionCount, 1);
+  });
+
+  it('refuses the user\'s extra use when a concurrent redemption took the last slot', async (t) => {
+    const found = coupon({ perUserLimit: 1 });
+    const state = stubRedemptions(t, found);
+    state.beforeInsert = s => s.redemptions.push(otherRedemption(found, 1));
+
+    await assert.rejects(
+      couponService.redeemTopupCoupon('WELCOME', userId, 500),
+      { code: 'COUPON_ALREADY_USED' }
+    );
+    assert.equal(state.redemptions.length, 1);
+    // The global slot taken for it is given back
+    assert.equal(state.coupon.redemptionCount, 0);
+    assert.equal(state.wallet.tokens, 100);
+  });
+
+  it('refuses a coupon whose global cap is reached', async (t) => {
+    stubRedemptions(t, coupon({ maxRedemptions: 10, redemptionCount: 10 }));
+
+    await assert.rejects(
+      couponService.redeemTopupCoupon('WELCOME', userId, 500),
+      { code: 'COUPON_EXHAUSTED' }
+    );
+  });
+});
+
+describe('couponService call coupons', () => {
+  const callCoupon = (fields = {}) => coupon({ appliesTo: 'call', discountType: 'flat', value: 20, maxRedemptions: 1, ...fields });
+
+  it('holds both caps from the start of the call', async (t) => {
+    const found = callCoupon();
+    const state = stubRedemptions(t, found);
+    const first = couponCall(found);
+
+    await couponService.reserveCallCoupon(found, userId, first._id);
+
+    await assert.rejects(
+      couponService.reserveCallCoupon(state.coupon, userId, new mongoose.Types.ObjectId()),
+      { code: 'COUPON_EXHAUSTED' }
+    );
+    assert.equal(state.redemptions[0].status, 'reserved');
+    assert.equal(state.wallet.tokens, 100);
+  });
+
+  it('credits the reserved discount once when the call is settled', async (t) => {
+    const found = callCoupon();
+    const state = stubRedemptions(t, found);
+    const call = couponCall(found);
+    await couponService.reserveCallCoupon(found, userId, call._id);
+
+    const first = await couponService.redeemCallCoupon(call, 150);
+    const repeat = await couponService.redeemCallCoupon(call, 150);
+
+    assert.equal(first.tokens, 20);
+    assert.equal(first.tokensAfter, 120);
+    assert.equal(repeat.tokens, 20);
+    assert.equal(repeat.tokensAfter, undefined);
+    assert.equal(state.wallet.tokens, 120);
+    assert.equal(state.transactions.length, 1);
+    assert.equal(state.redemptions[0].status, 'redeemed');
+    assert.equal(state.redemptions[0].baseAmount, 150);
+  });
+
+  it('keeps the reservation for the next run when the wallet cannot be credited', async (t) => {
+    const found = callCoupon();
+    const state = stubRedemptions(t, found);
+    const call = couponCall(found);
+    await couponService.reserveCallCoupon(found, userId, call._id);
+    state.walletDown = true;
+
+    await assert.rejects(couponService.redeemCallCoupon(call, 150), /connection reset/);
+    assert.equal(state.redemptions[0].status, 'reserved');
+
+    await couponService.redeemCallCoupon(call, 150);
+    assert.equal(state.wallet.tokens, 120);
+  });
+
+  it('gives the use back when the call earns no discount or ends without connecting', async (t) => {
+    const found = callCoupon({ minSpend: 100 });
+    const state = stubRedemptions(t, found);
+    const short = couponCall(found);
+    await couponService.reserveCallCoupon(found, userId, short._id);
+
+    assert.equal(await couponService.redeemCallCoupon(short, 40), null);
+    assert.equal(state.redemptions.length, 0);
+    assert.equal(state.coupon.redemptionCount, 0);
+
+    const missed = couponCall(found);
+    await couponService.reserveCallCoupon(state.coupon, userId, missed._id);
+    await couponService.releaseCallCoupon(missed._id);
+    await couponService.releaseCallCoupon(missed._id);
+    assert.equal(state.redemptions.length, 0);
+    assert.equal(state.coupon.redemptionCount, 0);
+  });
+
+  it('skips a call from before reservations when the caller can no longer use the coupon', async (t) => {
+    const found = callCoupon({ maxRedemptions: null });
+    const state = stubRedemptions(t, found, { redemptions: [otherRedemption(found, 1)] });
+
+    assert.equal(await couponService.redeemCallCoupon(couponCall(found), 200), null);
+    assert.equal(state.wallet.tokens, 100);
+  });
+});
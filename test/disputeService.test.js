@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, applyPipeline, stub } = require('./support/db');
+
+const Dispute = require('../models/Dispute');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const Expert = require('../models/Expert');
+const Transaction = require('../models/Transaction');
+const disputeService = require('../services/disputeService');
+
+const adminId = new mongoose.Types.ObjectId();
+
+// Stub an open dispute on a completed call; returns the expert wallet and the saved ledger rows
+function stubDispute(t, callFields, expertWallet = { unclaimedTokens: 1000, tokensEarned: 5000 }) {
+  const disputeId = new mongoose.Types.ObjectId();
+  const call = {
+    _id: new mongoose.Types.ObjectId(),
+    caller: new mongoose.Types.ObjectId(),
+    expert: { _id: new mongoose.Types.ObjectId(), user: { name: 'Expert' } },
+    refundedTokens: 0,
+    coupon: { discountTokens: 0 },
+    ...callFields
+  };
+  const state = {
+    expert: { user: new mongoose.Types.ObjectId(), ...expertWallet },
+    transactions: [],
+    resolved: false
+  };
+
+  stub(t, Dispute, 'findById', () => query({ _id: disputeId, call: call._id, status: 'open' }));
+  stub(t, Call, 'findById', () => query(call));
+  stub(t, Dispute, 'findOneAndUpdate', async (filter, update) => {
+    if (state.resolved) return null;
+    state.resolved = true;
+    return { _id: disputeId, ...update, save: async () => {} };
+  });
+  stub(t, Call, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stub(t, User, 'findByIdAndUpdate', async () => ({ tokens: 500 }));
+  stub(t, Expert, 'findOneAndUpdate', async (filter, pipeline) => {
+    const before = state.expert;
+    state.expert = applyPipeline(before, pipeline);
+    return before;
+  });
+  stub(t, Transaction.prototype, 'save', async function() {
+    state.transactions.push(this);
+    return this;
+  });
+
+  return { disputeId, state };
+}
+
+describe('disputeService.approveDispute', () => {
+  it('refunds what was paid net of the coupon and claws back the earnings in full', async (t) => {
+    const { disputeId, state } = stubDispute(t, { tokensSpent: 100, coupon: { discountTokens: 20 }, expertTokens: 90 });
+
+    const result = await disputeService.approveDispute(disputeId, adminId, { refundType: 'full' });
+
+    assert.equal(result.refundTokens, 80);
+    assert.equal(result.expertClawback, 90);
+    assert.equal(state.expert.unclaimedTokens, 910);
+    assert.equal(state.expert.tokensEarned, 4910);
+    assert.deepEqual(state.transactions.map(tx => tx.tokens), [80, 90]);
+  });
+
+  it('claws back the refunded share of the earnings on a partial refund', async (t) => {
+    const { disputeId } = stubDispute(t, { tokensSpent: 100, coupon: { discountTokens: 20 }, expertTokens: 90 });
+
+    const result = await disputeService.approveDispute(disputeId, adminId, { refundType: 'partial', tokens: 40 });
+
+    assert.equal(result.refundTokens, 40);
+    assert.equal(result.expertClawback, 45);
+  });
+
+  it('leaves the earnings on a package session with the expert', async (t) => {
+    // 100 tokens collected plus a package session worth 200: 270 credited, 90 of it from the charge
+    const { disputeId } = stubDispute(t, {
+      tokensSpent: 100,
+      expertTokens: 270,
+      packageUse: { consumed: true, sessionValue: 200 }
+    });
+
+    const result = await disputeService.approveDispute(disputeId, adminId, { refundType: 'full' });
+
+    assert.equal(result.refundTokens, 100);
+    assert.equal(result.expertClawback, 90);
+  });
+
+  it('only claws back unclaimed earnings', async (t) => {
+    const { disputeId, state } = stubDispute(
+      t,
+      { tokensSpent: 100, expertTokens: 90 },
+      { unclaimedTokens: 30, tokensEarned: 400 }
+    );
+
+    const result = await disputeService.approveDispute(disputeId, adminId, { refundType: 'full' });
+
+    assert.equal(result.expertClawback, 30);
+    assert.equal(state.expert.unclaimedTokens, 0);
+    assert.equal(state.expert.tokensEarned, 370);
+  });
+
+  it('refuses a partial refund above what is left to refund', async (t) => {
+    const { disputeId } = stubDispute(t, { tokensSpent: 100, refundedTokens: 70, expertTokens: 90 });
+
+    await assert.rejects(
+      disputeService.approveDispute(disputeId, adminId, { refundType: 'partial', tokens: 31 }),
+      { code: 'INVALID_REFUND_AMOUNT' }
+    );
+  });
+
+  it('resolves a dispute only once', async (t) => {
+    const { disputeId, state } = stubDispute(t, { tokensSpent: 100, expertTokens: 90 });
+
+    await disputeService.approveDispute(disputeId, adminId, { refundType: 'full' });
+    await assert.rejects(
+      disputeService.approveDispute(disputeId, adminId, { refundType: 'full' }),
+      { code: 'DISPUTE_RESOLVED' }
+    );
+    assert.equal(state.transactions.length, 2);
+  });
+});
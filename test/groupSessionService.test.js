@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, matches, applyUpdate, stub } = require('./support/db');
+
+const GroupSession = require('../models/GroupSession');
+const User = require('../models/User');
+const Expert = require('../models/Expert');
+const Transaction = require('../models/Transaction');
+const expertStatusManager = require('../services/expertStatusManager');
+const groupSessionService = require('../services/groupSessionService');
+
+const attendeeId = new mongoose.Types.ObjectId();
+const hostUserId = new mongoose.Types.ObjectId();
+// Populated host, also compared by ID where the session's expert ref is not populated
+const hostExpert = {
+  _id: new mongoose.Types.ObjectId(),
+  user: { _id: hostUserId, name: 'Expert' },
+  isApproved: true,
+  toString() {
+    return this._id.toString();
+  }
+};
+
+// In-memory live session, attendee wallet and expert earnings
+function stubSession(t, { tokens = 500 } = {}) {
+  const state = {
+    session: {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Career Q&A',
+      status: 'live',
+      startedAt: new Date(Date.now() - 30 * 60 * 1000),
+      expert: hostExpert,
+      pricePerAttendee: 100,
+      maxSeats: 5,
+      seatsTaken: 0,
+      totalCollected: 0,
+      expertTokens: 0,
+      attendees: []
+    },
+    wallet: { tokens },
+    earned: 0,
+    transactions: [],
+    // Runs while the seat's debit is in flight
+    duringDebit: async () => {}
+  };
+  const withSave = doc => ({
+    ...doc,
+    save: async function() {
+      state.session = { ...state.session, expertTokens: this.expertTokens };
+    }
+  });
+
+  stub(t, GroupSession, 'findById', () => query(() => state.session));
+  stub(t, GroupSession, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    if (!matches(state.session, filter)) return null;
+    const before = state.session;
+    state.session = applyUpdate(before, update, filter);
+    return withSave(options.new ? state.session : before);
+  });
+  stub(t, GroupSession, 'updateOne', async (filter, update) => {
+    if (!matches(state.session, filter)) return { modifiedCount: 0 };
+    state.session = applyUpdate(state.session, update, filter);
+    return { modifiedCount: 1 };
+  });
+  stub(t, User, 'findOneAndUpdate', async (filter, update) => {
+    await state.duringDebit();
+    if (state.wallet.tokens < -update.$inc.tokens) return null;
+    const before = { ...state.wallet };
+    state.wallet.tokens += update.$inc.tokens;
+    return before;
+  });
+  stub(t, User, 'findByIdAndUpdate', async (id, update) => {
+    const before = { ...state.wallet };
+    state.wallet.tokens += update.$inc.tokens;
+    return before;
+  });
+  stub(t, Expert, 'findByIdAndUpdate', async (id, update) => {
+    state.earned += update.$inc.unclaimedTokens;
+    return { user: hostUserId, unclaimedTokens: 0 };
+  });
+  stub(t, Transaction.prototype, 'save', async function() {
+    state.transactions.push(this);
+    return this;
+  });
+  stub(t, Expert, 'findOne', async () => hostExpert);
+  stub(t, expertStatusManager, 'releaseExpert', async () => {});
+  return state;
+}
+
+describe('groupSessionService.joinSession', () => {
+  it('counts a seat towards the payout once it is paid', async (t) => {
+    const state = stubSession(t);
+
+    const result = await groupSessionService.joinSession(attendeeId, state.session._id);
+    const ended = await groupSessionService.endSession(hostUserId, state.session._id);
+
+    assert.equal(result.tokensAfter, 400);
+    assert.equal(state.session.attendees[0].status, 'joined');
+    assert.equal(ended.totalCollected, 100);
+    assert.equal(state.earned, 90);
+  });
+
+  it('refunds a seat paid for after the session ended, without paying the expert for it', async (t) => {
+    const state = stubSession(t);
+    state.duringDebit = async () => {
+      state.duringDebit = async () => {};
+      await groupSessionService.endSession(hostUserId, state.session._id);
+    };
+
+    await assert.rejects(
+      groupSessionService.joinSession(attendeeId, state.session._id),
+      { code: 'SESSION_CLOSED' }
+    );
+
+    assert.equal(state.earned, 0);
+    assert.equal(state.session.totalCollected, 0);
+    assert.equal(state.session.attendees[0].status, 'refunded');
+    assert.equal(state.wallet.tokens, 500);
+    assert.deepEqual(state.transactions.map(tx => tx.type), ['debit', 'refund']);
+  });
+
+  it('gives the seat up without touching the collected total when the debit fails', async (t) => {
+    const state = stubSession(t, { tokens: 50 });
+
+    await assert.rejects(
+      groupSessionService.joinSession(attendeeId, state.session._id),
+      { code: 'INSUFFICIENT_BALANCE' }
+    );
+
+    assert.equal(state.session.seatsTaken, 0);
+    assert.equal(state.session.totalCollected, 0);
+    assert.deepEqual(state.session.attendees, []);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, duplicateKeyError, stub } = require('./support/db');
+
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const { idempotent, isReplayable } = require('../middleware/idempotency');
+
+const userId = new mongoose.Types.ObjectId();
+
+function request(key, body = '{"tokens":500}', path = '/topup') {
+  return {
+    method: 'POST',
+    baseUrl: '/api/wallet',
+    path,
+    rawBody: body,
+    user: { _id: userId },
+    header: name => (name === 'Idempotency-Key' ? key : undefined)
+  };
+}
+
+function response() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: null,
+    listeners: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.sent = body;
+      return this;
+    },
+    on(event, listener) {
+      this.listeners[event] = listener;
+      return this;
+    }
+  };
+  return res;
+}
+
+// Run the middleware, then `handler` if it lets the request through; resolves once the response is sent
+async function run(req, handler = () => {}) {
+  const res = response();
+  let handled = false;
+  await idempotent(req, res, () => {
+    handled = true;
+    handler(res);
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+}
+
+describe('idempotency middleware', () => {
+  let records;
+
+  beforeEach((t) => {
+    records = new Map();
+    stub(t, IdempotencyRecord, 'create', async (doc) => {
+      if (records.has(doc.key)) throw duplicateKeyError({ user: 1, key: 1 });
+      const record = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...doc };
+      records.set(doc.key, record);
+      return record;
+    });
+    stub(t, IdempotencyRecord, 'findOne', filter => query(() => records.get(filter.key) || null));
+    stub(t, IdempotencyRecord, 'updateOne', async (filter, update) => {
+      for (const record of records.values()) {
+        if (record._id.equals(filter._id)) Object.assign(record, update.$set);
+      }
+      return { modifiedCount: 1 };
+    });
+    stub(t, IdempotencyRecord, 'deleteOne', async (filter) => {
+      for (const [key, record] of records) {
+        if (record._id.equals(filter._id)) records.delete(key);
+      }
+      return { deletedCount: 1 };
+    });
+  });
+
+  it('runs the first request and replays its response to a retry', async () => {
+    let runs = 0;
+    const handler = (res) => {
+      runs += 1;
+      res.status(201).json({ success: true, tokensAfter: 1500 });
+    };
+
+    const first = await run(request('k-1'), handler);
+    const retry = await run(request('k-1'), handler);
+
+    assert.equal(runs, 1);
+    assert.equal(first.res.headers['Idempotent-Replayed'], undefined);
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.sent, { success: true, tokensAfter: 1500 });
+    assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('refuses a retry while the first request is still running', async () => {
+    await run(request('k-2'));
+
+    const retry = await run(request('k-2'));
+
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 409);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    await run(request('k-3'), res => res.json({ success: true }));
+
+    assert.equal((await run(request('k-3', '{"tokens":900}'))).res.statusCode, 422);
+    assert.equal((await run(request('k-3', '{"tokens":500}', '/withdraw'))).res.statusCode, 422);
+  });
+
+  it('frees the key after a server error or rate limit so the request can be retried', async () => {
+    await run(request('k-4'), res => res.status(503).json({ success: false }));
+    assert.equal(records.has('k-4'), false);
+
+    await run(request('k-4'), res => res.status(429).json({ success: false }));
+    assert.equal(records.has('k-4'), false);
+
+    const retry = await run(request('k-4'), res => res.json({ success: true }));
+    assert.equal(retry.handled, true);
+    assert.equal(records.get('k-4').status, 'completed');
+  });
+
+  it('frees the key when the connection closes without a response', async () => {
+    const { res } = await run(request('k-5'));
+
+    res.listeners.close();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(records.has('k-5'), false);
+  });
+
+  it('leaves requests without a key alone', async () => {
+    const { handled } = await run(request(undefined));
+
+    assert.equal(handled, true);
+    assert.equal(records.size, 0);
+  });
+
+  it('replays client errors but not timeouts, rate limits or server errors', () => {
+    assert.equal(isReplayable(200), true);
+    assert.equal(isReplayable(400), true);
+    assert.equal(isReplayable(408), false);
+    assert.equal(isReplayable(429), false);
+    assert.equal(isReplayable(500), false);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { duplicateKeyError, stub } = require('./support/db');
+
+// Keys are read when the middleware is loaded
+process.env.INTERNAL_AUTH_KEYS = 'k1:signalling:s3cr:et';
+delete process.env.INTERNAL_AUTH_MODE;
+
+const InternalNonce = require('../models/InternalNonce');
+const { internalAuth, signRequest, computeSignature } = require('../middleware/internalAuth');
+
+const PATH = '/api/calls/internal/end-call/abc?reason=timeout';
+const BODY = '{"reason":"timeout"}';
+
+function request(headers, { method = 'POST', path = PATH, body = BODY } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    originalUrl: path,
+    rawBody: body,
+    ip: '10.0.0.1',
+    header: name => lower[name.toLowerCase()]
+  };
+}
+
+// Run the middleware; resolves to { status, next, req }
+async function run(req) {
+  const outcome = { status: null, next: false, req };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  await internalAuth(req, res, () => {
+    outcome.next = true;
+  });
+  return outcome;
+}
+
+function signed(overrides = {}) {
+  return signRequest({ keyId: 'k1', secret: 's3cr:et', method: 'post', path: PATH, body: BODY, ...overrides });
+}
+
+describe('internalAuth', () => {
+  let nonces;
+
+  beforeEach((t) => {
+    nonces = new Set();
+    stub(t, InternalNonce, 'create', async (doc) => {
+      const key = `${doc.keyId}:${doc.nonce}`;
+      if (nonces.has(key)) throw duplicateKeyError({ keyId: 1, nonce: 1 });
+      nonces.add(key);
+      return doc;
+    });
+  });
+
+  it('lets a signed request through as the key\'s service', async () => {
+    const result = await run(request(signed()));
+
+    assert.equal(result.next, true);
+    assert.equal(result.req.internalService, 'signalling');
+  });
+
+  it('rejects a request whose body or path differs from what was signed', async () => {
+    assert.equal((await run(request(signed(), { body: '{"reason":"other"}' }))).status, 401);
+    assert.equal((await run(request(signed(), { path: '/api/calls/internal/end-call/xyz' }))).status, 401);
+    assert.equal((await run(request(signed({ secret: 'wrong' })))).status, 401);
+  });
+
+  it('rejects unknown keys and missing headers', async () => {
+    assert.equal((await run(request(signed({ keyId: 'k2' })))).status, 401);
+    const { 'X-Internal-Nonce': nonce, ...withoutNonce } = signed();
+    assert.ok(nonce);
+    assert.equal((await run(request(withoutNonce))).status, 401);
+  });
+
+  it('rejects a timestamp outside the window, however well signed', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - 301);
+    const nonce = 'stale-nonce';
+    const result = await run(request({
+      'X-Internal-Key-Id': 'k1',
+      'X-Internal-Timestamp': timestamp,
+      'X-Internal-Nonce': nonce,
+      'X-Internal-Signature': computeSignature('s3cr:et', { method: 'POST', path: PATH, timestamp, nonce, body: BODY })
+    }));
+
+    assert.equal(result.status, 401);
+    assert.equal(nonces.size, 0);
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const headers = signed();
+
+    assert.equal((await run(request(headers))).next, true);
+    const replay = await run(request(headers));
+    assert.equal(replay.next, false);
+    assert.equal(replay.status, 401);
+  });
+
+  it('lets unsigned requests through in report mode', async (t) => {
+    process.env.INTERNAL_AUTH_MODE = 'report';
+    t.after(() => delete process.env.INTERNAL_AUTH_MODE);
+
+    const result = await run(request({}));
+
+    assert.equal(result.next, true);
+    assert.equal(result.req.internalService, 'unverified');
+  });
+});
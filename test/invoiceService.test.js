@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, duplicateKeyError, stub } = require('./support/db');
+
+// Local time a day ahead of UTC, so a local year would show up in the numbers
+process.env.TZ = 'Pacific/Kiritimati';
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+const Call = require('../models/Call');
+const invoiceService = require('../services/invoiceService');
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory counters and invoices behind the numbering, plus completed top-ups to invoice
+function stubInvoicing(t, { counters = {}, invoices = [] } = {}) {
+  const state = {
+    counters: new Map(Object.entries(counters).map(([id, fields]) => [id, { _id: id, ...fields }])),
+    invoices: [...invoices],
+    // Holder of the numbering lease other than the test, answered per attempt
+    otherIssuer: () => false
+  };
+  const byId = id => state.invoices.find(invoice => invoice._id.equals(id)) || null;
+
+  stub(t, Counter, 'findOneAndUpdate', async (filter, update) => {
+    const lock = state.counters.get(filter._id);
+    const held = state.otherIssuer() || (lock && lock.lockedUntil && lock.lockedUntil >= new Date());
+    if (held) throw duplicateKeyError({ _id: 1 });
+    state.counters.set(filter._id, { ...lock, _id: filter._id, ...update.$set });
+    return state.counters.get(filter._id);
+  });
+  stub(t, Counter, 'findById', id => query(() => state.counters.get(id) || null));
+  stub(t, Counter, 'updateOne', async (filter, update) => {
+    const counter = state.counters.get(filter._id) || { _id: filter._id, seq: 0 };
+    if (update.$max) counter.seq = Math.max(counter.seq, update.$max.seq);
+    if (filter.lockedUntil && counter.lockedUntil === filter.lockedUntil) Object.assign(counter, update.$set);
+    state.counters.set(filter._id, counter);
+    return { modifiedCount: 1 };
+  });
+
+  stub(t, Invoice, 'create', async (fields) => {
+    const invoice = { _id: new mongoose.Types.ObjectId(), number: null, issuedAt: null, createdAt: new Date(), ...fields };
+    state.invoices.push(invoice);
+    return invoice;
+  });
+  stub(t, Invoice, 'findOne', () => query(null));
+  stub(t, Invoice, 'findById', id => query(() => byId(id)));
+  stub(t, Invoice, 'find', () => query(() => state.invoices
+    .filter(invoice => !invoice.number)
+    .sort((a, b) => a.createdAt - b.createdAt)));
+  stub(t, Invoice, 'updateOne', async (filter, update) => {
+    if (state.invoices.some(invoice => invoice.number === update.$set.number)) {
+      throw duplicateKeyError({ number: 1 });
+    }
+    const invoice = byId(filter._id);
+    if (!invoice || invoice.number) return { modifiedCount: 0 };
+    Object.assign(invoice, update.$set);
+    return { modifiedCount: 1 };
+  });
+
+  stub(t, Transaction, 'findOne', filter => query({
+    _id: filter._id,
+    user: { _id: userId, name: 'Asha', email: 'asha@example.com' },
+    type: 'credit',
+    tokens: 118,
+    paymentId: 'pay_123',
+    createdAt: new Date('2026-03-01T10:00:00Z')
+  }));
+  stub(t, Transaction, 'updateOne', async () => ({ modifiedCount: 1 }));
+  return state;
+}
+
+function pendingInvoice(createdAt) {
+  return { _id: new mongoose.Types.ObjectId(), number: null, issuedAt: null, createdAt };
+}
+
+describe('invoiceService numbering', () => {
+  it('numbers a new top-up invoice in the UTC year and splits out the tax', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-12-31T23:30:00Z') });
+    const state = stubInvoicing(t, { counters: { 'invoice-2026': { seq: 41 } } });
+
+    const invoice = await invoiceService.issueForTransaction(new mongoose.Types.ObjectId());
+
+    assert.equal(invoice.number, 'INV-2026-000042');
+    assert.equal(invoice.issuedAt.toISOString(), '2026-12-31T23:30:00.000Z');
+    assert.equal(invoice.suppliedAt.toISOString(), '2026-03-01T10:00:00.000Z');
+    assert.equal(invoice.subtotal, 100);
+    assert.equal(invoice.tax.amount, 18);
+    assert.equal(state.counters.get('invoice-2026').seq, 42);
+    assert.equal(state.counters.get('invoice-numbering').lockedUntil, null);
+  });
+
+  it('numbers waiting invoices in the order they were created', async (t) => {
+    const older = pendingInvoice(new Date(Date.now() - 60 * 1000));
+    const state = stubInvoicing(t, { invoices: [older] });
+
+    const invoice = await invoiceService.issueForTransaction(new mongoose.Types.ObjectId());
+
+    const year = new Date().getUTCFullYear();
+    assert.equal(older.number, `INV-${year}-000001`);
+    assert.equal(invoice.number, `INV-${year}-000002`);
+    assert.ok(older.issuedAt <= invoice.issuedAt);
+    assert.equal(state.counters.get(`invoice-${year}`).seq, 2);
+  });
+
+  it('moves the counter past a number already given when a counter update was lost', async (t) => {
+    const year = new Date().getUTCFullYear();
+    const given = { ...pendingInvoice(new Date(0)), number: `INV-${year}-000008` };
+    const state = stubInvoicing(t, { counters: { [`invoice-${year}`]: { seq: 7 } }, invoices: [given] });
+
+    const invoice = await invoiceService.issueForTransaction(new mongoose.Types.ObjectId());
+
+    assert.equal(invoice.number, `INV-${year}-000009`);
+    assert.equal(state.counters.get(`invoice-${year}`).seq, 9);
+  });
+
+  it('waits for another issuer to finish numbering', async (t) => {
+    const state = stubInvoicing(t);
+    let attempts = 0;
+    state.otherIssuer = () => ++attempts <= 2;
+
+    const invoice = await invoiceService.issueForTransaction(new mongoose.Types.ObjectId());
+
+    assert.equal(attempts, 3);
+    assert.match(invoice.number, /^INV-\d{4}-000001$/);
+  });
+
+  it('reports the invoice as pending while another issuer keeps the lease', async (t) => {
+    const state = stubInvoicing(t);
+    state.otherIssuer = () => true;
+
+    await assert.rejects(
+      invoiceService.issueForTransaction(new mongoose.Types.ObjectId()),
+      { code: 'INVOICE_PENDING' }
+    );
+    assert.equal(state.invoices[0].number, null);
+  });
+
+  it('leaves on-demand issuance to the scheduled job instead of waiting for another issuer', async (t) => {
+    const state = stubInvoicing(t);
+    let attempts = 0;
+    state.otherIssuer = () => {
+      attempts += 1;
+      return true;
+    };
+    const topups = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    stub(t, Transaction, 'find', () => query(topups.map(_id => ({ _id }))));
+    stub(t, Call, 'find', () => query([]));
+    const linked = stub(t, Transaction, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const summary = await invoiceService.issuePending({ user: userId }, 20, { wait: false });
+
+    assert.deepEqual(summary, { topups: 0, calls: 0 });
+    assert.equal(attempts, 1);
+    assert.equal(state.invoices.length, 1);
+    assert.equal(state.invoices[0].number, null);
+    assert.equal(linked.calls.length, 0);
+  });
+});
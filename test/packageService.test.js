@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, same, matches, applyUpdate, stub } = require('./support/db');
+
+const PackagePurchase = require('../models/PackagePurchase');
+const packageService = require('../services/packageService');
+
+// In-memory purchase behind findById / findOneAndUpdate / updateOne
+function stubPurchase(t, fields = {}) {
+  const state = {
+    purchase: {
+      _id: new mongoose.Types.ObjectId(),
+      price: 100,
+      sessionsTotal: 3,
+      sessionsUsed: 0,
+      reservedCalls: [],
+      redemptions: [],
+      status: 'active',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields
+    },
+    // Runs before each conditional update, to simulate a concurrent writer
+    beforeUpdate: null
+  };
+  stub(t, PackagePurchase, 'findById', () => query(() => state.purchase));
+  stub(t, PackagePurchase, 'findOneAndUpdate', async (filter, update) => {
+    if (state.beforeUpdate) {
+      const concurrent = state.beforeUpdate;
+      state.beforeUpdate = null;
+      concurrent(state);
+    }
+    if (!matches(state.purchase, filter)) return null;
+    state.purchase = applyUpdate(state.purchase, update);
+    return state.purchase;
+  });
+  stub(t, PackagePurchase, 'updateOne', async (filter, update) => {
+    state.purchase = applyUpdate(state.purchase, update);
+    return { modifiedCount: 1 };
+  });
+  return state;
+}
+
+describe('packageService session reservations', () => {
+  it('reserves sessions only while some are left after used and reserved ones', async (t) => {
+    const state = stubPurchase(t, { sessionsTotal: 2, sessionsUsed: 1 });
+    const first = new mongoose.Types.ObjectId();
+    const second = new mongoose.Types.ObjectId();
+
+    const results = await Promise.allSettled([
+      packageService.reserveSession(state.purchase._id, first),
+      packageService.reserveSession(state.purchase._id, second)
+    ]);
+
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(results[1].reason.code, 'PACKAGE_UNAVAILABLE');
+    assert.deepEqual(state.purchase.reservedCalls, [first]);
+  });
+
+  it('refuses an expired purchase', async (t) => {
+    const state = stubPurchase(t, { expiresAt: new Date(Date.now() - 1000) });
+
+    await assert.rejects(
+      packageService.reserveSession(state.purchase._id, new mongoose.Types.ObjectId()),
+      { code: 'PACKAGE_UNAVAILABLE' }
+    );
+  });
+
+  it('gives a released session back', async (t) => {
+    const state = stubPurchase(t, { sessionsTotal: 1 });
+    const abandoned = new mongoose.Types.ObjectId();
+    await packageService.reserveSession(state.purchase._id, abandoned);
+
+    await packageService.releaseSession(state.purchase._id, abandoned);
+    await packageService.reserveSession(state.purchase._id, new mongoose.Types.ObjectId());
+
+    assert.equal(state.purchase.reservedCalls.length, 1);
+    assert.ok(!same(state.purchase.reservedCalls[0], abandoned));
+  });
+});
+
+describe('packageService.consumeSession', () => {
+  it('turns the reservation into a redemption, the last session taking the remainder', async (t) => {
+    const callId = new mongoose.Types.ObjectId();
+    const state = stubPurchase(t, { sessionsUsed: 2, reservedCalls: [callId] });
+
+    const value = await packageService.consumeSession(state.purchase._id, callId);
+
+    assert.equal(value, 34); // 100 over 3 sessions: 33, 33, 34
+    assert.equal(state.purchase.sessionsUsed, 3);
+    assert.equal(state.purchase.status, 'used_up');
+    assert.deepEqual(state.purchase.reservedCalls, []);
+  });
+
+  it('takes a session only once for the same call', async (t) => {
+    const callId = new mongoose.Types.ObjectId();
+    const state = stubPurchase(t, { reservedCalls: [callId] });
+
+    assert.equal(await packageService.consumeSession(state.purchase._id, callId), 33);
+    assert.equal(await packageService.consumeSession(state.purchase._id, callId), 33);
+    assert.equal(state.purchase.sessionsUsed, 1);
+  });
+
+  it('retries against the latest state when another session was taken meanwhile', async (t) => {
+    const callId = new mongoose.Types.ObjectId();
+    const state = stubPurchase(t, { sessionsUsed: 1, reservedCalls: [callId] });
+    state.beforeUpdate = (s) => {
+      s.purchase = { ...s.purchase, sessionsUsed: 2 };
+    };
+
+    const value = await packageService.consumeSession(state.purchase._id, callId);
+
+    assert.equal(value, 34);
+    assert.equal(state.purchase.sessionsUsed, 3);
+    assert.equal(state.purchase.redemptions.length, 1);
+  });
+
+  it('releases the reservation when no session is left', async (t) => {
+    const callId = new mongoose.Types.ObjectId();
+    const state = stubPurchase(t, { sessionsUsed: 3, status: 'used_up', reservedCalls: [callId] });
+
+    assert.equal(await packageService.consumeSession(state.purchase._id, callId), null);
+    assert.deepEqual(state.purchase.reservedCalls, []);
+  });
+});
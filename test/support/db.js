@@ -0,0 +1,234 @@
+/**
+ * Test support: run services against stubbed Mongoose models, no database needed.
+ * Require this before any model or service so that an operation a test forgot
+ * to stub fails at once instead of waiting for a connection.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../../services/logger');
+
+mongoose.set('bufferCommands', false);
+
+// Keep test output readable
+for (const level of ['info', 'warn', 'error', 'debug']) {
+  logger[level] = () => {};
+}
+
+const QUERY_METHODS = ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'];
+
+/**
+ * A stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+ * @param {*} value - Result, or a function producing it
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {};
+  for (const method of QUERY_METHODS) {
+    chain[method] = () => chain;
+  }
+  chain.exec = () => Promise.resolve(typeof value === 'function' ? value() : value);
+  chain.then = (resolve, reject) => chain.exec().then(resolve, reject);
+  return chain;
+}
+
+/**
+ * Build a duplicate key error as the driver reports it
+ * @param {Object} keyPattern - Index keys that clashed
+ * @returns {Error}
+ */
+function duplicateKeyError(keyPattern = {}) {
+  const error = new Error('E11000 duplicate key error');
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  return error;
+}
+
+/**
+ * Evaluate an aggregation expression against a document
+ * Covers the operators used by update pipelines in the services
+ * @param {*} expression - Expression
+ * @param {Object} doc - Current document
+ * @returns {*}
+ */
+function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression.slice(1).split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date) {
+    return expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+
+  const [operator, args] = Object.entries(expression)[0];
+  const values = (Array.isArray(args) ? args : [args]).map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$subtract': return values[0] - values[1];
+    case '$min': return Math.min(...values);
+    case '$max': return Math.max(...values);
+    case '$ifNull': return values[0] == null ? values[1] : values[0];
+    case '$size': return values[0].length;
+    case '$lt': return values[0] < values[1];
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+/**
+ * Apply a `[{ $set: {...} }]` update pipeline to a plain document
+ * @param {Object} doc - Document before the update
+ * @param {Array} pipeline - Update pipeline
+ * @returns {Object} Document after the update
+ */
+function applyPipeline(doc, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const next = { ...current };
+    for (const [field, expression] of Object.entries(stage.$set)) {
+      next[field] = evaluate(expression, current);
+    }
+    return next;
+  }, doc);
+}
+
+/**
+ * Compare two stored values the way a query does (ObjectIds and dates by value)
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+function same(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a.equals === 'function') return a.equals(b);
+  if (typeof b.equals === 'function') return b.equals(a);
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return a === b;
+}
+
+/**
+ * Values at a dotted path, looking into arrays along the way
+ * @param {Object} doc - Document
+ * @param {String} path - Dotted path
+ * @returns {Array}
+ */
+function valuesAt(doc, path) {
+  return path.split('.').reduce((values, key) => values.flatMap((value) => {
+    if (value == null) return [undefined];
+    const next = Array.isArray(value) ? value.map(item => item && item[key]) : value[key];
+    return Array.isArray(next) ? (next.length ? next : [undefined]) : [next];
+  }), [doc]);
+}
+
+/**
+ * Whether a plain document matches a query filter
+ * Covers the operators used by conditional updates in the services
+ * @param {Object} doc - Document
+ * @param {Object} filter - Query filter
+ * @returns {Boolean}
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$expr') return Boolean(evaluate(condition, doc));
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+    if (field === '$and') return condition.every(branch => matches(doc, branch));
+
+    const values = valuesAt(doc, field);
+    const operators = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+      Object.keys(condition).length && Object.keys(condition).every(key => key.startsWith('$'));
+    if (!operators) return values.some(value => same(value, condition));
+
+    return Object.entries(condition).every(([operator, arg]) => {
+      switch (operator) {
+        case '$ne': return !values.some(value => same(value, arg));
+        case '$in': return values.some(value => arg.some(item => same(value, item)));
+        case '$nin': return !values.some(value => arg.some(item => same(value, item)));
+        case '$elemMatch': return values.some(value => value != null && typeof value === 'object' && matches(value, arg));
+        case '$exists': return values.some(value => value !== undefined) === arg;
+        case '$gt': return values.some(value => value != null && value > arg);
+        case '$gte': return values.some(value => value != null && value >= arg);
+        case '$lt': return values.some(value => value != null && value < arg);
+        case '$lte': return values.some(value => value != null && value <= arg);
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+// Copy of `doc` with the value at a dotted path replaced by `change(current)`
+function setPath(doc, path, change) {
+  const [key, ...rest] = path.split('.');
+  const current = doc == null ? undefined : doc[key];
+  const copy = Array.isArray(doc) ? [...doc] : { ...doc };
+  copy[key] = rest.length ? setPath(current, rest.join('.'), change) : change(current);
+  return copy;
+}
+
+// Index of the array element a filter matched, for the positional `$` in update paths
+function positionalIndex(doc, arrayPath, filter) {
+  for (const [field, condition] of Object.entries(filter)) {
+    if (field === arrayPath && condition && condition.$elemMatch) {
+      return valuesAt(doc, arrayPath).findIndex(item => item && matches(item, condition.$elemMatch));
+    }
+    if (field.startsWith(`${arrayPath}.`)) {
+      const subField = field.slice(arrayPath.length + 1);
+      return valuesAt(doc, arrayPath).findIndex(item => item && matches(item, { [subField]: condition }));
+    }
+  }
+  throw new Error(`No filter on ${arrayPath} to resolve the positional operator`);
+}
+
+// Whether a $pull argument is a condition on the array's elements rather than a value
+const isCondition = value => value != null && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Apply an update (operators or a pipeline) to a plain document
+ * @param {Object} doc - Document before the update
+ * @param {Object|Array} update - Update
+ * @param {Object} filter - Filter the update matched with (resolves `$` in paths)
+ * @returns {Object} Document after the update
+ */
+function applyUpdate(doc, update, filter = {}) {
+  if (Array.isArray(update)) return applyPipeline(doc, update);
+
+  // Top-level fields without an operator are set, as Mongoose does
+  const fields = Object.keys(update).filter(key => !key.startsWith('$'));
+  if (fields.length > 0) {
+    const operators = Object.fromEntries(Object.entries(update).filter(([key]) => key.startsWith('$')));
+    const set = Object.fromEntries(fields.map(key => [key, update[key]]));
+    update = { ...operators, $set: { ...operators.$set, ...set } };
+  }
+
+  const resolve = (path) => {
+    const at = path.indexOf('.$');
+    return at === -1 ? path : path.replace('.$', `.${positionalIndex(doc, path.slice(0, at), filter)}`);
+  };
+
+  return Object.entries(update).reduce((current, [operator, fields]) => (
+    Object.entries(fields).reduce((next, [path, value]) => setPath(next, resolve(path), (before) => {
+      switch (operator) {
+        case '$set': return value;
+        case '$unset': return undefined;
+        case '$inc': return (before || 0) + value;
+        case '$max': return before == null ? value : Math.max(before, value);
+        case '$min': return before == null ? value : Math.min(before, value);
+        case '$push': return [...(before || []), value];
+        case '$pull': return (before || []).filter(item => (isCondition(value) ? !matches(item, value) : !same(item, value)));
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    }), current)
+  ), doc);
+}
+
+/**
+ * Record every call to a stubbed method; each call is answered by `impl`
+ * @param {Object} t - Test context (its mocks are restored after the test)
+ * @param {Object} target - Model or prototype
+ * @param {String} method - Method name
+ * @param {Function} impl - Implementation returning the result
+ * @returns {Object} The mock (see mock.calls)
+ */
+function stub(t, target, method, impl = () => null) {
+  return t.mock.method(target, method, impl).mock;
+}
+
+module.exports = { query, duplicateKeyError, evaluate, applyPipeline, same, matches, applyUpdate, stub };
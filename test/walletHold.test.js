@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, matches, applyUpdate, applyPipeline, stub } = require('./support/db');
+
+const User = require('../models/User');
+const Call = require('../models/Call');
+const walletHold = require('../services/walletHold');
+
+// In-memory wallet behind User.findOneAndUpdate / updateOne with update pipelines
+function stubWallet(t, wallet) {
+  const state = { user: { _id: new mongoose.Types.ObjectId(), ...wallet } };
+  stub(t, User, 'findOneAndUpdate', async (filter, pipeline) => {
+    const before = state.user;
+    state.user = applyPipeline(before, pipeline);
+    return before;
+  });
+  stub(t, User, 'updateOne', async (filter, pipeline) => {
+    state.user = applyPipeline(state.user, pipeline);
+    return { modifiedCount: 1 };
+  });
+  return state;
+}
+
+// In-memory call behind the conditional hold updates
+function stubCallHold(t, call) {
+  const state = { call };
+  stub(t, Call, 'findOneAndUpdate', (filter, update) => query(() => {
+    if (!matches(state.call, filter)) return null;
+    const before = state.call;
+    state.call = applyUpdate(before, update);
+    return before;
+  }));
+  stub(t, Call, 'updateOne', async (filter, update) => {
+    if (!matches(state.call, filter)) return { modifiedCount: 0 };
+    state.call = applyUpdate(state.call, update);
+    return { modifiedCount: 1 };
+  });
+  return state;
+}
+
+function heldCall(userId, holdTokens, tokensPerMinute = 10) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    caller: userId,
+    tokensPerMinute,
+    billedTokens: 0,
+    hold: { tokens: holdTokens, status: holdTokens > 0 ? 'held' : 'none' }
+  };
+}
+
+describe('walletHold', () => {
+  it('spendable balance excludes held tokens', () => {
+    assert.equal(walletHold.getAvailableBalance({ tokens: 100, heldTokens: 30 }), 70);
+    assert.equal(walletHold.getAvailableBalance({ tokens: 10, heldTokens: 30 }), 0);
+  });
+
+  it('holds five minutes of the rate when the caller can cover it', async (t) => {
+    const wallet = stubWallet(t, { tokens: 1000, heldTokens: 0 });
+    const callUpdates = stub(t, Call, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const held = await walletHold.placeHold(heldCall(wallet.user._id, 0));
+
+    assert.equal(held, 10 * walletHold.INITIAL_HOLD_MINUTES);
+    assert.equal(wallet.user.heldTokens, 50);
+    assert.deepEqual(callUpdates.calls[0].arguments[1].$inc, { 'hold.tokens': 50 });
+  });
+
+  it('holds only the spendable balance when it is short', async (t) => {
+    const wallet = stubWallet(t, { tokens: 100, heldTokens: 70 });
+    stub(t, Call, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const held = await walletHold.placeHold(heldCall(wallet.user._id, 0));
+
+    assert.equal(held, 30);
+    assert.equal(wallet.user.heldTokens, 100);
+  });
+
+  it('debits in-call charges from the hold first', async (t) => {
+    const wallet = stubWallet(t, { tokens: 500, heldTokens: 50 });
+    const callUpdates = stub(t, Call, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const debit = await walletHold.consumeHold(heldCall(wallet.user._id, 50), 20);
+
+    assert.deepEqual(debit, { captured: 20, tokensBefore: 500, tokensAfter: 480 });
+    assert.equal(wallet.user.tokens, 480);
+    assert.equal(wallet.user.heldTokens, 30);
+    assert.deepEqual(callUpdates.calls[0].arguments[1].$inc, { 'hold.tokens': -20, 'hold.capturedTokens': 20 });
+  });
+
+  it('captures the final charge and releases the rest of the hold', async (t) => {
+    const wallet = stubWallet(t, { tokens: 1000, heldTokens: 250 });
+    const hold = stubCallHold(t, heldCall(wallet.user._id, 250));
+
+    const result = await walletHold.captureHold(hold.call, 120);
+
+    assert.deepEqual(result, { captured: 120, released: 130, tokensBefore: 1000, tokensAfter: 880 });
+    assert.equal(wallet.user.tokens, 880);
+    assert.equal(wallet.user.heldTokens, 0);
+    assert.equal(hold.call.hold.status, 'captured');
+    assert.equal(hold.call.hold.capturedTokens, 120);
+  });
+
+  it('captures a hold only once', async (t) => {
+    const wallet = stubWallet(t, { tokens: 1000, heldTokens: 250 });
+    const hold = stubCallHold(t, heldCall(wallet.user._id, 250));
+
+    await walletHold.captureHold(hold.call, 120);
+    assert.equal(await walletHold.captureHold(hold.call, 120), null);
+
+    assert.equal(wallet.user.tokens, 880);
+    assert.equal(wallet.user.heldTokens, 0);
+  });
+
+  it('hands the hold back when the wallet update fails', async (t) => {
+    const wallet = stubWallet(t, { tokens: 1000, heldTokens: 250 });
+    const hold = stubCallHold(t, heldCall(wallet.user._id, 250));
+    User.findOneAndUpdate.mock.mockImplementationOnce(async () => {
+      throw new Error('connection reset');
+    });
+
+    await assert.rejects(walletHold.captureHold(hold.call, 120), /connection reset/);
+    assert.equal(hold.call.hold.status, 'held');
+    assert.equal(hold.call.hold.tokens, 250);
+
+    await walletHold.captureHold(hold.call, 120);
+    assert.equal(wallet.user.tokens, 880);
+    assert.equal(wallet.user.heldTokens, 0);
+  });
+
+  it('never takes the balance below zero', async (t) => {
+    const wallet = stubWallet(t, { tokens: 50, heldTokens: 50 });
+    const hold = stubCallHold(t, heldCall(wallet.user._id, 50));
+
+    const result = await walletHold.captureHold(hold.call, 120);
+
+    assert.equal(result.captured, 50);
+    assert.equal(result.tokensAfter, 0);
+    assert.equal(wallet.user.tokens, 0);
+  });
+
+  it('releases a hold only once', async (t) => {
+    const wallet = stubWallet(t, { tokens: 1000, heldTokens: 80 });
+    let released = false;
+    stub(t, Call, 'updateOne', async () => {
+      const modifiedCount = released ? 0 : 1;
+      released = true;
+      return { modifiedCount };
+    });
+    const call = heldCall(wallet.user._id, 80);
+
+    assert.equal(await walletHold.releaseHold(call), 80);
+    assert.equal(await walletHold.releaseHold(call), 0);
+    assert.equal(wallet.user.heldTokens, 0);
+    assert.equal(wallet.user.tokens, 1000);
+  });
+});